@@ -1,4 +1,4 @@
-// Enhanced BookingDialog.js with FIXED payment amount calculation
+// BookingDialog.js - passenger details, payment and confirmation for a selected flight
 const {
   ComponentDialog,
   WaterfallDialog,
@@ -7,21 +7,15 @@ const {
   NumberPrompt,
   ChoicePrompt,
 } = require("botbuilder-dialogs");
-const { MessageFactory, CardFactory } = require("botbuilder");
-
-// Import services with proper destructuring to handle different export patterns
-let DatabaseService, PaymentService;
-try {
-  const dbService = require("../../services/databaseService");
-  DatabaseService = dbService.DatabaseService || dbService;
-
-  const payService = require("../../services/paymentService");
-  PaymentService = payService.PaymentService || payService;
-} catch (error) {
-  console.error("Error importing services:", error);
-  DatabaseService = require("../../services/databaseService");
-  PaymentService = require("../../services/paymentService");
-}
+const { MessageFactory, CardFactory, TurnContext } = require("botbuilder");
+const { formatCabinClass } = require("../../utils/helpers");
+const currencyService = require("../../services/currencyService");
+const holdService = require("../../services/holdService");
+const paymentService = require("../../services/paymentService");
+const paymentLinkService = require("../../services/paymentLinkService");
+const { bookings } = require("../../services/repositories");
+const { PaymentDialog, PAYMENT_DIALOG } = require("./paymentDialog");
+const { PassengerDialog, PASSENGER_DIALOG } = require("./passengerDialog");
 
 const WATERFALL_DIALOG = "waterfallDialog";
 const TEXT_PROMPT = "textPrompt";
@@ -29,53 +23,38 @@ const CONFIRM_PROMPT = "confirmPrompt";
 const NUMBER_PROMPT = "numberPrompt";
 const CHOICE_PROMPT = "choicePrompt";
 
+const ACCEPT_NEW_FARE = "Accept new fare";
+const BACK_TO_RESULTS = "Back to results";
+
+const PAY_NOW = "Pay now";
+const SEND_PAYMENT_LINK = "Send payment link";
+
 class BookingDialog extends ComponentDialog {
-  constructor() {
+  constructor(flightService) {
     super("BookingDialog");
 
-    // Initialize services based on their type
-    if (typeof DatabaseService === "function") {
-      try {
-        this.databaseService = new DatabaseService();
-      } catch (error) {
-        this.databaseService = DatabaseService;
-      }
-    } else {
-      this.databaseService = DatabaseService;
-    }
+    // Used to re-price the selected offer right before charging
+    this.flightService = flightService;
 
-    if (typeof PaymentService === "function") {
-      try {
-        this.paymentService = new PaymentService();
-      } catch (error) {
-        this.paymentService = PaymentService;
-      }
-    } else {
-      this.paymentService = PaymentService;
-    }
+    this.paymentService = paymentService;
 
     this.addDialog(new TextPrompt(TEXT_PROMPT));
     this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
     this.addDialog(new NumberPrompt(NUMBER_PROMPT));
     this.addDialog(new ChoicePrompt(CHOICE_PROMPT));
+    this.addDialog(new PassengerDialog());
+    this.addDialog(new PaymentDialog());
 
     this.addDialog(
       new WaterfallDialog(WATERFALL_DIALOG, [
         this.initBookingStep.bind(this),
-        this.collectPassengerNameStep.bind(this),
-        this.collectEmailStep.bind(this),
-        this.collectPhoneStep.bind(this),
-        this.collectPassportStep.bind(this),
-        this.collectAddressStep.bind(this),
-        this.collectEmergencyContactStep.bind(this),
         this.showBookingSummaryStep.bind(this),
         this.confirmBookingStep.bind(this),
-        this.collectPaymentMethodStep.bind(this),
-        this.collectCardNumberStep.bind(this),
-        this.collectExpiryDateStep.bind(this),
-        this.collectCvvStep.bind(this),
-        this.collectCardHolderNameStep.bind(this),
+        this.repriceOfferStep.bind(this),
+        this.confirmFareChangeStep.bind(this),
         this.processPaymentStep.bind(this),
+        this.startPaymentStep.bind(this),
+        this.settlePaymentStep.bind(this),
         this.finalConfirmationStep.bind(this),
       ])
     );
@@ -83,47 +62,31 @@ class BookingDialog extends ComponentDialog {
     this.initialDialogId = WATERFALL_DIALOG;
   }
 
-  _parsePrice(priceString) {
-    if (!priceString || typeof priceString !== "string") {
-      console.warn("Invalid price string provided:", priceString);
-      return { amount: 0, currency: "USD" }; // Default fallback
-    }
+  // Keep the seat hold on the component instance so it can be released
+  // however the dialog ends, including when it is cancelled
+  async beginDialog(outerDC, options) {
+    outerDC.activeDialog.state.seatHold = (options && options.seatHold) || null;
+    return await super.beginDialog(outerDC, options);
+  }
 
-    let currency = "USD"; // Default currency
-
-    // Determine currency from symbol or code
-    if (
-      priceString.includes("₹") ||
-      priceString.toUpperCase().includes("INR")
-    ) {
-      currency = "INR";
-    } else if (
-      priceString.includes("$") ||
-      priceString.toUpperCase().includes("USD")
-    ) {
-      currency = "USD";
-    } else if (
-      priceString.includes("€") ||
-      priceString.toUpperCase().includes("EUR")
-    ) {
-      currency = "EUR";
-    } else if (
-      priceString.includes("£") ||
-      priceString.toUpperCase().includes("GBP")
-    ) {
-      currency = "GBP";
+  // A booking sent as a payment link keeps its seats until the link is paid
+  // or expires (see services/paymentLinkService.js)
+  async endComponent(outerDC, result) {
+    if (result && result.paymentLink) {
+      outerDC.activeDialog.state.seatHold = null;
+      return await super.endComponent(outerDC);
     }
+    return await super.endComponent(outerDC, result);
+  }
 
-    // Extract numbers only, removing symbols, commas, etc.
-    const cleanedString = priceString.replace(/[^0-9.]/g, "");
-    const amount = parseFloat(cleanedString);
-
-    if (isNaN(amount)) {
-      console.warn("Could not parse amount from price string:", priceString);
-      return { amount: 0, currency: currency };
+  // Payment failed, the user backed out or the dialog was cancelled: return
+  // the held seats. A hold that was already sold is left alone.
+  async onEndDialog(context, instance, reason) {
+    const seatHold = instance.state.seatHold;
+    if (seatHold) {
+      await holdService.release(seatHold.reference);
     }
-
-    return { amount, currency };
+    await super.onEndDialog(context, instance, reason);
   }
 
   async initBookingStep(stepContext) {
@@ -141,8 +104,9 @@ class BookingDialog extends ComponentDialog {
 
     stepContext.values.flightData = flightData;
     stepContext.values.searchParams = searchParams;
-    stepContext.values.passengers = [];
-    stepContext.values.currentPassengerIndex = 0;
+    stepContext.values.searchId = stepContext.options.searchId || null;
+    stepContext.values.displayCurrency = stepContext.options.displayCurrency;
+    stepContext.values.seatHold = stepContext.options.seatHold || null;
 
     await stepContext.context.sendActivity(
       MessageFactory.text(
@@ -150,143 +114,13 @@ class BookingDialog extends ComponentDialog {
       )
     );
 
-    return await stepContext.next();
-  }
-
-  async collectPassengerNameStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `👤 **Passenger ${
-            currentIndex + 1
-          } of ${totalPassengers}**\n\nPlease enter the full name (as per ID/Passport):`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
-  }
-
-  async collectEmailStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      if (!stepContext.values.passengers[currentIndex]) {
-        stepContext.values.passengers[currentIndex] = {};
-      }
-
-      stepContext.values.passengers[currentIndex].fullName = stepContext.result;
-
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `📧 **Email for ${stepContext.values.passengers[currentIndex].fullName}:**\n\nPlease enter a valid email address:`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
-  }
-
-  async collectPhoneStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      const email = stepContext.result;
-
-      if (!this.isValidEmail(email)) {
-        await stepContext.context.sendActivity(
-          MessageFactory.text("❌ Please enter a valid email address.")
-        );
-        return await stepContext.replaceDialog(this.id, stepContext.options);
-      }
-
-      stepContext.values.passengers[currentIndex].email = email;
-
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `📱 **Phone number for ${stepContext.values.passengers[currentIndex].fullName}:**\n\nPlease enter phone number with country code (e.g., +91 9876543210):`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
-  }
-
-  async collectPassportStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      stepContext.values.passengers[currentIndex].phone = stepContext.result;
-
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `🛂 **ID/Passport for ${stepContext.values.passengers[currentIndex].fullName}:**\n\nPlease enter ID/Passport number:`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
-  }
-
-  async collectAddressStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      stepContext.values.passengers[currentIndex].passport = stepContext.result;
-
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `🏠 **Address for ${stepContext.values.passengers[currentIndex].fullName}:**\n\nPlease enter complete address:`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
-  }
-
-  async collectEmergencyContactStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      stepContext.values.passengers[currentIndex].address = stepContext.result;
-
-      return await stepContext.prompt(TEXT_PROMPT, {
-        prompt: MessageFactory.text(
-          `🚨 **Emergency contact for ${stepContext.values.passengers[currentIndex].fullName}:**\n\nPlease enter emergency contact name and phone number:`
-        ),
-      });
-    } else {
-      return await stepContext.next();
-    }
+    return await stepContext.beginDialog(PASSENGER_DIALOG, {
+      total: searchParams.passengers || 1,
+    });
   }
 
   async showBookingSummaryStep(stepContext) {
-    const currentIndex = stepContext.values.currentPassengerIndex;
-    const totalPassengers = stepContext.values.searchParams.passengers;
-
-    if (currentIndex < totalPassengers) {
-      stepContext.values.passengers[currentIndex].emergencyContact =
-        stepContext.result;
-
-      stepContext.values.currentPassengerIndex++;
-
-      if (stepContext.values.currentPassengerIndex < totalPassengers) {
-        await stepContext.context.sendActivity(
-          MessageFactory.text(
-            `✅ Details collected for ${stepContext.values.passengers[currentIndex].fullName}\n\nNow let's collect details for the next passenger.`
-          )
-        );
-        return await stepContext.replaceDialog(this.id, stepContext.options);
-      }
-    }
+    stepContext.values.passengers = stepContext.result;
 
     const summaryCard = this.createBookingSummaryCard(stepContext.values);
     await stepContext.context.sendActivity(
@@ -304,10 +138,10 @@ class BookingDialog extends ComponentDialog {
     });
   }
 
-  async collectPaymentMethodStep(stepContext) {
-    const confirmBooking = stepContext.result;
-
-    if (!confirmBooking) {
+  // The fare shown in the results may be many minutes old by now. Ask the
+  // provider for the current price so we never charge a fare it won't honour.
+  async repriceOfferStep(stepContext) {
+    if (!stepContext.result) {
       await stepContext.context.sendActivity(
         MessageFactory.text(
           "❌ Booking cancelled. Thank you for using our service."
@@ -316,124 +150,134 @@ class BookingDialog extends ComponentDialog {
       return await stepContext.endDialog();
     }
 
-    return await stepContext.prompt(CHOICE_PROMPT, {
-      prompt: MessageFactory.text(
-        "💳 **Payment Method**\n\nPlease select your payment method:"
-      ),
-      choices: ["Credit Card", "Debit Card"],
-    });
-  }
-
-  async collectCardNumberStep(stepContext) {
-    stepContext.values.paymentMethod = stepContext.result.value
-      .toLowerCase()
-      .replace(" ", "_");
-
-    await stepContext.context.sendActivity(
-      MessageFactory.text(
-        "🔒 **Secure Payment Information**\n\n🧪 **For Square Sandbox Testing:**\n• Test Card: `4532759734545858`\n• Any expiry date in the future\n• Any 3-digit CVV"
-      )
-    );
+    const values = stepContext.values;
+    const currentFlight = values.flightData;
 
-    return await stepContext.prompt(TEXT_PROMPT, {
-      prompt: MessageFactory.text(
-        `💳 **Card Number:**\n\nEnter 16-digit card number (use test: 4532759734545858):`
-      ),
-    });
-  }
-
-  async collectExpiryDateStep(stepContext) {
-    const cardNumber = stepContext.result.replace(/\s/g, "");
-
-    if (!/^\d{16}$/.test(cardNumber)) {
+    let pricing;
+    try {
+      pricing = await this.flightService.priceFlight(
+        currentFlight,
+        values.searchParams
+      );
+    } catch (error) {
+      console.error("Error re-pricing offer:", error);
       await stepContext.context.sendActivity(
-        MessageFactory.text("❌ Please enter a valid 16-digit card number.")
+        MessageFactory.text(
+          "❌ We couldn't confirm the current fare for this flight, so you have not been charged. Please pick a flight again."
+        )
       );
-      return await stepContext.replaceDialog(this.id, stepContext.options);
+      return await stepContext.endDialog({
+        backToResults: true,
+        searchId: values.searchId,
+        flight: currentFlight,
+      });
     }
 
-    stepContext.values.cardNumber = cardNumber;
-
-    return await stepContext.prompt(TEXT_PROMPT, {
-      prompt: MessageFactory.text(
-        `📅 **Expiry Date:**\n\nEnter expiry date (MM/YY format, e.g., 12/25):`
-      ),
-    });
-  }
-
-  async collectCvvStep(stepContext) {
-    const expiryDate = stepContext.result;
-
-    if (!/^\d{2}\/\d{2}$/.test(expiryDate)) {
+    if (!pricing.available) {
       await stepContext.context.sendActivity(
         MessageFactory.text(
-          "❌ Please enter expiry date in MM/YY format (e.g., 12/25)."
+          "😔 This fare is no longer available. You have not been charged. Please pick another flight."
         )
       );
-      return await stepContext.replaceDialog(this.id, stepContext.options);
+      return await stepContext.endDialog({
+        backToResults: true,
+        searchId: values.searchId,
+        unavailableFlightId: currentFlight.id,
+      });
     }
 
-    stepContext.values.expiryDate = expiryDate;
+    const repricedFlight = { ...pricing.flight, id: currentFlight.id };
+    const change = this.compareFares(currentFlight.price, pricing.price);
 
-    return await stepContext.prompt(TEXT_PROMPT, {
-      prompt: MessageFactory.text(
-        `🔒 **CVV:**\n\nEnter 3-digit security code from back of card:`
-      ),
-    });
-  }
+    if (change <= 0) {
+      // Same or cheaper: carry on at the confirmed fare
+      values.flightData = repricedFlight;
 
-  async collectCardHolderNameStep(stepContext) {
-    const cvv = stepContext.result;
+      if (change < 0) {
+        const { charge } = this.calculateTotal(values);
+        await stepContext.context.sendActivity(
+          MessageFactory.text(
+            `🎉 Good news, the fare dropped. Your new total is ${currencyService.format(charge)}.`
+          )
+        );
+      }
 
-    if (!/^\d{3,4}$/.test(cvv)) {
-      await stepContext.context.sendActivity(
-        MessageFactory.text("❌ Please enter a valid 3-digit CVV.")
-      );
-      return await stepContext.replaceDialog(this.id, stepContext.options);
+      return await stepContext.next();
     }
 
-    stepContext.values.cvv = cvv;
+    values.repricedFlight = repricedFlight;
 
-    return await stepContext.prompt(TEXT_PROMPT, {
+    const { charge: oldCharge } = this.calculateTotal(values);
+    const { charge: newCharge } = this.calculateTotal({
+      ...values,
+      flightData: repricedFlight,
+    });
+
+    return await stepContext.prompt(CHOICE_PROMPT, {
       prompt: MessageFactory.text(
-        `👤 **Cardholder Name:**\n\nEnter name as it appears on the card:`
+        `⚠️ **The fare has changed**\n\nWas: ${currencyService.format(
+          oldCharge
+        )}\nNow: ${currencyService.format(
+          newCharge
+        )}\n\nWould you like to continue at the new fare?`
       ),
+      choices: [ACCEPT_NEW_FARE, BACK_TO_RESULTS],
     });
   }
 
-  async processPaymentStep(stepContext) {
-    const cardHolderName = stepContext.result;
-    stepContext.values.cardHolderName = cardHolderName;
+  async confirmFareChangeStep(stepContext) {
+    const values = stepContext.values;
+
+    // No prompt was shown: the fare was confirmed unchanged or lower
+    if (!values.repricedFlight) {
+      return await stepContext.next();
+    }
 
-    // ENHANCED: Use parsePrice helper to get both amount and currency
-    const flightPriceString = stepContext.values.flightData.price; // e.g., '₹3,800'
-    const { amount: basePrice, currency } = this._parsePrice(flightPriceString);
+    const repricedFlight = values.repricedFlight;
+    delete values.repricedFlight;
 
-    if (basePrice === 0) {
-      console.error("Could not parse flight price:", {
-        originalPrice: flightPriceString,
-        parsedAmount: basePrice,
-        currency: currency,
-      });
+    if (stepContext.result.value !== ACCEPT_NEW_FARE) {
       await stepContext.context.sendActivity(
         MessageFactory.text(
-          "❌ There was an error calculating the flight price. Please try again."
+          "↩️ No problem, you have not been charged. Here are your results again."
         )
       );
-      return await stepContext.endDialog();
+      return await stepContext.endDialog({
+        backToResults: true,
+        searchId: values.searchId,
+        flight: repricedFlight,
+      });
     }
 
-    // Calculate total amount using parsed base price
-    const totalAmount = basePrice * stepContext.values.passengers.length;
+    values.flightData = repricedFlight;
+    return await stepContext.next();
+  }
+
+  // Positive when the new fare is higher than the one the user saw
+  compareFares(oldPrice, newPrice) {
+    const comparable =
+      newPrice.currency === oldPrice.currency
+        ? newPrice
+        : currencyService.convert(newPrice, oldPrice.currency);
+
+    return currencyService.roundAmount(
+      comparable.amount - oldPrice.amount,
+      oldPrice.currency
+    );
+  }
+
+  async processPaymentStep(stepContext) {
+    const { fareTotal, charge, exchangeRate } = this.calculateTotal(
+      stepContext.values
+    );
+    const { amount: totalAmount, currency } = charge;
 
-    // ENHANCED: Validate total amount
     if (!totalAmount || totalAmount <= 0 || isNaN(totalAmount)) {
       console.error("Invalid booking amount calculated:", {
-        totalAmount: totalAmount,
-        basePrice: basePrice,
-        flightData: stepContext.values.flightData,
+        fare: stepContext.values.flightData.price,
+        fareTotal: fareTotal,
+        charge: charge,
         passengerCount: stepContext.values.passengers.length,
-        currency: currency,
       });
       await stepContext.context.sendActivity(
         MessageFactory.text(
@@ -448,69 +292,50 @@ class BookingDialog extends ComponentDialog {
       flight: stepContext.values.flightData,
       passengers: stepContext.values.passengers,
       searchParams: stepContext.values.searchParams,
+      cabinClass: this.getCabinClass(stepContext.values),
       bookingDate: new Date(),
       status: "PENDING_PAYMENT",
       totalAmount: totalAmount,
-      currency: currency, // Store the currency in booking data
+      currency: currency,
+      fareAmount: fareTotal.amount,
+      fareCurrency: fareTotal.currency,
+      exchangeRate: exchangeRate,
     };
 
     stepContext.values.bookingData = bookingData;
 
+    // The hold may have lapsed while details were being collected
+    const seatHold = stepContext.values.seatHold;
+    if (seatHold && !(await holdService.ensureActive(seatHold.reference))) {
+      await stepContext.context.sendActivity(
+        MessageFactory.text(
+          "😔 Your seat hold expired and the seats are no longer available. You have not been charged. Please search again."
+        )
+      );
+      return await stepContext.endDialog();
+    }
+
     await stepContext.context.sendActivity(
       MessageFactory.text(
-        `💳 **Processing Payment**\n\nAmount: ${
-          currency === "INR" ? "₹" : currency === "USD" ? "$" : currency + " "
-        }${totalAmount.toFixed(2)}\nInitiating secure payment...`
+        `💳 **Payment**\n\nAmount: ${currencyService.format(
+          charge
+        )}`
       )
     );
 
     try {
-      // ENHANCED: Calculate amount in smallest currency unit based on currency
-      let totalAmountInSmallestUnit;
-
-      // Different currencies have different smallest units
-      if (currency === "JPY" || currency === "KRW") {
-        // Yen and Won don't have fractional units
-        totalAmountInSmallestUnit = Math.round(totalAmount);
-      } else {
-        // Most currencies use cents/paise (1/100 of main unit)
-        totalAmountInSmallestUnit = Math.round(totalAmount * 100);
-      }
-
-      // ENHANCED: Currency-specific validation
-      if (totalAmountInSmallestUnit < 1) {
-        throw new Error("Payment amount too small");
-      }
-
-      // Currency-specific maximum limits (example limits)
-      const maxLimits = {
-        USD: 99999999, // $999,999.99
-        INR: 999999999, // ₹99,99,999.99
-        EUR: 99999999, // €999,999.99
-        GBP: 99999999, // £999,999.99
-        JPY: 99999999, // ¥999,999,999
-      };
-
-      const maxLimit = maxLimits[currency] || 99999999;
-      if (totalAmountInSmallestUnit > maxLimit) {
-        throw new Error(`Payment amount exceeds maximum limit for ${currency}`);
-      }
+      // Recorded before charging so the payment can reference it
+      const booking = await this.createPendingBooking(stepContext, bookingData);
+      bookingData.recordId = booking.id;
 
-      // ENHANCED: Build payment data with dynamic currency
       const paymentData = {
         // Required fields
-        bookingId: bookingData.bookingId,
-        paymentMethod: stepContext.values.paymentMethod || "credit_card",
+        bookingId: bookingData.recordId,
 
-        // ENHANCED: Dynamic currency support
-        amount: totalAmountInSmallestUnit,
-        currency: currency, // <-- THE FIX! Using the parsed currency
-
-        // Card information
-        cardNumber: stepContext.values.cardNumber,
-        expiryDate: stepContext.values.expiryDate,
-        cvv: stepContext.values.cvv,
-        cardHolderName: stepContext.values.cardHolderName,
+        // In the smallest unit of the currency charged
+        amount: currencyService.toMinorUnits(charge),
+        currency: currency,
+        exchangeRate: exchangeRate,
 
         // Customer information
         customerEmail: stepContext.values.passengers[0].email,
@@ -523,222 +348,225 @@ class BookingDialog extends ComponentDialog {
         // Order information
         orderNumber: bookingData.bookingId,
         description: `Flight booking: ${bookingData.flight.airline} ${bookingData.flight.flightNumber}`,
-
-        // Payment processor specific fields
-        sourceId: "cnon:card-nonce-ok", // Test nonce for sandbox
-        idempotencyKey: this.generateIdempotencyKey(),
-        locationId: process.env.SQUARE_LOCATION_ID || "LH2G8XBVQZ3R6",
-
-        // Alternative structure for payment APIs
-        amountMoney: {
-          amount: totalAmountInSmallestUnit,
-          currency: currency,
-        },
       };
 
-      // ENHANCED: Debugging with currency information
       console.log("Payment data being sent:", {
         bookingId: paymentData.bookingId,
-        paymentMethod: paymentData.paymentMethod,
         amount: paymentData.amount,
         currency: paymentData.currency,
-        originalPrice: flightPriceString,
-        parsedBasePrice: basePrice,
+        fareTotal: fareTotal,
+        exchangeRate: exchangeRate,
         totalAmount: totalAmount,
-        hasCardNumber: !!paymentData.cardNumber,
-        hasExpiryDate: !!paymentData.expiryDate,
-        hasCvv: !!paymentData.cvv,
-        hasCardHolderName: !!paymentData.cardHolderName,
         customerEmail: paymentData.customerEmail,
       });
 
-      const paymentResult = await this.paymentService.processPayment(
-        paymentData
+      stepContext.values.paymentData = paymentData;
+      stepContext.values.charge = charge;
+
+      // Someone else, such as a company's travel desk, may be paying
+      if (paymentLinkService.isEnabled()) {
+        return await stepContext.prompt(CHOICE_PROMPT, {
+          prompt: MessageFactory.text(
+            "Would you like to pay now, or send a payment link to whoever is paying?"
+          ),
+          choices: [PAY_NOW, SEND_PAYMENT_LINK],
+        });
+      }
+
+      return await stepContext.next();
+    } catch (error) {
+      return await this.onPaymentError(stepContext, error);
+    }
+  }
+
+  async startPaymentStep(stepContext) {
+    const { paymentData, charge, seatHold } = stepContext.values;
+
+    try {
+      if (stepContext.result && stepContext.result.value === SEND_PAYMENT_LINK) {
+        return await this.sendPaymentLink(stepContext);
+      }
+
+      // Card, payment method and any retries; the booking stays as it is
+      return await stepContext.beginDialog(PAYMENT_DIALOG, {
+        paymentData: paymentData,
+        charge: charge,
+        holdReference: seatHold ? seatHold.reference : null,
+      });
+    } catch (error) {
+      return await this.onPaymentError(stepContext, error);
+    }
+  }
+
+  // The booking stays pending with its seats held until the link is paid,
+  // and this conversation is told when it is
+  async sendPaymentLink(stepContext) {
+    const { bookingData, charge, seatHold } = stepContext.values;
+
+    let link;
+    try {
+      link = await paymentLinkService.create({
+        bookingId: bookingData.recordId,
+        holdReference: seatHold ? seatHold.reference : null,
+        amount: charge.amount,
+        currency: charge.currency,
+        exchangeRate: bookingData.exchangeRate,
+      });
+    } catch (error) {
+      if (error.code !== "SEAT_HOLD_EXPIRED") throw error;
+      await this.failPendingBooking(bookingData);
+      await stepContext.context.sendActivity(
+        MessageFactory.text(
+          "😔 Your seat hold expired and the seats are no longer available. Please search again."
+        )
       );
+      return await stepContext.endDialog();
+    }
+
+    const expiresAt = new Date(link.expiresAt);
+    await stepContext.context.sendActivity(
+      MessageFactory.text(
+        `🔗 **Payment Link**\n\nBooking reference: ${bookingData.bookingId}\nAmount: ${currencyService.format(
+          charge
+        )}\n\nShare this link with whoever is paying:\n${link.url}\n\n` +
+          `${seatHold ? "Your seats are held" : "The link works"} until ${expiresAt.toUTCString()}. ` +
+          "I'll let you know here as soon as it has been paid."
+      )
+    );
+
+    return await stepContext.endDialog({ paymentLink: link });
+  }
 
-      console.log("Payment result:", paymentResult);
+  // The result of the last charge PaymentDialog tried
+  async settlePaymentStep(stepContext) {
+    const bookingData = stepContext.values.bookingData;
+    const paymentResult = stepContext.result;
 
+    try {
       if (paymentResult && paymentResult.success) {
         bookingData.status = "CONFIRMED";
         bookingData.paymentId = paymentResult.paymentId || paymentResult.id;
         bookingData.transactionId = paymentResult.transactionId;
+        bookingData.card = paymentResult.card;
 
-        await this.databaseService.saveBooking(bookingData);
+        const seatHold = stepContext.values.seatHold;
+        if (
+          seatHold &&
+          !(await holdService.confirm(seatHold.reference, bookingData.bookingId))
+        ) {
+          return await this.refundForLostSeats(stepContext, paymentResult);
+        }
+
+        await bookings.markPaid(bookingData.recordId, bookingData.transactionId);
 
-        // ENHANCED: Show success message with correct currency
         await stepContext.context.sendActivity(
           MessageFactory.text(
             `✅ Payment successful! Your transaction ID is ${
               paymentResult.transactionId || paymentResult.paymentId
-            }.\n\nAmount charged: ${
-              currency === "INR"
-                ? "₹"
-                : currency === "USD"
-                ? "$"
-                : currency + " "
-            }${totalAmount.toFixed(2)}`
+            }.\n\nAmount charged: ${currencyService.format({
+              amount: bookingData.totalAmount,
+              currency: bookingData.currency,
+            })}`
           )
         );
 
         return await stepContext.next();
       } else {
-        const errorMessage =
-          paymentResult?.error ||
-          paymentResult?.message ||
-          "Unknown payment error";
-        console.error("Payment failed:", {
-          error: errorMessage,
-          fullResult: paymentResult,
-          sentData: paymentData,
-          currency: currency,
-        });
+        await this.failPendingBooking(bookingData);
         await stepContext.context.sendActivity(
           MessageFactory.text(
-            `❌ Payment failed: ${errorMessage}\n\nPlease verify your card details and try again.`
+            paymentResult?.errorCode === "SEAT_HOLD_EXPIRED"
+              ? "😔 Your seat hold expired and the seats are no longer available. You have not been charged. Please search again."
+              : "Your booking was not completed and you have not been charged. You can search again whenever you're ready."
           )
         );
         return await stepContext.endDialog();
       }
     } catch (error) {
-      console.error("Payment processing error:", error);
-      await stepContext.context.sendActivity(
-        MessageFactory.text(
-          `❌ Payment processing failed: ${
-            error.message || "Unknown error"
-          }\n\nPlease try again or contact support.`
-        )
-      );
-      return await stepContext.endDialog();
+      return await this.onPaymentError(stepContext, error);
     }
   }
 
-  // FIXED: Alternative payment processing if your service expects different format
-  async processPaymentStepAlternative(stepContext) {
-    const cardHolderName = stepContext.result;
-    stepContext.values.cardHolderName = cardHolderName;
-
-    const totalAmount = this.calculateTotalAmount(
-      stepContext.values.flightData,
-      stepContext.values.passengers.length
+  // The hold lapsed during the payment and the seats were sold to someone
+  // else: the charge goes back and the booking is not confirmed
+  async refundForLostSeats(stepContext, paymentResult) {
+    const bookingData = stepContext.values.bookingData;
+    const refund = await paymentService.refundPayment(
+      paymentResult.transactionId,
+      bookingData.totalAmount
     );
-
-    if (!totalAmount || totalAmount <= 0 || isNaN(totalAmount)) {
-      await stepContext.context.sendActivity(
-        MessageFactory.text(
-          "❌ Invalid booking amount calculated. Please try again."
-        )
-      );
-      return await stepContext.endDialog();
-    }
-
-    const bookingData = {
-      bookingId: this.generateBookingId(),
-      flight: stepContext.values.flightData,
-      passengers: stepContext.values.passengers,
-      searchParams: stepContext.values.searchParams,
-      bookingDate: new Date(),
-      status: "PENDING_PAYMENT",
-      totalAmount: totalAmount,
-    };
-
-    stepContext.values.bookingData = bookingData;
+    await this.failPendingBooking(bookingData);
 
     await stepContext.context.sendActivity(
       MessageFactory.text(
-        `💳 **Processing Payment**\n\nAmount: $${totalAmount.toFixed(
-          2
-        )}\nInitiating secure payment...`
+        refund.success
+          ? `😔 Your seat hold expired during the payment and the seats are no longer available, so the ${currencyService.format(
+              { amount: bookingData.totalAmount, currency: bookingData.currency }
+            )} you paid has been refunded. Please search again.`
+          : `😔 Your seat hold expired during the payment and the seats are no longer available. We couldn't refund your payment automatically; please contact support with booking reference ${bookingData.bookingId}.`
       )
     );
+    return await stepContext.endDialog();
+  }
 
-    try {
-      // FIXED: Simple payment data structure
-      const paymentRequest = {
-        // Basic required fields
-        bookingId: bookingData.bookingId,
-        amount: totalAmount,
-        currency: "USD",
-        paymentMethod: "credit_card",
-
-        // Card details
-        card: {
-          number: stepContext.values.cardNumber,
-          expiryMonth: stepContext.values.expiryDate.split("/")[0],
-          expiryYear: "20" + stepContext.values.expiryDate.split("/")[1],
-          cvv: stepContext.values.cvv,
-          holderName: stepContext.values.cardHolderName,
-        },
-
-        // Customer details
-        customer: {
-          name: stepContext.values.passengers[0].fullName,
-          email: stepContext.values.passengers[0].email,
-          phone: stepContext.values.passengers[0].phone,
-          address: stepContext.values.passengers[0].address,
-        },
-
-        // Order details
-        order: {
-          id: bookingData.bookingId,
-          description: `Flight: ${bookingData.flight.airline} ${bookingData.flight.flightNumber}`,
-          items: [
-            {
-              name: `Flight Ticket - ${bookingData.flight.airline}`,
-              quantity: stepContext.values.passengers.length,
-              price: totalAmount / stepContext.values.passengers.length,
-            },
-          ],
-        },
-      };
+  async onPaymentError(stepContext, error) {
+    const bookingData = stepContext.values.bookingData;
 
-      console.log("Simplified payment request:", {
-        bookingId: paymentRequest.bookingId,
-        amount: paymentRequest.amount,
-        currency: paymentRequest.currency,
-        paymentMethod: paymentRequest.paymentMethod,
-        hasCard: !!paymentRequest.card,
-        hasCustomer: !!paymentRequest.customer,
-      });
+    console.error("Payment processing error:", error);
+    if (!bookingData.transactionId) {
+      await this.failPendingBooking(bookingData);
+    }
+    await stepContext.context.sendActivity(
+      MessageFactory.text(
+        `❌ Payment processing failed: ${
+          error.message || "Unknown error"
+        }\n\nPlease try again or contact support.`
+      )
+    );
+    return await stepContext.endDialog();
+  }
 
-      const paymentResult = await this.paymentService.processPayment(
-        paymentRequest
-      );
+  // Inventory bookings keep their first schedule; every booking keeps a snapshot of the flight
+  async createPendingBooking(stepContext, bookingData) {
+    return await bookings.createPending({
+      bookingReference: bookingData.bookingId,
+      userId: stepContext.context.activity.from.id,
+      // Lets payment webhooks tell the customer about later changes
+      conversationReference: TurnContext.getConversationReference(
+        stepContext.context.activity
+      ),
+      flightScheduleId: bookingData.flight.scheduleId || null,
+      flight: bookingData.flight,
+      searchParams: bookingData.searchParams,
+      passengers: bookingData.passengers.map((passenger) =>
+        this.toPassengerRecord(passenger)
+      ),
+      cabinClass: bookingData.cabinClass,
+      totalPrice: bookingData.totalAmount,
+      currency: bookingData.currency,
+      holdReference: stepContext.values.seatHold
+        ? stepContext.values.seatHold.reference
+        : null,
+    });
+  }
 
-      if (
-        paymentResult &&
-        (paymentResult.success || paymentResult.status === "success")
-      ) {
-        bookingData.status = "CONFIRMED";
-        bookingData.paymentId =
-          paymentResult.paymentId ||
-          paymentResult.transactionId ||
-          paymentResult.id;
-        bookingData.transactionId = paymentResult.transactionId;
+  toPassengerRecord(passenger) {
+    const [firstName, ...lastNames] = passenger.fullName.trim().split(/\s+/);
+    return {
+      firstName: firstName,
+      lastName: lastNames.join(" "),
+      passportNumber: passenger.passport,
+    };
+  }
 
-        await this.databaseService.saveBooking(bookingData);
+  // The charge did not go through; the pending booking stays as a failed attempt
+  async failPendingBooking(bookingData) {
+    if (!bookingData.recordId) return;
 
-        return await stepContext.next();
-      } else {
-        const errorMessage =
-          paymentResult?.error ||
-          paymentResult?.message ||
-          "Payment processing failed";
-        console.error("Payment failed:", paymentResult);
-        await stepContext.context.sendActivity(
-          MessageFactory.text(
-            `❌ Payment failed: ${errorMessage}\n\nPlease verify your card details and try again.`
-          )
-        );
-        return await stepContext.endDialog();
-      }
+    try {
+      await bookings.markPaymentFailed(bookingData.recordId);
     } catch (error) {
-      console.error("Payment processing error:", error);
-      await stepContext.context.sendActivity(
-        MessageFactory.text(
-          `❌ Payment processing failed: ${error.message}\n\nPlease check your payment details and try again.`
-        )
-      );
-      return await stepContext.endDialog();
+      console.error("Error marking booking payment as failed:", error);
     }
   }
 
@@ -768,7 +596,7 @@ class BookingDialog extends ComponentDialog {
   createBookingSummaryCard(values) {
     const flight = values.flightData;
     const passengers = values.passengers;
-    const totalAmount = this.calculateTotalAmount(flight, passengers.length);
+    const { fareTotal, charge, exchangeRate } = this.calculateTotal(values);
 
     const passengerFacts = passengers.map((passenger, index) => {
       return {
@@ -814,7 +642,9 @@ class BookingDialog extends ComponentDialog {
                 },
                 {
                   title: "Route:",
-                  value: `${flight.departure.airport} → ${flight.arrival.airport}`,
+                  value:
+                    flight.route ||
+                    `${flight.departure.airport} → ${flight.arrival.airport}`,
                 },
                 {
                   title: "Departure:",
@@ -825,6 +655,11 @@ class BookingDialog extends ComponentDialog {
                   value: `${flight.arrival.time} on ${flight.arrival.date}`,
                 },
                 { title: "Duration:", value: flight.duration },
+                {
+                  title: "Cabin:",
+                  value: formatCabinClass(this.getCabinClass(values)),
+                },
+                ...this.getReturnFacts(flight),
               ],
             },
           ],
@@ -858,9 +693,16 @@ class BookingDialog extends ComponentDialog {
             {
               type: "FactSet",
               facts: [
-                { title: "Base Price:", value: flight.price },
+                {
+                  title: "Base Price:",
+                  value: currencyService.format(flight.price),
+                },
                 { title: "Passengers:", value: passengers.length.toString() },
-                { title: "Total Amount:", value: `$${totalAmount.toFixed(2)}` },
+                ...this.getExchangeFacts(fareTotal, charge, exchangeRate),
+                {
+                  title: "Total Amount:",
+                  value: currencyService.format(charge),
+                },
               ],
             },
           ],
@@ -900,6 +742,14 @@ class BookingDialog extends ComponentDialog {
                   title: "Payment ID:",
                   value: bookingData.paymentId || "Processing...",
                 },
+                ...(bookingData.card
+                  ? [
+                      {
+                        title: "Card:",
+                        value: `${bookingData.card.brand} ending ${bookingData.card.last4}`,
+                      },
+                    ]
+                  : []),
                 {
                   title: "Transaction ID:",
                   value: bookingData.transactionId || "N/A",
@@ -907,7 +757,10 @@ class BookingDialog extends ComponentDialog {
                 { title: "Status:", value: bookingData.status },
                 {
                   title: "Total Paid:",
-                  value: `$${bookingData.totalAmount.toFixed(2)}`,
+                  value: currencyService.format({
+                    amount: bookingData.totalAmount,
+                    currency: bookingData.currency,
+                  }),
                 },
                 {
                   title: "Booking Date:",
@@ -936,8 +789,30 @@ class BookingDialog extends ComponentDialog {
     });
   }
 
-  generateIdempotencyKey() {
-    return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // The cabin the fare was priced in, falling back to what was searched for
+  getCabinClass(values) {
+    return (
+      values.flightData.cabinClass ||
+      (values.searchParams && values.searchParams.cabinClass) ||
+      "economy"
+    );
+  }
+
+  getReturnFacts(flight) {
+    const returnJourney =
+      flight.tripType === "round-trip" && flight.itineraries[1];
+    if (!returnJourney) return [];
+
+    return [
+      {
+        title: "Return:",
+        value: `${returnJourney.flightNumber} ${returnJourney.departure.airport} → ${returnJourney.arrival.airport}`,
+      },
+      {
+        title: "Return Departs:",
+        value: `${returnJourney.departure.time} on ${returnJourney.departure.date}`,
+      },
+    ];
   }
 
   generateBookingId() {
@@ -949,92 +824,44 @@ class BookingDialog extends ComponentDialog {
     return `${prefix}${timestamp}${random}`;
   }
 
-  // FIXED: Robust amount calculation with better error handling
-  // FIXED: Improved calculateTotalAmount function with better debugging
-  calculateTotalAmount(flight, passengerCount) {
-    try {
-      // Handle different price formats with better debugging
-      let basePrice = 0;
-
-      console.log("Price calculation debug:", {
-        originalPrice: flight.price,
-        priceType: typeof flight.price,
-        passengerCount: passengerCount,
-      });
-
-      if (typeof flight.price === "string") {
-        // Remove currency symbols and commas, extract numbers
-        // Handle formats like: "$485", "485.00", "USD 485", "485 USD", etc.
-        const cleanPrice = flight.price.replace(/[^\d.]/g, "");
-        console.log("Cleaned price string:", cleanPrice);
+  // Fare total in the quoted currency, and the amount we charge: the user's
+  // display currency when the payment gateway supports it, else the fare currency
+  calculateTotal(values) {
+    const fare = values.flightData.price;
+    const passengerCount = Math.max(1, values.passengers.length);
 
-        basePrice = parseFloat(cleanPrice);
-      } else if (typeof flight.price === "number") {
-        basePrice = flight.price;
-      }
-
-      console.log("Extracted base price:", basePrice);
-
-      // Validate base price
-      if (!basePrice || basePrice <= 0 || isNaN(basePrice)) {
-        console.error(
-          "Invalid base price:",
-          flight.price,
-          "Extracted:",
-          basePrice
-        );
-        // Return a reasonable default test amount for sandbox
-        return 49.99; // $49.99 for testing (more realistic flight price)
-      }
-
-      // FIXED: Add reasonable upper limit check to prevent unrealistic amounts
-      if (basePrice > 5000) {
-        console.warn(
-          "Suspiciously high base price detected:",
-          basePrice,
-          "Using fallback amount"
-        );
-        return 49.99; // Use reasonable fallback
-      }
-
-      // Validate passenger count
-      const validPassengerCount = Math.max(1, Math.floor(passengerCount || 1));
-
-      const totalAmount = basePrice * validPassengerCount;
-
-      console.log("Total amount calculation:", {
-        basePrice: basePrice,
-        validPassengerCount: validPassengerCount,
-        totalAmount: totalAmount,
-      });
+    const fareTotal = {
+      amount: currencyService.roundAmount(
+        fare.amount * passengerCount,
+        fare.currency
+      ),
+      currency: fare.currency,
+    };
 
-      // Final validation
-      if (totalAmount <= 0 || isNaN(totalAmount)) {
-        console.error("Invalid total amount calculated:", totalAmount);
-        return 49.99; // Fallback amount
-      }
+    const displayCurrency = values.displayCurrency || fare.currency;
+    const chargeCurrency = this.paymentService.supportsCurrency(displayCurrency)
+      ? displayCurrency
+      : fare.currency;
 
-      // FIXED: Additional check for reasonable amount range
-      if (totalAmount > 10000) {
-        console.warn(
-          "Total amount seems unreasonably high:",
-          totalAmount,
-          "Using fallback"
-        );
-        return 49.99 * validPassengerCount; // Reasonable per-passenger price
-      }
-
-      return Math.round(totalAmount * 100) / 100; // Round to 2 decimal places
-    } catch (error) {
-      console.error("Error calculating total amount:", error);
-      return 49.99; // Fallback amount for testing
-    }
+    return {
+      fareTotal: fareTotal,
+      charge: currencyService.convert(fareTotal, chargeCurrency),
+      exchangeRate: currencyService.getRate(fare.currency, chargeCurrency),
+    };
   }
-  // FIXED: Improved payment processing with better validation and error handling
 
-  isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  getExchangeFacts(fareTotal, charge, exchangeRate) {
+    if (fareTotal.currency === charge.currency) return [];
+
+    return [
+      { title: "Fare Total:", value: currencyService.format(fareTotal) },
+      {
+        title: "Exchange Rate:",
+        value: `1 ${fareTotal.currency} = ${Number(exchangeRate.toPrecision(6))} ${
+          charge.currency
+        }`,
+      },
+    ];
   }
 }
 
@@ -0,0 +1,136 @@
+// CancelBookingDialog.js - self-service cancellation with refund
+const { ComponentDialog, WaterfallDialog, TextPrompt, ConfirmPrompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const repositories = require('../../services/repositories');
+const paymentService = require('../../services/paymentService');
+const currencyService = require('../../services/currencyService');
+const { CancellationPolicy } = require('../../services/cancellationPolicy');
+
+const CANCEL_BOOKING_DIALOG = 'CancelBookingDialog';
+const WATERFALL_DIALOG = 'cancelWaterfallDialog';
+const TEXT_PROMPT = 'textPrompt';
+const CONFIRM_PROMPT = 'confirmPrompt';
+
+class CancelBookingDialog extends ComponentDialog {
+    constructor() {
+        super(CANCEL_BOOKING_DIALOG);
+
+        this.cancellationPolicy = new CancellationPolicy();
+
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+
+        this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+            this.bookingReferenceStep.bind(this),
+            this.reviewCancellationStep.bind(this),
+            this.cancelBookingStep.bind(this)
+        ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async bookingReferenceStep(stepContext) {
+        if (stepContext.options && stepContext.options.bookingReference) {
+            return await stepContext.next(stepContext.options.bookingReference);
+        }
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text('❌ **Cancel Booking**\n\nPlease enter your booking reference (e.g., FL123456ABCD):')
+        });
+    }
+
+    async reviewCancellationStep(stepContext) {
+        const bookingReference = (stepContext.result || '').trim().toUpperCase();
+
+        const booking = await repositories.bookings.findDetailsByReference(bookingReference);
+
+        // Only the traveller who made the booking may cancel it
+        if (!booking || booking.user_id !== stepContext.context.activity.from.id) {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ I couldn't find booking ${bookingReference} on your account. Please check the reference and try again.`));
+            return await stepContext.endDialog();
+        }
+
+        const quote = this.cancellationPolicy.calculateRefund(booking);
+
+        if (!quote.canCancel) {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ ${quote.reason}`));
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.booking = booking;
+        stepContext.values.quote = quote;
+
+        await stepContext.context.sendActivity(MessageFactory.text(this.createCancellationSummary(booking, quote)));
+
+        return await stepContext.prompt(CONFIRM_PROMPT, {
+            prompt: MessageFactory.text('Do you want to cancel this booking?')
+        });
+    }
+
+    async cancelBookingStep(stepContext) {
+        const { booking, quote } = stepContext.values;
+
+        if (!stepContext.result) {
+            await stepContext.context.sendActivity(MessageFactory.text(`👍 No problem, booking ${booking.booking_reference} is unchanged.`));
+            return await stepContext.endDialog();
+        }
+
+        try {
+            let refund = null;
+
+            if (quote.refundAmount > 0) {
+                await stepContext.context.sendActivity(MessageFactory.text('💸 Processing your refund...'));
+
+                // Spread over every payment, as a flight change may have charged the fare difference separately
+                refund = await paymentService.refundBooking(booking.booking_id, quote.refundAmount, booking.currency || 'USD');
+
+                if (!refund.success) {
+                    await stepContext.context.sendActivity(MessageFactory.text(`❌ ${refund.error}\n\nYour booking has not been cancelled.`));
+                    return await stepContext.endDialog();
+                }
+            }
+
+            await repositories.bookings.cancel(booking.booking_id, !!refund);
+
+            let message = `✅ Booking ${booking.booking_reference} has been cancelled.`;
+            if (refund) {
+                message += `\n\n💰 Refund of ${this.formatAmount(quote.refundAmount, booking)} issued (Refund ID: ${refund.refundIds.join(', ')}). It may take 5-7 business days to reach your account.`;
+            }
+            await stepContext.context.sendActivity(MessageFactory.text(message));
+        } catch (error) {
+            console.error('Error cancelling booking:', error);
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Sorry, there was an error cancelling your booking. Please contact support.'));
+        }
+
+        return await stepContext.endDialog();
+    }
+
+    createCancellationSummary(booking, quote) {
+        let summary = `📋 **Booking ${booking.booking_reference}**\n`;
+        summary += `✈️ **Flight:** ${booking.airline_name} ${booking.flight_number}\n`;
+        summary += `🛫 **Route:** ${booking.departure_code} → ${booking.arrival_code}\n`;
+        summary += `📅 **Date:** ${new Date(booking.flight_date).toLocaleDateString('en-IN')} ${booking.departure_time}\n\n`;
+
+        if (quote.paidAmount === 0) {
+            summary += 'No payment has been taken for this booking, so there is nothing to refund.';
+            return summary;
+        }
+
+        summary += `💳 **Amount paid:** ${this.formatAmount(quote.paidAmount, booking)}\n`;
+        summary += `➖ **Cancellation fee:** ${this.formatAmount(quote.fee, booking)}\n`;
+        summary += `💰 **Refund:** ${this.formatAmount(quote.refundAmount, booking)}\n`;
+
+        if (quote.reason) {
+            summary += `\n⚠️ ${quote.reason}`;
+        }
+
+        return summary;
+    }
+
+    // Amounts are in the currency the booking was paid in
+    formatAmount(amount, booking) {
+        return currencyService.format({ amount: amount, currency: booking.currency || 'USD' });
+    }
+}
+
+module.exports = { CancelBookingDialog, CANCEL_BOOKING_DIALOG };
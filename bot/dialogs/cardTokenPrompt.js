@@ -0,0 +1,64 @@
+// CardTokenPrompt.js - asks for card details with a form and resolves to { token, brand, last4 }
+const { Prompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const tokenizationService = require('../../services/tokenizationService');
+const { createPaymentCard } = require('../../utils/cards');
+const { containsCardNumber } = require('../../utils/helpers');
+
+const RECOGNIZED = Symbol('cardTokenRecognized');
+
+// The form submit is tokenized while it is being recognized, so only the token,
+// brand and last four digits are handed to the dialog and kept in its state.
+// When some fields are invalid the tokenizer keeps the others, and the form is
+// sent again with just the fields that need fixing.
+// Prompt options take the { amount, currency } to show on the form as `charge`.
+class CardTokenPrompt extends Prompt {
+    async onPrompt(context, state, options, isRetry) {
+        if (isRetry && state.error) {
+            await context.sendActivity(MessageFactory.text(`❌ ${state.error}`));
+        } else if (!isRetry && options.prompt) {
+            await context.sendActivity(options.prompt);
+        }
+
+        const form = state.fieldErrors
+            ? { fields: Object.keys(state.fieldErrors), errors: state.fieldErrors }
+            : {};
+        await context.sendActivity(MessageFactory.attachment(createPaymentCard(options.charge, form)));
+    }
+
+    // Prompts recognize each message twice, first while it bubbles as an
+    // activityReceived event; the card must only be tokenized once
+    async onRecognize(context, state) {
+        if (!context.turnState.has(RECOGNIZED)) {
+            context.turnState.set(RECOGNIZED, this.tokenize(context, state));
+        }
+        return context.turnState.get(RECOGNIZED);
+    }
+
+    tokenize(context, state) {
+        const value = context.activity.value;
+
+        if (!value || value.action !== 'submitCard') {
+            state.error = containsCardNumber(context.activity.text)
+                ? 'For your security, please enter your card details in the form, not in the chat.'
+                : 'Please enter your card details in the form below.';
+            return { succeeded: false };
+        }
+
+        try {
+            const card = tokenizationService.tokenize(value, { draftId: state.draftId });
+            delete state.error;
+            delete state.fieldErrors;
+            delete state.draftId;
+            return { succeeded: true, value: card };
+        } catch (error) {
+            if (error.code !== 'CARD_INVALID') throw error;
+            state.error = error.message;
+            state.fieldErrors = error.fields;
+            state.draftId = error.draftId;
+            return { succeeded: false };
+        }
+    }
+}
+
+module.exports = { CardTokenPrompt };
@@ -0,0 +1,109 @@
+// ChallengePrompt.js - walks the customer through 3-D Secure and resolves to the payment result
+const { Prompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const paymentService = require('../../services/paymentService');
+const holdService = require('../../services/holdService');
+const { createChallengeCard } = require('../../utils/cards');
+
+// One-time codes typed into the chat instead of the form
+const OTP_PATTERN = /^\s*(\d{4,8})\s*$/;
+
+const RECOGNIZED = Symbol('challengeRecognized');
+
+// Answers are sent to the payment service while they are being recognized, the
+// way CardTokenPrompt tokenizes cards, so a wrong code is simply asked for again.
+// The prompt succeeds once the payment is charged or has failed, with the same
+// result paymentService.processPayment resolves to.
+// Prompt options: { transactionId, action, charge, holdReference }, from an
+// actionRequired result and the booking's seat hold, which is checked again
+// before an answer can capture the payment.
+class ChallengePrompt extends Prompt {
+    async onPrompt(context, state, options, isRetry) {
+        if (isRetry && state.error) {
+            await context.sendActivity(MessageFactory.text(`❌ ${state.error}`));
+        } else if (!isRetry && options.prompt) {
+            await context.sendActivity(options.prompt);
+        }
+
+        await context.sendActivity(MessageFactory.attachment(createChallengeCard(options.action, options.charge)));
+    }
+
+    // Prompts recognize each message twice, first while it bubbles as an
+    // activityReceived event; the payment must only be answered once
+    async onRecognize(context, state, options) {
+        if (!context.turnState.has(RECOGNIZED)) {
+            context.turnState.set(RECOGNIZED, await this.answerChallenge(context, state, options));
+        }
+        return context.turnState.get(RECOGNIZED);
+    }
+
+    async answerChallenge(context, state, options) {
+        const { transactionId } = options;
+        const answer = this.readAnswer(context.activity);
+        const expired = new Date(options.action.expiresAt) <= new Date();
+
+        // A slow challenge may have outlasted the hold, and the seats gone to someone else
+        const mayCapture = expired || answer.action === 'submitOtp' || answer.action === 'checkChallenge';
+        if (mayCapture && options.holdReference && !(await holdService.ensureActive(options.holdReference))) {
+            return this.settled(state, await paymentService.cancelChallenge(transactionId, {
+                errorCode: 'SEAT_HOLD_EXPIRED',
+                errorMessage: 'Your seat hold expired and the seats are no longer available.'
+            }));
+        }
+
+        // Too late for a code, though the bank's page may have been finished in time
+        if (expired) {
+            const result = await paymentService.checkChallenge(transactionId);
+            return this.settled(state, !result.actionRequired ? result : await paymentService.cancelChallenge(transactionId, {
+                errorCode: 'AUTHENTICATION_TIMEOUT',
+                errorMessage: 'The card was not verified in time.'
+            }));
+        }
+
+        if (answer.action === 'submitOtp' && answer.otp) {
+            const result = await paymentService.completeChallenge(transactionId, answer.otp);
+            if (result.actionRequired) {
+                state.error = result.error || 'The verification code is not correct.';
+                return { succeeded: false };
+            }
+            return this.settled(state, result);
+        }
+
+        if (answer.action === 'checkChallenge') {
+            const result = await paymentService.checkChallenge(transactionId);
+            if (result.actionRequired) {
+                state.error = "Your bank hasn't confirmed the verification yet. Finish it on the bank's page, or enter the code here.";
+                return { succeeded: false };
+            }
+            return this.settled(state, result);
+        }
+
+        if (answer.action === 'cancelChallenge') {
+            return this.settled(state, await paymentService.cancelChallenge(transactionId));
+        }
+
+        state.error = "Please enter the one-time code from your bank, or choose \"I've verified\" once you have verified on the bank's page.";
+        return { succeeded: false };
+    }
+
+    // Card submits, a code typed into the chat, or "cancel"
+    readAnswer(activity) {
+        const value = activity.value;
+        if (value && value.action) {
+            return { action: value.action, otp: String(value.otp || '').trim() };
+        }
+
+        const text = activity.text || '';
+        const match = text.match(OTP_PATTERN);
+        if (match) return { action: 'submitOtp', otp: match[1] };
+        if (/^\s*cancel\s*$/i.test(text)) return { action: 'cancelChallenge' };
+        return {};
+    }
+
+    settled(state, result) {
+        delete state.error;
+        return { succeeded: true, value: result };
+    }
+}
+
+module.exports = { ChallengePrompt };
@@ -0,0 +1,348 @@
+// ChangeBookingDialog.js - move a confirmed booking to a different date
+const { ComponentDialog, WaterfallDialog, TextPrompt, ChoicePrompt, ConfirmPrompt, ListStyle } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const repositories = require('../../services/repositories');
+const paymentService = require('../../services/paymentService');
+const holdService = require('../../services/holdService');
+const { CancellationPolicy } = require('../../services/cancellationPolicy');
+const { isValidFutureDate } = require('../../utils/helpers');
+const currencyService = require('../../services/currencyService');
+const { CardTokenPrompt } = require('./cardTokenPrompt');
+
+const CHANGE_BOOKING_DIALOG = 'ChangeBookingDialog';
+const WATERFALL_DIALOG = 'changeWaterfallDialog';
+const TEXT_PROMPT = 'textPrompt';
+const CHOICE_PROMPT = 'choicePrompt';
+const CONFIRM_PROMPT = 'confirmPrompt';
+const CARD_TOKEN_PROMPT = 'cardTokenPrompt';
+
+const KEEP_CURRENT_FLIGHT = 'Keep my current flight';
+
+class ChangeBookingDialog extends ComponentDialog {
+    constructor(flightService) {
+        super(CHANGE_BOOKING_DIALOG);
+
+        this.flightService = flightService;
+        this.cancellationPolicy = new CancellationPolicy();
+        // Flat fee charged on top of any fare difference
+        this.changeFee = {
+            amount: parseFloat(process.env.CHANGE_FEE || '25'),
+            currency: process.env.CHANGE_FEE_CURRENCY || 'USD'
+        };
+
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new ChoicePrompt(CHOICE_PROMPT));
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+        this.addDialog(new CardTokenPrompt(CARD_TOKEN_PROMPT));
+
+        this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+            this.bookingReferenceStep.bind(this),
+            this.newDateStep.bind(this),
+            this.returnDateStep.bind(this),
+            this.selectFlightStep.bind(this),
+            this.quoteStep.bind(this),
+            this.cardStep.bind(this),
+            this.applyChangeStep.bind(this)
+        ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    // The hold on the new flight is kept in the component's instance state
+    // (see cardStep), so it is released however the dialog ends, including
+    // when it is cancelled. A hold sold by the change is left alone.
+    async onEndDialog(context, instance, reason) {
+        const seatHold = instance.state.seatHold;
+        if (seatHold) {
+            await holdService.release(seatHold.reference);
+        }
+        await super.onEndDialog(context, instance, reason);
+    }
+
+    async bookingReferenceStep(stepContext) {
+        if (stepContext.options && stepContext.options.bookingReference) {
+            return await stepContext.next(stepContext.options.bookingReference);
+        }
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text('✏️ **Change My Flight**\n\nPlease enter your booking reference (e.g., FL123456ABCD):')
+        });
+    }
+
+    async newDateStep(stepContext) {
+        const bookingReference = (stepContext.result || '').trim().toUpperCase();
+
+        const booking = await repositories.bookings.findDetailsByReference(bookingReference);
+
+        if (!booking || booking.user_id !== stepContext.context.activity.from.id) {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ I couldn't find booking ${bookingReference} on your account. Please check the reference and try again.`));
+            return await stepContext.endDialog();
+        }
+
+        if (booking.booking_status === 'cancelled' || booking.booking_status === 'completed') {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ Booking ${bookingReference} is ${booking.booking_status} and can no longer be changed.`));
+            return await stepContext.endDialog();
+        }
+
+        // The fare difference is worked out against what was paid, so there must be a payment
+        if (booking.booking_status !== 'confirmed' || booking.payment_status !== 'paid') {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ Booking ${bookingReference} hasn't been paid for yet, so it can't be changed. Once it is paid and confirmed, you can change it here.`));
+            return await stepContext.endDialog();
+        }
+
+        const departure = this.cancellationPolicy.getDepartureDateTime(booking);
+        if (departure && departure <= new Date()) {
+            await stepContext.context.sendActivity(MessageFactory.text('❌ This flight has already departed and can no longer be changed.'));
+            return await stepContext.endDialog();
+        }
+
+        const searchParams = this.getStoredSearchParams(booking);
+
+        // The date search below covers one origin → destination journey
+        if (searchParams.tripType === 'multi-city' || Array.isArray(searchParams.legs)) {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ Booking ${bookingReference} is a multi-city trip, which can't be changed here yet. Please contact support to change it.`));
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.booking = booking;
+        stepContext.values.searchParams = searchParams;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`📅 Your current flight is ${booking.flight_number} on ${new Date(booking.flight_date).toLocaleDateString('en-IN')}.\n\nWhat date would you like to fly instead? (YYYY-MM-DD format):`)
+        });
+    }
+
+    async returnDateStep(stepContext) {
+        const newDate = (stepContext.result || '').trim();
+
+        if (!this.isValidDate(newDate)) {
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Please enter a valid future date in YYYY-MM-DD format. Your booking is unchanged.'));
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.newDate = newDate;
+
+        // A round trip keeps its return flight unless the new date falls after it
+        const returnDate = stepContext.values.searchParams.returnDate;
+        if (!returnDate || returnDate >= newDate) {
+            return await stepContext.next(returnDate);
+        }
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`↩️ Your return flight is on ${returnDate}, before your new departure date.
+
+What date would you like to fly back? (YYYY-MM-DD format):`)
+        });
+    }
+
+    async selectFlightStep(stepContext) {
+        const newDate = stepContext.values.newDate;
+        const returnDate = stepContext.result ? stepContext.result.trim() : null;
+
+        if (returnDate && (!this.isValidDate(returnDate) || returnDate < newDate)) {
+            await stepContext.context.sendActivity(MessageFactory.text(`❌ Please enter a valid return date in YYYY-MM-DD format, on or after ${newDate}. Your booking is unchanged.`));
+            return await stepContext.endDialog();
+        }
+
+        const searchParams = stepContext.values.searchParams;
+
+        stepContext.values.searchParams = { ...searchParams, departureDate: newDate, returnDate };
+
+        await stepContext.context.sendActivity(MessageFactory.text(`🔍 Searching ${searchParams.origin} → ${searchParams.destination} on ${newDate}...`));
+
+        let searchResult;
+        try {
+            searchResult = await this.flightService.searchFlights(
+                searchParams.origin,
+                searchParams.destination,
+                newDate,
+                returnDate,
+                searchParams.passengers,
+                searchParams.cabinClass
+            );
+        } catch (error) {
+            console.error('ChangeBookingDialog: Search error:', error);
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Sorry, there was an error searching for flights. Your booking is unchanged.'));
+            return await stepContext.endDialog();
+        }
+
+        if (!searchResult || !searchResult.flights || searchResult.flights.length === 0) {
+            await stepContext.context.sendActivity(MessageFactory.text('❌ No flights found on that date. Your booking is unchanged.'));
+            return await stepContext.endDialog();
+        }
+
+        stepContext.values.flights = searchResult.flights;
+
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text('✈️ Which flight would you like to switch to?'),
+            choices: [
+                ...searchResult.flights.map((flight, index) =>
+                    `${index + 1}. ${flight.flightNumber} ${flight.departure.time} → ${flight.arrival.time} (${currencyService.format(flight.price)})`),
+                KEEP_CURRENT_FLIGHT
+            ],
+            style: ListStyle.list
+        });
+    }
+
+    async quoteStep(stepContext) {
+        if (stepContext.result.value === KEEP_CURRENT_FLIGHT) {
+            await stepContext.context.sendActivity(MessageFactory.text('👍 No problem, your booking is unchanged.'));
+            return await stepContext.endDialog();
+        }
+
+        const { booking, searchParams } = stepContext.values;
+        const newFlight = stepContext.values.flights[stepContext.result.index];
+        // Quote the new fare in the currency the booking was paid in
+        const currency = booking.currency || 'USD';
+        const newFare = { amount: newFlight.price.amount * searchParams.passengers, currency: newFlight.price.currency };
+        const newTotal = currencyService.convert(newFare, currency).amount;
+        const changeFee = currencyService.convert(this.changeFee, currency).amount;
+        const fareDifference = currencyService.roundAmount(newTotal - parseFloat(booking.total_price), currency);
+        const amountDue = currencyService.roundAmount(fareDifference + changeFee, currency);
+
+        stepContext.values.change = { newFlight, newTotal, fareDifference, amountDue, currency };
+
+        let quote = `📋 **Change Summary**\n`;
+        quote += `✈️ **New flight:** ${newFlight.airline} ${newFlight.flightNumber}\n`;
+        quote += `📅 **Departure:** ${newFlight.departure.time} on ${newFlight.departure.date}\n\n`;
+        quote += `💳 **Current fare:** ${this.formatAmount(parseFloat(booking.total_price), currency)}\n`;
+        quote += `💰 **New fare:** ${this.formatAmount(newTotal, currency)}\n`;
+        quote += `➕ **Fare difference:** ${this.formatAmount(fareDifference, currency)}\n`;
+        quote += `🧾 **Change fee:** ${this.formatAmount(changeFee, currency)}\n\n`;
+        quote += amountDue > 0
+            ? `**Amount to pay:** ${this.formatAmount(amountDue, currency)}`
+            : amountDue < 0
+                ? `**Amount refunded to you:** ${this.formatAmount(-amountDue, currency)}`
+                : '**Nothing to pay.**';
+
+        await stepContext.context.sendActivity(MessageFactory.text(quote));
+
+        return await stepContext.prompt(CONFIRM_PROMPT, {
+            prompt: MessageFactory.text('Do you want to change to this flight?')
+        });
+    }
+
+    async cardStep(stepContext) {
+        if (!stepContext.result) {
+            await stepContext.context.sendActivity(MessageFactory.text('👍 No problem, your booking is unchanged.'));
+            return await stepContext.endDialog();
+        }
+
+        const { change, searchParams } = stepContext.values;
+
+        // Hold the seats on the new flight while the customer pays the difference
+        try {
+            change.seatHold = await holdService.reserve({
+                userId: stepContext.context.activity.from.id,
+                flight: change.newFlight,
+                passengers: searchParams.passengers
+            });
+            // stepContext.parent is the context this component runs in
+            stepContext.parent.activeDialog.state.seatHold = change.seatHold;
+        } catch (error) {
+            if (error.code === 'SEATS_UNAVAILABLE') {
+                await stepContext.context.sendActivity(MessageFactory.text('😔 Sorry, there are no longer enough seats on that flight. Your booking is unchanged.'));
+                return await stepContext.endDialog();
+            }
+            throw error;
+        }
+
+        if (change.amountDue <= 0) {
+            return await stepContext.next();
+        }
+
+        return await stepContext.prompt(CARD_TOKEN_PROMPT, {
+            prompt: MessageFactory.text('💳 **Card Details:**\n\nEnter the card to pay the difference with:'),
+            charge: { amount: change.amountDue, currency: change.currency }
+        });
+    }
+
+    async applyChangeStep(stepContext) {
+        const { booking, searchParams, change } = stepContext.values;
+        const holdReference = change.seatHold ? change.seatHold.reference : null;
+        let paymentResult = null;
+
+        try {
+            if (holdReference && !(await holdService.ensureActive(holdReference))) {
+                await stepContext.context.sendActivity(MessageFactory.text('😔 Sorry, the seats on that flight were taken while you were paying. Nothing has been charged and your booking is unchanged.'));
+                return await stepContext.endDialog();
+            }
+
+            if (change.amountDue > 0) {
+                await stepContext.context.sendActivity(MessageFactory.text('💳 Processing your payment...'));
+
+                paymentResult = await paymentService.processPayment({
+                    bookingId: booking.booking_id,
+                    orderNumber: booking.booking_reference,
+                    paymentMethod: 'credit_card',
+                    amount: currencyService.toMinorUnits({ amount: change.amountDue, currency: change.currency }),
+                    currency: change.currency,
+                    exchangeRate: currencyService.getRate(change.newFlight.price.currency, change.currency),
+                    cardToken: stepContext.result.token
+                });
+
+                if (!paymentResult.success) {
+                    await stepContext.context.sendActivity(MessageFactory.text(`❌ Payment failed: ${paymentResult.error}\n\nYour booking is unchanged.`));
+                    return await stepContext.endDialog();
+                }
+            } else if (change.amountDue < 0) {
+                const refund = await paymentService.refundBooking(booking.booking_id, -change.amountDue, change.currency);
+
+                if (!refund.success) {
+                    await stepContext.context.sendActivity(MessageFactory.text(`❌ ${refund.error}\n\nYour booking is unchanged.`));
+                    return await stepContext.endDialog();
+                }
+            }
+
+            await repositories.bookings.changeFlight(booking.booking_id, {
+                flightData: change.newFlight,
+                searchParams: searchParams,
+                totalPrice: change.newTotal,
+                holdReference: holdReference
+            });
+
+            await stepContext.context.sendActivity(MessageFactory.text(`✅ Booking ${booking.booking_reference} now travels on ${change.newFlight.airline} ${change.newFlight.flightNumber}, departing ${change.newFlight.departure.time} on ${change.newFlight.departure.date}.`));
+        } catch (error) {
+            console.error('Error changing booking:', error);
+
+            // The booking stayed as it was, so the difference just paid goes back
+            if (paymentResult && paymentResult.success) {
+                const refund = await paymentService.refundPayment(paymentResult.transactionId, change.amountDue);
+                if (refund.success) {
+                    await stepContext.context.sendActivity(MessageFactory.text(`❌ Sorry, we couldn't change your booking, so the ${this.formatAmount(change.amountDue, change.currency)} you paid has been refunded. Your booking is unchanged.`));
+                    return await stepContext.endDialog();
+                }
+            }
+
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Sorry, there was an error changing your booking. Please contact support.'));
+        }
+
+        return await stepContext.endDialog();
+    }
+
+    // Search parameters saved with the booking, falling back to the booked route
+    getStoredSearchParams(booking) {
+        const stored = typeof booking.search_params === 'string'
+            ? JSON.parse(booking.search_params)
+            : booking.search_params;
+
+        return {
+            origin: booking.departure_code,
+            destination: booking.arrival_code,
+            returnDate: null,
+            ...(stored || {}),
+            passengers: booking.passenger_count,
+            cabinClass: booking.cabin_class || 'economy'
+        };
+    }
+
+    isValidDate(date) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) && isValidFutureDate(date);
+    }
+
+    formatAmount(amount, currency) {
+        return `${amount < 0 ? '-' : ''}${currencyService.format({ amount: Math.abs(amount), currency })}`;
+    }
+}
+
+module.exports = { ChangeBookingDialog, CHANGE_BOOKING_DIALOG };
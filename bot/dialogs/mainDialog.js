@@ -1,6 +1,13 @@
 // Enhanced MainDialog.js with improved flow
 const { ComponentDialog, WaterfallDialog, TextPrompt, ChoicePrompt, NumberPrompt, ConfirmPrompt } = require('botbuilder-dialogs');
 const { MessageFactory } = require('botbuilder');
+const repositories = require('../../services/repositories');
+const currencyService = require('../../services/currencyService');
+const { formatCabinClass } = require('../../utils/helpers');
+const { createBookingListCards, createItineraryCard } = require('../../utils/cards');
+const { CancelBookingDialog, CANCEL_BOOKING_DIALOG } = require('./cancelBookingDialog');
+const { ChangeBookingDialog, CHANGE_BOOKING_DIALOG } = require('./changeBookingDialog');
+const { MultiCityDialog, MULTI_CITY_DIALOG } = require('./multiCityDialog');
 
 const WATERFALL_DIALOG = 'waterfallDialog';
 const TEXT_PROMPT = 'textPrompt';
@@ -8,16 +15,26 @@ const CHOICE_PROMPT = 'choicePrompt';
 const NUMBER_PROMPT = 'numberPrompt';
 const CONFIRM_PROMPT = 'confirmPrompt';
 
+const BOOKINGS_PAGE_SIZE = 5;
+const FLEXIBLE_DAYS = 3;
+const EXACT_DATE_CHOICE = 'Exact date';
+const FLEXIBLE_DATE_CHOICE = `Flexible (±${FLEXIBLE_DAYS} days)`;
+const CABIN_CLASSES = ['economy', 'premium', 'business', 'first'];
+
 class MainDialog extends ComponentDialog {
-    constructor(flightService) {
+    constructor(flightService, userProfileAccessor) {
         super('MainDialog');
         
         this.flightService = flightService;
+        this.userProfileAccessor = userProfileAccessor;
         
         this.addDialog(new TextPrompt(TEXT_PROMPT));
         this.addDialog(new ChoicePrompt(CHOICE_PROMPT));
         this.addDialog(new NumberPrompt(NUMBER_PROMPT));
         this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+        this.addDialog(new CancelBookingDialog());
+        this.addDialog(new ChangeBookingDialog(flightService));
+        this.addDialog(new MultiCityDialog(flightService));
         
         this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
             this.initialStep.bind(this),
@@ -25,8 +42,10 @@ class MainDialog extends ComponentDialog {
             this.originStep.bind(this),
             this.destinationStep.bind(this),
             this.departureDateStep.bind(this),
+            this.flexibleDatesStep.bind(this),
             this.returnDateStep.bind(this),
             this.passengersStep.bind(this),
+            this.cabinClassStep.bind(this),
             this.searchFlightsStep.bind(this),
             this.finalStep.bind(this)
         ]));
@@ -41,9 +60,12 @@ class MainDialog extends ComponentDialog {
             prompt: MessageFactory.text(messageText),
             choices: [
                 'Search Flights',
+                'Multi-City Search',
                 'Check Flight Status', 
                 'View My Bookings',
-                'Cancel Booking'
+                'Change My Flight',
+                'Cancel Booking',
+                'Display Currency'
             ]
         };
         
@@ -60,18 +82,29 @@ class MainDialog extends ComponentDialog {
                     prompt: MessageFactory.text('Great! Let\'s find you some flights. 🛫\n\nPlease enter your departure city (e.g., Mumbai, Delhi, Bangalore):')
                 });
                 
+            case 'Multi-City Search':
+                return await stepContext.replaceDialog(MULTI_CITY_DIALOG);
+                
             case 'Check Flight Status':
                 return await stepContext.prompt(TEXT_PROMPT, {
                     prompt: MessageFactory.text('Please enter your flight number (e.g., AI101, 6E234):')
                 });
                 
             case 'View My Bookings':
-                await stepContext.context.sendActivity('📋 Here are your recent bookings:\n\n*This feature is coming soon!*');
+                await this.showUserBookings(stepContext.context, 1);
                 return await stepContext.endDialog();
                 
+            case 'Change My Flight':
+                return await stepContext.replaceDialog(CHANGE_BOOKING_DIALOG);
+                
             case 'Cancel Booking':
-                await stepContext.context.sendActivity('❌ Booking cancellation:\n\n*This feature is coming soon!*');
-                return await stepContext.endDialog();
+                return await stepContext.replaceDialog(CANCEL_BOOKING_DIALOG);
+                
+            case 'Display Currency':
+                return await stepContext.prompt(CHOICE_PROMPT, {
+                    prompt: MessageFactory.text('💱 Which currency would you like to see prices in?'),
+                    choices: currencyService.getSupportedCurrencies()
+                });
                 
             default:
                 await stepContext.context.sendActivity('I didn\'t understand that option. Please try again.');
@@ -88,6 +121,11 @@ class MainDialog extends ComponentDialog {
             return await stepContext.endDialog();
         }
         
+        if (action === 'Display Currency') {
+            await this.setDisplayCurrency(stepContext.context, stepContext.result.value);
+            return await stepContext.endDialog();
+        }
+        
         // Continue with flight search
         stepContext.values.origin = stepContext.result;
         return await stepContext.prompt(TEXT_PROMPT, {
@@ -113,6 +151,15 @@ class MainDialog extends ComponentDialog {
         
         stepContext.values.departureDate = dateInput;
         
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text('Are your dates fixed, or should I compare fares on nearby days?'),
+            choices: [EXACT_DATE_CHOICE, FLEXIBLE_DATE_CHOICE]
+        });
+    }
+    
+    async flexibleDatesStep(stepContext) {
+        stepContext.values.flexibleDates = stepContext.result.value === FLEXIBLE_DATE_CHOICE;
+        
         return await stepContext.prompt(CONFIRM_PROMPT, {
             prompt: MessageFactory.text('Is this a round trip? (Yes for round trip, No for one way)')
         });
@@ -154,14 +201,27 @@ class MainDialog extends ComponentDialog {
         });
     }
     
-    async searchFlightsStep(stepContext) {
+    async cabinClassStep(stepContext) {
         stepContext.values.passengers = stepContext.result || 1;
         
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text('Which cabin class would you like?'),
+            choices: CABIN_CLASSES.map(formatCabinClass)
+        });
+    }
+    
+    async searchFlightsStep(stepContext) {
+        stepContext.values.cabinClass = CABIN_CLASSES[stepContext.result.index] || 'economy';
+        
         // Show search summary
         const summary = this.createSearchSummary(stepContext.values);
         await stepContext.context.sendActivity(MessageFactory.text(summary));
         await stepContext.context.sendActivity(MessageFactory.text('🔍 Searching for flights...'));
         
+        if (stepContext.values.flexibleDates) {
+            return await this.searchFareCalendar(stepContext);
+        }
+        
         // Simulate search delay
         await new Promise(resolve => setTimeout(resolve, 2000));
         
@@ -171,7 +231,8 @@ class MainDialog extends ComponentDialog {
                 stepContext.values.destination,
                 stepContext.values.departureDate,
                 stepContext.values.returnDate,
-                stepContext.values.passengers
+                stepContext.values.passengers,
+                stepContext.values.cabinClass
             );
             
             console.log('MainDialog: Search completed, result:', searchResult);
@@ -185,7 +246,8 @@ class MainDialog extends ComponentDialog {
                     destination: stepContext.values.destination,
                     departureDate: stepContext.values.departureDate,
                     returnDate: stepContext.values.returnDate,
-                    passengers: stepContext.values.passengers
+                    passengers: stepContext.values.passengers,
+                    cabinClass: stepContext.values.cabinClass
                 };
                 
                 return await stepContext.endDialog(searchResult);
@@ -201,6 +263,44 @@ class MainDialog extends ComponentDialog {
         }
     }
     
+    async searchFareCalendar(stepContext) {
+        const values = stepContext.values;
+        
+        try {
+            const fareCalendar = await this.flightService.searchFareCalendar(
+                values.origin,
+                values.destination,
+                values.departureDate,
+                values.returnDate,
+                values.passengers,
+                values.cabinClass,
+                FLEXIBLE_DAYS
+            );
+            
+            if (!fareCalendar.some(day => day.flightCount > 0)) {
+                await stepContext.context.sendActivity(MessageFactory.text('❌ No flights found around those dates. Please try different dates or destinations.'));
+                return await stepContext.endDialog();
+            }
+            
+            // FlightBot renders the calendar; picking a day shows that day's flights
+            return await stepContext.endDialog({
+                fareCalendar: fareCalendar,
+                searchParams: {
+                    origin: values.origin,
+                    destination: values.destination,
+                    departureDate: values.departureDate,
+                    returnDate: values.returnDate,
+                    passengers: values.passengers,
+                    cabinClass: values.cabinClass
+                }
+            });
+        } catch (error) {
+            console.error('MainDialog: Fare calendar error:', error);
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Sorry, there was an error searching for flights. Please try again.'));
+            return await stepContext.endDialog();
+        }
+    }
+    
     async finalStep(stepContext) {
         return await stepContext.endDialog();
     }
@@ -223,6 +323,59 @@ class MainDialog extends ComponentDialog {
         }
     }
     
+    async setDisplayCurrency(context, currency) {
+        const profile = await this.userProfileAccessor.get(context, {});
+        profile.displayCurrency = currency;
+        await this.userProfileAccessor.set(context, profile);
+        
+        await context.sendActivity(MessageFactory.text(`💱 Prices will now be shown in ${currency}.`));
+    }
+    
+    async showUserBookings(context, page = 1) {
+        try {
+            const userId = context.activity.from.id;
+            const offset = (page - 1) * BOOKINGS_PAGE_SIZE;
+
+            // Fetch one extra row to know whether there is a next page
+            const bookings = await repositories.bookings.listDetailsForUser(userId, BOOKINGS_PAGE_SIZE + 1, offset);
+
+            if (bookings.length === 0) {
+                const message = page === 1
+                    ? '📋 You don\'t have any bookings yet. Search for a flight to get started!'
+                    : '📋 There are no more bookings to show.';
+                await context.sendActivity(MessageFactory.text(message));
+                return;
+            }
+
+            const hasMore = bookings.length > BOOKINGS_PAGE_SIZE;
+            const cards = createBookingListCards(bookings.slice(0, BOOKINGS_PAGE_SIZE), { page, hasMore });
+
+            const cardActivity = MessageFactory.carousel(cards);
+            cardActivity.text = page === 1 ? '📋 Here are your bookings:' : `📋 Your bookings (page ${page}):`;
+            await context.sendActivity(cardActivity);
+        } catch (error) {
+            console.error('Error loading user bookings:', error);
+            await context.sendActivity(MessageFactory.text('❌ Sorry, I couldn\'t load your bookings. Please try again later.'));
+        }
+    }
+
+    async showItinerary(context, bookingReference) {
+        try {
+            const booking = await repositories.bookings.findDetailsByReference(bookingReference);
+
+            if (!booking || booking.user_id !== context.activity.from.id) {
+                await context.sendActivity(MessageFactory.text(`❌ I couldn't find booking ${bookingReference} on your account.`));
+                return;
+            }
+
+            const passengers = await repositories.bookings.getPassengers(booking.booking_id);
+            await context.sendActivity(MessageFactory.attachment(createItineraryCard(booking, passengers)));
+        } catch (error) {
+            console.error('Error loading itinerary:', error);
+            await context.sendActivity(MessageFactory.text('❌ Sorry, I couldn\'t load that itinerary. Please try again later.'));
+        }
+    }
+
     createSearchSummary(values) {
         let summary = `📋 **Search Summary:**\n`;
         summary += `🛫 **From:** ${values.origin}\n`;
@@ -233,7 +386,12 @@ class MainDialog extends ComponentDialog {
             summary += `📅 **Return:** ${values.returnDate}\n`;
         }
         
+        if (values.flexibleDates) {
+            summary += `🔀 **Flexible:** ±${FLEXIBLE_DAYS} days\n`;
+        }
+        
         summary += `👥 **Passengers:** ${values.passengers}\n`;
+        summary += `💺 **Cabin:** ${formatCabinClass(values.cabinClass)}\n`;
         summary += `🎫 **Trip Type:** ${values.isRoundTrip ? 'Round Trip' : 'One Way'}\n`;
         
         return summary;
@@ -0,0 +1,168 @@
+// MultiCityDialog.js - collects N legs for open-jaw and multi-leg trips
+const { ComponentDialog, WaterfallDialog, TextPrompt, NumberPrompt, ConfirmPrompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const { isValidFutureDate } = require('../../utils/helpers');
+
+const MULTI_CITY_DIALOG = 'MultiCityDialog';
+const WATERFALL_DIALOG = 'multiCityWaterfallDialog';
+const TEXT_PROMPT = 'textPrompt';
+const NUMBER_PROMPT = 'numberPrompt';
+const CONFIRM_PROMPT = 'confirmPrompt';
+
+const MIN_LEGS = 2;
+const MAX_LEGS = 6;
+
+class MultiCityDialog extends ComponentDialog {
+    constructor(flightService) {
+        super(MULTI_CITY_DIALOG);
+
+        this.flightService = flightService;
+
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new NumberPrompt(NUMBER_PROMPT));
+        this.addDialog(new ConfirmPrompt(CONFIRM_PROMPT));
+
+        this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+            this.originStep.bind(this),
+            this.destinationStep.bind(this),
+            this.departureDateStep.bind(this),
+            this.addLegStep.bind(this),
+            this.passengersStep.bind(this),
+            this.searchFlightsStep.bind(this)
+        ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async originStep(stepContext) {
+        const legs = (stepContext.options && stepContext.options.legs) || [];
+        stepContext.values.legs = legs;
+
+        if (legs.length === 0) {
+            await stepContext.context.sendActivity(MessageFactory.text(`🗺️ **Multi-City Search**\n\nLet's plan your trip one flight at a time (${MIN_LEGS} to ${MAX_LEGS} flights).`));
+        }
+
+        const previousLeg = legs[legs.length - 1];
+        const hint = previousLeg ? ` (e.g., ${previousLeg.destination})` : ' (e.g., Mumbai)';
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`🛫 **Flight ${legs.length + 1}:** Where are you departing from?${hint}`)
+        });
+    }
+
+    async destinationStep(stepContext) {
+        stepContext.values.origin = stepContext.result;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`🛬 **Flight ${stepContext.values.legs.length + 1}:** Where are you flying to?`)
+        });
+    }
+
+    async departureDateStep(stepContext) {
+        stepContext.values.destination = stepContext.result;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`📅 **Flight ${stepContext.values.legs.length + 1}:** When do you want to fly? (YYYY-MM-DD format):`)
+        });
+    }
+
+    async addLegStep(stepContext) {
+        const legs = stepContext.values.legs;
+        const dateInput = (stepContext.result || '').trim();
+        const previousLeg = legs[legs.length - 1];
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateInput) || !isValidFutureDate(dateInput)) {
+            await stepContext.context.sendActivity(MessageFactory.text('Please enter a valid future date in YYYY-MM-DD format.'));
+            return await stepContext.replaceDialog(this.id, { legs });
+        }
+
+        if (previousLeg && dateInput < previousLeg.departureDate) {
+            await stepContext.context.sendActivity(MessageFactory.text(`This flight can't depart before your previous flight on ${previousLeg.departureDate}.`));
+            return await stepContext.replaceDialog(this.id, { legs });
+        }
+
+        legs.push({
+            origin: stepContext.values.origin,
+            destination: stepContext.values.destination,
+            departureDate: dateInput
+        });
+
+        if (legs.length < MIN_LEGS) {
+            return await stepContext.replaceDialog(this.id, { legs });
+        }
+
+        if (legs.length >= MAX_LEGS) {
+            return await stepContext.next(false);
+        }
+
+        return await stepContext.prompt(CONFIRM_PROMPT, {
+            prompt: MessageFactory.text('Would you like to add another flight?')
+        });
+    }
+
+    async passengersStep(stepContext) {
+        if (stepContext.result) {
+            return await stepContext.replaceDialog(this.id, { legs: stepContext.values.legs });
+        }
+
+        return await stepContext.prompt(NUMBER_PROMPT, {
+            prompt: MessageFactory.text('How many passengers? (1-9):'),
+            validations: {
+                required: true,
+                min: 1,
+                max: 9
+            }
+        });
+    }
+
+    async searchFlightsStep(stepContext) {
+        const legs = stepContext.values.legs;
+        const passengers = stepContext.result || 1;
+
+        await stepContext.context.sendActivity(MessageFactory.text(this.createSearchSummary(legs, passengers)));
+        await stepContext.context.sendActivity(MessageFactory.text('🔍 Searching for flights...'));
+
+        try {
+            const searchResult = await this.flightService.searchMultiCity(legs, passengers);
+
+            if (searchResult && searchResult.flights && searchResult.flights.length > 0) {
+                await stepContext.context.sendActivity(MessageFactory.text(`✅ Found ${searchResult.flights.length} itineraries for your trip!`));
+
+                searchResult.searchParams = {
+                    tripType: 'multi-city',
+                    legs: legs,
+                    origin: legs[0].origin,
+                    destination: legs[legs.length - 1].destination,
+                    departureDate: legs[0].departureDate,
+                    returnDate: null,
+                    passengers: passengers
+                };
+
+                return await stepContext.endDialog(searchResult);
+            }
+
+            await stepContext.context.sendActivity(MessageFactory.text('❌ No itineraries found for your trip. Please try different dates or cities.'));
+            return await stepContext.endDialog();
+
+        } catch (error) {
+            console.error('MultiCityDialog: Search error:', error);
+            await stepContext.context.sendActivity(MessageFactory.text('❌ Sorry, there was an error searching for flights. Please try again.'));
+            return await stepContext.endDialog();
+        }
+    }
+
+    createSearchSummary(legs, passengers) {
+        let summary = `📋 **Search Summary:**\n`;
+
+        legs.forEach((leg, index) => {
+            summary += `✈️ **Flight ${index + 1}:** ${leg.origin} → ${leg.destination} on ${leg.departureDate}\n`;
+        });
+
+        summary += `👥 **Passengers:** ${passengers}\n`;
+        summary += `🎫 **Trip Type:** Multi-City\n`;
+
+        return summary;
+    }
+}
+
+module.exports = { MultiCityDialog, MULTI_CITY_DIALOG };
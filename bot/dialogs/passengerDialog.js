@@ -0,0 +1,109 @@
+// PassengerDialog.js - collects the details of every passenger on a booking
+const { ComponentDialog, WaterfallDialog, TextPrompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const { isValidEmail } = require('../../utils/helpers');
+
+const PASSENGER_DIALOG = 'PassengerDialog';
+const WATERFALL_DIALOG = 'passengerWaterfallDialog';
+const TEXT_PROMPT = 'textPrompt';
+const EMAIL_PROMPT = 'emailPrompt';
+
+// Asks for one passenger at a time and ends with the list of all of them.
+// Options: { total, passengers }, where passengers are the ones collected so
+// far. Each next passenger replaces the waterfall with the longer list, so
+// the loop neither nests dialogs nor loses what was already entered.
+class PassengerDialog extends ComponentDialog {
+    constructor() {
+        super(PASSENGER_DIALOG);
+
+        this.addDialog(new TextPrompt(TEXT_PROMPT));
+        this.addDialog(new TextPrompt(EMAIL_PROMPT, async (prompt) =>
+            prompt.recognized.succeeded && isValidEmail(prompt.recognized.value.trim())));
+
+        this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+            this.nameStep.bind(this),
+            this.emailStep.bind(this),
+            this.phoneStep.bind(this),
+            this.passportStep.bind(this),
+            this.addressStep.bind(this),
+            this.emergencyContactStep.bind(this),
+            this.nextPassengerStep.bind(this)
+        ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async nameStep(stepContext) {
+        const { total } = stepContext.options;
+        stepContext.values.passenger = {};
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`👤 **Passenger ${this.getCollected(stepContext).length + 1} of ${total}**\n\nPlease enter the full name (as per ID/Passport):`)
+        });
+    }
+
+    async emailStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.fullName = stepContext.result;
+
+        return await stepContext.prompt(EMAIL_PROMPT, {
+            prompt: MessageFactory.text(`📧 **Email for ${passenger.fullName}:**\n\nPlease enter a valid email address:`),
+            retryPrompt: MessageFactory.text('❌ Please enter a valid email address.')
+        });
+    }
+
+    async phoneStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.email = stepContext.result.trim();
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`📱 **Phone number for ${passenger.fullName}:**\n\nPlease enter phone number with country code (e.g., +91 9876543210):`)
+        });
+    }
+
+    async passportStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.phone = stepContext.result;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`🛂 **ID/Passport for ${passenger.fullName}:**\n\nPlease enter ID/Passport number:`)
+        });
+    }
+
+    async addressStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.passport = stepContext.result;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`🏠 **Address for ${passenger.fullName}:**\n\nPlease enter complete address:`)
+        });
+    }
+
+    async emergencyContactStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.address = stepContext.result;
+
+        return await stepContext.prompt(TEXT_PROMPT, {
+            prompt: MessageFactory.text(`🚨 **Emergency contact for ${passenger.fullName}:**\n\nPlease enter emergency contact name and phone number:`)
+        });
+    }
+
+    async nextPassengerStep(stepContext) {
+        const passenger = stepContext.values.passenger;
+        passenger.emergencyContact = stepContext.result;
+
+        const passengers = [...this.getCollected(stepContext), passenger];
+        if (passengers.length >= stepContext.options.total) {
+            return await stepContext.endDialog(passengers);
+        }
+
+        await stepContext.context.sendActivity(MessageFactory.text(`✅ Details collected for ${passenger.fullName}\n\nNow let's collect details for the next passenger.`));
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, { ...stepContext.options, passengers });
+    }
+
+    getCollected(stepContext) {
+        return stepContext.options.passengers || [];
+    }
+}
+
+module.exports = { PassengerDialog, PASSENGER_DIALOG };
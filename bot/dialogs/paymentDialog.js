@@ -1,233 +1,314 @@
-// File: services/paymentService.js
-const { v4: uuidv4 } = require('uuid');
-const databaseService = require('./databaseService');
+// PaymentDialog.js - charges a booking, letting the customer retry with another card or payment method
+const { ComponentDialog, WaterfallDialog, ChoicePrompt, TextPrompt } = require('botbuilder-dialogs');
+const { MessageFactory } = require('botbuilder');
+const paymentService = require('../../services/paymentService');
+const holdService = require('../../services/holdService');
+const { CardTokenPrompt } = require('./cardTokenPrompt');
+const { ChallengePrompt } = require('./challengePrompt');
+const { PaymentStatusPrompt } = require('./paymentStatusPrompt');
 
-class PaymentService {
+const PAYMENT_DIALOG = 'PaymentDialog';
+const WATERFALL_DIALOG = 'paymentWaterfallDialog';
+const CHOICE_PROMPT = 'choicePrompt';
+const VPA_PROMPT = 'vpaPrompt';
+const CARD_TOKEN_PROMPT = 'cardTokenPrompt';
+const CHALLENGE_PROMPT = 'challengePrompt';
+const PAYMENT_STATUS_PROMPT = 'paymentStatusPrompt';
+
+// Charges tried, the first one included, before the payment is given up on
+const MAX_PAYMENT_ATTEMPTS = parseInt(process.env.PAYMENT_MAX_ATTEMPTS || '3');
+
+// Choices offered, by payment method. UPI is paid either by a request sent to
+// the customer's UPI ID or from a UPI app with a QR code or link.
+const PAYMENT_METHODS = {
+    'Credit Card': 'credit_card',
+    'Debit Card': 'debit_card',
+    'UPI ID': 'upi',
+    'UPI QR code': 'upi',
+    'Net Banking': 'netbanking',
+    'Wallet': 'wallet'
+};
+
+// How a payment stopped because its seat hold lapsed is reported
+const SEAT_HOLD_EXPIRED = {
+    errorCode: 'SEAT_HOLD_EXPIRED',
+    errorMessage: 'Your seat hold expired and the seats are no longer available.'
+};
+
+const TRY_ANOTHER_CARD = 'Try another card';
+const TRY_AGAIN = 'Try again';
+const CHANGE_METHOD = 'Change payment method';
+const GIVE_UP = 'Cancel booking';
+
+// What the customer can do about a failed payment, by gateway error code
+const PAYMENT_FAILURE_ADVICE = {
+    INSUFFICIENT_FUNDS: 'Please use a different card or contact your bank.',
+    CARD_EXPIRED: 'Please check the expiry date or use a different card.',
+    INVALID_EXPIRATION: 'Please check the expiry date or use a different card.',
+    CVV_FAILURE: 'Please check the security code on the back of your card.',
+    ADDRESS_VERIFICATION_FAILURE: 'Please check the billing address for this card.',
+    CARD_DECLINED_VERIFICATION_REQUIRED:
+        'Your bank needs to verify this payment, which can\'t be done with this payment service. Please use a different card.',
+    AUTHENTICATION_FAILED: 'Your bank could not verify the payment. Please try again or use a different card.',
+    AUTHENTICATION_TIMEOUT: 'Your bank\'s verification timed out. Please try again when you have your phone at hand.',
+    AUTHENTICATION_CANCELLED: 'You have not been charged.',
+    PAYMENT_DECLINED: 'Your bank declined the payment. Please try again or choose another payment method.',
+    PAYMENT_EXPIRED: 'The payment was not made in time, so you have not been charged.',
+    PAYMENT_CANCELLED: 'You have not been charged.',
+    INVALID_VPA: 'Please check your UPI ID.',
+    DUPLICATE_TRANSACTION:
+        'It looks like you were just charged for this. Please check your bookings before trying again.',
+    GATEWAY_TIMEOUT: 'Please try again in a few minutes.'
+};
+
+// Ends with the result of the last charge, as paymentService.processPayment
+// resolves it. The booking and its passengers stay with the caller, so a
+// failed charge only asks for the payment again.
+// Cards are charged while the customer waits; UPI, net banking and wallet
+// payments are made outside the chat and waited for with PaymentStatusPrompt.
+// Options: { paymentData, charge, holdReference }, where paymentData is what
+// processPayment needs apart from the card and the payment method, and the
+// seat hold is kept alive between attempts.
+class PaymentDialog extends ComponentDialog {
     constructor() {
-        // Initialize payment gateway configurations
-        this.squareConfig = {
-            environment: process.env.SQUARE_ENVIRONMENT || 'sandbox',
-            applicationId: process.env.SQUARE_APPLICATION_ID,
-            accessToken: process.env.SQUARE_ACCESS_TOKEN,
-            locationId: process.env.SQUARE_LOCATION_ID
-        };
+        super(PAYMENT_DIALOG);
+
+        this.addDialog(new ChoicePrompt(CHOICE_PROMPT));
+        this.addDialog(new TextPrompt(VPA_PROMPT, async (prompt) =>
+            prompt.recognized.succeeded && paymentService.isValidVpa(prompt.recognized.value)));
+        this.addDialog(new CardTokenPrompt(CARD_TOKEN_PROMPT));
+        this.addDialog(new ChallengePrompt(CHALLENGE_PROMPT));
+        this.addDialog(new PaymentStatusPrompt(PAYMENT_STATUS_PROMPT));
+
+        this.addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+            this.paymentMethodStep.bind(this),
+            this.paymentDetailsStep.bind(this),
+            this.chargeStep.bind(this),
+            this.outcomeStep.bind(this),
+            this.retryStep.bind(this)
+        ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
     }
 
-    async processSecurePayment(paymentData) {
-        const transactionId = uuidv4();
-        
-        try {
-            // Create payment record in database FIRST
-            const paymentRecord = await databaseService.createPaymentRecord({
-                bookingId: paymentData.bookingId || paymentData.orderNumber,
-                transactionId: transactionId,
-                amount: paymentData.amount,
-                paymentMethod: paymentData.method || paymentData.paymentMethod,
-                paymentStatus: 'pending',
-                paymentGateway: 'square',
-                gatewayTransactionId: null
-            });
+    // A retry with another card keeps the method chosen before. Only the
+    // methods the payment gateway takes in the booking's currency are offered.
+    async paymentMethodStep(stepContext) {
+        if (stepContext.options.paymentChoice) {
+            return await stepContext.next({ value: stepContext.options.paymentChoice });
+        }
 
-            // Process payment based on method
-            let paymentResult;
-            if (paymentData.method === 'PayPal' || paymentData.method === 'Apple Pay') {
-                paymentResult = await this.processAlternativePayment(paymentData, transactionId);
-            } else {
-                paymentResult = await this.processCardPayment(paymentData, transactionId);
-            }
+        const available = paymentService.getAvailableMethods(stepContext.options.charge.currency);
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text('💳 **Payment Method**\n\nPlease select your payment method:'),
+            choices: Object.keys(PAYMENT_METHODS).filter((choice) => available.includes(PAYMENT_METHODS[choice]))
+        });
+    }
+
+    async paymentDetailsStep(stepContext) {
+        const choice = stepContext.result.value;
+        const paymentMethod = PAYMENT_METHODS[choice];
+        stepContext.values.paymentChoice = choice;
+        stepContext.values.paymentMethod = paymentMethod;
 
-            // Update payment record with result
-            if (paymentResult.success) {
-                await databaseService.updatePaymentRecord(
-                    transactionId, 
-                    'completed', 
-                    null
-                );
-                
-                // Update booking payment status
-                if (paymentData.bookingId) {
-                    await databaseService.updatePaymentStatus(
-                        paymentData.bookingId, 
-                        'paid', 
-                        transactionId
-                    );
-                }
-            } else {
-                await databaseService.updatePaymentRecord(
-                    transactionId, 
-                    'failed', 
-                    paymentResult.error
-                );
+        if (paymentMethod === 'upi') {
+            if (choice === 'UPI QR code') {
+                return await stepContext.next({});
             }
+            return await stepContext.prompt(VPA_PROMPT, {
+                prompt: MessageFactory.text('📱 **UPI ID**\n\nPlease enter your UPI ID (for example, name@okbank):\n\n🧪 Sandbox: `success@upi` pays, `failure@upi` is declined'),
+                retryPrompt: MessageFactory.text('That doesn\'t look like a UPI ID. Please enter it as name@bank:')
+            });
+        }
 
-            return {
-                success: paymentResult.success,
-                transactionId: transactionId,
-                gatewayTransactionId: paymentResult.gatewayTransactionId,
-                amount: paymentData.amount,
-                error: paymentResult.error
-            };
+        if (paymentMethod === 'netbanking') {
+            return await stepContext.prompt(CHOICE_PROMPT, {
+                prompt: MessageFactory.text('🏦 **Net Banking**\n\nPlease select your bank:'),
+                choices: Object.values(paymentService.banks)
+            });
+        }
 
-        } catch (error) {
-            console.error('Payment processing error:', error);
-            
-            // Update payment record as failed
-            try {
-                await databaseService.updatePaymentRecord(
-                    transactionId, 
-                    'failed', 
-                    error.message
-                );
-            } catch (dbError) {
-                console.error('Failed to update payment record:', dbError);
-            }
+        if (paymentMethod === 'wallet') {
+            return await stepContext.prompt(CHOICE_PROMPT, {
+                prompt: MessageFactory.text('👛 **Wallet**\n\nPlease select your wallet:'),
+                choices: Object.values(paymentService.wallets)
+            });
+        }
 
-            return {
-                success: false,
-                error: 'An error occurred while processing payment',
-                transactionId: transactionId
-            };
+        if (this.getAttempt(stepContext) === 1) {
+            await stepContext.context.sendActivity(MessageFactory.text(
+                '🔒 **Secure Payment Information**\n\n🧪 **For Sandbox Testing:**\n• Test Card: `4111111111111111`\n• Declined: `4000000000000002`, insufficient funds: `4000000000009995`\n• Any expiry date in the future\n• Any 3-digit CVV'
+            ));
         }
+
+        return await stepContext.prompt(CARD_TOKEN_PROMPT, {
+            prompt: MessageFactory.text('💳 **Card Details:**\n\nPlease enter your card details in the form below:'),
+            charge: stepContext.options.charge
+        });
     }
 
-    async processCardPayment(paymentData, transactionId) {
-        try {
-            // Simulate card payment processing
-            console.log('Processing card payment:', {
-                transactionId,
-                amount: paymentData.amount,
-                method: paymentData.method || paymentData.paymentMethod
+    async chargeStep(stepContext) {
+        const { paymentData, holdReference } = stepContext.options;
+        const paymentMethod = stepContext.values.paymentMethod;
+        const isAsync = paymentService.isAsyncMethod(paymentMethod);
+        // The card's single-use token, brand and last four digits, or what the
+        // other methods need to start a payment
+        const details = this.readPaymentDetails(paymentMethod, stepContext.result);
+
+        // The hold may have lapsed while the customer entered their details or
+        // made earlier attempts, so it is renewed before every charge
+        if (holdReference && !(await holdService.ensureActive(holdReference))) {
+            return await stepContext.endDialog({
+                success: false,
+                errorCode: SEAT_HOLD_EXPIRED.errorCode,
+                error: SEAT_HOLD_EXPIRED.errorMessage
             });
+        }
 
-            // Simulate payment gateway call
-            const isSuccessful = Math.random() > 0.1; // 90% success rate for demo
-            
-            if (isSuccessful) {
-                return {
-                    success: true,
-                    gatewayTransactionId: `gw_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                    message: 'Payment processed successfully'
-                };
-            } else {
-                return {
-                    success: false,
-                    error: 'Card payment declined by bank',
-                    gatewayTransactionId: null
-                };
-            }
+        console.log('Payment attempt:', {
+            bookingId: paymentData.bookingId,
+            attempt: this.getAttempt(stepContext),
+            paymentMethod: paymentMethod,
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            ...(details.cardToken
+                ? { card: `${details.brand} ending ${details.last4}` }
+                : { provider: details.bank || details.wallet || null })
+        });
 
-        } catch (error) {
-            console.error('Card payment error:', error);
-            return {
-                success: false,
-                error: 'Payment gateway error',
-                gatewayTransactionId: null
+        let result;
+        try {
+            const payment = {
+                ...paymentData,
+                paymentMethod: paymentMethod,
+                vpa: details.vpa,
+                bank: details.bank,
+                wallet: details.wallet,
+                cardToken: details.cardToken,
+                // Each attempt is a new charge for the gateway
+                idempotencyKey: this.generateIdempotencyKey(),
+                // Cards the bank wants verified go through ChallengePrompt
+                allowChallenge: true
             };
+            result = isAsync
+                ? await paymentService.startPayment(payment)
+                : await paymentService.processPayment(payment);
+        } catch (error) {
+            console.error('Payment processing error:', error);
+            result = { success: false, error: error.message || 'Unknown error' };
         }
-    }
 
-    async processAlternativePayment(paymentData, transactionId) {
-        try {
-            console.log('Processing alternative payment:', {
-                transactionId,
-                method: paymentData.method,
-                amount: paymentData.amount
+        if (result.actionRequired) {
+            // The seats stay held for as long as the bank gives the customer to verify
+            if (holdReference && !(await holdService.ensureActive(holdReference, this.getActionHoldSeconds(result.action)))) {
+                return await stepContext.next(await paymentService.cancelChallenge(result.transactionId, SEAT_HOLD_EXPIRED));
+            }
+
+            return await stepContext.prompt(CHALLENGE_PROMPT, {
+                prompt: MessageFactory.text('🔐 **Verification Required**\n\nYour bank needs to confirm this payment before it goes through.'),
+                transactionId: result.transactionId,
+                action: result.action,
+                charge: stepContext.options.charge,
+                holdReference: holdReference
             });
+        }
 
-            // Simulate alternative payment processing
-            const isSuccessful = Math.random() > 0.05; // 95% success rate for demo
-            
-            if (isSuccessful) {
-                return {
-                    success: true,
-                    gatewayTransactionId: `alt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                    message: `${paymentData.method} payment processed successfully`
-                };
-            } else {
-                return {
-                    success: false,
-                    error: `${paymentData.method} payment failed`,
-                    gatewayTransactionId: null
-                };
+        if (result.pending) {
+            // Kept until the payment expires, so a webhook that confirms it late still finds the seats
+            if (holdReference && !(await holdService.ensureActive(holdReference, this.getActionHoldSeconds(result.action)))) {
+                return await stepContext.next(await paymentService.cancelPayment(result.transactionId, SEAT_HOLD_EXPIRED));
             }
 
-        } catch (error) {
-            console.error('Alternative payment error:', error);
-            return {
-                success: false,
-                error: 'Alternative payment processing error',
-                gatewayTransactionId: null
-            };
+            return await stepContext.prompt(PAYMENT_STATUS_PROMPT, {
+                prompt: MessageFactory.text('⏳ **Waiting for Payment**\n\nYour seats are held while you pay.'),
+                transactionId: result.transactionId,
+                action: result.action,
+                charge: stepContext.options.charge
+            });
         }
+
+        return await stepContext.next(result);
     }
 
-    // Method to handle refunds
-    async processRefund(transactionId, amount) {
-        try {
-            // Simulate refund processing
-            console.log('Processing refund:', { transactionId, amount });
-            
-            const refundResult = {
-                success: true,
-                refundId: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                amount: amount,
-                message: 'Refund processed successfully'
-            };
+    readPaymentDetails(paymentMethod, answer) {
+        if (paymentMethod === 'upi') {
+            return { vpa: typeof answer === 'string' ? answer.trim() : undefined };
+        }
+        if (paymentMethod === 'netbanking') {
+            return { bank: this.findCode(paymentService.banks, answer.value) };
+        }
+        if (paymentMethod === 'wallet') {
+            return { wallet: this.findCode(paymentService.wallets, answer.value) };
+        }
+        return { cardToken: answer.token, brand: answer.brand, last4: answer.last4 };
+    }
 
-            // You would integrate with your actual payment gateway here
-            return refundResult;
+    findCode(names, name) {
+        return Object.keys(names).find((code) => names[code] === name);
+    }
 
-        } catch (error) {
-            console.error('Refund processing error:', error);
-            return {
-                success: false,
-                error: 'Refund processing failed',
-                refundId: null
-            };
+    async outcomeStep(stepContext) {
+        const result = stepContext.result;
+        const attempt = this.getAttempt(stepContext);
+
+        // Nothing to retry: the seats are gone
+        if (result.success || result.errorCode === SEAT_HOLD_EXPIRED.errorCode) {
+            return await stepContext.endDialog(result);
         }
-    }
 
-    // Method to verify payment status
-    async verifyPaymentStatus(transactionId) {
-        try {
-            // In a real implementation, you would call your payment gateway's API
-            // to verify the payment status
-            console.log('Verifying payment status for:', transactionId);
-            
-            return {
-                success: true,
-                status: 'completed',
-                transactionId: transactionId
-            };
+        const errorMessage = result.error || result.message || 'Unknown payment error';
+        console.error('Payment failed:', {
+            error: errorMessage,
+            errorCode: result.errorCode,
+            bookingId: stepContext.options.paymentData.bookingId,
+            attempt: attempt
+        });
 
-        } catch (error) {
-            console.error('Payment verification error:', error);
-            return {
-                success: false,
-                error: 'Payment verification failed'
-            };
+        const isCard = !paymentService.isAsyncMethod(stepContext.values.paymentMethod);
+        const advice = PAYMENT_FAILURE_ADVICE[result.errorCode] ||
+            (isCard ? 'Please verify your card details and try again.' : 'Please try again or choose another payment method.');
+        await stepContext.context.sendActivity(MessageFactory.text(`❌ Payment failed: ${errorMessage}\n\n${advice}`));
+
+        if (attempt >= MAX_PAYMENT_ATTEMPTS) {
+            return await stepContext.endDialog(result);
         }
+
+        stepContext.values.result = result;
+        const attemptsLeft = MAX_PAYMENT_ATTEMPTS - attempt;
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text(`Your booking details are saved. You can try again ${attemptsLeft} more time(s).`),
+            choices: [isCard ? TRY_ANOTHER_CARD : TRY_AGAIN, CHANGE_METHOD, GIVE_UP]
+        });
     }
 
-    // Method to get payment details
-    async getPaymentDetails(transactionId) {
-        try {
-            // This would typically query your payment gateway
-            console.log('Getting payment details for:', transactionId);
-            
-            return {
-                transactionId: transactionId,
-                status: 'completed',
-                amount: 0, // Would be fetched from gateway
-                method: 'card',
-                processedAt: new Date()
-            };
+    async retryStep(stepContext) {
+        const choice = stepContext.result.value;
 
-        } catch (error) {
-            console.error('Error getting payment details:', error);
-            throw error;
+        if (choice === GIVE_UP) {
+            return await stepContext.endDialog(stepContext.values.result);
         }
+
+        // Restarts the waterfall rather than the whole dialog, so retries don't nest
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, {
+            ...stepContext.options,
+            attempt: this.getAttempt(stepContext) + 1,
+            paymentChoice: choice === CHANGE_METHOD ? null : stepContext.values.paymentChoice
+        });
+    }
+
+    // Until the challenge or async payment expires, and the usual hold time after that to finish the booking
+    getActionHoldSeconds(action) {
+        const actionSeconds = Math.ceil((new Date(action.expiresAt).getTime() - Date.now()) / 1000);
+        return Math.max(0, actionSeconds) + holdService.ttlSeconds;
+    }
+
+    getAttempt(stepContext) {
+        return stepContext.options.attempt || 1;
+    }
+
+    generateIdempotencyKey() {
+        return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 }
 
-module.exports = { PaymentService };
\ No newline at end of file
+module.exports = { PaymentDialog, PAYMENT_DIALOG };
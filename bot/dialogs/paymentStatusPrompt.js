@@ -0,0 +1,98 @@
+// PaymentStatusPrompt.js - waits for a UPI, net banking or wallet payment and resolves to the payment result
+const { Prompt, Dialog } = require('botbuilder-dialogs');
+const { MessageFactory, ActivityTypes } = require('botbuilder');
+const paymentService = require('../../services/paymentService');
+const { createPendingPaymentCard } = require('../../utils/cards');
+
+// Sent into the conversation by the payment webhook once it has settled a payment
+const PAYMENT_UPDATE_EVENT = 'paymentUpdate';
+
+const RECOGNIZED = Symbol('paymentStatusRecognized');
+
+// The customer pays outside the chat, so the payment is checked with the
+// payment service whenever they answer, and when a PAYMENT_UPDATE_EVENT for
+// it arrives. The prompt succeeds once the payment is completed, has failed or
+// has expired, with the same result paymentService.startPayment resolves to.
+// Prompt options: { transactionId, action, charge }, from a pending result.
+class PaymentStatusPrompt extends Prompt {
+    async onPrompt(context, state, options, isRetry) {
+        if (isRetry && state.error) {
+            await context.sendActivity(MessageFactory.text(`⏳ ${state.error}`));
+        } else if (!isRetry && options.prompt) {
+            await context.sendActivity(options.prompt);
+        }
+
+        if (!isRetry || state.showCard) {
+            delete state.showCard;
+            await context.sendActivity(MessageFactory.attachment(createPendingPaymentCard(options.action, options.charge)));
+        }
+    }
+
+    // Prompts ignore everything but messages; the webhook's update is let through
+    async continueDialog(dc) {
+        const activity = dc.context.activity;
+        if (activity.type !== ActivityTypes.Event || activity.name !== PAYMENT_UPDATE_EVENT) {
+            return await super.continueDialog(dc);
+        }
+
+        const { state, options } = dc.activeDialog.state;
+        if (!activity.value || activity.value.transactionId !== options.transactionId) {
+            return Dialog.EndOfTurn;
+        }
+
+        const recognized = await this.onRecognize(dc.context, state, options);
+        return recognized.succeeded ? await dc.endDialog(recognized.value) : Dialog.EndOfTurn;
+    }
+
+    // Prompts recognize each message twice, first while it bubbles as an
+    // activityReceived event; the payment must only be checked once
+    async onRecognize(context, state, options) {
+        if (!context.turnState.has(RECOGNIZED)) {
+            context.turnState.set(RECOGNIZED, await this.checkPayment(context, state, options));
+        }
+        return context.turnState.get(RECOGNIZED);
+    }
+
+    async checkPayment(context, state, options) {
+        const { transactionId } = options;
+        const answer = this.readAnswer(context.activity);
+
+        if (answer === 'cancelPayment') {
+            return this.settled(state, await paymentService.cancelPayment(transactionId));
+        }
+
+        const result = await paymentService.checkPayment(transactionId);
+        if (!result.pending) {
+            return this.settled(state, result);
+        }
+
+        // The gateway expires payments itself too, but may not have got round to it
+        if (new Date(options.action.expiresAt) <= new Date()) {
+            return this.settled(state, await paymentService.cancelPayment(transactionId, {
+                status: 'expired',
+                errorCode: 'PAYMENT_EXPIRED',
+                errorMessage: 'The payment was not made in time.'
+            }));
+        }
+
+        state.error = "We haven't received your payment yet. It can take a minute to arrive after you've paid.";
+        // Anything but "I've paid" may mean the card has scrolled out of sight
+        state.showCard = answer !== 'checkPayment';
+        return { succeeded: false };
+    }
+
+    // Card submits, or "cancel" typed into the chat. Any other message checks the payment too.
+    readAnswer(activity) {
+        if (activity.value && activity.value.action) return activity.value.action;
+        if (/^\s*cancel\s*$/i.test(activity.text || '')) return 'cancelPayment';
+        return null;
+    }
+
+    settled(state, result) {
+        delete state.error;
+        delete state.showCard;
+        return { succeeded: true, value: result };
+    }
+}
+
+module.exports = { PaymentStatusPrompt, PAYMENT_UPDATE_EVENT };
@@ -2,37 +2,52 @@
 const { ActivityHandler, MessageFactory, CardFactory } = require('botbuilder');
 const { MainDialog } = require('./dialogs/mainDialog');
 const { BookingDialog } = require('./dialogs/bookingDialog');
+const { CancelBookingDialog, CANCEL_BOOKING_DIALOG } = require('./dialogs/cancelBookingDialog');
+const { ChangeBookingDialog, CHANGE_BOOKING_DIALOG } = require('./dialogs/changeBookingDialog');
+const { PAYMENT_UPDATE_EVENT } = require('./dialogs/paymentStatusPrompt');
 const { ConversationState, UserState, MemoryStorage } = require('botbuilder');
 const { DialogSet, DialogTurnStatus } = require('botbuilder-dialogs');
 const { FlightService } = require('../services/flightService');
+const { SearchSessionStore } = require('./searchSessionStore');
+const currencyService = require('../services/currencyService');
+const holdService = require('../services/holdService');
+const { createFareCalendarCard } = require('../utils/cards');
+const { formatCabinClass, redactCardNumbers } = require('../utils/helpers');
+
+// Flight cards warn about availability at or below this many seats
+const LOW_SEATS_THRESHOLD = 5;
 
 class FlightBot extends ActivityHandler {
-    constructor() {
+    constructor(storage = new MemoryStorage()) {
         super();
         
         // Create conversation and user state
-        const memoryStorage = new MemoryStorage();
-        this.conversationState = new ConversationState(memoryStorage);
-        this.userState = new UserState(memoryStorage);
+        this.conversationState = new ConversationState(storage);
+        this.userState = new UserState(storage);
         this.dialogState = this.conversationState.createProperty('DialogState');
+        this.userProfile = this.userState.createProperty('UserProfile');
         
         // Initialize services
         this.flightService = new FlightService();
         
         // Create dialogs
-        this.mainDialog = new MainDialog(this.flightService);
-        this.bookingDialog = new BookingDialog();
+        this.mainDialog = new MainDialog(this.flightService, this.userProfile);
+        this.bookingDialog = new BookingDialog(this.flightService);
+        this.cancelBookingDialog = new CancelBookingDialog();
+        this.changeBookingDialog = new ChangeBookingDialog(this.flightService);
         
         this.dialogSet = new DialogSet(this.dialogState);
         this.dialogSet.add(this.mainDialog);
         this.dialogSet.add(this.bookingDialog);
+        this.dialogSet.add(this.cancelBookingDialog);
+        this.dialogSet.add(this.changeBookingDialog);
         
-        // Store flight search results for booking
-        this.searchResults = {};
+        // Search results for booking, kept per conversation and search
+        this.searchSessions = new SearchSessionStore(this.conversationState);
         
         this.onMessage(async (context, next) => {
             console.log('Running dialog with Message Activity.');
-            console.log('Message text:', context.activity.text);
+            console.log('Message text:', redactCardNumbers(context.activity.text));
             
             try {
                 // Handle card actions (flight selection)
@@ -47,6 +62,42 @@ class FlightBot extends ActivityHandler {
                     return;
                 }
                 
+                // Handle a day picked from the fare calendar
+                if (context.activity.value && context.activity.value.action === 'selectFareDate') {
+                    await this.handleFareDateSelection(context, context.activity.value);
+                    return;
+                }
+                
+                // Handle "View My Bookings" paging and itinerary actions
+                if (context.activity.value && context.activity.value.action === 'viewBookings') {
+                    await this.mainDialog.showUserBookings(context, context.activity.value.page || 1);
+                    return;
+                }
+                
+                if (context.activity.value && context.activity.value.action === 'viewItinerary') {
+                    await this.mainDialog.showItinerary(context, context.activity.value.bookingReference);
+                    return;
+                }
+                
+                // Handle cancellation and changes started from an itinerary card
+                if (context.activity.value && context.activity.value.action === 'cancelBooking') {
+                    const dialogContext = await this.dialogSet.createContext(context);
+                    await dialogContext.cancelAllDialogs();
+                    await dialogContext.beginDialog(CANCEL_BOOKING_DIALOG, {
+                        bookingReference: context.activity.value.bookingReference
+                    });
+                    return;
+                }
+                
+                if (context.activity.value && context.activity.value.action === 'changeBooking') {
+                    const dialogContext = await this.dialogSet.createContext(context);
+                    await dialogContext.cancelAllDialogs();
+                    await dialogContext.beginDialog(CHANGE_BOOKING_DIALOG, {
+                        bookingReference: context.activity.value.bookingReference
+                    });
+                    return;
+                }
+                
                 const dialogContext = await this.dialogSet.createContext(context);
                 const results = await dialogContext.continueDialog();
                 
@@ -54,9 +105,13 @@ class FlightBot extends ActivityHandler {
                     await dialogContext.beginDialog('MainDialog');
                 }
                 
-                // Handle completed search results
+                // Handle completed search results, or a booking that went back to them
                 if (results.status === DialogTurnStatus.complete && results.result) {
-                    await this.handleSearchResults(context, results.result);
+                    if (results.result.backToResults) {
+                        await this.showResultsAgain(context, results.result);
+                    } else {
+                        await this.handleSearchResults(context, results.result);
+                    }
                 }
                 
             } catch (error) {
@@ -72,8 +127,10 @@ class FlightBot extends ActivityHandler {
                               'Simply type "search flights" or "book flight" to get started.\n\n' +
                               'Available commands:\n' +
                               '• Search flights\n' +
+                              '• Multi-city search\n' +
                               '• Check flight status\n' +
                               '• View bookings\n' +
+                              '• Change my flight\n' +
                               '• Cancel booking';
             
             const membersAdded = context.activity.membersAdded;
@@ -91,28 +148,19 @@ class FlightBot extends ActivityHandler {
         try {
             console.log('Handling search results:', searchResult);
             
+            if (searchResult.fareCalendar) {
+                await this.showFareCalendar(context, searchResult);
+                return;
+            }
+            
             if (searchResult.flights && searchResult.flights.length > 0) {
                 // Store results for booking
-                const userId = context.activity.from.id;
-                this.searchResults[userId] = {
+                const session = await this.searchSessions.create(context, {
                     flights: searchResult.flights,
-                    searchParams: searchResult.searchParams,
-                    timestamp: new Date()
-                };
-                
-                // Send flight cards
-                const flightCards = this.createFlightCards(searchResult.flights);
-                if (flightCards && flightCards.length > 0) {
-                    const cardActivity = MessageFactory.carousel(flightCards);
-                    cardActivity.text = `✈️ Found ${searchResult.flights.length} flights for your search:`;
-                    await context.sendActivity(cardActivity);
-                } else {
-                    // Fallback to text if cards fail
-                    const textResponse = this.formatFlightResponse(searchResult.flights);
-                    await context.sendActivity(MessageFactory.text(textResponse));
-                }
+                    searchParams: searchResult.searchParams
+                });
                 
-                await context.sendActivity(MessageFactory.text('Select a flight to proceed with booking! 👆'));
+                await this.sendFlightResults(context, session);
             } else {
                 await context.sendActivity(MessageFactory.text('No flights found for your search criteria. Please try different dates or destinations.'));
             }
@@ -122,20 +170,112 @@ class FlightBot extends ActivityHandler {
         }
     }
     
+    async sendFlightResults(context, session) {
+        // Send flight cards
+        const displayCurrency = await this.getDisplayCurrency(context);
+        const flightCards = this.createFlightCards(session.flights, displayCurrency, session.searchId);
+        if (flightCards && flightCards.length > 0) {
+            const cardActivity = MessageFactory.carousel(flightCards);
+            cardActivity.text = `✈️ Found ${session.flights.length} flights for your search:`;
+            await context.sendActivity(cardActivity);
+        } else {
+            // Fallback to text if cards fail
+            const textResponse = this.formatFlightResponse(session.flights, displayCurrency);
+            await context.sendActivity(MessageFactory.text(textResponse));
+        }
+        
+        await context.sendActivity(MessageFactory.text('Select a flight to proceed with booking! 👆'));
+    }
+    
+    // Card actions from a search that is unknown or past its expiry
+    async sendSearchExpired(context) {
+        await context.sendActivity(MessageFactory.text(`⌛ Those search results have expired (results are kept for ${this.searchSessions.ttlMinutes} minutes). Please search again for current fares.`));
+    }
+    
+    // BookingDialog re-priced the selected flight and the user went back:
+    // show the same results with that flight's new fare, or without it if it's gone
+    async showResultsAgain(context, { searchId, flight, unavailableFlightId }) {
+        const session = await this.searchSessions.get(context, searchId);
+        
+        if (!session) {
+            await this.sendSearchExpired(context);
+            return;
+        }
+        
+        const flights = session.flights
+            .filter(result => result.id !== unavailableFlightId)
+            .map(result => (flight && result.id === flight.id ? flight : result));
+        
+        if (flights.length === 0) {
+            await context.sendActivity(MessageFactory.text('No other flights are left from this search. Please search again.'));
+            return;
+        }
+        
+        await this.sendFlightResults(context, await this.searchSessions.updateFlights(context, searchId, flights));
+    }
+    
+    async showFareCalendar(context, searchResult) {
+        // Keep the base search so a tapped day can be searched with the same route and passengers
+        const session = await this.searchSessions.create(context, {
+            flights: [],
+            searchParams: searchResult.searchParams
+        });
+        
+        const displayCurrency = await this.getDisplayCurrency(context);
+        const days = searchResult.fareCalendar.map(day => ({
+            ...day,
+            cheapestPrice: day.cheapestPrice && currencyService.formatForDisplay(day.cheapestPrice, displayCurrency)
+        }));
+        
+        const calendarCard = createFareCalendarCard(days, searchResult.searchParams, session.searchId);
+        await context.sendActivity(MessageFactory.attachment(calendarCard));
+    }
+    
+    async handleFareDateSelection(context, actionData) {
+        try {
+            const session = await this.searchSessions.get(context, actionData.searchId);
+            
+            if (!session) {
+                await this.sendSearchExpired(context);
+                return;
+            }
+            
+            const searchParams = {
+                ...session.searchParams,
+                departureDate: actionData.date,
+                returnDate: actionData.returnDate || null
+            };
+            
+            // Served from the search cache when the calendar was built recently
+            const searchResult = await this.flightService.searchFlightsCached(
+                searchParams.origin,
+                searchParams.destination,
+                searchParams.departureDate,
+                searchParams.returnDate,
+                searchParams.passengers,
+                searchParams.cabinClass
+            );
+            
+            await this.handleSearchResults(context, { ...searchResult, searchParams });
+        } catch (error) {
+            console.error('Error handling fare date selection:', error);
+            await context.sendActivity(MessageFactory.text('Sorry, there was an error loading flights for that day.'));
+        }
+    }
+    
     async handleFlightSelection(context, actionData) {
         try {
             console.log('Flight selected:', actionData);
             
-            const userId = context.activity.from.id;
-            const userSearchResults = this.searchResults[userId];
+            const session = await this.searchSessions.get(context, actionData.searchId);
             
-            if (!userSearchResults) {
-                await context.sendActivity(MessageFactory.text('Sorry, your search results have expired. Please search again.'));
+            if (!session) {
+                await this.sendSearchExpired(context);
                 return;
             }
             
             // Find the selected flight
-            const selectedFlight = userSearchResults.flights.find(f => f.id === actionData.flightId);
+            const selectedFlight = session.flights.find(f => f.id === actionData.flightId);
             
             if (!selectedFlight) {
                 await context.sendActivity(MessageFactory.text('Sorry, the selected flight is no longer available.'));
@@ -143,7 +283,8 @@ class FlightBot extends ActivityHandler {
             }
             
             // Create booking confirmation card
-            const confirmationCard = this.createBookingConfirmationCard(selectedFlight);
+            const displayCurrency = await this.getDisplayCurrency(context);
+            const confirmationCard = this.createBookingConfirmationCard(selectedFlight, displayCurrency, session.searchId);
             await context.sendActivity(MessageFactory.attachment(confirmationCard));
             
         } catch (error) {
@@ -161,12 +302,49 @@ class FlightBot extends ActivityHandler {
                 const dialogContext = await this.dialogSet.createContext(context);
                 
                 const userId = context.activity.from.id;
-                const userSearchResults = this.searchResults[userId];
-                const selectedFlight = userSearchResults.flights.find(f => f.id === actionData.flightId);
+                const session = await this.searchSessions.get(context, actionData.searchId);
+                if (!session) {
+                    await this.sendSearchExpired(context);
+                    return;
+                }
+                
+                const selectedFlight = session.flights.find(f => f.id === actionData.flightId);
+                if (!selectedFlight) {
+                    await context.sendActivity(MessageFactory.text('Sorry, the selected flight is no longer available.'));
+                    return;
+                }
+                
+                // A second tap on Confirm, or a booking already under way, starts over:
+                // cancelling it returns the seats it held before new ones are taken
+                await dialogContext.cancelAllDialogs();
+                
+                // Take the seats off inventory while the customer fills in details and pays
+                let seatHold;
+                try {
+                    seatHold = await holdService.reserve({
+                        userId: userId,
+                        flight: selectedFlight,
+                        passengers: session.searchParams.passengers || 1
+                    });
+                } catch (error) {
+                    if (error.code === 'SEATS_UNAVAILABLE') {
+                        await context.sendActivity(MessageFactory.text('😔 Sorry, there are no longer enough seats on this flight. Please select another flight or search again.'));
+                        return;
+                    }
+                    throw error;
+                }
+                
+                if (seatHold) {
+                    const holdMinutes = Math.round(holdService.ttlSeconds / 60);
+                    await context.sendActivity(MessageFactory.text(`🔒 Your seats are held for ${holdMinutes} minutes while you complete the booking.`));
+                }
                 
                 await dialogContext.beginDialog('BookingDialog', { 
                     flightData: selectedFlight,
-                    searchParams: userSearchResults.searchParams 
+                    searchParams: session.searchParams,
+                    searchId: session.searchId,
+                    displayCurrency: await this.getDisplayCurrency(context),
+                    seatHold: seatHold
                 });
             } else {
                 await context.sendActivity(MessageFactory.text('Booking cancelled. Feel free to select another flight or search again.'));
@@ -178,10 +356,20 @@ class FlightBot extends ActivityHandler {
         }
     }
     
-    createFlightCards(flights) {
+    async getDisplayCurrency(context) {
+        const profile = await this.userProfile.get(context, {});
+        return profile.displayCurrency || currencyService.defaultCurrency;
+    }
+    
+    createFlightCards(flights, displayCurrency, searchId) {
         const cards = [];
         
         flights.forEach((flight, index) => {
+            // One block per journey: outbound/return for round trips, one per leg for multi-city
+            const itineraries = flight.itineraries || [flight];
+            const journeys = itineraries.map((journey, journeyIndex) =>
+                this.createJourneyContainer(journey, itineraries.length > 1 ? this.getJourneyTitle(flight, journey, journeyIndex) : null));
+            
             const card = CardFactory.adaptiveCard({
                 type: "AdaptiveCard",
                 version: "1.2",
@@ -199,123 +387,43 @@ class FlightBot extends ActivityHandler {
                                         items: [
                                             {
                                                 type: "TextBlock",
-                                                text: `${flight.airline} ${flight.flightNumber}`,
+                                                text: flight.tripType === 'multi-city'
+                                                    ? `🗺️ ${flight.route}`
+                                                    : `${flight.airlineName || flight.airline} ${flight.flightNumber}`,
                                                 weight: "Bolder",
                                                 size: "Medium",
-                                                color: "Accent"
-                                            }
-                                        ]
-                                    },
-                                    {
-                                        type: "Column",
-                                        width: "auto",
-                                        items: [
-                                            {
-                                                type: "TextBlock",
-                                                text: flight.price,
-                                                weight: "Bolder",
-                                                size: "Large",
-                                                color: "Attention"
-                                            }
-                                        ]
-                                    }
-                                ]
-                            }
-                        ]
-                    },
-                    {
-                        type: "Container",
-                        spacing: "Medium",
-                        items: [
-                            {
-                                type: "ColumnSet",
-                                columns: [
-                                    {
-                                        type: "Column",
-                                        width: "stretch",
-                                        items: [
-                                            {
-                                                type: "TextBlock",
-                                                text: "🛫 Departure",
-                                                weight: "Bolder",
-                                                size: "Small"
-                                            },
-                                            {
-                                                type: "TextBlock",
-                                                text: `${flight.departure.time}`,
-                                                weight: "Bolder",
-                                                spacing: "None"
+                                                color: "Accent",
+                                                wrap: true
                                             },
                                             {
                                                 type: "TextBlock",
-                                                text: `${flight.departure.airport}`,
+                                                text: `💺 ${[formatCabinClass(flight.cabinClass), flight.aircraftType].filter(Boolean).join(' · ')}`,
                                                 size: "Small",
+                                                isSubtle: true,
                                                 spacing: "None"
                                             },
-                                            {
-                                                type: "TextBlock",
-                                                text: flight.departure.date,
-                                                size: "Small",
-                                                color: "Accent",
-                                                spacing: "None"
-                                            }
+                                            ...this.createSeatsLeftBlocks(flight)
                                         ]
                                     },
                                     {
                                         type: "Column",
                                         width: "auto",
-                                        verticalContentAlignment: "Center",
                                         items: [
                                             {
                                                 type: "TextBlock",
-                                                text: "✈️",
-                                                size: "Large",
-                                                horizontalAlignment: "Center"
-                                            },
-                                            {
-                                                type: "TextBlock",
-                                                text: flight.duration,
-                                                size: "Small",
-                                                horizontalAlignment: "Center",
-                                                spacing: "None"
-                                            }
-                                        ]
-                                    },
-                                    {
-                                        type: "Column",
-                                        width: "stretch",
-                                        items: [
-                                            {
-                                                type: "TextBlock",
-                                                text: "🛬 Arrival",
-                                                weight: "Bolder",
-                                                size: "Small"
-                                            },
-                                            {
-                                                type: "TextBlock",
-                                                text: `${flight.arrival.time}`,
+                                                text: currencyService.formatForDisplay(flight.price, displayCurrency),
+                                                wrap: true,
                                                 weight: "Bolder",
-                                                spacing: "None"
-                                            },
-                                            {
-                                                type: "TextBlock",
-                                                text: `${flight.arrival.airport}`,
-                                                size: "Small",
-                                                spacing: "None"
-                                            },
-                                            {
-                                                type: "TextBlock",
-                                                text: flight.arrival.date,
-                                                size: "Small",
-                                                color: "Accent",
-                                                spacing: "None"
+                                                size: "Large",
+                                                color: "Attention"
                                             }
                                         ]
                                     }
                                 ]
                             }
                         ]
-                    }
+                    },
+                    ...journeys
                 ],
                 actions: [
                     {
@@ -324,6 +432,7 @@ class FlightBot extends ActivityHandler {
                         style: "positive",
                         data: {
                             action: "selectFlight",
+                            searchId: searchId,
                             flightId: flight.id,
                             flightNumber: flight.flightNumber
                         }
@@ -337,7 +446,171 @@ class FlightBot extends ActivityHandler {
         return cards;
     }
     
-    createBookingConfirmationCard(flight) {
+    // Only shown when seats are running out
+    createSeatsLeftBlocks(flight) {
+        if (!flight.seatsAvailable || flight.seatsAvailable > LOW_SEATS_THRESHOLD) {
+            return [];
+        }
+        
+        return [{
+            type: "TextBlock",
+            text: `🔥 Only ${flight.seatsAvailable} ${flight.seatsAvailable === 1 ? 'seat' : 'seats'} left`,
+            size: "Small",
+            color: "Attention",
+            spacing: "None"
+        }];
+    }
+    
+    createJourneyContainer(journey, title = null) {
+        const items = [];
+        
+        if (title) {
+            items.push({
+                type: "TextBlock",
+                text: title,
+                weight: "Bolder",
+                size: "Small",
+                isSubtle: true
+            });
+        }
+        
+        items.push({
+            type: "ColumnSet",
+            columns: [
+                {
+                    type: "Column",
+                    width: "stretch",
+                    items: [
+                        {
+                            type: "TextBlock",
+                            text: "🛫 Departure",
+                            weight: "Bolder",
+                            size: "Small"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: `${journey.departure.time}`,
+                            weight: "Bolder",
+                            spacing: "None"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: `${journey.departure.airport}`,
+                            size: "Small",
+                            spacing: "None"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: journey.departure.date,
+                            size: "Small",
+                            color: "Accent",
+                            spacing: "None"
+                        }
+                    ]
+                },
+                {
+                    type: "Column",
+                    width: "auto",
+                    verticalContentAlignment: "Center",
+                    items: [
+                        {
+                            type: "TextBlock",
+                            text: "✈️",
+                            size: "Large",
+                            horizontalAlignment: "Center"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: journey.duration,
+                            size: "Small",
+                            horizontalAlignment: "Center",
+                            spacing: "None"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: this.formatStops(journey.stops),
+                            size: "Small",
+                            horizontalAlignment: "Center",
+                            isSubtle: true,
+                            spacing: "None"
+                        }
+                    ]
+                },
+                {
+                    type: "Column",
+                    width: "stretch",
+                    items: [
+                        {
+                            type: "TextBlock",
+                            text: "🛬 Arrival",
+                            weight: "Bolder",
+                            size: "Small"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: `${journey.arrival.time}`,
+                            weight: "Bolder",
+                            spacing: "None"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: `${journey.arrival.airport}`,
+                            size: "Small",
+                            spacing: "None"
+                        },
+                        {
+                            type: "TextBlock",
+                            text: journey.arrival.date,
+                            size: "Small",
+                            color: "Accent",
+                            spacing: "None"
+                        }
+                    ]
+                }
+            ]
+        });
+        
+        // Connections: the flights that make up the journey and where they change planes
+        if (journey.segments && journey.segments.length > 1) {
+            items.push({
+                type: "TextBlock",
+                text: `🔁 ${journey.segments.map(segment => `${segment.flightNumber} ${segment.departure.airport}→${segment.arrival.airport}`).join(' · ')}`,
+                size: "Small",
+                wrap: true
+            });
+            
+            journey.layovers.forEach(layover => {
+                items.push({
+                    type: "TextBlock",
+                    text: `⏳ ${layover.duration} layover in ${layover.airport}`,
+                    size: "Small",
+                    isSubtle: true,
+                    spacing: "None"
+                });
+            });
+        }
+        
+        return {
+            type: "Container",
+            spacing: "Medium",
+            separator: !!title,
+            items: items
+        };
+    }
+    
+    getJourneyTitle(flight, journey, index) {
+        if (flight.tripType === 'multi-city') {
+            return `Flight ${index + 1}: ${journey.flightNumber}`;
+        }
+        return journey.direction === 'return' ? `Return: ${journey.flightNumber}` : `Outbound: ${journey.flightNumber}`;
+    }
+    
+    formatStops(stops) {
+        if (!stops) return 'Non-stop';
+        return stops === 1 ? '1 stop' : `${stops} stops`;
+    }
+    
+    createBookingConfirmationCard(flight, displayCurrency, searchId) {
         return CardFactory.adaptiveCard({
             type: "AdaptiveCard",
             version: "1.2",
@@ -364,11 +637,14 @@ class FlightBot extends ActivityHandler {
                             type: "FactSet",
                             facts: [
                                 { title: "Flight:", value: `${flight.airline} ${flight.flightNumber}` },
-                                { title: "Route:", value: `${flight.departure.airport} → ${flight.arrival.airport}` },
+                                { title: "Route:", value: flight.route || `${flight.departure.airport} → ${flight.arrival.airport}` },
                                 { title: "Departure:", value: `${flight.departure.time} on ${flight.departure.date}` },
                                 { title: "Arrival:", value: `${flight.arrival.time} on ${flight.arrival.date}` },
                                 { title: "Duration:", value: flight.duration },
-                                { title: "Total Price:", value: flight.price }
+                                { title: "Cabin:", value: formatCabinClass(flight.cabinClass) },
+                                { title: "Stops:", value: this.formatStops(flight.stops) },
+                                ...this.getReturnFacts(flight),
+                                { title: "Total Price:", value: currencyService.formatForDisplay(flight.price, displayCurrency) }
                             ]
                         }
                     ]
@@ -394,6 +670,7 @@ class FlightBot extends ActivityHandler {
                     style: "positive",
                     data: {
                         action: "confirmBooking",
+                        searchId: searchId,
                         flightId: flight.id,
                         confirm: "yes"
                     }
@@ -403,6 +680,7 @@ class FlightBot extends ActivityHandler {
                     title: "❌ Cancel",
                     data: {
                         action: "confirmBooking",
+                        searchId: searchId,
                         flightId: flight.id,
                         confirm: "no"
                     }
@@ -411,7 +689,18 @@ class FlightBot extends ActivityHandler {
         });
     }
     
-    formatFlightResponse(flights) {
+    getReturnFacts(flight) {
+        const returnJourney = flight.tripType === 'round-trip' && flight.itineraries[1];
+        if (!returnJourney) return [];
+        
+        return [
+            { title: "Return:", value: `${returnJourney.flightNumber} ${returnJourney.departure.airport} → ${returnJourney.arrival.airport}` },
+            { title: "Return Departs:", value: `${returnJourney.departure.time} on ${returnJourney.departure.date}` },
+            { title: "Return Stops:", value: this.formatStops(returnJourney.stops) }
+        ];
+    }
+    
+    formatFlightResponse(flights, displayCurrency) {
         if (!flights || flights.length === 0) {
             return "No flights found for your search.";
         }
@@ -422,8 +711,11 @@ class FlightBot extends ActivityHandler {
             response += `**${index + 1}. ${flight.airline} ${flight.flightNumber}**\n`;
             response += `🛫 **Departure:** ${flight.departure.time} from ${flight.departure.airport} (${flight.departure.date})\n`;
             response += `🛬 **Arrival:** ${flight.arrival.time} at ${flight.arrival.airport} (${flight.arrival.date})\n`;
-            response += `⏱️ **Duration:** ${flight.duration}\n`;
-            response += `💰 **Price:** ${flight.price}\n`;
+            response += `⏱️ **Duration:** ${flight.duration} (${this.formatStops(flight.stops)})\n`;
+            (flight.itineraries || []).slice(1).forEach(journey => {
+                response += `🔙 **${journey.direction === 'return' ? 'Return' : 'Next flight'}:** ${journey.flightNumber} ${journey.departure.time} from ${journey.departure.airport} (${journey.departure.date}) → ${journey.arrival.airport} (${this.formatStops(journey.stops)})\n`;
+            });
+            response += `💰 **Price:** ${currencyService.formatForDisplay(flight.price, displayCurrency)}\n`;
             response += `---\n\n`;
         });
         
@@ -432,6 +724,21 @@ class FlightBot extends ActivityHandler {
         return response;
     }
     
+    // A payment webhook settled a payment, in a proactive turn into the
+    // conversation it was made in. Resolves to true when a booking that was
+    // waiting for the payment took it up and told the customer.
+    async resumePayment(context, transactionId) {
+        context.activity.name = PAYMENT_UPDATE_EVENT;
+        context.activity.value = { transactionId };
+
+        const dialogContext = await this.dialogSet.createContext(context);
+        await dialogContext.continueDialog();
+
+        await this.conversationState.saveChanges(context, false);
+        await this.userState.saveChanges(context, false);
+        return context.responded;
+    }
+    
     async run(context) {
         await super.run(context);
         
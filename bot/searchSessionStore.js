@@ -0,0 +1,67 @@
+// bot/searchSessionStore.js - search results kept in conversation state, one session per search
+const { v4: uuidv4 } = require('uuid');
+
+// Sessions kept per conversation; the oldest are dropped first
+const MAX_SESSIONS = 5;
+
+class SearchSessionStore {
+    constructor(conversationState, options = {}) {
+        this.sessions = conversationState.createProperty('SearchSessions');
+        // How long a carousel can still be booked from
+        this.ttlMinutes = parseInt(options.ttlMinutes || process.env.SEARCH_RESULTS_TTL_MINUTES || '30');
+    }
+
+    // Starts a new session for these results; card actions refer to it by searchId
+    async create(context, { flights, searchParams }) {
+        const sessions = await this.sessions.get(context, {});
+        const now = Date.now();
+        const session = {
+            searchId: uuidv4(),
+            flights: flights,
+            searchParams: searchParams,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.ttlMinutes * 60000).toISOString()
+        };
+
+        const kept = Object.values(sessions)
+            .filter(existing => !this.isExpired(existing, now))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .slice(-(MAX_SESSIONS - 1));
+
+        await this.sessions.set(context, this.toMap([...kept, session]));
+        return session;
+    }
+
+    // Null when the search is unknown, was dropped, or has expired
+    async get(context, searchId) {
+        if (!searchId) {
+            return null;
+        }
+
+        const sessions = await this.sessions.get(context, {});
+        const session = sessions[searchId];
+        return session && !this.isExpired(session) ? session : null;
+    }
+
+    // Replaces the flights of a live session without extending it
+    async updateFlights(context, searchId, flights) {
+        const sessions = await this.sessions.get(context, {});
+        if (!sessions[searchId]) {
+            return null;
+        }
+
+        sessions[searchId] = { ...sessions[searchId], flights: flights };
+        await this.sessions.set(context, sessions);
+        return sessions[searchId];
+    }
+
+    isExpired(session, now = Date.now()) {
+        return new Date(session.expiresAt).getTime() <= now;
+    }
+
+    toMap(sessions) {
+        return sessions.reduce((map, session) => ({ ...map, [session.searchId]: session }), {});
+    }
+}
+
+module.exports = { SearchSessionStore };
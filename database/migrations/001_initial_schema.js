@@ -0,0 +1,343 @@
+// Baseline schema: what database/schema.sql created, so databases made from it
+// can be marked as migrated (see tools/migrate.js baseline). The one change is
+// that booking_audit is created before the trigger that writes to it. The
+// sample data is not part of it; it is loaded with `npm run db:seed`.
+module.exports = {
+  up: [
+    // Reference data and inventory
+    `CREATE TABLE users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(255) UNIQUE NOT NULL, -- Bot framework user ID
+        conversation_id VARCHAR(255), -- Bot framework conversation ID
+        name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_user_id (user_id),
+        INDEX idx_conversation_id (conversation_id)
+    )`,
+    `CREATE TABLE airlines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(10) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE airports (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(10) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        city VARCHAR(255) NOT NULL,
+        country VARCHAR(255) NOT NULL,
+        timezone VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_city (city),
+        INDEX idx_code (code)
+    )`,
+    `CREATE TABLE flights (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        flight_number VARCHAR(20) NOT NULL,
+        airline_id INT NOT NULL,
+        departure_airport_id INT NOT NULL,
+        arrival_airport_id INT NOT NULL,
+        departure_time TIME NOT NULL,
+        arrival_time TIME NOT NULL,
+        duration_minutes INT NOT NULL,
+        base_price DECIMAL(10, 2) NOT NULL,
+        available_seats INT DEFAULT 0,
+        aircraft_type VARCHAR(100),
+        status ENUM('scheduled', 'delayed', 'cancelled', 'boarding', 'departed', 'arrived') DEFAULT 'scheduled',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (airline_id) REFERENCES airlines(id),
+        FOREIGN KEY (departure_airport_id) REFERENCES airports(id),
+        FOREIGN KEY (arrival_airport_id) REFERENCES airports(id),
+
+        INDEX idx_flight_number (flight_number),
+        INDEX idx_departure_airport (departure_airport_id),
+        INDEX idx_arrival_airport (arrival_airport_id),
+        INDEX idx_departure_time (departure_time),
+        INDEX idx_status (status)
+    )`,
+    `CREATE TABLE flight_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        flight_id INT NOT NULL,
+        flight_date DATE NOT NULL,
+        departure_time TIME NOT NULL,
+        arrival_time TIME NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        available_seats INT DEFAULT 0,
+        status ENUM('scheduled', 'delayed', 'cancelled', 'boarding', 'departed', 'arrived') DEFAULT 'scheduled',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (flight_id) REFERENCES flights(id),
+        UNIQUE KEY unique_flight_date (flight_id, flight_date),
+
+        INDEX idx_flight_date (flight_date),
+        INDEX idx_departure_time (departure_time),
+        INDEX idx_price (price)
+    )`,
+
+    // Bookings and payments
+    `CREATE TABLE bookings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        booking_reference VARCHAR(20) UNIQUE NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        flight_schedule_id INT NOT NULL,
+        passenger_count INT NOT NULL DEFAULT 1,
+        total_price DECIMAL(10, 2) NOT NULL,
+        status ENUM('pending', 'confirmed', 'cancelled', 'completed') DEFAULT 'pending',
+        booking_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
+        payment_transaction_id VARCHAR(255),
+        special_requests TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (flight_schedule_id) REFERENCES flight_schedules(id),
+
+        INDEX idx_booking_reference (booking_reference),
+        INDEX idx_user_id (user_id),
+        INDEX idx_status (status),
+        INDEX idx_payment_status (payment_status),
+        INDEX idx_booking_date (booking_date)
+    )`,
+    `CREATE TABLE passengers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        booking_id INT NOT NULL,
+        first_name VARCHAR(255) NOT NULL,
+        last_name VARCHAR(255) NOT NULL,
+        date_of_birth DATE,
+        gender ENUM('male', 'female', 'other'),
+        passport_number VARCHAR(50),
+        nationality VARCHAR(100),
+        seat_number VARCHAR(10),
+        meal_preference VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+
+        INDEX idx_booking_id (booking_id),
+        INDEX idx_passport_number (passport_number)
+    )`,
+    `CREATE TABLE payment_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        booking_id INT NOT NULL,
+        transaction_id VARCHAR(255) UNIQUE NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        payment_method ENUM('credit_card', 'debit_card', 'paypal', 'bank_transfer') NOT NULL,
+        payment_status ENUM('pending', 'completed', 'failed', 'cancelled', 'refunded') NOT NULL,
+        payment_gateway VARCHAR(100),
+        gateway_transaction_id VARCHAR(255),
+        payment_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        failure_reason TEXT,
+
+        FOREIGN KEY (booking_id) REFERENCES bookings(id),
+
+        INDEX idx_booking_id (booking_id),
+        INDEX idx_transaction_id (transaction_id),
+        INDEX idx_payment_status (payment_status),
+        INDEX idx_payment_date (payment_date)
+    )`,
+
+    // Bot conversation state
+    `CREATE TABLE conversation_state (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        conversation_id VARCHAR(255) NOT NULL,
+        dialog_state JSON,
+        last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE KEY unique_conversation (user_id, conversation_id),
+        INDEX idx_user_id (user_id),
+        INDEX idx_last_activity (last_activity)
+    )`,
+
+    // Stored procedures for common operations
+    `CREATE PROCEDURE SearchFlights(
+        IN p_departure_city VARCHAR(255),
+        IN p_arrival_city VARCHAR(255),
+        IN p_flight_date DATE,
+        IN p_passenger_count INT
+    )
+    BEGIN
+        SELECT
+            fs.id as schedule_id,
+            f.flight_number,
+            a.name as airline_name,
+            dep_airport.city as departure_city,
+            arr_airport.city as arrival_city,
+            dep_airport.code as departure_code,
+            arr_airport.code as arrival_code,
+            fs.flight_date,
+            fs.departure_time,
+            fs.arrival_time,
+            fs.price,
+            fs.available_seats,
+            f.duration_minutes,
+            f.aircraft_type
+        FROM flight_schedules fs
+        JOIN flights f ON fs.flight_id = f.id
+        JOIN airlines a ON f.airline_id = a.id
+        JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+        JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id
+        WHERE
+            dep_airport.city LIKE CONCAT('%', p_departure_city, '%')
+            AND arr_airport.city LIKE CONCAT('%', p_arrival_city, '%')
+            AND fs.flight_date = p_flight_date
+            AND fs.available_seats >= p_passenger_count
+            AND fs.status = 'scheduled'
+        ORDER BY fs.price ASC, fs.departure_time ASC;
+    END`,
+    `CREATE PROCEDURE CreateBooking(
+        IN p_booking_reference VARCHAR(20),
+        IN p_user_id VARCHAR(255),
+        IN p_flight_schedule_id INT,
+        IN p_passenger_count INT,
+        IN p_total_price DECIMAL(10, 2)
+    )
+    BEGIN
+        DECLARE EXIT HANDLER FOR SQLEXCEPTION
+        BEGIN
+            ROLLBACK;
+            RESIGNAL;
+        END;
+
+        START TRANSACTION;
+
+        INSERT INTO bookings (
+            booking_reference,
+            user_id,
+            flight_schedule_id,
+            passenger_count,
+            total_price
+        ) VALUES (
+            p_booking_reference,
+            p_user_id,
+            p_flight_schedule_id,
+            p_passenger_count,
+            p_total_price
+        );
+
+        UPDATE flight_schedules
+        SET available_seats = available_seats - p_passenger_count
+        WHERE id = p_flight_schedule_id;
+
+        COMMIT;
+
+        SELECT LAST_INSERT_ID() as booking_id;
+    END`,
+
+    // Views for common queries
+    `CREATE VIEW flight_search_view AS
+    SELECT
+        fs.id as schedule_id,
+        f.flight_number,
+        a.name as airline_name,
+        a.code as airline_code,
+        dep_airport.city as departure_city,
+        arr_airport.city as arrival_city,
+        dep_airport.code as departure_code,
+        arr_airport.code as arrival_code,
+        dep_airport.name as departure_airport,
+        arr_airport.name as arrival_airport,
+        fs.flight_date,
+        fs.departure_time,
+        fs.arrival_time,
+        fs.price,
+        fs.available_seats,
+        f.duration_minutes,
+        f.aircraft_type,
+        fs.status
+    FROM flight_schedules fs
+    JOIN flights f ON fs.flight_id = f.id
+    JOIN airlines a ON f.airline_id = a.id
+    JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+    `CREATE VIEW booking_details_view AS
+    SELECT
+        b.id as booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.passenger_count,
+        b.total_price,
+        b.status as booking_status,
+        b.payment_status,
+        b.booking_date,
+        f.flight_number,
+        a.name as airline_name,
+        dep_airport.city as departure_city,
+        arr_airport.city as arrival_city,
+        dep_airport.code as departure_code,
+        arr_airport.code as arrival_code,
+        fs.flight_date,
+        fs.departure_time,
+        fs.arrival_time,
+        f.aircraft_type
+    FROM bookings b
+    JOIN flight_schedules fs ON b.flight_schedule_id = fs.id
+    JOIN flights f ON fs.flight_id = f.id
+    JOIN airlines a ON f.airline_id = a.id
+    JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+
+    `CREATE INDEX idx_flight_schedules_date_status ON flight_schedules(flight_date, status)`,
+    `CREATE INDEX idx_bookings_user_status ON bookings(user_id, status)`,
+    `CREATE INDEX idx_passengers_booking ON passengers(booking_id)`,
+    `CREATE INDEX idx_payment_history_booking ON payment_history(booking_id)`,
+
+    // Audit trail for booking status changes; the table must exist before its trigger
+    `CREATE TABLE booking_audit (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        booking_id INT NOT NULL,
+        old_status VARCHAR(50),
+        new_status VARCHAR(50),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (booking_id) REFERENCES bookings(id),
+        INDEX idx_booking_id (booking_id),
+        INDEX idx_changed_at (changed_at)
+    )`,
+    `CREATE TRIGGER booking_status_update
+        AFTER UPDATE ON bookings
+        FOR EACH ROW
+    BEGIN
+        IF OLD.status != NEW.status THEN
+            INSERT INTO booking_audit (
+                booking_id,
+                old_status,
+                new_status,
+                changed_at
+            ) VALUES (
+                NEW.id,
+                OLD.status,
+                NEW.status,
+                NOW()
+            );
+        END IF;
+    END`,
+  ],
+
+  down: [
+    "DROP TRIGGER IF EXISTS booking_status_update",
+    "DROP TABLE IF EXISTS booking_audit",
+    "DROP VIEW IF EXISTS booking_details_view",
+    "DROP VIEW IF EXISTS flight_search_view",
+    "DROP PROCEDURE IF EXISTS CreateBooking",
+    "DROP PROCEDURE IF EXISTS SearchFlights",
+    "DROP TABLE IF EXISTS conversation_state",
+    "DROP TABLE IF EXISTS payment_history",
+    "DROP TABLE IF EXISTS passengers",
+    "DROP TABLE IF EXISTS bookings",
+    "DROP TABLE IF EXISTS flight_schedules",
+    "DROP TABLE IF EXISTS flights",
+    "DROP TABLE IF EXISTS airports",
+    "DROP TABLE IF EXISTS airlines",
+    "DROP TABLE IF EXISTS users",
+  ],
+};
@@ -0,0 +1,78 @@
+// Bookings on flight offers from outside our flight_schedules inventory keep a
+// snapshot of the offer, and every booking keeps the search that produced it.
+module.exports = {
+  up: [
+    // flight_schedule_id is only set for bookings on our own inventory; search_params
+    // holds the origin, destination, dates and passengers searched for
+    `ALTER TABLE bookings
+       MODIFY flight_schedule_id INT NULL,
+       ADD COLUMN flight_data JSON AFTER flight_schedule_id,
+       ADD COLUMN search_params JSON AFTER flight_data`,
+    // Bookings on flight_schedules read the flight from the schedule tables,
+    // bookings on external offers read it from the flight_data snapshot
+    `CREATE OR REPLACE VIEW booking_details_view AS
+    SELECT
+        b.id as booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.flight_schedule_id,
+        b.flight_data,
+        b.search_params,
+        b.passenger_count,
+        b.total_price,
+        b.status as booking_status,
+        b.payment_status,
+        b.payment_transaction_id,
+        b.booking_date,
+        COALESCE(f.flight_number, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.flightNumber'))) as flight_number,
+        COALESCE(a.name, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.airline'))) as airline_name,
+        COALESCE(dep_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_city,
+        COALESCE(arr_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_city,
+        COALESCE(dep_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_code,
+        COALESCE(arr_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_code,
+        COALESCE(fs.flight_date, DATE(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as flight_date,
+        COALESCE(fs.departure_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as departure_time,
+        COALESCE(fs.arrival_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.at')) AS DATETIME))) as arrival_time,
+        f.aircraft_type
+    FROM bookings b
+    LEFT JOIN flight_schedules fs ON b.flight_schedule_id = fs.id
+    LEFT JOIN flights f ON fs.flight_id = f.id
+    LEFT JOIN airlines a ON f.airline_id = a.id
+    LEFT JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    LEFT JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+  ],
+
+  down: [
+    `CREATE OR REPLACE VIEW booking_details_view AS
+    SELECT
+        b.id as booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.passenger_count,
+        b.total_price,
+        b.status as booking_status,
+        b.payment_status,
+        b.booking_date,
+        f.flight_number,
+        a.name as airline_name,
+        dep_airport.city as departure_city,
+        arr_airport.city as arrival_city,
+        dep_airport.code as departure_code,
+        arr_airport.code as arrival_code,
+        fs.flight_date,
+        fs.departure_time,
+        fs.arrival_time,
+        f.aircraft_type
+    FROM bookings b
+    JOIN flight_schedules fs ON b.flight_schedule_id = fs.id
+    JOIN flights f ON fs.flight_id = f.id
+    JOIN airlines a ON f.airline_id = a.id
+    JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+    // Fails while there are bookings on external offers, which have no schedule
+    `ALTER TABLE bookings
+       DROP COLUMN search_params,
+       DROP COLUMN flight_data,
+       MODIFY flight_schedule_id INT NOT NULL`,
+  ],
+};
@@ -0,0 +1,73 @@
+// The cabin class each booking was priced and booked in.
+module.exports = {
+  up: [
+    `ALTER TABLE bookings
+       ADD COLUMN cabin_class ENUM('economy', 'premium', 'business', 'first') DEFAULT 'economy' AFTER passenger_count`,
+    `CREATE OR REPLACE VIEW booking_details_view AS
+    SELECT
+        b.id as booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.flight_schedule_id,
+        b.flight_data,
+        b.search_params,
+        b.passenger_count,
+        b.cabin_class,
+        b.total_price,
+        b.status as booking_status,
+        b.payment_status,
+        b.payment_transaction_id,
+        b.booking_date,
+        COALESCE(f.flight_number, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.flightNumber'))) as flight_number,
+        COALESCE(a.name, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.airline'))) as airline_name,
+        COALESCE(dep_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_city,
+        COALESCE(arr_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_city,
+        COALESCE(dep_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_code,
+        COALESCE(arr_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_code,
+        COALESCE(fs.flight_date, DATE(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as flight_date,
+        COALESCE(fs.departure_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as departure_time,
+        COALESCE(fs.arrival_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.at')) AS DATETIME))) as arrival_time,
+        f.aircraft_type
+    FROM bookings b
+    LEFT JOIN flight_schedules fs ON b.flight_schedule_id = fs.id
+    LEFT JOIN flights f ON fs.flight_id = f.id
+    LEFT JOIN airlines a ON f.airline_id = a.id
+    LEFT JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    LEFT JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+  ],
+
+  down: [
+    `CREATE OR REPLACE VIEW booking_details_view AS
+    SELECT
+        b.id as booking_id,
+        b.booking_reference,
+        b.user_id,
+        b.flight_schedule_id,
+        b.flight_data,
+        b.search_params,
+        b.passenger_count,
+        b.total_price,
+        b.status as booking_status,
+        b.payment_status,
+        b.payment_transaction_id,
+        b.booking_date,
+        COALESCE(f.flight_number, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.flightNumber'))) as flight_number,
+        COALESCE(a.name, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.airline'))) as airline_name,
+        COALESCE(dep_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_city,
+        COALESCE(arr_airport.city, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_city,
+        COALESCE(dep_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.airport'))) as departure_code,
+        COALESCE(arr_airport.code, JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.airport'))) as arrival_code,
+        COALESCE(fs.flight_date, DATE(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as flight_date,
+        COALESCE(fs.departure_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.departure.at')) AS DATETIME))) as departure_time,
+        COALESCE(fs.arrival_time, TIME(CAST(JSON_UNQUOTE(JSON_EXTRACT(b.flight_data, '$.arrival.at')) AS DATETIME))) as arrival_time,
+        f.aircraft_type
+    FROM bookings b
+    LEFT JOIN flight_schedules fs ON b.flight_schedule_id = fs.id
+    LEFT JOIN flights f ON fs.flight_id = f.id
+    LEFT JOIN airlines a ON f.airline_id = a.id
+    LEFT JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    LEFT JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`,
+    `ALTER TABLE bookings
+       DROP COLUMN cabin_class`,
+  ],
+};
@@ -0,0 +1,25 @@
+// Seats taken off flight_schedules while a customer pays. A hold ends as
+// 'sold' after payment, or 'released'/'expired' with the seats returned.
+module.exports = {
+  up: [
+    `CREATE TABLE seat_holds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        hold_reference VARCHAR(36) NOT NULL, -- Shared by the rows of one hold (one per schedule on a round trip)
+        user_id VARCHAR(255) NOT NULL,
+        flight_schedule_id INT NOT NULL,
+        seats INT NOT NULL,
+        status ENUM('held', 'sold', 'released', 'expired') NOT NULL DEFAULT 'held',
+        booking_reference VARCHAR(50) NULL, -- Set when the hold is sold
+        expires_at DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (flight_schedule_id) REFERENCES flight_schedules(id),
+
+        INDEX idx_hold_reference (hold_reference),
+        INDEX idx_status_expires (status, expires_at)
+    )`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS seat_holds"],
+};
@@ -0,0 +1,28 @@
+// Bot Framework conversation and user state, one row per storage key, with an
+// eTag so concurrent turns don't overwrite each other. Rows saved per user and
+// conversation before this can't be read back by the storage and are dropped.
+module.exports = {
+  up: [
+    "DELETE FROM conversation_state",
+    `ALTER TABLE conversation_state
+       DROP INDEX unique_conversation,
+       ADD COLUMN storage_key VARCHAR(255) NOT NULL AFTER id,
+       MODIFY user_id VARCHAR(255) NULL,
+       MODIFY conversation_id VARCHAR(255) NULL,
+       ADD COLUMN e_tag VARCHAR(36) NOT NULL AFTER dialog_state,
+       ADD UNIQUE KEY unique_storage_key (storage_key),
+       ADD INDEX idx_conversation_id (conversation_id)`,
+  ],
+
+  down: [
+    "DELETE FROM conversation_state",
+    `ALTER TABLE conversation_state
+       DROP INDEX idx_conversation_id,
+       DROP INDEX unique_storage_key,
+       DROP COLUMN e_tag,
+       MODIFY conversation_id VARCHAR(255) NOT NULL,
+       MODIFY user_id VARCHAR(255) NOT NULL,
+       DROP COLUMN storage_key,
+       ADD UNIQUE KEY unique_conversation (user_id, conversation_id)`,
+  ],
+};
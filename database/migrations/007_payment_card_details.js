@@ -0,0 +1,15 @@
+// The brand and last four digits of the card each payment was made with.
+// Card numbers themselves are never stored; see services/tokenizationService.js.
+module.exports = {
+  up: [
+    `ALTER TABLE payment_history
+       ADD COLUMN card_brand VARCHAR(20) NULL AFTER payment_method,
+       ADD COLUMN card_last4 CHAR(4) NULL AFTER card_brand`,
+  ],
+
+  down: [
+    `ALTER TABLE payment_history
+       DROP COLUMN card_last4,
+       DROP COLUMN card_brand`,
+  ],
+};
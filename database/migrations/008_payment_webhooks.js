@@ -0,0 +1,32 @@
+// Payment webhooks: the events already handled, the disputed payment status,
+// and where to reach the customer about each booking.
+module.exports = {
+  up: [
+    // One row per handled event id, so redelivered events are skipped
+    `CREATE TABLE payment_webhook_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        event_id VARCHAR(255) UNIQUE NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+    // Events name payments by the gateway's id
+    `ALTER TABLE payment_history
+       MODIFY payment_status ENUM('pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed') NOT NULL,
+       ADD INDEX idx_gateway_transaction_id (gateway_transaction_id)`,
+    `ALTER TABLE bookings
+       MODIFY payment_status ENUM('pending', 'paid', 'failed', 'refunded', 'disputed') DEFAULT 'pending',
+       ADD COLUMN conversation_reference JSON NULL AFTER user_id`,
+  ],
+
+  down: [
+    "UPDATE bookings SET payment_status = 'paid' WHERE payment_status = 'disputed'",
+    `ALTER TABLE bookings
+       DROP COLUMN conversation_reference,
+       MODIFY payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending'`,
+    "UPDATE payment_history SET payment_status = 'completed' WHERE payment_status = 'disputed'",
+    `ALTER TABLE payment_history
+       DROP INDEX idx_gateway_transaction_id,
+       MODIFY payment_status ENUM('pending', 'completed', 'failed', 'cancelled', 'refunded') NOT NULL`,
+    "DROP TABLE IF EXISTS payment_webhook_events",
+  ],
+};
@@ -0,0 +1,20 @@
+// UPI, net banking and wallet payments, which stay pending until the customer
+// pays outside the chat and can expire unpaid.
+module.exports = {
+  up: [
+    `ALTER TABLE payment_history
+       MODIFY payment_method ENUM('credit_card', 'debit_card', 'paypal', 'bank_transfer', 'upi', 'netbanking', 'wallet') NOT NULL,
+       MODIFY payment_status ENUM('pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed', 'expired') NOT NULL,
+       ADD COLUMN payment_provider VARCHAR(50) NULL AFTER card_last4`,
+  ],
+
+  down: [
+    "UPDATE payment_history SET payment_status = 'failed' WHERE payment_status = 'expired'",
+    // The closest of the old methods; the rows themselves are payment records and stay
+    "UPDATE payment_history SET payment_method = 'bank_transfer' WHERE payment_method IN ('upi', 'netbanking', 'wallet')",
+    `ALTER TABLE payment_history
+       DROP COLUMN payment_provider,
+       MODIFY payment_status ENUM('pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed') NOT NULL,
+       MODIFY payment_method ENUM('credit_card', 'debit_card', 'paypal', 'bank_transfer') NOT NULL`,
+  ],
+};
@@ -0,0 +1,26 @@
+// Payment links: bookings held while someone else pays for them on a checkout
+// page, until the link is paid or expires.
+module.exports = {
+  up: [
+    `CREATE TABLE payment_links (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        link_reference VARCHAR(36) UNIQUE NOT NULL, -- In the link's URL, next to its signature
+        booking_id INT NOT NULL,
+        hold_reference VARCHAR(36) NULL, -- The booking's seat hold, kept until the link is paid or expires
+        amount DECIMAL(10, 2) NOT NULL,
+        currency CHAR(3) NOT NULL,
+        exchange_rate DECIMAL(18, 8) NULL,
+        status ENUM('active', 'paying', 'paid', 'expired') NOT NULL DEFAULT 'active', -- paying while a card is being charged
+        transaction_id VARCHAR(255) NULL, -- The payment_history row of the payment that paid it
+        expires_at DATETIME NOT NULL,
+        paid_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+
+        INDEX idx_status_expires (status, expires_at)
+    )`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS payment_links"],
+};
@@ -0,0 +1,13 @@
+// How much of each payment has been refunded, so a booking paid in several
+// charges (a flight change's fare difference) can be refunded across them.
+module.exports = {
+  up: [
+    `ALTER TABLE payment_history
+       ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER amount`,
+  ],
+
+  down: [
+    `ALTER TABLE payment_history
+       DROP COLUMN refunded_amount`,
+  ],
+};
@@ -0,0 +1,17 @@
+// The gateway's id for each refund counted in payment_history.refunded_amount,
+// so a refund the bot made is not counted again when the gateway reports it.
+module.exports = {
+  up: [
+    `CREATE TABLE payment_refunds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        refund_id VARCHAR(255) UNIQUE NOT NULL, -- The gateway's refund id
+        transaction_id VARCHAR(255) NOT NULL, -- The payment_history row it was counted against
+        amount DECIMAL(10, 2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_transaction_id (transaction_id)
+    )`,
+  ],
+
+  down: ["DROP TABLE IF EXISTS payment_refunds"],
+};
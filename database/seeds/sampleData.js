@@ -0,0 +1,87 @@
+// Sample airlines, airports and flights with 30 days of schedules from today.
+// Safe to run more than once: existing rows are left as they are. The memory
+// database driver loads the same data.
+const airlines = [
+  ["AA", "American Airlines"],
+  ["UA", "United Airlines"],
+  ["DL", "Delta Air Lines"],
+  ["WN", "Southwest Airlines"],
+  ["B6", "JetBlue Airways"],
+  ["AS", "Alaska Airlines"],
+  ["F9", "Frontier Airlines"],
+  ["NK", "Spirit Airlines"],
+];
+
+const airports = [
+  ["JFK", "John F. Kennedy International Airport", "New York", "United States", "America/New_York"],
+  ["LAX", "Los Angeles International Airport", "Los Angeles", "United States", "America/Los_Angeles"],
+  ["ORD", "Chicago O'Hare International Airport", "Chicago", "United States", "America/Chicago"],
+  ["MIA", "Miami International Airport", "Miami", "United States", "America/New_York"],
+  ["DFW", "Dallas/Fort Worth International Airport", "Dallas", "United States", "America/Chicago"],
+  ["DEN", "Denver International Airport", "Denver", "United States", "America/Denver"],
+  ["SEA", "Seattle-Tacoma International Airport", "Seattle", "United States", "America/Los_Angeles"],
+  ["ATL", "Hartsfield-Jackson Atlanta International Airport", "Atlanta", "United States", "America/New_York"],
+  ["BOS", "Logan International Airport", "Boston", "United States", "America/New_York"],
+  ["SFO", "San Francisco International Airport", "San Francisco", "United States", "America/Los_Angeles"],
+];
+
+// [flight number, airline, from, to, departure, arrival, minutes, base price, seats, aircraft]
+const flights = [
+  ["AA101", "AA", "JFK", "LAX", "08:00:00", "11:30:00", 330, 299.99, 150, "Boeing 737-800"],
+  ["UA202", "UA", "LAX", "JFK", "14:00:00", "22:15:00", 315, 279.99, 180, "Airbus A320"],
+  ["DL303", "DL", "ORD", "MIA", "10:30:00", "14:45:00", 255, 189.99, 120, "Boeing 737-900"],
+  ["WN404", "WN", "MIA", "DFW", "16:00:00", "18:30:00", 150, 159.99, 143, "Boeing 737-700"],
+  ["B6505", "B6", "DFW", "DEN", "09:15:00", "11:45:00", 150, 149.99, 162, "Airbus A320"],
+  ["AS606", "AS", "DEN", "SEA", "13:30:00", "16:00:00", 150, 169.99, 76, "Boeing 737-800"],
+  ["F9707", "F9", "SEA", "ATL", "07:45:00", "12:30:00", 285, 129.99, 186, "Airbus A320neo"],
+  ["NK808", "NK", "ATL", "BOS", "19:00:00", "21:45:00", 165, 99.99, 178, "Airbus A319"],
+];
+
+const SCHEDULE_DAYS = 30;
+
+async function seed(connection) {
+  for (const [code, name] of airlines) {
+    await connection.query(
+      "INSERT IGNORE INTO airlines (code, name) VALUES (?, ?)",
+      [code, name]
+    );
+  }
+
+  for (const [code, name, city, country, timezone] of airports) {
+    await connection.query(
+      "INSERT IGNORE INTO airports (code, name, city, country, timezone) VALUES (?, ?, ?, ?, ?)",
+      [code, name, city, country, timezone]
+    );
+  }
+
+  for (const [flightNumber, airline, from, to, departure, arrival, minutes, basePrice, seats, aircraft] of flights) {
+    await connection.query(
+      `INSERT INTO flights (
+         flight_number, airline_id, departure_airport_id, arrival_airport_id,
+         departure_time, arrival_time, duration_minutes, base_price, available_seats, aircraft_type
+       )
+       SELECT ?, al.id, dep.id, arr.id, ?, ?, ?, ?, ?, ?
+       FROM airlines al, airports dep, airports arr
+       WHERE al.code = ? AND dep.code = ? AND arr.code = ?
+         AND NOT EXISTS (SELECT 1 FROM flights WHERE flight_number = ?)`,
+      [flightNumber, departure, arrival, minutes, basePrice, seats, aircraft, airline, from, to, flightNumber]
+    );
+  }
+
+  // One schedule per flight per day, with some price variation
+  for (let day = 0; day < SCHEDULE_DAYS; day++) {
+    await connection.query(
+      `INSERT INTO flight_schedules (flight_id, flight_date, departure_time, arrival_time, price, available_seats)
+       SELECT f.id, CURDATE() + INTERVAL ? DAY, f.departure_time, f.arrival_time,
+              f.base_price + (RAND() * 100 - 50), f.available_seats
+       FROM flights f
+       WHERE NOT EXISTS (
+         SELECT 1 FROM flight_schedules fs
+         WHERE fs.flight_id = f.id AND fs.flight_date = CURDATE() + INTERVAL ? DAY
+       )`,
+      [day, day]
+    );
+  }
+}
+
+module.exports = { seed, airlines, airports, flights, SCHEDULE_DAYS };
@@ -1,3 +1,6 @@
+// Load .env before the modules below read their settings
+require('dotenv').config();
+
 const restify = require('restify');
 const { 
     CloudAdapter,
@@ -8,8 +11,6 @@ const {
 const { FlightBot } = require('./bot/flightBot');
 const corsMiddleware = require('restify-cors-middleware');
 
-require('dotenv').config();
-
 // Create HTTP server
 const server = restify.createServer();
 
@@ -23,6 +24,7 @@ const cors = corsMiddleware({
 server.pre(cors.preflight);
 server.use(cors.actual);
 server.use(restify.plugins.bodyParser());
+server.use(restify.plugins.queryParser());
 
 // Create adapter
 const credentialsFactory = new ConfigurationServiceClientCredentialFactory({
@@ -58,17 +60,47 @@ adapter.onTurnError = async (context, error) => {
 
 // Initialize database
 const databaseService = require('./services/databaseService');
+const migrationService = require('./services/migrationService');
+const holdService = require('./services/holdService');
+const paymentService = require('./services/paymentService');
+const paymentWebhookService = require('./services/paymentWebhookService');
+const paymentLinkService = require('./services/paymentLinkService');
+const { renderCheckoutPage, renderPaidPage, renderLinkErrorPage } = require('./utils/checkoutPage');
+const { registerMockPaymentPages } = require('./services/gateways/mockPaymentPages');
+const { MysqlStorage, createBotStorage } = require('./services/botStorage');
+
+// Conversation and user state; BOT_STORAGE=mysql keeps dialogs across restarts
+const storage = createBotStorage();
 
 // Create the bot
-const bot = new FlightBot();
+const bot = new FlightBot(storage);
 
 // Initialize database connection
 async function initializeDatabase() {
     try {
         await databaseService.initialize();
+        // The memory driver builds its tables in JS and has no migrations
+        if (databaseService.driver === 'mysql') {
+            await migrationService.assertUpToDate();
+        }
         console.log('Database initialized successfully');
+        
+        // Return seats from booking holds that have expired
+        holdService.start();
+        
+        // Cancel bookings whose payment links expired unpaid
+        paymentLinkService.start((booking, message) => notifyCustomer(booking.conversation_reference, message));
+        
+        // Remove state of conversations that have gone idle
+        if (storage instanceof MysqlStorage) {
+            storage.start();
+        }
     } catch (error) {
-        console.error('Failed to initialize database:', error);
+        if (error.code === 'SCHEMA_OUTDATED') {
+            console.error(`${error.message}. Run \`npm run db:migrate\` and restart.`);
+        } else {
+            console.error('Failed to initialize database:', error);
+        }
         process.exit(1);
     }
 }
@@ -83,6 +115,130 @@ server.post('/api/messages', async (req, res) => {
     }
 });
 
+// Payment gateway events. Answers 2xx once an event is handled (or seen before),
+// so the gateway only redelivers events that failed. The customer is told
+// afterwards: a slow Bot Connector must not hold up the answer and make the
+// gateway send the event again.
+server.post('/api/payments/webhook', async (req, res) => {
+    try {
+        paymentWebhookService.verifySignature(req.rawBody, req.header('X-Payment-Signature'));
+    } catch (error) {
+        console.warn('Rejected payment webhook:', error.message);
+        res.send(error.code === 'WEBHOOK_NOT_CONFIGURED' ? 503 : 401, { error: error.message });
+        return;
+    }
+
+    let result;
+    try {
+        result = await paymentWebhookService.handle(req.body);
+    } catch (error) {
+        if (error.code === 'WEBHOOK_EVENT_INVALID') {
+            console.warn('Rejected payment webhook:', error.message);
+            res.send(400, { error: error.message });
+        } else {
+            console.error('Error handling payment webhook:', error);
+            res.send(500, { error: error.message });
+        }
+        return;
+    }
+
+    res.send(200, { received: true, status: result.status });
+
+    if (result.message && result.booking && result.booking.conversation_reference) {
+        notifyCustomer(result.booking.conversation_reference, result.message, result.transactionId);
+    }
+});
+
+// Checkout page for pay-later links sent from the booking dialog
+const PAYMENT_LINK_ERROR_STATUSES = {
+    PAYMENT_LINK_INVALID: 404,
+    PAYMENT_LINK_EXPIRED: 410,
+    PAYMENT_LINK_PAID: 409,
+    PAYMENT_LINK_IN_PROGRESS: 409,
+    PAYMENT_LINK_NOT_CONFIGURED: 503
+};
+
+function sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+function sendPaymentLinkError(res, error) {
+    const status = PAYMENT_LINK_ERROR_STATUSES[error.code];
+    if (!status) {
+        console.error('Error handling payment link:', error);
+    }
+    if (error.code === 'PAYMENT_LINK_IN_PROGRESS') {
+        sendHtml(res, status, renderLinkErrorPage(error.message, 'Please wait a moment, then open the link again to see whether it went through.'));
+        return;
+    }
+    sendHtml(res, status || 500, renderLinkErrorPage(status ? error.message : 'Something went wrong'));
+}
+
+server.get('/pay/:linkReference', async (req, res) => {
+    try {
+        const { link, booking } = await paymentLinkService.open(req.params.linkReference, req.query);
+        sendHtml(res, 200, link.status === 'paid' ? renderPaidPage(link, booking) : renderCheckoutPage(link, booking));
+    } catch (error) {
+        sendPaymentLinkError(res, error);
+    }
+});
+
+server.post('/pay/:linkReference', async (req, res) => {
+    const cardDetails = req.body || {};
+    let payment;
+    try {
+        payment = await paymentLinkService.pay(req.params.linkReference, req.query, cardDetails);
+    } catch (error) {
+        sendPaymentLinkError(res, error);
+        return;
+    }
+
+    const { result, link, booking, message, refund } = payment;
+    if (!result.success) {
+        // Only the fields that were wrong are pointed out; the card number and CVV are never sent back
+        sendHtml(res, result.errorCode === 'CARD_INVALID' ? 422 : 402, renderCheckoutPage(link, booking, {
+            error: result.fields ? null : `Payment failed: ${result.error}`,
+            fieldErrors: result.fields,
+            cardholderName: cardDetails.cardholderName
+        }));
+        return;
+    }
+
+    if (booking.conversation_reference) {
+        await notifyCustomer(booking.conversation_reference, message);
+    }
+    sendHtml(res, 200, !refund
+        ? renderPaidPage(link, booking)
+        : renderLinkErrorPage('The booking could not be confirmed after the payment was made',
+            refund.success ? 'The payment has been refunded.' : 'Please contact support to have it refunded.'));
+});
+
+// The mock gateway's stand-ins for the card issuer's 3-D Secure page and the bank's payment page
+if (paymentService.gateway.name === 'mock') {
+    registerMockPaymentPages(server, paymentService.gateway);
+}
+
+// Proactive message into the conversation a booking was made in. A booking
+// still waiting for a UPI, net banking or wallet payment is resumed instead,
+// and tells the customer itself. Failures are only logged: the event itself
+// has been handled.
+async function notifyCustomer(conversationReference, message, transactionId = null) {
+    try {
+        await adapter.continueConversationAsync(
+            process.env.MicrosoftAppId || '',
+            conversationReference,
+            async (context) => {
+                if (!transactionId || !(await bot.resumePayment(context, transactionId))) {
+                    await context.sendActivity(message);
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Error notifying customer:', error.message);
+    }
+}
+
 // Health check endpoint
 server.get('/health', (req, res, next) => {
     res.send({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -102,21 +258,20 @@ server.listen(port, async () => {
     await initializeDatabase();
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM received, shutting down gracefully');
+// Graceful shutdown: stop the background timers before the database closes
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down gracefully`);
+    holdService.stop();
+    paymentLinkService.stop();
+    if (storage instanceof MysqlStorage) {
+        storage.stop();
+    }
     await databaseService.close();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
-});
+}
 
-process.on('SIGINT', async () => {
-    console.log('SIGINT received, shutting down gracefully');
-    await databaseService.close();
-    server.close(() => {
-        console.log('Server closed');
-        process.exit(0);
-    });
-});
\ No newline at end of file
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,111 @@
+const { MemoryStorage } = require("botbuilder");
+const { v4: uuidv4 } = require("uuid");
+const repositories = require("./repositories");
+
+// Bot Framework Storage on the conversation_state table, so dialogs in progress
+// survive restarts and can be shared by several bot instances.
+class MysqlStorage {
+  constructor(options = {}) {
+    this.repository = options.repository || repositories.conversationState;
+    // State untouched for this long is treated as gone and swept
+    this.idleSeconds =
+      parseInt(options.idleHours || process.env.BOT_STATE_IDLE_HOURS || "72") * 3600;
+    this.sweepIntervalMs =
+      parseInt(process.env.BOT_STATE_SWEEP_MINUTES || "60") * 60000;
+    this.sweepTimer = null;
+  }
+
+  async read(keys) {
+    if (!keys) {
+      throw new ReferenceError("Keys are required when reading.");
+    }
+
+    const items = await this.repository.read(keys, this.idleSeconds);
+    return items.reduce((data, item) => {
+      data[item.storageKey] = { ...item.state, eTag: item.eTag };
+      return data;
+    }, {});
+  }
+
+  // Items read with an eTag are only written over that same version. Items without
+  // one (new state) or with "*" are written unconditionally, as MemoryStorage does.
+  async write(changes) {
+    if (!changes) {
+      throw new ReferenceError("Changes are required when writing.");
+    }
+
+    for (const key of Object.keys(changes)) {
+      const { eTag: expectedETag, ...state } = changes[key];
+      const item = { storageKey: key, ...this.parseKey(key), state, eTag: uuidv4() };
+
+      if (!expectedETag || expectedETag === "*") {
+        await this.repository.upsert(item);
+        continue;
+      }
+
+      // The row may have been swept since it was read; recreate it unless another turn did
+      const written =
+        (await this.repository.update({ ...item, expectedETag })) ||
+        (await this.repository.insert(item));
+
+      if (!written) {
+        const error = new Error(`Storage: error writing "${key}" due to eTag conflict.`);
+        error.code = "ETAG_CONFLICT";
+        throw error;
+      }
+    }
+  }
+
+  async delete(keys) {
+    await this.repository.delete(keys);
+  }
+
+  // ConversationState keys are "channel/conversations/id/", UserState keys "channel/users/id/"
+  parseKey(key) {
+    const match = key.match(/^[^/]+\/(conversations|users)\/(.+?)\/?$/);
+    return {
+      userId: match && match[1] === "users" ? match[2] : null,
+      conversationId: match && match[1] === "conversations" ? match[2] : null,
+    };
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+
+    this.deleteIdle();
+    this.sweepTimer = setInterval(() => this.deleteIdle(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  async deleteIdle() {
+    try {
+      const deleted = await this.repository.deleteIdle(this.idleSeconds);
+      if (deleted > 0) {
+        console.log(`Deleted ${deleted} idle conversation state row(s)`);
+      }
+      return deleted;
+    } catch (error) {
+      console.error("Error deleting idle conversation state:", error.message);
+      return 0;
+    }
+  }
+}
+
+// BOT_STORAGE=mysql keeps state in MySQL; anything else keeps it in process memory
+function createBotStorage(name = process.env.BOT_STORAGE || "memory") {
+  switch (name.toLowerCase()) {
+    case "mysql":
+      return new MysqlStorage();
+    case "memory":
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown BOT_STORAGE "${name}". Use "memory" or "mysql".`);
+  }
+}
+
+module.exports = { MysqlStorage, createBotStorage };
@@ -0,0 +1,82 @@
+const currencyService = require("./currencyService");
+
+class CancellationPolicy {
+  constructor() {
+    // Percentage of the paid fare kept as a cancellation fee
+    this.feePercent = parseFloat(process.env.CANCELLATION_FEE_PERCENT || "10");
+    // Flat fee added on top of the percentage fee, in the booking's currency
+    this.flatFee = parseFloat(process.env.CANCELLATION_FLAT_FEE || "0");
+    // Bookings cancelled closer than this to departure are non-refundable
+    this.cutoffHours = parseFloat(process.env.CANCELLATION_CUTOFF_HOURS || "2");
+  }
+
+  // Work out whether a booking can be cancelled and how much is refunded
+  calculateRefund(booking, now = new Date()) {
+    const paidAmount =
+      booking.payment_status === "paid" ? parseFloat(booking.total_price) : 0;
+
+    const quote = {
+      canCancel: true,
+      reason: null,
+      paidAmount: paidAmount,
+      fee: 0,
+      refundAmount: 0,
+    };
+
+    if (booking.booking_status === "cancelled") {
+      return { ...quote, canCancel: false, reason: "This booking is already cancelled." };
+    }
+
+    if (booking.booking_status === "completed") {
+      return { ...quote, canCancel: false, reason: "This trip has already been completed." };
+    }
+
+    const departure = this.getDepartureDateTime(booking);
+    if (departure && departure <= now) {
+      return { ...quote, canCancel: false, reason: "This flight has already departed." };
+    }
+
+    if (paidAmount === 0) {
+      return quote;
+    }
+
+    const hoursToDeparture = departure
+      ? (departure.getTime() - now.getTime()) / (60 * 60 * 1000)
+      : Infinity;
+
+    if (hoursToDeparture < this.cutoffHours) {
+      return {
+        ...quote,
+        fee: paidAmount,
+        reason: `Cancellations within ${this.cutoffHours} hours of departure are non-refundable.`,
+      };
+    }
+
+    // Rounded to what the currency can be paid in, e.g. whole yen
+    const currency = booking.currency || "USD";
+    const fee = Math.min(
+      paidAmount,
+      currencyService.roundAmount((paidAmount * this.feePercent) / 100 + this.flatFee, currency)
+    );
+
+    return {
+      ...quote,
+      fee: fee,
+      refundAmount: currencyService.roundAmount(paidAmount - fee, currency),
+    };
+  }
+
+  getDepartureDateTime(booking) {
+    if (!booking.flight_date) return null;
+
+    const departure = new Date(booking.flight_date);
+    if (booking.departure_time) {
+      const [hours, minutes] = booking.departure_time.split(":").map(Number);
+      departure.setHours(hours, minutes, 0, 0);
+    }
+
+    return departure;
+  }
+}
+
+module.exports = { CancellationPolicy };
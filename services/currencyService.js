@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { formatMoney } = require("../utils/helpers");
+
+// Currencies without a minor unit (no cents/paise)
+const ZERO_DECIMAL_CURRENCIES = ["JPY", "KRW"];
+
+class CurrencyService {
+  constructor() {
+    // Local FX table: { base, updatedAt, rates: { CODE: units per base } }
+    this.ratesPath =
+      process.env.FX_RATES_PATH ||
+      path.join(__dirname, "..", "config", "fxRates.json");
+    // Currency shown to users who haven't picked one
+    this.defaultCurrency = process.env.DEFAULT_DISPLAY_CURRENCY || "INR";
+    this.table = null;
+    this.loadedMtime = null;
+  }
+
+  // Read the FX table, re-reading it whenever the file has been updated
+  getTable() {
+    const { mtimeMs } = fs.statSync(this.ratesPath);
+
+    if (!this.table || mtimeMs !== this.loadedMtime) {
+      this.table = JSON.parse(fs.readFileSync(this.ratesPath, "utf8"));
+      this.loadedMtime = mtimeMs;
+    }
+
+    return this.table;
+  }
+
+  // Merge new rates into the table and persist it
+  updateRates(rates, updatedAt = new Date()) {
+    const table = this.getTable();
+
+    Object.entries(rates).forEach(([currency, rate]) => {
+      const value = parseFloat(rate);
+      if (!/^[A-Z]{3}$/.test(currency) || !(value > 0)) {
+        throw new Error(`Invalid FX rate ${currency}=${rate}`);
+      }
+      table.rates[currency] = value;
+    });
+
+    table.updatedAt = updatedAt.toISOString();
+    fs.writeFileSync(this.ratesPath, JSON.stringify(table, null, 2) + "\n");
+    this.table = null;
+
+    return this.getTable();
+  }
+
+  getSupportedCurrencies() {
+    return Object.keys(this.getTable().rates);
+  }
+
+  isSupported(currency) {
+    return this.getSupportedCurrencies().includes(currency);
+  }
+
+  // Units of `to` per one unit of `from`
+  getRate(from, to) {
+    if (from === to) return 1;
+
+    const { rates } = this.getTable();
+    if (!rates[from] || !rates[to]) {
+      throw new Error(`No exchange rate for ${from} → ${to}`);
+    }
+
+    return rates[to] / rates[from];
+  }
+
+  // Convert { amount, currency } into another currency, rounded to its minor unit
+  convert(money, toCurrency) {
+    const amount = money.amount * this.getRate(money.currency, toCurrency);
+    return { amount: this.roundAmount(amount, toCurrency), currency: toCurrency };
+  }
+
+  roundAmount(amount, currency) {
+    const factor = Math.pow(10, this.getMinorUnitDigits(currency));
+    return Math.round(amount * factor) / factor;
+  }
+
+  getMinorUnitDigits(currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+  }
+
+  // Amount in the smallest currency unit, as payment gateways expect
+  toMinorUnits(money) {
+    return Math.round(money.amount * Math.pow(10, this.getMinorUnitDigits(money.currency)));
+  }
+
+  fromMinorUnits(amount, currency) {
+    return amount / Math.pow(10, this.getMinorUnitDigits(currency));
+  }
+
+  format(money) {
+    return formatMoney(money);
+  }
+
+  // Price in the user's display currency, marked approximate when converted
+  formatForDisplay(money, displayCurrency) {
+    if (!displayCurrency || displayCurrency === money.currency) {
+      return formatMoney(money);
+    }
+
+    try {
+      return `≈ ${formatMoney(this.convert(money, displayCurrency))}`;
+    } catch (error) {
+      console.warn("Falling back to fare currency:", error.message);
+      return formatMoney(money);
+    }
+  }
+}
+
+module.exports = new CurrencyService();
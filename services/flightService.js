@@ -0,0 +1,249 @@
+// services/flightService.js
+const { addDays, mapWithConcurrency } = require('../utils/helpers');
+const { createFlightProvider, createStatusProvider } = require('./providers');
+require('dotenv').config();
+
+// Searches, prices and looks up flights through the configured provider (see services/providers).
+// Provider errors are logged and rethrown; callers decide what to tell the user.
+class FlightService {
+    constructor(options = {}) {
+        this.provider = options.provider || createFlightProvider();
+        this.statusProvider = options.statusProvider || createStatusProvider(this.provider);
+        
+        // Short-lived search cache so fare calendars and repeat taps don't re-query the API
+        this.searchCache = new Map();
+        this.searchCacheTtl = parseInt(process.env.FLIGHT_SEARCH_CACHE_SECONDS || '300') * 1000;
+        this.searchCacheSize = parseInt(process.env.FLIGHT_SEARCH_CACHE_SIZE || '500');
+        // Maximum parallel searches when building a fare calendar
+        this.fareCalendarConcurrency = parseInt(process.env.FARE_CALENDAR_CONCURRENCY || '2');
+    }
+
+    async searchFlights(origin, destination, departureDate, returnDate = null, passengers = 1, cabinClass = 'economy') {
+        const query = {
+            origin: this.getAirportCode(origin),
+            destination: this.getAirportCode(destination),
+            departureDate: departureDate,
+            returnDate: returnDate,
+            passengers: passengers,
+            cabinClass: cabinClass
+        };
+        
+        try {
+            const result = await this.provider.searchOffers(query);
+            console.log(`${this.provider.name}: ${result.flights.length} flights for ${query.origin} → ${query.destination} on ${departureDate}`);
+            return result;
+        } catch (error) {
+            console.error(`Flight search failed (${this.provider.name}):`, error.message);
+            throw error;
+        }
+    }
+
+    // Same as searchFlights, but reuses results for identical searches within the cache TTL
+    async searchFlightsCached(origin, destination, departureDate, returnDate = null, passengers = 1, cabinClass = 'economy') {
+        const key = [this.getAirportCode(origin), this.getAirportCode(destination), departureDate, returnDate || '', passengers, cabinClass].join('|');
+        const cached = this.searchCache.get(key);
+        
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.result;
+        }
+        
+        // Cache the pending promise so concurrent identical searches share one request
+        const result = this.searchFlights(origin, destination, departureDate, returnDate, passengers, cabinClass);
+        const entry = { result, expiresAt: Date.now() + this.searchCacheTtl };
+        this.searchCache.delete(key);
+        this.searchCache.set(key, entry);
+        this.pruneSearchCache();
+        
+        try {
+            return await result;
+        } catch (error) {
+            if (this.searchCache.get(key) === entry) {
+                this.searchCache.delete(key);
+            }
+            throw error;
+        }
+    }
+
+    // Drops expired searches, then the oldest ones while there are more than searchCacheSize.
+    // Entries are kept in the order they were stored, so the oldest come first.
+    pruneSearchCache() {
+        const now = Date.now();
+        for (const [key, entry] of this.searchCache) {
+            if (entry.expiresAt <= now) {
+                this.searchCache.delete(key);
+            }
+        }
+
+        for (const key of this.searchCache.keys()) {
+            if (this.searchCache.size <= this.searchCacheSize) break;
+            this.searchCache.delete(key);
+        }
+    }
+
+    // Cheapest fare for each day within ±flexDays of the requested departure date.
+    // Round trips keep the same trip length, so the return date shifts with the departure.
+    async searchFareCalendar(origin, destination, departureDate, returnDate = null, passengers = 1, cabinClass = 'economy', flexDays = 3) {
+        const today = new Date().toISOString().split('T')[0];
+        const candidates = [];
+        
+        for (let offset = -flexDays; offset <= flexDays; offset++) {
+            const date = addDays(departureDate, offset);
+            if (date < today) continue;
+            
+            candidates.push({
+                date: date,
+                returnDate: returnDate ? addDays(returnDate, offset) : null,
+                isRequestedDate: offset === 0
+            });
+        }
+        
+        return await mapWithConcurrency(candidates, this.fareCalendarConcurrency, async (candidate) => {
+            try {
+                const result = await this.searchFlightsCached(origin, destination, candidate.date, candidate.returnDate, passengers, cabinClass);
+                const flights = (result && result.flights) || [];
+                // Offers from one search share a currency, so amounts compare directly
+                const cheapest = flights
+                    .filter(flight => flight.price && flight.price.amount > 0)
+                    .sort((a, b) => a.price.amount - b.price.amount)[0];
+                
+                return {
+                    ...candidate,
+                    flightCount: flights.length,
+                    cheapestPrice: cheapest ? cheapest.price : null,
+                    cheapestAmount: cheapest ? cheapest.price.amount : null
+                };
+            } catch (error) {
+                console.error(`Fare calendar search failed for ${candidate.date}:`, error.message);
+                return { ...candidate, flightCount: 0, cheapestPrice: null, cheapestAmount: null };
+            }
+        });
+    }
+
+    // Multi-city search: legs is [{ origin, destination, departureDate }, ...]
+    async searchMultiCity(legs, passengers = 1, cabinClass = 'economy') {
+        const query = {
+            legs: legs.map(leg => ({
+                origin: this.getAirportCode(leg.origin),
+                destination: this.getAirportCode(leg.destination),
+                departureDate: leg.departureDate
+            })),
+            passengers: passengers,
+            cabinClass: cabinClass
+        };
+
+        try {
+            return await this.provider.searchMultiCity(query);
+        } catch (error) {
+            console.error(`Multi-city search failed (${this.provider.name}):`, error.message);
+            throw error;
+        }
+    }
+
+    // Re-check a flight from an earlier search: resolves to { available, flight, price }
+    async priceFlight(flight, searchParams = {}) {
+        try {
+            return await this.provider.priceOffer(flight, {
+                passengers: searchParams.passengers || 1,
+                cabinClass: searchParams.cabinClass || flight.cabinClass
+            });
+        } catch (error) {
+            console.error(`Flight pricing failed (${this.provider.name}):`, error.message);
+            throw error;
+        }
+    }
+
+    async getFlightStatus(flightNumber, date) {
+        try {
+            return await this.statusProvider.getFlightStatus(flightNumber, date);
+        } catch (error) {
+            console.error(`Flight status failed (${this.statusProvider.name}):`, error.message);
+            throw error;
+        }
+    }
+
+    // Helper method to get airport codes - EXPANDED WITH MORE CITIES
+    getAirportCode(cityName) {
+        const airportCodes = {
+            // Major Indian cities
+            'mumbai': 'BOM',
+            'delhi': 'DEL',
+            'new delhi': 'DEL',
+            'bangalore': 'BLR',
+            'bengaluru': 'BLR',
+            'chennai': 'MAA',
+            'kolkata': 'CCU',
+            'hyderabad': 'HYD',
+            'pune': 'PNQ',
+            'goa': 'GOI',
+            'panaji': 'GOI',
+            'ahmedabad': 'AMD',
+            'cochin': 'COK',
+            'kochi': 'COK',
+            'jaipur': 'JAI',
+            'lucknow': 'LKO',
+            'bhubaneswar': 'BBI',
+            'thiruvananthapuram': 'TRV',
+            'trivandrum': 'TRV',
+            'surat': 'STV',
+            'vadodara': 'BDQ',
+            'indore': 'IDR',
+            'nagpur': 'NAG',
+            'coimbatore': 'CJB',
+            'vizag': 'VTZ',
+            'visakhapatnam': 'VTZ',
+            'patna': 'PAT',
+            'bhopal': 'BHO',
+            'chandigarh': 'IXC',
+            'amritsar': 'ATQ',
+            'guwahati': 'GAU',
+            'imphal': 'IMF',
+            'agartala': 'IXA',
+            'raipur': 'RPR',
+            'ranchi': 'IXR',
+            'jammu': 'IXJ',
+            'srinagar': 'SXR',
+            'leh': 'IXL',
+            'port blair': 'IXZ',
+            
+            // International cities (common destinations)
+            'london': 'LHR',
+            'new york': 'JFK',
+            'dubai': 'DXB',
+            'singapore': 'SIN',
+            'bangkok': 'BKK',
+            'tokyo': 'NRT',
+            'paris': 'CDG',
+            'amsterdam': 'AMS',
+            'frankfurt': 'FRA',
+            'zurich': 'ZUR',
+            'hong kong': 'HKG',
+            'kuala lumpur': 'KUL',
+            'sydney': 'SYD',
+            'melbourne': 'MEL',
+            'toronto': 'YYZ',
+            'vancouver': 'YVR'
+        };
+        
+        const input = cityName.toLowerCase().trim();
+        
+        // First, check if it's already a valid 3-letter airport code
+        if (cityName.length === 3 && /^[A-Z]{3}$/i.test(cityName)) {
+            const upperCode = cityName.toUpperCase();
+            console.log(`Input is already airport code: ${cityName} -> ${upperCode}`);
+            return upperCode;
+        }
+        
+        // Then check if it matches a city name in our mapping
+        const code = airportCodes[input];
+        if (code) {
+            console.log(`Found airport code: ${cityName} -> ${code}`);
+            return code;
+        }
+        
+        // If no match found, return the original input in uppercase
+        console.log(`Airport code not found for: ${cityName}, using as-is`);
+        return cityName.toUpperCase();
+    }
+}
+
+module.exports = { FlightService };
\ No newline at end of file
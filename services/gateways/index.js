@@ -0,0 +1,31 @@
+// services/gateways/index.js - picks the payment gateway from configuration
+const { PaymentGateway, PaymentGatewayError, ASYNC_METHODS } = require('./paymentGateway');
+const { SquareGateway } = require('./squareGateway');
+const { MockGateway } = require('./mockGateway');
+
+const GATEWAYS = {
+    square: SquareGateway,
+    mock: MockGateway
+};
+
+// PAYMENT_GATEWAY wins; otherwise Square when an access token is set, and the mock when not
+function createPaymentGateway(name = process.env.PAYMENT_GATEWAY) {
+    const gatewayName = name || (process.env.SQUARE_ACCESS_TOKEN ? 'square' : 'mock');
+    const Gateway = GATEWAYS[gatewayName.toLowerCase()];
+    if (!Gateway) {
+        throw new PaymentGatewayError(`Unknown payment gateway "${gatewayName}". Use one of: ${Object.keys(GATEWAYS).join(', ')}`);
+    }
+
+    const gateway = new Gateway();
+    console.log(`Payment gateway: ${gateway.name}${name ? '' : ' (PAYMENT_GATEWAY not set)'}`);
+    return gateway;
+}
+
+module.exports = {
+    PaymentGateway,
+    PaymentGatewayError,
+    ASYNC_METHODS,
+    SquareGateway,
+    MockGateway,
+    createPaymentGateway
+};
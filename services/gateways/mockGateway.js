@@ -0,0 +1,317 @@
+// services/gateways/mockGateway.js - deterministic in-process gateway for development and tests
+const { PaymentGateway, PaymentGatewayError, ASYNC_METHODS } = require('./paymentGateway');
+const { lookupNonce, SANDBOX_OTP, TEST_VPAS } = require('./sandboxCards');
+
+// Wrong codes a challenged payment takes before it fails
+const CHALLENGE_ATTEMPTS = 3;
+
+// UPI ids look like name@bank
+const VPA_PATTERN = /^[a-z0-9.\-_]{2,256}@[a-z][a-z0-9]{1,64}$/i;
+
+// Outcomes depend only on the card token (see sandboxCards.js), never on chance.
+// Payments live in memory and are lost on restart.
+class MockGateway extends PaymentGateway {
+    constructor(options = {}) {
+        super('mock');
+
+        // Challenged payments are verified on the simulated issuer page the bot
+        // serves (see mockPaymentPages.js), or with the code entered in the chat.
+        // Async payments are paid on its simulated bank page.
+        this.acsBaseUrl = options.acsBaseUrl || process.env.BOT_PUBLIC_URL
+            || `http://localhost:${process.env.Port || process.env.PORT || 3978}`;
+        this.challengeTtlMs = parseInt(process.env.PAYMENT_CHALLENGE_MINUTES || '5') * 60 * 1000;
+        this.asyncTtlMs = parseInt(process.env.PAYMENT_ASYNC_MINUTES || '10') * 60 * 1000;
+
+        this.payments = new Map();
+        this.refunds = new Map();
+        // Idempotency key -> id of the payment or refund it created
+        this.idempotencyKeys = new Map();
+        this.nextId = 1;
+    }
+
+    // UPI, net banking and wallets are for rupee payments only
+    getMethods(currency) {
+        return currency === 'INR' ? ['card', ...ASYNC_METHODS] : ['card'];
+    }
+
+    async authorize({ sourceId, idempotencyKey, amountMoney, referenceId = null, note = null }) {
+        if (!idempotencyKey) {
+            throw this.error(400, 'MISSING_REQUIRED_PARAMETER', 'idempotencyKey is required');
+        }
+        if (!amountMoney || !Number.isInteger(amountMoney.amount) || amountMoney.amount <= 0) {
+            throw this.error(400, 'INVALID_VALUE', 'amountMoney.amount must be a positive integer');
+        }
+
+        const repeated = this.findIdempotent(idempotencyKey, this.payments);
+        if (repeated) {
+            if (repeated.amountMoney.amount !== amountMoney.amount || repeated.amountMoney.currency !== amountMoney.currency) {
+                throw this.error(400, 'IDEMPOTENCY_KEY_REUSED', 'idempotencyKey was already used for a different payment');
+            }
+            return this.copy(repeated);
+        }
+
+        const nonce = lookupNonce(sourceId);
+        if (!nonce) {
+            throw this.error(400, 'INVALID_CARD_DATA', `Unknown card token "${sourceId}"`);
+        }
+        // Nothing is recorded, as if the request never reached the processor
+        if (nonce.error) {
+            throw this.error(nonce.error.status, nonce.error.code, nonce.error.message);
+        }
+
+        const payment = {
+            id: this.createId('pay'),
+            status: nonce.errorCode ? 'failed' : (nonce.challenge ? 'action_required' : 'authorized'),
+            method: 'card',
+            amountMoney: { amount: amountMoney.amount, currency: amountMoney.currency },
+            card: { ...nonce.card },
+            referenceId,
+            note,
+            errorCode: nonce.errorCode || null,
+            errorMessage: nonce.errorMessage || null,
+            refundedAmount: 0,
+            refundError: nonce.refundError || null,
+            challenge: nonce.challenge
+                ? { expiresAt: Date.now() + this.challengeTtlMs, attemptsLeft: CHALLENGE_ATTEMPTS }
+                : null,
+            checkout: null
+        };
+
+        this.payments.set(payment.id, payment);
+        this.idempotencyKeys.set(idempotencyKey, payment.id);
+        return this.copy(payment);
+    }
+
+    async initiate({ method, idempotencyKey, amountMoney, referenceId = null, note = null, vpa = null, bank = null, wallet = null }) {
+        if (!idempotencyKey) {
+            throw this.error(400, 'MISSING_REQUIRED_PARAMETER', 'idempotencyKey is required');
+        }
+        if (!amountMoney || !Number.isInteger(amountMoney.amount) || amountMoney.amount <= 0) {
+            throw this.error(400, 'INVALID_VALUE', 'amountMoney.amount must be a positive integer');
+        }
+        if (!this.getMethods(amountMoney.currency).includes(method) || method === 'card') {
+            throw this.error(400, 'METHOD_NOT_SUPPORTED', `${method} payments in ${amountMoney.currency} are not supported`);
+        }
+        if (method === 'upi' && vpa && !VPA_PATTERN.test(vpa)) {
+            throw this.error(400, 'INVALID_VPA', `"${vpa}" is not a valid UPI id`);
+        }
+        if ((method === 'netbanking' && !bank) || (method === 'wallet' && !wallet)) {
+            throw this.error(400, 'MISSING_REQUIRED_PARAMETER', `${method === 'wallet' ? 'wallet' : 'bank'} is required`);
+        }
+
+        const repeated = this.findIdempotent(idempotencyKey, this.payments);
+        if (repeated) return this.copy(repeated);
+
+        const payment = {
+            id: this.createId('pay'),
+            status: 'pending',
+            method,
+            amountMoney: { amount: amountMoney.amount, currency: amountMoney.currency },
+            card: null,
+            referenceId,
+            note,
+            errorCode: null,
+            errorMessage: null,
+            refundedAmount: 0,
+            refundError: null,
+            challenge: null,
+            checkout: {
+                type: method !== 'upi' ? 'redirect' : (vpa ? 'collect' : 'intent'),
+                vpa: vpa ? vpa.toLowerCase() : null,
+                provider: bank || wallet || null,
+                expiresAt: Date.now() + this.asyncTtlMs
+            }
+        };
+
+        this.payments.set(payment.id, payment);
+        this.idempotencyKeys.set(idempotencyKey, payment.id);
+        return this.copy(payment);
+    }
+
+    // What the customer does on the sandbox bank page, or in their UPI app
+    async settle(paymentId, { paid }) {
+        const payment = this.findPayment(paymentId);
+        if (payment.status !== 'pending') return this.copy(payment);
+
+        Object.assign(payment, paid
+            ? { status: 'captured', checkout: null }
+            : {
+                status: 'failed',
+                errorCode: 'PAYMENT_DECLINED',
+                errorMessage: 'The payment was declined.',
+                checkout: null
+            });
+        return this.copy(payment);
+    }
+
+    async completeAction(paymentId, { otp }) {
+        const payment = this.findPayment(paymentId);
+        if (payment.status !== 'action_required') return this.copy(payment);
+
+        if (String(otp || '').trim() === SANDBOX_OTP) {
+            Object.assign(payment, { status: 'authorized', errorCode: null, errorMessage: null, challenge: null });
+        } else if (--payment.challenge.attemptsLeft > 0) {
+            payment.errorCode = 'AUTHENTICATION_CODE_INVALID';
+            payment.errorMessage = `The verification code is not correct. ${payment.challenge.attemptsLeft} attempt(s) left.`;
+        } else {
+            Object.assign(payment, {
+                status: 'failed',
+                errorCode: 'AUTHENTICATION_FAILED',
+                errorMessage: 'The card could not be verified.',
+                challenge: null
+            });
+        }
+        return this.copy(payment);
+    }
+
+    async capture(paymentId) {
+        const payment = this.findPayment(paymentId);
+        if (payment.status === 'captured') return this.copy(payment);
+        if (payment.status !== 'authorized') {
+            throw this.error(400, 'BAD_REQUEST', `Payment ${paymentId} is ${payment.status} and cannot be captured`);
+        }
+
+        payment.status = 'captured';
+        return this.copy(payment);
+    }
+
+    async void(paymentId) {
+        const payment = this.findPayment(paymentId);
+        if (payment.status === 'voided') return this.copy(payment);
+        if (!['authorized', 'action_required', 'pending'].includes(payment.status)) {
+            throw this.error(400, 'BAD_REQUEST', `Payment ${paymentId} is ${payment.status} and cannot be voided`);
+        }
+
+        Object.assign(payment, { status: 'voided', errorCode: null, errorMessage: null, challenge: null, checkout: null });
+        return this.copy(payment);
+    }
+
+    async refund(paymentId, { amountMoney, idempotencyKey, reason = null }) {
+        if (!idempotencyKey) {
+            throw this.error(400, 'MISSING_REQUIRED_PARAMETER', 'idempotencyKey is required');
+        }
+
+        const repeated = this.findIdempotent(idempotencyKey, this.refunds);
+        if (repeated) return { ...repeated };
+
+        const payment = this.findPayment(paymentId);
+        if (payment.status !== 'captured') {
+            throw this.error(400, 'BAD_REQUEST', `Payment ${paymentId} is ${payment.status} and cannot be refunded`);
+        }
+        if (amountMoney.currency !== payment.amountMoney.currency) {
+            throw this.error(400, 'INVALID_VALUE', `Refunds must be in ${payment.amountMoney.currency}`);
+        }
+        if (amountMoney.amount > payment.amountMoney.amount - payment.refundedAmount) {
+            throw this.error(400, 'REFUND_AMOUNT_INVALID', 'The refund is larger than what is left of the payment');
+        }
+
+        const { refundError } = payment;
+        if (!refundError) {
+            payment.refundedAmount += amountMoney.amount;
+        }
+        const refund = {
+            id: this.createId('ref'),
+            paymentId,
+            status: refundError ? 'failed' : 'completed',
+            amountMoney: { ...amountMoney },
+            reason,
+            errorCode: refundError ? refundError.code : null,
+            errorMessage: refundError ? refundError.message : null
+        };
+
+        this.refunds.set(refund.id, refund);
+        this.idempotencyKeys.set(idempotencyKey, refund.id);
+        return { ...refund };
+    }
+
+    async getStatus(paymentId) {
+        const payment = this.findPayment(paymentId);
+
+        const outcome = payment.status === 'pending' && payment.checkout.vpa && TEST_VPAS[payment.checkout.vpa];
+        if (outcome) {
+            Object.assign(payment, {
+                status: outcome.status,
+                errorCode: outcome.errorCode || null,
+                errorMessage: outcome.errorMessage || null,
+                checkout: null
+            });
+        }
+        return this.copy(payment);
+    }
+
+    findPayment(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (!payment) {
+            throw this.error(404, 'NOT_FOUND', `Payment ${paymentId} not found`);
+        }
+
+        // Verification not finished in time fails the payment
+        if (payment.status === 'action_required' && payment.challenge.expiresAt <= Date.now()) {
+            Object.assign(payment, {
+                status: 'failed',
+                errorCode: 'AUTHENTICATION_TIMEOUT',
+                errorMessage: 'The card was not verified in time.',
+                challenge: null
+            });
+        }
+        // So does an async payment not paid in time
+        if (payment.status === 'pending' && payment.checkout.expiresAt <= Date.now()) {
+            Object.assign(payment, {
+                status: 'expired',
+                errorCode: 'PAYMENT_EXPIRED',
+                errorMessage: 'The payment was not completed in time.',
+                checkout: null
+            });
+        }
+        return payment;
+    }
+
+    findIdempotent(idempotencyKey, records) {
+        const id = this.idempotencyKeys.get(idempotencyKey);
+        return id ? records.get(id) : null;
+    }
+
+    createId(prefix) {
+        return `${prefix}_mock_${String(this.nextId++).padStart(6, '0')}`;
+    }
+
+    copy(payment) {
+        const { refundedAmount, refundError, challenge, checkout, ...rest } = payment;
+        return {
+            ...rest,
+            amountMoney: { ...payment.amountMoney },
+            card: payment.card && { ...payment.card },
+            action: challenge
+                ? {
+                    type: 'challenge',
+                    url: `${this.acsBaseUrl}/payments/acs/${encodeURIComponent(payment.id)}`,
+                    expiresAt: new Date(challenge.expiresAt).toISOString()
+                }
+                : (checkout ? this.checkoutAction(payment) : null)
+        };
+    }
+
+    checkoutAction({ id, amountMoney, checkout }) {
+        const action = {
+            type: checkout.type,
+            url: `${this.acsBaseUrl}/payments/mock-bank/${encodeURIComponent(id)}`,
+            expiresAt: new Date(checkout.expiresAt).toISOString()
+        };
+
+        if (checkout.type === 'collect') {
+            action.vpa = checkout.vpa;
+        } else if (checkout.type === 'intent') {
+            const amount = (amountMoney.amount / 100).toFixed(2);
+            action.intentUrl = `upi://pay?pa=flightbot@mockbank&pn=Flight%20Bot&am=${amount}&cu=INR&tr=${encodeURIComponent(id)}`;
+            // A real gateway also returns a QR code image of the intent link
+            action.qrImageUrl = null;
+        }
+        return action;
+    }
+
+    error(status, code, message) {
+        return new PaymentGatewayError(message, { gateway: this.name, status, code });
+    }
+}
+
+module.exports = { MockGateway };
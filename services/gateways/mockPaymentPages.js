@@ -0,0 +1,118 @@
+// services/gateways/mockPaymentPages.js - pages the mock gateway's customers pay on, served by the bot.
+// The card issuer's 3-D Secure page: challenged payments link here (action.url),
+// and the code entered is passed to gateway.completeAction, the same as a code
+// typed into the chat.
+// The bank page: async payments (UPI, net banking, wallets) link here, and the
+// customer pays or declines the way they would in their bank's or UPI app.
+const currencyService = require('../currencyService');
+const { SANDBOX_OTP } = require('./sandboxCards');
+
+const METHOD_NAMES = {
+    upi: 'UPI',
+    netbanking: 'Net banking',
+    wallet: 'Wallet'
+};
+
+const RESULT_MESSAGES = {
+    authorized: '✅ Payment verified. You can go back to the chat and choose "I\'ve verified".',
+    failed: '❌ The payment could not be verified. Go back to the chat to try again.',
+    voided: 'This payment was cancelled.',
+    captured: '✅ Payment received. You can go back to the chat and choose "I\'ve paid".',
+    expired: 'This payment request has expired.'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function formatAmount({ amount, currency }) {
+    return currencyService.format({ amount: currencyService.fromMinorUnits(amount, currency), currency });
+}
+
+function renderResult(payment) {
+    return `<p>${escapeHtml(RESULT_MESSAGES[payment.status] || `This payment is ${payment.status}.`)}</p>`;
+}
+
+function renderPage(title, summary, body) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(summary)}</p>
+  ${body}
+</body>
+</html>`;
+}
+
+function renderAcsPage(payment, notice = '') {
+    const form = payment.status === 'action_required'
+        ? `<form method="post">
+    <label>One-time code <input name="otp" inputmode="numeric" autocomplete="one-time-code" autofocus></label>
+    <button type="submit">Verify</button>
+  </form>
+  <p><small>Sandbox: the code is ${SANDBOX_OTP}.</small></p>`
+        : renderResult(payment);
+
+    return renderPage(
+        'Verify your payment',
+        `${payment.card.brand} ending ${payment.card.last4}, ${formatAmount(payment.amountMoney)}`,
+        `${notice ? `<p><strong>${escapeHtml(notice)}</strong></p>` : ''}
+  ${form}`
+    );
+}
+
+function renderBankPage(payment) {
+    const form = payment.status === 'pending'
+        ? `<form method="post">
+    <button type="submit" name="decision" value="pay">Pay</button>
+    <button type="submit" name="decision" value="decline">Decline</button>
+  </form>
+  <p><small>Sandbox: nothing is charged.</small></p>`
+        : renderResult(payment);
+
+    return renderPage(
+        'Mock Bank',
+        `${METHOD_NAMES[payment.method] || payment.method} payment of ${formatAmount(payment.amountMoney)} to Flight Bot`,
+        form
+    );
+}
+
+function sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+// Adds GET and POST /payments/acs/:paymentId and /payments/mock-bank/:paymentId
+// to the bot's server. The server has to parse form bodies.
+function registerMockPaymentPages(server, gateway) {
+    const handle = (work) => async (req, res) => {
+        try {
+            await work(req, res);
+        } catch (error) {
+            sendHtml(res, error.status || 500, `<!DOCTYPE html><p>${escapeHtml(error.message)}</p>`);
+        }
+    };
+
+    server.get('/payments/acs/:paymentId', handle(async (req, res) => {
+        sendHtml(res, 200, renderAcsPage(await gateway.getStatus(req.params.paymentId)));
+    }));
+
+    server.post('/payments/acs/:paymentId', handle(async (req, res) => {
+        const otp = (req.body && req.body.otp) || '';
+        const payment = await gateway.completeAction(req.params.paymentId, { otp });
+        const notice = payment.status === 'action_required' ? payment.errorMessage : '';
+        sendHtml(res, 200, renderAcsPage(payment, notice));
+    }));
+
+    server.get('/payments/mock-bank/:paymentId', handle(async (req, res) => {
+        sendHtml(res, 200, renderBankPage(await gateway.getStatus(req.params.paymentId)));
+    }));
+
+    server.post('/payments/mock-bank/:paymentId', handle(async (req, res) => {
+        const paid = Boolean(req.body && req.body.decision === 'pay');
+        sendHtml(res, 200, renderBankPage(await gateway.settle(req.params.paymentId, { paid })));
+    }));
+}
+
+module.exports = { registerMockPaymentPages };
@@ -0,0 +1,97 @@
+// services/gateways/paymentGateway.js - interface every payment gateway implements
+
+// Transport, authentication and request errors. Card declines are not errors:
+// they come back as a payment with status 'failed' and an errorCode.
+class PaymentGatewayError extends Error {
+    constructor(message, { gateway = null, status = null, code = null, details = null } = {}) {
+        super(message);
+        this.name = 'PaymentGatewayError';
+        this.gateway = gateway;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Gateway payments are normalized to
+//   { id, status, method, amountMoney: { amount, currency }, card: { brand, last4 } | null,
+//     errorCode, errorMessage, action }
+// with amounts in minor units, status one of the PAYMENT_STATUSES and method
+// 'card' or one of the ASYNC_METHODS.
+// action is set while the status is 'action_required': the card issuer wants
+// the customer verified (3-D Secure) before it authorizes, as
+//   { type: 'challenge', url, expiresAt }
+// where the customer enters the one-time code sent by the issuer, either on the
+// issuer's page at url or through completeAction.
+// It is also set while an async payment is 'pending', saying where to pay:
+//   { type: 'collect', vpa, url, expiresAt }  - approve the request sent to the UPI id
+//   { type: 'intent', intentUrl, qrImageUrl, url, expiresAt }  - open or scan the UPI link
+//   { type: 'redirect', url, expiresAt }  - pay on the bank's or wallet's page
+// Refunds are { id, paymentId, status, amountMoney, errorCode, errorMessage }
+// with status one of the REFUND_STATUSES.
+const PAYMENT_STATUSES = ['pending', 'action_required', 'authorized', 'captured', 'voided', 'failed', 'expired'];
+const REFUND_STATUSES = ['pending', 'completed', 'failed'];
+
+// Methods the customer pays with outside the chat, confirmed later by a
+// webhook or by asking the gateway
+const ASYNC_METHODS = ['upi', 'netbanking', 'wallet'];
+
+class PaymentGateway {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // request: { sourceId, idempotencyKey, amountMoney, referenceId, note, buyerEmail }
+    // Reserves the amount on the card without taking it. Resolves to a payment
+    // that is 'authorized', 'failed' when the card was declined, or
+    // 'action_required' when the customer has to be verified first.
+    async authorize(request) {
+        throw this.unsupported('authorize');
+    }
+
+    // Payment methods taken in this currency: 'card' and any of the ASYNC_METHODS
+    getMethods(currency) {
+        return ['card'];
+    }
+
+    // request: { method, idempotencyKey, amountMoney, referenceId, note, vpa, bank, wallet }
+    // Starts an async payment: a UPI collect request to vpa, a UPI intent link
+    // when there is no vpa, or the page of the bank or wallet named. Resolves to
+    // a 'pending' payment that later becomes 'captured', 'failed' or 'expired'.
+    async initiate(request) {
+        throw this.unsupported('initiate');
+    }
+
+    // Answers the verification of an 'action_required' payment with the code
+    // the customer entered. Resolves to the payment, 'authorized' or 'failed'.
+    async completeAction(paymentId, { otp }) {
+        throw this.unsupported('completeAction');
+    }
+
+    // Takes an authorized amount. Resolves to the 'captured' payment.
+    async capture(paymentId) {
+        throw this.unsupported('capture');
+    }
+
+    // Releases an authorization, or a verification or async payment still
+    // waiting, that will not be captured. Resolves to the 'voided' payment.
+    async void(paymentId) {
+        throw this.unsupported('void');
+    }
+
+    // Returns all or part of a captured payment. Resolves to a refund.
+    async refund(paymentId, { amountMoney, idempotencyKey, reason = null }) {
+        throw this.unsupported('refund');
+    }
+
+    // Resolves to the payment as the gateway currently sees it
+    async getStatus(paymentId) {
+        throw this.unsupported('status');
+    }
+
+    unsupported(operation) {
+        return new PaymentGatewayError(`The ${this.name} gateway does not support ${operation}`, { gateway: this.name });
+    }
+}
+
+module.exports = { PaymentGateway, PaymentGatewayError, PAYMENT_STATUSES, REFUND_STATUSES, ASYNC_METHODS };
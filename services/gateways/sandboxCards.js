@@ -0,0 +1,103 @@
+// services/gateways/sandboxCards.js - test cards, nonces and UPI ids, and the outcome each one produces.
+// The mock gateway and tools/fakeSquareServer.js both answer from these tables, so a
+// test picks its scenario by card number and gets the same result on every run.
+
+// Charged whenever no card token is given
+const TEST_CARD_NONCE = 'cnon:card-nonce-ok';
+
+// The one-time code the sandbox issuer accepts for cards that are challenged
+const SANDBOX_OTP = '123456';
+
+// Outcomes by card nonce. A nonce with an errorCode is declined with that code,
+// one with an error makes the gateway call itself fail, one with a challenge
+// needs 3-D Secure verification before it is authorized, and one with a
+// refundError takes payments whose refunds are rejected.
+const SANDBOX_NONCES = {
+    'cnon:card-nonce-ok': { card: { brand: 'VISA', last4: '1111' } },
+    'cnon:card-nonce-declined': {
+        card: { brand: 'VISA', last4: '0002' },
+        errorCode: 'GENERIC_DECLINE',
+        errorMessage: 'The card was declined.'
+    },
+    'cnon:card-nonce-insufficient-funds': {
+        card: { brand: 'VISA', last4: '9995' },
+        errorCode: 'INSUFFICIENT_FUNDS',
+        errorMessage: 'The card has insufficient funds.'
+    },
+    'cnon:card-nonce-expired': {
+        card: { brand: 'VISA', last4: '0069' },
+        errorCode: 'CARD_EXPIRED',
+        errorMessage: 'The card has expired.'
+    },
+    'cnon:card-nonce-rejected-cvv': {
+        card: { brand: 'VISA', last4: '0127' },
+        errorCode: 'CVV_FAILURE',
+        errorMessage: 'The card security code was not accepted.'
+    },
+    'cnon:card-nonce-verification-required': {
+        card: { brand: 'VISA', last4: '3220' },
+        challenge: true
+    },
+    'cnon:card-nonce-duplicate': {
+        card: { brand: 'VISA', last4: '0507' },
+        errorCode: 'DUPLICATE_TRANSACTION',
+        errorMessage: 'An identical charge was made on this card moments ago.'
+    },
+    'cnon:card-nonce-gateway-timeout': {
+        card: { brand: 'VISA', last4: '0408' },
+        error: { status: 504, code: 'GATEWAY_TIMEOUT', message: 'The card processor did not respond in time.' }
+    },
+    'cnon:card-nonce-refund-rejected': {
+        card: { brand: 'VISA', last4: '0606' },
+        refundError: { code: 'REFUND_REJECTED', message: 'The card issuer rejected the refund.' }
+    },
+    'cnon:card-nonce-rejected-postalcode': {
+        card: { brand: 'VISA', last4: '0036' },
+        errorCode: 'ADDRESS_VERIFICATION_FAILURE',
+        errorMessage: 'The postal code did not match the card.'
+    },
+    'cnon:card-nonce-rejected-expiration': {
+        card: { brand: 'VISA', last4: '0069' },
+        errorCode: 'INVALID_EXPIRATION',
+        errorMessage: 'The card expiration date is invalid.'
+    }
+};
+
+// Magic card numbers, after the Stripe and Square test cards. Any other number
+// is charged as TEST_CARD_NONCE.
+const TEST_CARDS = {
+    '4111111111111111': 'cnon:card-nonce-ok',
+    '4000000000000002': 'cnon:card-nonce-declined',
+    '4000000000009995': 'cnon:card-nonce-insufficient-funds',
+    '4000000000000069': 'cnon:card-nonce-expired',
+    '4000000000000127': 'cnon:card-nonce-rejected-cvv',
+    '4000000000003220': 'cnon:card-nonce-verification-required',
+    '4000000000000408': 'cnon:card-nonce-gateway-timeout',
+    '4000000000000507': 'cnon:card-nonce-duplicate',
+    '4000000000000606': 'cnon:card-nonce-refund-rejected'
+};
+
+// UPI ids whose collect requests are settled the first time the payment is
+// looked up, as if approved or declined in the UPI app straight away. Requests
+// to any other UPI id wait until they are paid or declined on the sandbox
+// checkout page, or expire.
+const TEST_VPAS = {
+    'success@upi': { status: 'captured' },
+    'failure@upi': {
+        status: 'failed',
+        errorCode: 'PAYMENT_DECLINED',
+        errorMessage: 'The payment was declined in the UPI app.'
+    }
+};
+
+// Unknown nonces are rejected the way Square rejects a bad source_id
+function lookupNonce(sourceId) {
+    return SANDBOX_NONCES[sourceId] || null;
+}
+
+function nonceForCard(cardNumber) {
+    const number = String(cardNumber || '').replace(/[\s-]/g, '');
+    return TEST_CARDS[number] || TEST_CARD_NONCE;
+}
+
+module.exports = { TEST_CARD_NONCE, SANDBOX_OTP, SANDBOX_NONCES, TEST_CARDS, TEST_VPAS, lookupNonce, nonceForCard };
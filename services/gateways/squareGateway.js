@@ -0,0 +1,157 @@
+// services/gateways/squareGateway.js - Square Payments and Refunds API
+const axios = require('axios');
+const { PaymentGateway, PaymentGatewayError } = require('./paymentGateway');
+
+const BASE_URLS = {
+    sandbox: 'https://connect.squareupsandbox.com',
+    production: 'https://connect.squareup.com'
+};
+
+const PAYMENT_STATUSES = {
+    APPROVED: 'authorized',
+    COMPLETED: 'captured',
+    CANCELED: 'voided',
+    FAILED: 'failed'
+};
+
+const REFUND_STATUSES = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    REJECTED: 'failed',
+    FAILED: 'failed'
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+class SquareGateway extends PaymentGateway {
+    constructor(options = {}) {
+        super('square');
+
+        this.accessToken = options.accessToken || process.env.SQUARE_ACCESS_TOKEN;
+        this.locationId = options.locationId || process.env.SQUARE_LOCATION_ID;
+        const environment = options.environment || process.env.SQUARE_ENVIRONMENT || 'sandbox';
+        // Point SQUARE_BASE_URL at tools/fakeSquareServer.js to run offline
+        this.baseURL = options.baseURL || process.env.SQUARE_BASE_URL || BASE_URLS[environment] || BASE_URLS.sandbox;
+        this.apiVersion = process.env.SQUARE_API_VERSION || '2024-01-18';
+        this.timeout = parseInt(process.env.SQUARE_TIMEOUT_MS || '15000');
+    }
+
+    // autocomplete: false leaves the payment APPROVED until it is completed or canceled
+    async authorize({ sourceId, idempotencyKey, amountMoney, referenceId = null, note = null, buyerEmail = null }) {
+        try {
+            const data = await this.request('post', '/v2/payments', {
+                source_id: sourceId,
+                idempotency_key: idempotencyKey,
+                amount_money: amountMoney,
+                autocomplete: false,
+                location_id: this.locationId,
+                reference_id: referenceId ? String(referenceId) : undefined,
+                note: note || undefined,
+                buyer_email_address: buyerEmail || undefined
+            });
+            return this.toPayment(data.payment);
+        } catch (error) {
+            // Declines come back as PAYMENT_METHOD_ERRORs, usually with the failed payment
+            const apiError = error.details?.errors?.[0];
+            if (apiError?.category === 'PAYMENT_METHOD_ERROR') {
+                return this.toPayment(error.details.payment || { status: 'FAILED', amount_money: amountMoney }, apiError);
+            }
+            throw error;
+        }
+    }
+
+    async capture(paymentId) {
+        const data = await this.request('post', `/v2/payments/${encodeURIComponent(paymentId)}/complete`, {});
+        return this.toPayment(data.payment);
+    }
+
+    async void(paymentId) {
+        const data = await this.request('post', `/v2/payments/${encodeURIComponent(paymentId)}/cancel`, {});
+        return this.toPayment(data.payment);
+    }
+
+    async refund(paymentId, { amountMoney, idempotencyKey, reason = null }) {
+        const data = await this.request('post', '/v2/refunds', {
+            idempotency_key: idempotencyKey,
+            payment_id: paymentId,
+            amount_money: amountMoney,
+            reason: reason || undefined
+        });
+        return this.toRefund(data.refund);
+    }
+
+    async getStatus(paymentId) {
+        const data = await this.request('get', `/v2/payments/${encodeURIComponent(paymentId)}`);
+        return this.toPayment(data.payment);
+    }
+
+    async request(method, path, body) {
+        if (!this.accessToken) {
+            throw new PaymentGatewayError('Square access token is not configured', { gateway: this.name });
+        }
+
+        try {
+            const response = await axios({
+                method,
+                url: `${this.baseURL}${path}`,
+                data: body,
+                headers: {
+                    Authorization: `Bearer ${this.accessToken}`,
+                    'Square-Version': this.apiVersion,
+                    'Content-Type': 'application/json'
+                },
+                timeout: this.timeout
+            });
+            return response.data;
+        } catch (error) {
+            throw this.toGatewayError(error, `Square ${method.toUpperCase()} ${path} failed`);
+        }
+    }
+
+    toPayment(payment, apiError = null) {
+        const card = payment.card_details?.card;
+        const failed = apiError || payment.status === 'FAILED';
+
+        return {
+            id: payment.id || null,
+            status: PAYMENT_STATUSES[payment.status] || 'failed',
+            // UPI, net banking and wallets are not offered by Square
+            method: 'card',
+            amountMoney: payment.amount_money,
+            card: card ? { brand: card.card_brand, last4: card.last_4 } : null,
+            errorCode: failed ? (apiError?.code || 'GENERIC_DECLINE') : null,
+            errorMessage: failed ? (apiError?.detail || 'The card was declined.') : null,
+            // Square verifies buyers in the browser before the payment is created
+            action: null
+        };
+    }
+
+    toRefund(refund) {
+        const status = REFUND_STATUSES[refund.status] || 'failed';
+        return {
+            id: refund.id,
+            paymentId: refund.payment_id,
+            status,
+            amountMoney: refund.amount_money,
+            errorCode: status === 'failed' ? `REFUND_${refund.status}` : null,
+            errorMessage: status === 'failed' ? `Refund ${refund.status.toLowerCase()}` : null
+        };
+    }
+
+    // Square reports failures as { errors: [{ category, code, detail }] }
+    toGatewayError(error, message) {
+        const apiError = error.response?.data?.errors?.[0];
+        const detail = apiError ? `${apiError.code}${apiError.detail ? `: ${apiError.detail}` : ''}` : error.message;
+        // Our own request timeout reads the same as Square reporting one
+        const timedOut = !error.response && TIMEOUT_CODES.includes(error.code);
+
+        return new PaymentGatewayError(`${message} (${detail})`, {
+            gateway: this.name,
+            status: error.response?.status || null,
+            code: apiError?.code || (timedOut ? 'GATEWAY_TIMEOUT' : error.code) || null,
+            details: error.response?.data || null
+        });
+    }
+}
+
+module.exports = { SquareGateway };
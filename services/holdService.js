@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require("uuid");
+const { seatHolds } = require("./repositories");
+
+// Seat holds for flights sold from our own flight_schedules inventory.
+// External offers (Amadeus, fixtures) have no local seats to hold.
+class HoldService {
+  constructor() {
+    // How long seats stay reserved while the customer fills in details and pays
+    this.ttlSeconds = parseInt(process.env.SEAT_HOLD_MINUTES || "10") * 60;
+    // How often expired holds are returned to inventory
+    this.sweepIntervalMs =
+      parseInt(process.env.SEAT_HOLD_SWEEP_SECONDS || "30") * 1000;
+    this.sweepTimer = null;
+  }
+
+  // Start the expiry timer; also clears holds left behind by a restart
+  start() {
+    if (this.sweepTimer) return;
+
+    this.releaseExpired();
+    this.sweepTimer = setInterval(() => this.releaseExpired(), this.sweepIntervalMs);
+    // Don't keep the process alive just for the sweep
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  getScheduleIds(flight) {
+    if (Array.isArray(flight.scheduleIds)) return flight.scheduleIds;
+    return flight.scheduleId ? [flight.scheduleId] : [];
+  }
+
+  // Hold seats for every schedule on the flight. Resolves to null for flights
+  // without local inventory; rejects with code SEATS_UNAVAILABLE when sold out.
+  async reserve({ userId, flight, passengers }) {
+    const scheduleIds = this.getScheduleIds(flight);
+    if (scheduleIds.length === 0) return null;
+
+    const hold = await seatHolds.create({
+      holdReference: uuidv4(),
+      userId: userId,
+      scheduleIds: scheduleIds,
+      seats: passengers,
+      ttlSeconds: this.ttlSeconds,
+    });
+
+    console.log(
+      `Held ${passengers} seat(s) on schedules ${scheduleIds.join(", ")} for ${userId}`
+    );
+
+    return {
+      reference: hold.holdReference,
+      scheduleIds: scheduleIds,
+      seats: passengers,
+      expiresAt: new Date(Date.now() + this.ttlSeconds * 1000).toISOString(),
+    };
+  }
+
+  // Called right before charging: keeps a live hold for the payment, or takes the
+  // seats again if it lapsed. False means the seats are gone and nothing should be charged.
+  // Payment links pass their own lifetime, so the seats stay held until the link expires.
+  async ensureActive(holdReference, ttlSeconds = this.ttlSeconds) {
+    if (await seatHolds.extend(holdReference, ttlSeconds)) {
+      return true;
+    }
+    return await seatHolds.reactivate(holdReference, ttlSeconds);
+  }
+
+  // Payment succeeded: the held seats are sold. A hold that lapsed while the
+  // customer paid is taken again if its seats are still free. False means the
+  // seats are gone, so the payment has to be given back.
+  // Confirming twice, as when a webhook and the chat both settle the payment, is fine.
+  async confirm(holdReference, bookingReference) {
+    if (
+      (await seatHolds.markSold(holdReference, bookingReference)) ||
+      (await seatHolds.isSold(holdReference, bookingReference))
+    ) {
+      return true;
+    }
+
+    const sold =
+      (await seatHolds.reactivate(holdReference, this.ttlSeconds)) &&
+      (await seatHolds.markSold(holdReference, bookingReference));
+    if (!sold) {
+      console.warn(`Seats for hold ${holdReference} were gone when booking ${bookingReference} was paid`);
+    }
+    return sold;
+  }
+
+  // confirm for payments settled outside the booking dialog, which only know the
+  // booking. Bookings without a hold have no inventory seats to sell.
+  async confirmBooking(bookingReference) {
+    const holdReference = await seatHolds.findReferenceForBooking(bookingReference);
+    return holdReference ? await this.confirm(holdReference, bookingReference) : true;
+  }
+
+  // Payment failed or the booking was abandoned. Sold holds are left untouched.
+  async release(holdReference) {
+    try {
+      return await seatHolds.release(holdReference);
+    } catch (error) {
+      // The expiry sweep will return the seats later
+      console.error(`Error releasing seat hold ${holdReference}:`, error.message);
+      return false;
+    }
+  }
+
+  async releaseExpired() {
+    try {
+      const released = await seatHolds.releaseExpired();
+      if (released > 0) {
+        console.log(`Released ${released} expired seat hold(s)`);
+      }
+      return released;
+    } catch (error) {
+      console.error("Error releasing expired seat holds:", error.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = new HoldService();
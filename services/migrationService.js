@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+const { connection } = require("./repositories");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "database", "migrations");
+const MIGRATION_FILE = /^(\d+)_(.+)\.js$/;
+
+// Numbered schema migrations in database/migrations, e.g. 002_add_refunds.js.
+// Each file exports `up` and `down`, either as a list of SQL statements or as
+// an async function of the connection. Applied versions are recorded in
+// schema_migrations. MySQL commits DDL as it goes, so a migration that fails
+// halfway has to be fixed by hand before it is run again.
+class MigrationService {
+  constructor(options = {}) {
+    this.connection = options.connection || connection;
+    this.directory = options.directory || MIGRATIONS_DIR;
+  }
+
+  loadMigrations() {
+    return fs
+      .readdirSync(this.directory)
+      .map((file) => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: parseInt(version),
+        name,
+        ...require(path.join(this.directory, file)),
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureTable() {
+    await this.connection.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INT PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+  }
+
+  async getApplied() {
+    await this.ensureTable();
+    return await this.connection.query(
+      "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+    );
+  }
+
+  // Every known migration with its applied date, plus applied versions this
+  // code does not know about (the database is newer than the code)
+  async status() {
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const migrations = this.loadMigrations();
+    const known = new Set(migrations.map((migration) => migration.version));
+
+    return {
+      migrations: migrations.map((migration) => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: appliedByVersion.has(migration.version)
+          ? appliedByVersion.get(migration.version).applied_at
+          : null,
+      })),
+      unknown: applied.filter((row) => !known.has(row.version)),
+    };
+  }
+
+  async migrate() {
+    const applied = new Set((await this.getApplied()).map((row) => row.version));
+    const pending = this.loadMigrations().filter(
+      (migration) => !applied.has(migration.version)
+    );
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${this.describe(migration)}`);
+      await this.runStep(migration.up);
+      await this.connection.query(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending;
+  }
+
+  // Reverts the most recently applied migrations, newest first
+  async rollback(steps = 1) {
+    const migrations = new Map(
+      this.loadMigrations().map((migration) => [migration.version, migration])
+    );
+    const toRevert = (await this.getApplied()).reverse().slice(0, steps);
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(
+          `Cannot roll back migration ${row.version}_${row.name}: its file is missing`
+        );
+      }
+
+      console.log(`Reverting migration ${this.describe(migration)}`);
+      await this.runStep(migration.down);
+      await this.connection.query(
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [migration.version]
+      );
+    }
+
+    return toRevert;
+  }
+
+  // Records migrations up to `version` as applied without running them, for
+  // databases whose schema was created before migrations existed
+  async baseline(version) {
+    await this.ensureTable();
+    const migrations = this.loadMigrations().filter(
+      (migration) => migration.version <= version
+    );
+
+    for (const migration of migrations) {
+      await this.connection.query(
+        "INSERT IGNORE INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name]
+      );
+    }
+
+    return migrations;
+  }
+
+  // Throws unless the database has exactly the migrations this code ships with
+  async assertUpToDate() {
+    const { migrations, unknown } = await this.status();
+    const pending = migrations.filter((migration) => !migration.appliedAt);
+
+    if (pending.length === 0 && unknown.length === 0) return;
+
+    const problems = [];
+    if (pending.length > 0) {
+      problems.push(`pending migrations: ${pending.map((m) => this.describe(m)).join(", ")}`);
+    }
+    if (unknown.length > 0) {
+      problems.push(
+        `migrations applied by a newer version: ${unknown.map((m) => this.describe(m)).join(", ")}`
+      );
+    }
+
+    const error = new Error(`Database schema is out of date (${problems.join("; ")})`);
+    error.code = "SCHEMA_OUTDATED";
+    throw error;
+  }
+
+  async runStep(step) {
+    if (typeof step === "function") {
+      await step(this.connection);
+      return;
+    }
+
+    for (const sql of step || []) {
+      await this.connection.run(sql);
+    }
+  }
+
+  describe(migration) {
+    return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+  }
+}
+
+module.exports = new MigrationService();
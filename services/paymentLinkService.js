@@ -0,0 +1,299 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { paymentLinks, bookings } = require("./repositories");
+const currencyService = require("./currencyService");
+const holdService = require("./holdService");
+const paymentService = require("./paymentService");
+const tokenizationService = require("./tokenizationService");
+
+// Pay-later links: the booking is kept pending with its seats held, and
+// whoever has the link pays for it on the checkout page at
+//   /pay/<link reference>?expires=<unix seconds>&signature=<hex HMAC-SHA256 of "<reference>.<expires>">
+// signed with PAYMENT_LINK_SECRET. Links that are not paid within
+// PAYMENT_LINK_HOURS expire, which cancels the booking and releases the seats.
+class PaymentLinkService {
+  constructor() {
+    this.secret = process.env.PAYMENT_LINK_SECRET;
+    this.ttlSeconds = parseInt(process.env.PAYMENT_LINK_HOURS || "24") * 60 * 60;
+    // How long past its expiry a link being paid is left for the payment to finish
+    this.payingGraceSeconds =
+      parseInt(process.env.PAYMENT_LINK_PAYING_GRACE_MINUTES || "10") * 60;
+    // How often expired links are looked for
+    this.sweepIntervalMs =
+      parseInt(process.env.PAYMENT_LINK_SWEEP_SECONDS || "60") * 1000;
+    this.baseUrl =
+      process.env.BOT_PUBLIC_URL ||
+      `http://localhost:${process.env.Port || process.env.PORT || 3978}`;
+    this.sweepTimer = null;
+    // Tells the customer about a link that expired: (booking, message) => Promise
+    this.notify = null;
+  }
+
+  // Links are only offered when they can be signed
+  isEnabled() {
+    return Boolean(this.secret);
+  }
+
+  // Start the expiry timer. notify is called with the booking and a message
+  // for the conversation it was made in.
+  start(notify = null) {
+    if (this.sweepTimer) return;
+
+    this.notify = notify;
+    this.expireDue();
+    this.sweepTimer = setInterval(() => this.expireDue(), this.sweepIntervalMs);
+    // Don't keep the process alive just for the sweep
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Creates a link for a pending booking and keeps its seat hold for as long
+  // as the link lives. Resolves to { reference, url, expiresAt }; rejects with
+  // code SEAT_HOLD_EXPIRED when the seats could not be kept.
+  async create({ bookingId, holdReference = null, amount, currency, exchangeRate = null }) {
+    if (!this.isEnabled()) {
+      throw this.error("PAYMENT_LINK_NOT_CONFIGURED", "PAYMENT_LINK_SECRET is not configured");
+    }
+
+    if (holdReference && !(await holdService.ensureActive(holdReference, this.ttlSeconds))) {
+      throw this.error("SEAT_HOLD_EXPIRED", "The seats are no longer available");
+    }
+
+    const reference = uuidv4();
+    await paymentLinks.create({
+      linkReference: reference,
+      bookingId: bookingId,
+      holdReference: holdReference,
+      amount: amount,
+      currency: currency,
+      exchangeRate: exchangeRate,
+      ttlSeconds: this.ttlSeconds,
+    });
+
+    const expires = Math.floor(Date.now() / 1000) + this.ttlSeconds;
+    return {
+      reference: reference,
+      url: `${this.baseUrl}/pay/${reference}?expires=${expires}&signature=${this.sign(reference, expires)}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+    };
+  }
+
+  sign(reference, expires) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${reference}.${expires}`)
+      .digest("hex");
+  }
+
+  // The link and its booking, for the checkout page. Rejects with code
+  // PAYMENT_LINK_INVALID for links we did not sign, and PAYMENT_LINK_EXPIRED
+  // once the link can no longer be paid. Paid links, and links being paid
+  // right now, still open, unless the booking was cancelled since.
+  async open(reference, { expires, signature } = {}) {
+    this.verifySignature(reference, expires, signature);
+
+    const link = await paymentLinks.findByReference(reference);
+    if (!link) {
+      throw this.error("PAYMENT_LINK_INVALID", "This payment link is not valid");
+    }
+
+    const booking = await bookings.findById(link.booking_id);
+    if (link.status === "paid") {
+      if (!booking || booking.status === "cancelled") {
+        throw this.error("PAYMENT_LINK_EXPIRED", "This booking has been cancelled");
+      }
+      return { link, booking };
+    }
+
+    if (
+      link.status === "expired" ||
+      new Date(link.expires_at) <= new Date() ||
+      !booking ||
+      booking.status !== "pending"
+    ) {
+      throw this.error("PAYMENT_LINK_EXPIRED", "This payment link has expired");
+    }
+
+    return { link, booking };
+  }
+
+  // Charges the card entered on the checkout page. Resolves to { result,
+  // link, booking, message, refund }: result as paymentService.processPayment
+  // resolves it, message what to tell the customer who sent the link, or
+  // null when the payment failed and the link can be tried again, and refund
+  // the refund of a payment that could not be kept, if there was one. Card
+  // details to correct fail with errorCode CARD_INVALID and the problem with
+  // each field in result.fields. Rejects like open, with PAYMENT_LINK_PAID
+  // once the link is paid, and PAYMENT_LINK_IN_PROGRESS while another
+  // payment on it has not finished.
+  async pay(reference, query, cardDetails) {
+    const { link, booking } = await this.open(reference, query);
+    if (link.status === "paid") {
+      throw this.error("PAYMENT_LINK_PAID", "This booking has already been paid");
+    }
+
+    let card;
+    try {
+      card = tokenizationService.tokenize(cardDetails);
+    } catch (error) {
+      if (error.code !== "CARD_INVALID") throw error;
+      const result = { success: false, error: error.message, errorCode: error.code, fields: error.fields };
+      return { result, link, booking, message: null };
+    }
+
+    // The page can be submitted twice, or by two people at once; only one
+    // of them gets to charge a card
+    if (!(await paymentLinks.markPaying(reference))) {
+      throw await this.notPayable(reference);
+    }
+
+    const amount = parseFloat(link.amount);
+    const result = await paymentService.processPayment({
+      bookingId: booking.id,
+      amount: currencyService.toMinorUnits({ amount, currency: link.currency }),
+      currency: link.currency,
+      exchangeRate: link.exchange_rate ? parseFloat(link.exchange_rate) : null,
+      paymentMethod: "credit_card",
+      cardToken: card.token,
+      orderNumber: booking.booking_reference,
+      description: `Flight booking ${booking.booking_reference} (payment link)`,
+    });
+
+    if (!result.success) {
+      await paymentLinks.markActive(reference);
+      return { result, link, booking, message: null, refund: null };
+    }
+
+    const { message, refund = null } = await this.settle(link, booking, result);
+    return {
+      result,
+      link: await paymentLinks.findByReference(reference),
+      booking: await bookings.findById(booking.id),
+      message,
+      refund,
+    };
+  }
+
+  // Why a link that opened could not be claimed for a payment
+  async notPayable(reference) {
+    const link = await paymentLinks.findByReference(reference);
+    if (link && link.status === "paid") {
+      return this.error("PAYMENT_LINK_PAID", "This booking has already been paid");
+    }
+    if (link && link.status === "paying") {
+      return this.error("PAYMENT_LINK_IN_PROGRESS", "A payment for this booking is already being made");
+    }
+    return this.error("PAYMENT_LINK_EXPIRED", "This payment link has expired");
+  }
+
+  // Resolves to { message, refund }, refund set when the payment was given back
+  async settle(link, booking, result) {
+    const charged = currencyService.format({ amount: result.amount, currency: result.currency });
+
+    // The charge took longer than the grace period and the link was expired
+    // from under it, so the booking has already been cancelled
+    if (!(await paymentLinks.markPaid(link.link_reference, result.transactionId))) {
+      return await this.refundPayment(result, booking, `after its payment link expired`);
+    }
+
+    // The hold ran out during the grace period and its seats were sold since
+    if (link.hold_reference && !(await holdService.confirm(link.hold_reference, booking.booking_reference))) {
+      await bookings.markPaymentFailed(booking.id);
+      return await this.refundPayment(
+        result,
+        booking,
+        "after its seat hold expired and the seats were no longer available"
+      );
+    }
+    await bookings.markPaid(booking.id, result.transactionId);
+
+    console.log(`Payment link ${link.link_reference} paid for booking ${booking.booking_reference}`);
+    return {
+      message: `✅ Booking ${booking.booking_reference} has been paid through its payment link (${charged}) and is confirmed.`,
+    };
+  }
+
+  // Gives back a payment for a booking that can't be confirmed; reason says
+  // when it arrived
+  async refundPayment(result, booking, reason) {
+    const charged = currencyService.format({ amount: result.amount, currency: result.currency });
+    const refund = await paymentService.refundPayment(result.transactionId, result.amount);
+
+    if (!refund.success) {
+      console.error(
+        `Could not refund payment ${result.transactionId} for booking ${booking.booking_reference}: ${refund.error}`
+      );
+      return {
+        message: `⚠️ We received a payment of ${charged} for booking ${booking.booking_reference} ${reason}. Please contact support to have it refunded.`,
+        refund,
+      };
+    }
+
+    return {
+      message: `💸 We received a payment of ${charged} for booking ${booking.booking_reference} ${reason}, so it has been refunded.`,
+      refund,
+    };
+  }
+
+  // Rejects with code PAYMENT_LINK_INVALID or PAYMENT_LINK_EXPIRED
+  verifySignature(reference, expires, signature) {
+    if (!this.isEnabled()) {
+      throw this.error("PAYMENT_LINK_NOT_CONFIGURED", "PAYMENT_LINK_SECRET is not configured");
+    }
+
+    const expiresAt = parseInt(expires);
+    if (!reference || !expiresAt || !/^[0-9a-f]+$/i.test(String(signature || ""))) {
+      throw this.error("PAYMENT_LINK_INVALID", "This payment link is not valid");
+    }
+
+    const expected = Buffer.from(this.sign(reference, expiresAt), "hex");
+    const received = Buffer.from(String(signature), "hex");
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw this.error("PAYMENT_LINK_INVALID", "This payment link is not valid");
+    }
+    if (expiresAt * 1000 <= Date.now()) {
+      throw this.error("PAYMENT_LINK_EXPIRED", "This payment link has expired");
+    }
+  }
+
+  // Cancels the bookings of links that expired unpaid and returns their seats
+  async expireDue() {
+    try {
+      const due = await paymentLinks.findDue(this.payingGraceSeconds);
+      for (const link of due) {
+        // Paid, or claimed for a payment, in the meantime
+        if (!(await paymentLinks.markExpired(link.link_reference, this.payingGraceSeconds))) continue;
+
+        if (link.hold_reference) {
+          await holdService.release(link.hold_reference);
+        }
+        const booking = await bookings.findById(link.booking_id);
+        const cancelled = await bookings.markPaymentFailed(link.booking_id);
+        console.log(`Payment link ${link.link_reference} expired unpaid`);
+
+        if (cancelled && this.notify && booking) {
+          await this.notify(
+            booking,
+            `⌛ The payment link for booking ${booking.booking_reference} expired before it was paid, so the booking has been cancelled and the seats released. You have not been charged.`
+          );
+        }
+      }
+      return due.length;
+    } catch (error) {
+      console.error("Error expiring payment links:", error.message);
+      return 0;
+    }
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new PaymentLinkService();
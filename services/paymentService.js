@@ -1,444 +1,624 @@
 const { v4: uuidv4 } = require("uuid");
-const databaseService = require("./databaseService");
+const { payments } = require("./repositories");
+const currencyService = require("./currencyService");
+const { createPaymentGateway, PaymentGatewayError, ASYNC_METHODS } = require("./gateways");
+const tokenizationService = require("./tokenizationService");
+
+const VPA_PATTERN = /^[a-z0-9.\-_]{2,256}@[a-z][a-z0-9]{1,64}$/i;
 
 class PaymentService {
-  constructor() {
-    this.supportedMethods = [
-      "credit_card",
-      "debit_card",
-      "paypal",
-      "bank_transfer",
-    ];
-    this.currencies = ["USD", "EUR", "INR", "GBP"];
+  constructor(gateway = createPaymentGateway()) {
+    // Square, or the deterministic mock; see services/gateways
+    this.gateway = gateway;
+
+    // Banks and wallets customers can pay with, by the code the gateway knows them by
+    this.banks = {
+      SBIN: "State Bank of India",
+      HDFC: "HDFC Bank",
+      ICIC: "ICICI Bank",
+      UTIB: "Axis Bank",
+      KKBK: "Kotak Mahindra Bank",
+    };
+    this.wallets = {
+      paytm: "Paytm",
+      phonepe: "PhonePe",
+      amazonpay: "Amazon Pay",
+      mobikwik: "MobiKwik",
+    };
+    // Currencies the payment gateway can charge in
+    this.currencies = ["USD", "EUR", "INR", "GBP", "JPY"];
   }
 
-  // Validate payment method
-  isValidPaymentMethod(method) {
-    if (!method) return false;
-    return this.supportedMethods.includes(method.toLowerCase());
+  supportsCurrency(currency) {
+    return this.currencies.includes(currency);
   }
 
-  // Validate credit card number (basic validation)
-  validateCreditCard(cardNumber) {
-    // Remove spaces and hyphens
-    const cleanNumber = cardNumber.replace(/[\s-]/g, "");
+  // Methods the customer can pay in this currency with the configured gateway
+  getAvailableMethods(currency) {
+    const gatewayMethods = this.gateway.getMethods(currency);
+    return [
+      ...(gatewayMethods.includes("card") ? ["credit_card", "debit_card"] : []),
+      ...ASYNC_METHODS.filter((method) => gatewayMethods.includes(method)),
+    ];
+  }
 
-    // Check if it's all digits and has valid length
-    if (!/^\d{13,19}$/.test(cleanNumber)) {
-      return false;
-    }
+  // UPI, net banking and wallets are paid outside the chat and confirmed later
+  isAsyncMethod(method) {
+    return ASYNC_METHODS.includes(method);
+  }
 
-    // Luhn algorithm for basic validation
-    return this.luhnCheck(cleanNumber);
+  // UPI virtual payment addresses look like name@bank
+  isValidVpa(vpa) {
+    return VPA_PATTERN.test(String(vpa || "").trim());
   }
 
-  // Luhn algorithm implementation
-  luhnCheck(cardNumber) {
-    let sum = 0;
-    let isEven = false;
+  // Charges a booking: redeems the card token, records a pending payment,
+  // then authorizes and captures through the gateway. Declines and gateway
+  // errors resolve to { success: false, error, errorCode } and are recorded as
+  // failed payments.
+  //
+  // When the card issuer wants the customer verified first (3-D Secure) and
+  // paymentData.allowChallenge is set, resolves to { success: false,
+  // actionRequired: true, transactionId, action } and the payment stays pending
+  // until completeChallenge, checkChallenge or cancelChallenge. Without
+  // allowChallenge such payments are declined.
+  async processPayment(paymentData) {
+    let transactionId = null;
+
+    try {
+      const { amountMoney, amountInMainUnit } = this.validateCharge(paymentData);
+      const card = tokenizationService.redeem(paymentData.cardToken);
+
+      transactionId = uuidv4();
+      await payments.create({
+        bookingId: paymentData.bookingId,
+        transactionId: transactionId,
+        amount: amountInMainUnit, // Exact amount charged, in main currency unit (dollars/rupees)
+        currency: amountMoney.currency, // Currency the amount was charged in
+        exchangeRate: paymentData.exchangeRate || null, // Fare currency → charged currency, when converted
+        paymentMethod: paymentData.paymentMethod || "credit_card",
+        cardBrand: card.brand,
+        cardLast4: card.last4,
+        paymentStatus: "pending",
+        paymentGateway: this.gateway.name,
+      });
 
-    for (let i = cardNumber.length - 1; i >= 0; i--) {
-      let digit = parseInt(cardNumber.charAt(i));
+      const authorization = await this.gateway.authorize({
+        sourceId: card.sourceId,
+        idempotencyKey: paymentData.idempotencyKey || transactionId,
+        amountMoney: amountMoney,
+        referenceId: paymentData.orderNumber || paymentData.bookingId,
+        note: paymentData.description || null,
+        buyerEmail: paymentData.customerEmail || null,
+      });
+
+      const charge = {
+        transactionId: transactionId,
+        bookingId: paymentData.bookingId,
+        amount: amountInMainUnit,
+        currency: amountMoney.currency,
+        card: { brand: card.brand, last4: card.last4 },
+      };
 
-      if (isEven) {
-        digit *= 2;
-        if (digit > 9) {
-          digit -= 9;
+      if (authorization.status === "action_required") {
+        if (!paymentData.allowChallenge) {
+          await this.voidQuietly(authorization.id);
+          return await this.recordFailure(transactionId, {
+            id: authorization.id,
+            errorCode: "CARD_DECLINED_VERIFICATION_REQUIRED",
+            errorMessage: "The card issuer requires 3-D Secure verification.",
+          });
         }
+        return await this.awaitChallenge(charge, authorization);
       }
 
-      sum += digit;
-      isEven = !isEven;
+      return await this.completeAuthorization(charge, authorization);
+    } catch (error) {
+      return await this.recordGatewayError(transactionId, error, paymentData);
     }
-
-    return sum % 10 === 0;
   }
 
-  // Validate expiry date
-  validateExpiryDate(expiryDate) {
-    const regex = /^(0[1-9]|1[0-2])\/([0-9]{2})$/;
-    if (!regex.test(expiryDate)) {
-      return false;
-    }
-
-    const [month, year] = expiryDate.split("/");
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear() % 100;
-    const currentMonth = currentDate.getMonth() + 1;
+  // Answers a pending challenge with the code the customer entered. Resolves
+  // like processPayment; a wrong code with attempts left stays actionRequired.
+  async completeChallenge(transactionId, otp) {
+    const challenge = await this.loadPendingPayment(transactionId);
+    if (!challenge) return this.notPending();
 
-    const expYear = parseInt(year);
-    const expMonth = parseInt(month);
+    try {
+      const { charge, gatewayPaymentId } = challenge;
+      const payment = await this.gateway.completeAction(gatewayPaymentId, { otp });
 
-    if (
-      expYear < currentYear ||
-      (expYear === currentYear && expMonth < currentMonth)
-    ) {
-      return false;
+      return payment.status === "action_required"
+        ? await this.awaitChallenge(charge, payment)
+        : await this.completeAuthorization(charge, payment);
+    } catch (error) {
+      return await this.recordGatewayError(transactionId, error);
     }
-
-    return true;
   }
 
-  // Validate CVV
-  validateCVV(cvv) {
-    return /^\d{3,4}$/.test(cvv);
-  }
+  // For challenges answered on the issuer's page: charges the payment if it
+  // was verified there, or resolves actionRequired while it is still waiting.
+  async checkChallenge(transactionId) {
+    const challenge = await this.loadPendingPayment(transactionId);
+    if (!challenge) return this.notPending();
 
-  // Process payment (mock implementation)
-  async processPayment(paymentData) {
     try {
-      console.log("Processing payment with data:", paymentData);
-      
-      // Enhanced validation
-      if (!paymentData) {
-        throw new Error("Payment data is required");
-      }
+      const { charge, gatewayPaymentId } = challenge;
+      const payment = await this.gateway.getStatus(gatewayPaymentId);
 
-      if (!paymentData.bookingId) {
-        throw new Error("Booking ID is required");
-      }
-
-      // Handle both amount formats (direct amount or amountMoney object)
-      let amountInSmallestUnit;
-      let currency;
-
-      if (paymentData.amountMoney) {
-        // If amountMoney object is provided, use it
-        amountInSmallestUnit = paymentData.amountMoney.amount;
-        currency = paymentData.amountMoney.currency;
-      } else {
-        // Use direct amount and currency fields
-        amountInSmallestUnit = paymentData.amount;
-        currency = paymentData.currency || 'USD';
-      }
-
-      // Validate amount
-      if (!amountInSmallestUnit || amountInSmallestUnit <= 0) {
-        throw new Error("Invalid payment amount");
-      }
-
-      // Validate currency
-      const supportedCurrencies = ['USD', 'INR', 'EUR', 'GBP', 'JPY'];
-      if (!supportedCurrencies.includes(currency)) {
-        throw new Error(`Unsupported currency: ${currency}`);
-      }
-
-      // Convert amount back to main currency unit for database storage
-      let amountInMainUnit;
-      if (currency === 'JPY' || currency === 'KRW') {
-        // Yen and Won don't have fractional units
-        amountInMainUnit = amountInSmallestUnit;
-      } else {
-        // Most currencies use cents/paise (1/100 of main unit)
-        amountInMainUnit = amountInSmallestUnit / 100;
-      }
-
-      // Validate card information
-      if (!paymentData.cardNumber || !paymentData.expiryDate || !paymentData.cvv) {
-        throw new Error("Card information is incomplete");
-      }
-
-      // Validate card number format (basic validation)
-      const cardNumber = paymentData.cardNumber.replace(/\s/g, '');
-      if (!/^\d{13,19}$/.test(cardNumber)) {
-        throw new Error("Invalid card number format");
-      }
-
-      // Validate expiry date format (MM/YY)
-      if (!/^\d{2}\/\d{2}$/.test(paymentData.expiryDate)) {
-        throw new Error("Invalid expiry date format");
-      }
+      return payment.status === "action_required"
+        ? await this.awaitChallenge(charge, payment)
+        : await this.completeAuthorization(charge, payment);
+    } catch (error) {
+      return await this.recordGatewayError(transactionId, error);
+    }
+  }
 
-      // Validate CVV
-      if (!/^\d{3,4}$/.test(paymentData.cvv)) {
-        throw new Error("Invalid CVV format");
-      }
+  // The customer gave up on the challenge or ran out of time
+  async cancelChallenge(
+    transactionId,
+    { errorCode = "AUTHENTICATION_CANCELLED", errorMessage = "The card verification was cancelled." } = {}
+  ) {
+    return await this.cancelPayment(transactionId, { errorCode, errorMessage });
+  }
 
-      // Mock payment gateway processing (90% success rate)
-      const isSuccessful = Math.random() > 0.1;
-      const transactionId = uuidv4();
+  // Starts a UPI, net banking or wallet payment. Resolves to { success: false,
+  // pending: true, transactionId, action } while the customer pays outside the
+  // chat, where action says how (see services/gateways/paymentGateway.js), or
+  // to a failure like processPayment. The payment is settled by a webhook or
+  // by checkPayment.
+  async startPayment(paymentData) {
+    let transactionId = null;
 
-      console.log("Payment processing result:", {
-        isSuccessful,
-        transactionId,
-        amount: amountInMainUnit,
-        currency,
-        bookingId: paymentData.bookingId
-      });
+    try {
+      const { amountMoney, amountInMainUnit } = this.validateCharge(paymentData);
+      const method = paymentData.paymentMethod;
 
-      // Prepare the data for the database
-      const paymentRecordData = {
+      transactionId = uuidv4();
+      await payments.create({
         bookingId: paymentData.bookingId,
         transactionId: transactionId,
-        amount: amountInMainUnit, // Amount in main currency unit (dollars/rupees)
-        currency: currency, // Store the currency
-        paymentMethod: paymentData.paymentMethod || "credit_card",
-        paymentStatus: isSuccessful ? "completed" : "failed",
-        paymentGateway: "mock_gateway",
-        gatewayTransactionId: isSuccessful ? `gw_${transactionId}` : null,
-        customerEmail: paymentData.customerEmail,
-        customerName: paymentData.customerName,
-        cardLast4: cardNumber.slice(-4), // Store only last 4 digits
-        createdAt: new Date(),
-      };
+        amount: amountInMainUnit,
+        currency: amountMoney.currency,
+        exchangeRate: paymentData.exchangeRate || null,
+        paymentMethod: method,
+        paymentProvider: paymentData.bank || paymentData.wallet || null,
+        paymentStatus: "pending",
+        paymentGateway: this.gateway.name,
+      });
 
-      // Store payment record in database
-      await databaseService.createPaymentRecord(paymentRecordData);
+      const payment = await this.gateway.initiate({
+        method: method,
+        idempotencyKey: paymentData.idempotencyKey || transactionId,
+        amountMoney: amountMoney,
+        referenceId: paymentData.orderNumber || paymentData.bookingId,
+        note: paymentData.description || null,
+        vpa: paymentData.vpa || null,
+        bank: paymentData.bank || null,
+        wallet: paymentData.wallet || null,
+      });
 
-      if (isSuccessful) {
-        return {
-          success: true,
+      return await this.settleAsyncPayment(
+        {
           transactionId: transactionId,
-          paymentId: transactionId, // Some systems expect paymentId
-          message: "Payment processed successfully",
+          bookingId: paymentData.bookingId,
           amount: amountInMainUnit,
-          currency: currency,
-          gatewayTransactionId: `gw_${transactionId}`
-        };
-      } else {
-        return {
-          success: false,
-          error: "Payment processing failed. Please try again.",
-          message: "Payment processing failed. Please try again.",
-          transactionId: null,
-          paymentId: null
-        };
-      }
+          currency: amountMoney.currency,
+          card: null,
+        },
+        payment
+      );
     } catch (error) {
-      console.error("Payment processing error:", error);
-      
-      // Try to save failed payment record
-      try {
-        if (paymentData?.bookingId) {
-          const failedPaymentData = {
-            bookingId: paymentData.bookingId,
-            transactionId: uuidv4(),
-            amount: 0,
-            currency: paymentData.currency || paymentData.amountMoney?.currency || 'USD',
-            paymentMethod: paymentData.paymentMethod || "credit_card",
-            paymentStatus: "failed",
-            paymentGateway: "mock_gateway",
-            gatewayTransactionId: null,
-            errorMessage: error.message,
-            createdAt: new Date(),
-          };
-          await databaseService.createPaymentRecord(failedPaymentData);
-        }
-      } catch (dbError) {
-        console.error("Failed to save failed payment record:", dbError);
-      }
+      return await this.recordGatewayError(transactionId, error, paymentData);
+    }
+  }
 
+  // Where a started payment has got to. Resolves like startPayment; payments a
+  // webhook has already settled resolve to what it recorded.
+  async checkPayment(transactionId) {
+    const record = await payments.findByTransactionId(transactionId);
+    if (record && record.payment_status === "completed") {
+      return this.toSuccess(this.toCharge(record), record.gateway_transaction_id);
+    }
+
+    const pending = await this.loadPendingPayment(transactionId);
+    if (!pending) {
+      return record && ["failed", "expired"].includes(record.payment_status)
+        ? this.toFailure(
+            record.payment_status === "expired" ? "PAYMENT_EXPIRED" : null,
+            record.failure_reason
+          )
+        : this.notPending();
+    }
+
+    try {
+      const payment = await this.gateway.getStatus(pending.gatewayPaymentId);
+      return await this.settleAsyncPayment(pending.charge, payment);
+    } catch (error) {
+      // The payment may still go through; ask again later rather than failing it
+      console.error(`Could not check payment ${transactionId}:`, error.message);
       return {
         success: false,
-        error: error.message || "An error occurred while processing payment",
-        message: error.message || "An error occurred while processing payment",
-        transactionId: null,
-        paymentId: null
+        pending: true,
+        transactionId: transactionId,
+        action: null,
+        amount: pending.charge.amount,
+        currency: pending.charge.currency,
       };
     }
   }
 
-  // Helper method to validate card number using Luhn algorithm
-  validateCardNumber(cardNumber) {
-    const cleanNumber = cardNumber.replace(/\D/g, '');
-    
-    if (cleanNumber.length < 13 || cleanNumber.length > 19) {
-      return false;
-    }
+  // Voids a payment still waiting on the customer and records why; status
+  // "expired" records that they ran out of time
+  async cancelPayment(
+    transactionId,
+    { status = "failed", errorCode = "PAYMENT_CANCELLED", errorMessage = "The payment was cancelled." } = {}
+  ) {
+    const pending = await this.loadPendingPayment(transactionId);
+    if (!pending) return this.notPending();
 
-    // Luhn algorithm
-    let sum = 0;
-    let isEven = false;
-    
-    for (let i = cleanNumber.length - 1; i >= 0; i--) {
-      let digit = parseInt(cleanNumber[i]);
-      
-      if (isEven) {
-        digit *= 2;
-        if (digit > 9) {
-          digit -= 9;
-        }
+    try {
+      await this.gateway.void(pending.gatewayPaymentId);
+    } catch (error) {
+      console.error(`Could not void payment ${pending.gatewayPaymentId}:`, error.message);
+      // The customer may have paid just before giving up
+      const payment = await this.findGatewayPayment(pending.gatewayPaymentId);
+      if (payment && payment.status === "captured") {
+        return await this.recordCapture(pending.charge, payment);
       }
-      
-      sum += digit;
-      isEven = !isEven;
     }
-    
-    return sum % 10 === 0;
+    return await this.recordFailure(transactionId, { status, errorCode, errorMessage });
   }
 
-  // Helper method to get card type
-  getCardType(cardNumber) {
-    const cleanNumber = cardNumber.replace(/\D/g, '');
-    
-    if (/^4/.test(cleanNumber)) return 'visa';
-    if (/^5[1-5]/.test(cleanNumber)) return 'mastercard';
-    if (/^3[47]/.test(cleanNumber)) return 'amex';
-    if (/^6/.test(cleanNumber)) return 'discover';
-    
-    return 'unknown';
-  }
+  async settleAsyncPayment(charge, payment) {
+    if (payment.status === "captured") {
+      return await this.recordCapture(charge, payment);
+    }
+    if (payment.status !== "pending") {
+      return await this.recordFailure(charge.transactionId, payment);
+    }
+
+    await payments.updateStatus(charge.transactionId, "pending", {
+      gatewayTransactionId: payment.id,
+    });
 
-  // Helper method to format currency amount for display
-  formatCurrencyAmount(amount, currency) {
-    const symbols = {
-      'USD': '$',
-      'INR': '₹',
-      'EUR': '€',
-      'GBP': '£',
-      'JPY': '¥'
+    return {
+      success: false,
+      pending: true,
+      transactionId: charge.transactionId,
+      action: payment.action,
+      amount: charge.amount,
+      currency: charge.currency,
     };
-    
-    const symbol = symbols[currency] || currency + ' ';
-    
-    if (currency === 'JPY' || currency === 'KRW') {
-      return `${symbol}${Math.round(amount)}`;
-    } else {
-      return `${symbol}${amount.toFixed(2)}`;
+  }
+
+  // The charge behind a payment waiting on the customer, or null once it has been settled
+  async loadPendingPayment(transactionId) {
+    const payment = await payments.findByTransactionId(transactionId);
+    if (!payment || payment.payment_status !== "pending" || !payment.gateway_transaction_id) {
+      return null;
     }
+
+    return {
+      gatewayPaymentId: payment.gateway_transaction_id,
+      charge: this.toCharge(payment),
+    };
   }
 
-  // Validate payment data
-  validatePaymentData(paymentData) {
-    const errors = [];
+  toCharge(payment) {
+    return {
+      transactionId: payment.transaction_id,
+      bookingId: payment.booking_id,
+      amount: parseFloat(payment.amount),
+      currency: payment.currency,
+      card: payment.card_brand ? { brand: payment.card_brand, last4: payment.card_last4 } : null,
+    };
+  }
 
-    // Check required fields
-    if (!paymentData.amount || paymentData.amount <= 0) {
-      errors.push("Invalid payment amount");
+  notPending() {
+    return this.toFailure("PAYMENT_NOT_PENDING", "This payment is no longer waiting for you.");
+  }
+
+  // The payment waits on the customer; errorCode and error are set after a wrong code
+  async awaitChallenge(charge, payment) {
+    await payments.updateStatus(charge.transactionId, "pending", {
+      gatewayTransactionId: payment.id,
+    });
+
+    return {
+      success: false,
+      actionRequired: true,
+      transactionId: charge.transactionId,
+      action: payment.action,
+      amount: charge.amount,
+      currency: charge.currency,
+      card: charge.card,
+      errorCode: payment.errorCode || null,
+      error: payment.errorMessage || null,
+    };
+  }
+
+  // Captures an authorized payment, or records why it was not authorized
+  async completeAuthorization(charge, authorization) {
+    if (authorization.status !== "authorized") {
+      return await this.recordFailure(charge.transactionId, authorization);
+    }
+
+    let captured;
+    try {
+      captured = await this.gateway.capture(authorization.id);
+    } catch (error) {
+      await this.voidQuietly(authorization.id);
+      throw error;
     }
 
-    if (!paymentData.paymentMethod) {
-      errors.push("Payment method is required");
+    return await this.recordCapture(charge, captured);
+  }
+
+  async recordCapture(charge, captured) {
+    // The money has been taken; a failed update must not report the charge as failed
+    try {
+      await payments.updateStatus(charge.transactionId, "completed", {
+        gatewayTransactionId: captured.id,
+      });
+    } catch (error) {
+      console.error(`Payment ${charge.transactionId} captured but not recorded:`, error.message);
     }
 
-    if (!this.isValidPaymentMethod(paymentData.paymentMethod)) {
-      errors.push("Unsupported payment method");
+    console.log(
+      `Payment ${charge.transactionId} captured by ${this.gateway.name}: ${currencyService.format({
+        amount: charge.amount,
+        currency: charge.currency,
+      })} (booking ${charge.bookingId})`
+    );
+
+    return this.toSuccess(charge, captured.id);
+  }
+
+  toSuccess(charge, gatewayTransactionId) {
+    return {
+      success: true,
+      transactionId: charge.transactionId,
+      paymentId: charge.transactionId, // Some systems expect paymentId
+      message: "Payment processed successfully",
+      amount: charge.amount,
+      currency: charge.currency,
+      gatewayTransactionId: gatewayTransactionId,
+      card: charge.card,
+    };
+  }
+
+  async recordGatewayError(transactionId, error, paymentData = null) {
+    console.error("Payment processing error:", error.message);
+    // Validation messages are meant for the customer; gateway internals are not
+    const errorMessage = !(error instanceof PaymentGatewayError)
+      ? error.message
+      : error.code === "GATEWAY_TIMEOUT"
+        ? "The payment service did not respond in time. Your card has not been charged."
+        : "The payment service is not available right now. Please try again later.";
+    return await this.recordFailure(
+      transactionId,
+      { errorCode: error.code, errorMessage, failureReason: error.message },
+      paymentData
+    );
+  }
+
+  // Amount checks before anything is sent to the gateway
+  validateCharge(paymentData) {
+    if (!paymentData) {
+      throw new Error("Payment data is required");
     }
 
     if (!paymentData.bookingId) {
-      errors.push("Booking ID is required");
+      throw new Error("Booking ID is required");
     }
 
-    // Validate card details for card payments
-    if (["credit_card", "debit_card"].includes(paymentData.paymentMethod)) {
-      if (
-        !paymentData.cardNumber ||
-        !this.validateCreditCard(paymentData.cardNumber)
-      ) {
-        errors.push("Invalid card number");
-      }
-
-      if (
-        !paymentData.expiryDate ||
-        !this.validateExpiryDate(paymentData.expiryDate)
-      ) {
-        errors.push("Invalid expiry date");
-      }
+    const amount = paymentData.amount;
+    const currency = paymentData.currency || "USD";
 
-      if (!paymentData.cvv || !this.validateCVV(paymentData.cvv)) {
-        errors.push("Invalid CVV");
-      }
+    if (!amount || amount <= 0) {
+      throw new Error("Invalid payment amount");
+    }
 
-      if (
-        !paymentData.cardHolderName ||
-        paymentData.cardHolderName.trim().length < 2
-      ) {
-        errors.push("Invalid cardholder name");
-      }
+    if (!this.supportsCurrency(currency)) {
+      throw new Error(`Unsupported currency: ${currency}`);
     }
 
-    // Validate PayPal email
-    if (paymentData.paymentMethod === "paypal") {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!paymentData.email || !emailRegex.test(paymentData.email)) {
-        errors.push("Invalid PayPal email address");
-      }
+    const method = paymentData.paymentMethod;
+    if (!this.isAsyncMethod(method) && !paymentData.cardToken) {
+      throw new Error("Card details are required");
+    }
+    if (method === "upi" && paymentData.vpa && !this.isValidVpa(paymentData.vpa)) {
+      throw new Error("Please enter a valid UPI ID, like name@bank");
+    }
+    if (method === "netbanking" && !this.banks[paymentData.bank]) {
+      throw new Error("Please choose your bank");
+    }
+    if (method === "wallet" && !this.wallets[paymentData.wallet]) {
+      throw new Error("Please choose your wallet");
     }
 
     return {
-      isValid: errors.length === 0,
-      errors: errors,
+      amountMoney: { amount: amount, currency: currency },
+      amountInMainUnit: currencyService.fromMinorUnits(amount, currency),
     };
   }
 
-  // Calculate processing fee
-  calculateProcessingFee(amount, paymentMethod) {
-    const feeRates = {
-      credit_card: 0.029, // 2.9%
-      debit_card: 0.019, // 1.9%
-      paypal: 0.034, // 3.4%
-      bank_transfer: 0.005, // 0.5%
-    };
+  // Marks the pending payment failed (or expired, when the customer never
+  // paid), or records a failed attempt when the charge was rejected before a
+  // payment was recorded. errorMessage is shown to the customer;
+  // failureReason is what gets stored.
+  async recordFailure(
+    transactionId,
+    { id: gatewayTransactionId = null, status = null, errorCode = null, errorMessage = null, failureReason = errorMessage },
+    paymentData = null
+  ) {
+    const message = errorMessage || "Payment processing failed. Please try again.";
 
-    const rate = feeRates[paymentMethod] || 0.029;
-    return Math.round(amount * rate * 100) / 100; // Round to 2 decimal places
-  }
+    try {
+      if (transactionId) {
+        await payments.updateStatus(transactionId, status === "expired" ? "expired" : "failed", {
+          gatewayTransactionId: gatewayTransactionId,
+          failureReason: failureReason || message,
+        });
+      } else if (paymentData && paymentData.bookingId) {
+        await payments.create({
+          bookingId: paymentData.bookingId,
+          transactionId: uuidv4(),
+          amount: 0,
+          currency: paymentData.currency || "USD",
+          paymentMethod: paymentData.paymentMethod || "credit_card",
+          paymentStatus: "failed",
+          paymentGateway: this.gateway.name,
+          failureReason: failureReason || message,
+        });
+      }
+    } catch (dbError) {
+      console.error("Failed to save failed payment record:", dbError.message);
+    }
 
-  // Get payment methods with fees
-  getPaymentMethods(amount) {
-    return this.supportedMethods.map((method) => ({
-      method: method,
-      displayName: this.getPaymentMethodDisplayName(method),
-      processingFee: this.calculateProcessingFee(amount, method),
-    }));
+    return this.toFailure(errorCode, message);
   }
 
-  // Get display name for payment method
-  getPaymentMethodDisplayName(method) {
-    const displayNames = {
-      credit_card: "Credit Card",
-      debit_card: "Debit Card",
-      paypal: "PayPal",
-      bank_transfer: "Bank Transfer",
+  toFailure(errorCode, errorMessage) {
+    const message = errorMessage || "Payment processing failed. Please try again.";
+    return {
+      success: false,
+      error: message,
+      errorCode: errorCode,
+      message: message,
+      transactionId: null,
+      paymentId: null,
     };
-    return displayNames[method] || method;
   }
 
-  // Simulate processing delay
-  async simulateProcessingDelay() {
-    const delay = Math.random() * 2000 + 1000; // 1-3 seconds
-    return new Promise((resolve) => setTimeout(resolve, delay));
+  async findGatewayPayment(gatewayPaymentId) {
+    try {
+      return await this.gateway.getStatus(gatewayPaymentId);
+    } catch (error) {
+      console.error(`Could not look up payment ${gatewayPaymentId}:`, error.message);
+      return null;
+    }
+  }
+
+  async voidQuietly(gatewayPaymentId) {
+    try {
+      await this.gateway.void(gatewayPaymentId);
+    } catch (error) {
+      console.error(`Could not void payment ${gatewayPaymentId}:`, error.message);
+    }
+  }
+
+  // Refunds an amount in the booking's currency from its completed payments,
+  // newest first, so a booking paid in more than one charge (such as a flight
+  // change's fare difference) is refunded across them. Resolves like
+  // refundPayment, with the id of every refund made in refundIds.
+  async refundBooking(bookingId, amount, currency) {
+    const toMinor = (value) => currencyService.toMinorUnits({ amount: parseFloat(value), currency });
+    const captured = (await payments.listForBooking(bookingId))
+      .filter((payment) => payment.payment_status === "completed" && payment.currency === currency)
+      .map((payment) => ({
+        transactionId: payment.transaction_id,
+        refundable: toMinor(payment.amount) - toMinor(payment.refunded_amount),
+      }))
+      .filter((payment) => payment.refundable > 0);
+
+    let remaining = toMinor(amount);
+    const refundable = captured.reduce((total, payment) => total + payment.refundable, 0);
+    if (remaining > refundable) {
+      return {
+        success: false,
+        error: "The refund is more than what is left of the payments for this booking. Please contact support.",
+        errorCode: "REFUND_AMOUNT_INVALID",
+        refundIds: [],
+      };
+    }
+
+    const refundIds = [];
+    for (const payment of captured) {
+      if (remaining <= 0) break;
+
+      const portion = Math.min(remaining, payment.refundable);
+      const refund = await this.refundPayment(
+        payment.transactionId,
+        currencyService.fromMinorUnits(portion, currency)
+      );
+      if (!refund.success) {
+        // Parts already refunded stay refunded; support settles the rest
+        return { ...refund, refundIds };
+      }
+
+      refundIds.push(refund.refundId);
+      remaining -= portion;
+    }
+
+    return {
+      success: true,
+      refundIds: refundIds,
+      amount: amount,
+      message: "Refund processed successfully",
+    };
   }
 
-  // Refund payment (mock implementation)
+  // Refunds part or all of a captured payment, in the currency it was charged in.
+  // amount is in main currency units.
   async refundPayment(transactionId, amount) {
     try {
-      // Simulate refund processing
-      await this.simulateProcessingDelay();
+      const payment = await payments.findByTransactionId(transactionId);
+      if (!payment || !payment.gateway_transaction_id) {
+        throw new Error(`No captured payment found for transaction ${transactionId}`);
+      }
 
-      // Mock refund success (95% success rate)
-      const isSuccessful = Math.random() > 0.05;
-      const refundId = uuidv4();
+      const refund = await this.gateway.refund(payment.gateway_transaction_id, {
+        amountMoney: {
+          amount: currencyService.toMinorUnits({ amount, currency: payment.currency }),
+          currency: payment.currency,
+        },
+        idempotencyKey: uuidv4(),
+      });
 
-      if (isSuccessful) {
-        return {
-          success: true,
-          refundId: refundId,
-          amount: amount,
-          message: "Refund processed successfully",
-        };
-      } else {
+      if (refund.status === "failed") {
         return {
           success: false,
           error: "Refund processing failed. Please contact support.",
+          errorCode: refund.errorCode,
           refundId: null,
         };
       }
+
+      await payments.addRefund(transactionId, amount, refund.id);
+
+      return {
+        success: true,
+        refundId: refund.id,
+        amount: amount,
+        status: refund.status,
+        message: "Refund processed successfully",
+      };
     } catch (error) {
-      console.error("Refund processing error:", error);
+      console.error("Refund processing error:", error.message);
       return {
         success: false,
         error: "An error occurred while processing refund",
+        errorCode: error.code || null,
         refundId: null,
       };
     }
   }
 
-  // Get payment status
-  async getPaymentStatus(paymentId) {
+  // The payment as the gateway sees it, for a transaction we recorded
+  async getGatewayPayment(transactionId) {
+    const payment = await payments.findByTransactionId(transactionId);
+    if (!payment || !payment.gateway_transaction_id) return null;
+
+    return await this.gateway.getStatus(payment.gateway_transaction_id);
+  }
+
+  // Status of the latest payment attempt for a booking
+  async getPaymentStatus(bookingId) {
     try {
-      const payment = await databaseService.getPaymentByBookingId(paymentId);
-      return payment ? payment.status : null;
+      const payment = await payments.findLatestForBooking(bookingId);
+      return payment ? payment.payment_status : null;
     } catch (error) {
       console.error("Error getting payment status:", error);
       return null;
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const { payments, bookings, webhookEvents } = require("./repositories");
+const currencyService = require("./currencyService");
+const holdService = require("./holdService");
+const paymentService = require("./paymentService");
+
+// Events from the payment gateway, posted to /api/payments/webhook as
+//   { id, type, data: { payment_id | transaction_id, amount_money, reason } }
+// payment_id is the gateway's id for the payment, transaction_id ours. Each
+// request is signed in the X-Payment-Signature header as
+//   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with PAYMENT_WEBHOOK_SECRET>
+class PaymentWebhookService {
+  constructor() {
+    this.secret = process.env.PAYMENT_WEBHOOK_SECRET;
+    // Older signatures are rejected, so a captured request can't be replayed later
+    this.toleranceSeconds = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || "300");
+
+    this.handlers = {
+      "payment.completed": this.onPaymentCompleted.bind(this),
+      "payment.failed": this.onPaymentFailed.bind(this),
+      "payment.expired": this.onPaymentExpired.bind(this),
+      "refund.completed": this.onRefundCompleted.bind(this),
+      "dispute.created": this.onDisputeCreated.bind(this),
+    };
+  }
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac("sha256", this.secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Rejects with code WEBHOOK_SIGNATURE_INVALID, or WEBHOOK_NOT_CONFIGURED
+  // when there is no secret to check against
+  verifySignature(rawBody, header) {
+    if (!this.secret) {
+      throw this.error("WEBHOOK_NOT_CONFIGURED", "PAYMENT_WEBHOOK_SECRET is not configured");
+    }
+
+    const parts = {};
+    for (const part of String(header || "").split(",")) {
+      const [key, value] = part.trim().split("=");
+      if (key && value) parts[key] = value;
+    }
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw this.error("WEBHOOK_SIGNATURE_INVALID", "Missing or malformed signature");
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSeconds) {
+      throw this.error("WEBHOOK_SIGNATURE_INVALID", "Signature timestamp is too old");
+    }
+
+    const expected = Buffer.from(this.sign(rawBody || "", timestamp).split("v1=")[1], "hex");
+    const received = Buffer.from(parts.v1, "hex");
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw this.error("WEBHOOK_SIGNATURE_INVALID", "Signature does not match");
+    }
+  }
+
+  // Applies a verified event once. Resolves to { status, booking, message,
+  // transactionId }: status is "processed", "duplicate" or "ignored", message
+  // is what to tell the customer, or null when nothing changed for them, and
+  // transactionId is the payment's. Events that fail are forgotten again, so
+  // the gateway's redelivery is handled.
+  async handle(event) {
+    if (!event || typeof event.id !== "string" || typeof event.type !== "string") {
+      throw this.error("WEBHOOK_EVENT_INVALID", "Events need a string id and type");
+    }
+
+    const handler = this.handlers[event.type];
+    if (!handler) {
+      return { status: "ignored", booking: null, message: null, transactionId: null };
+    }
+
+    if (!(await webhookEvents.record(event.id, event.type))) {
+      return { status: "duplicate", booking: null, message: null, transactionId: null };
+    }
+
+    try {
+      const data = event.data || {};
+      const payment = await this.findPayment(data);
+      if (!payment) {
+        console.warn(`Payment webhook ${event.id} (${event.type}) names an unknown payment`);
+        return { status: "ignored", booking: null, message: null, transactionId: null };
+      }
+
+      const booking = await bookings.findById(payment.booking_id);
+      const message = await handler(payment, booking, data);
+      console.log(
+        `Payment webhook ${event.id}: ${event.type} for payment ${payment.transaction_id}`
+      );
+
+      return {
+        status: "processed",
+        booking: await bookings.findById(payment.booking_id),
+        message: message,
+        transactionId: payment.transaction_id,
+      };
+    } catch (error) {
+      await webhookEvents.forget(event.id);
+      throw error;
+    }
+  }
+
+  // Payments that never got an answer from the gateway have no gateway id yet
+  async findPayment(data) {
+    const payment = data.payment_id
+      ? await payments.findByGatewayTransactionId(data.payment_id)
+      : null;
+    if (payment || !data.transaction_id) return payment;
+
+    return await payments.findByTransactionId(data.transaction_id);
+  }
+
+  async onPaymentCompleted(payment, booking, data) {
+    if (payment.payment_status === "completed") return null;
+
+    await payments.updateStatus(payment.transaction_id, "completed", {
+      gatewayTransactionId: data.payment_id || null,
+    });
+
+    if (booking.status === "pending") {
+      if (!(await holdService.confirmBooking(booking.booking_reference))) {
+        return await this.refundForLostSeats(payment, booking);
+      }
+
+      await bookings.markPaid(booking.id, payment.transaction_id);
+      return `✅ Your payment for booking ${booking.booking_reference} has been received and your booking is confirmed.`;
+    }
+
+    // The booking was given up on before the money arrived
+    console.warn(
+      `Payment ${payment.transaction_id} completed for ${booking.status} booking ${booking.booking_reference}; it needs refunding`
+    );
+    return `⚠️ We received your payment for booking ${booking.booking_reference} after the booking was cancelled. Please contact support to have it refunded.`;
+  }
+
+  // The hold lapsed before the money arrived and the seats were sold to someone else
+  async refundForLostSeats(payment, booking) {
+    const refund = await paymentService.refundPayment(
+      payment.transaction_id,
+      parseFloat(payment.amount)
+    );
+    await bookings.markPaymentFailed(booking.id);
+
+    if (!refund.success) {
+      console.error(
+        `Could not refund payment ${payment.transaction_id} for booking ${booking.booking_reference} after its seats were lost: ${refund.error}`
+      );
+      return `😔 Your payment for booking ${booking.booking_reference} arrived after your seat hold expired and the seats are no longer available. Please contact support to have it refunded.`;
+    }
+
+    return `😔 Your payment for booking ${booking.booking_reference} arrived after your seat hold expired and the seats are no longer available, so the ${currencyService.format({
+      amount: parseFloat(payment.amount),
+      currency: payment.currency,
+    })} you paid has been refunded. Please search again.`;
+  }
+
+  async onPaymentFailed(payment, booking, data) {
+    if (payment.payment_status !== "pending") return null;
+
+    await payments.updateStatus(payment.transaction_id, "failed", {
+      gatewayTransactionId: data.payment_id || null,
+      failureReason: data.reason || "Reported failed by the payment gateway",
+    });
+    await bookings.markPaymentFailed(booking.id);
+
+    return `❌ The payment for booking ${booking.booking_reference} did not go through${
+      data.reason ? ` (${data.reason})` : ""
+    }, so the booking has been cancelled. You have not been charged.`;
+  }
+
+  // UPI, net banking and wallet payments the customer never made
+  async onPaymentExpired(payment, booking, data) {
+    if (payment.payment_status !== "pending") return null;
+
+    await payments.updateStatus(payment.transaction_id, "expired", {
+      gatewayTransactionId: data.payment_id || null,
+      failureReason: data.reason || "Not paid in time",
+    });
+    await bookings.markPaymentFailed(booking.id);
+
+    return `⌛ The payment for booking ${booking.booking_reference} was not made in time, so the booking has been cancelled. You have not been charged.`;
+  }
+
+  // Refunds of part of a payment, such as after a cheaper flight change, add to
+  // its refunded_amount and leave its status alone until all of it is refunded.
+  // Refunds the bot made were counted then, and are not counted again.
+  async onRefundCompleted(payment, booking, data) {
+    const refund = data.amount_money
+      ? {
+          amount: currencyService.fromMinorUnits(data.amount_money.amount, data.amount_money.currency),
+          currency: data.amount_money.currency,
+        }
+      : {
+          amount: parseFloat(payment.amount) - parseFloat(payment.refunded_amount),
+          currency: payment.currency,
+        };
+
+    await payments.addRefund(payment.transaction_id, refund.amount, data.refund_id || null);
+
+    const refunded = await payments.findByTransactionId(payment.transaction_id);
+    if (
+      refunded.payment_status !== "refunded" &&
+      parseFloat(refunded.refunded_amount) >= parseFloat(refunded.amount)
+    ) {
+      await payments.updateStatus(payment.transaction_id, "refunded");
+      if (await this.isFullyRefunded(booking)) {
+        await bookings.setPaymentStatus(booking.id, "refunded");
+      }
+    }
+
+    return `💸 Your refund of ${currencyService.format(refund)} for booking ${booking.booking_reference} has been completed.`;
+  }
+
+  // Every payment the booking was charged has been refunded in full
+  async isFullyRefunded(booking) {
+    return (await payments.listForBooking(booking.id))
+      .filter((payment) => ["completed", "refunded", "disputed"].includes(payment.payment_status))
+      .every((payment) => parseFloat(payment.refunded_amount) >= parseFloat(payment.amount));
+  }
+
+  async onDisputeCreated(payment, booking, data) {
+    if (payment.payment_status === "disputed") return null;
+
+    await payments.updateStatus(payment.transaction_id, "disputed", {
+      failureReason: data.reason ? `Disputed: ${data.reason}` : null,
+    });
+    await bookings.setPaymentStatus(booking.id, "disputed");
+
+    return `⚠️ Your card issuer has told us you disputed the payment for booking ${booking.booking_reference}. Our team will be in touch.`;
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new PaymentWebhookService();
@@ -0,0 +1,224 @@
+// services/providers/amadeusProvider.js - Amadeus Self-Service flight offers, pricing and schedules
+const axios = require('axios');
+const { FlightProvider, FlightProviderError } = require('./flightProvider');
+const {
+    getTravelClass,
+    formatAmadeusOffers,
+    formatAmadeusMultiCityOffers,
+    formatAmadeusOffer,
+    formatAmadeusMultiCityOffer,
+    parseFlightNumber,
+    formatAmadeusFlightStatus
+} = require('./flightFormatter');
+
+class AmadeusProvider extends FlightProvider {
+    constructor(options = {}) {
+        super('amadeus');
+
+        this.clientId = options.clientId || process.env.AMADEUS_API_KEY;
+        this.clientSecret = options.clientSecret || process.env.AMADEUS_API_SECRET;
+        // Point AMADEUS_BASE_URL at tools/fakeAmadeusServer.js to run offline
+        this.baseURL = options.baseURL || process.env.AMADEUS_BASE_URL || 'https://test.api.amadeus.com';
+        this.timeout = parseInt(process.env.AMADEUS_TIMEOUT_MS || '15000');
+        this.maxOffers = 10;
+
+        this.accessToken = null;
+        this.tokenExpiry = null;
+        this.pendingToken = null;
+    }
+
+    hasCredentials() {
+        return Boolean(this.clientId && this.clientSecret);
+    }
+
+    // OAuth client-credentials token, refreshed a minute before Amadeus expires it
+    async getAccessToken() {
+        if (this.accessToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            return this.accessToken;
+        }
+
+        if (!this.hasCredentials()) {
+            throw new FlightProviderError('Amadeus credentials are not configured', { provider: this.name });
+        }
+
+        // Concurrent searches (fare calendar) share one token request
+        if (!this.pendingToken) {
+            this.pendingToken = this.requestAccessToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+
+        return await this.pendingToken;
+    }
+
+    async requestAccessToken() {
+        try {
+            const response = await axios.post(`${this.baseURL}/v1/security/oauth2/token`,
+                new URLSearchParams({
+                    grant_type: 'client_credentials',
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret
+                }), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                timeout: this.timeout
+            });
+
+            this.accessToken = response.data.access_token;
+            // Set expiry time (usually 30 minutes for Amadeus)
+            this.tokenExpiry = new Date(Date.now() + (response.data.expires_in - 60) * 1000);
+
+            return this.accessToken;
+        } catch (error) {
+            console.error('Error getting access token:', error.response?.data || error.message);
+            throw this.toProviderError(error, 'Failed to authenticate with flight API');
+        }
+    }
+
+    invalidateToken() {
+        this.accessToken = null;
+        this.tokenExpiry = null;
+    }
+
+    // Authenticated request; a 401 means the token was revoked or expired early, so fetch a new one and retry once
+    async request(config, retried = false) {
+        const token = await this.getAccessToken();
+
+        try {
+            const response = await axios({
+                baseURL: this.baseURL,
+                timeout: this.timeout,
+                ...config,
+                headers: {
+                    ...(config.headers || {}),
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 401 && !retried) {
+                this.invalidateToken();
+                return await this.request(config, true);
+            }
+            throw this.toProviderError(error, `Amadeus request to ${config.url} failed`);
+        }
+    }
+
+    async searchOffers(query) {
+        const params = {
+            originLocationCode: query.origin,
+            destinationLocationCode: query.destination,
+            departureDate: query.departureDate,
+            adults: query.passengers,
+            travelClass: getTravelClass(query.cabinClass),
+            max: this.maxOffers
+        };
+
+        if (query.returnDate) {
+            params.returnDate = query.returnDate;
+        }
+
+        console.log('Amadeus search params:', params);
+
+        const data = await this.request({ method: 'get', url: '/v2/shopping/flight-offers', params });
+        return formatAmadeusOffers(data);
+    }
+
+    async searchMultiCity(query) {
+        const requestBody = {
+            originDestinations: query.legs.map((leg, index) => ({
+                id: `${index + 1}`,
+                originLocationCode: leg.origin,
+                destinationLocationCode: leg.destination,
+                departureDateTimeRange: { date: leg.departureDate }
+            })),
+            travelers: Array.from({ length: query.passengers }, (_, index) => ({
+                id: `${index + 1}`,
+                travelerType: 'ADULT'
+            })),
+            sources: ['GDS'],
+            searchCriteria: {
+                maxFlightOffers: this.maxOffers,
+                flightFilters: {
+                    cabinRestrictions: [{
+                        cabin: getTravelClass(query.cabinClass),
+                        coverage: 'MOST_SEGMENTS',
+                        originDestinationIds: query.legs.map((_, index) => `${index + 1}`)
+                    }]
+                }
+            }
+        };
+
+        const data = await this.request({ method: 'post', url: '/v2/shopping/flight-offers', data: requestBody });
+        return formatAmadeusMultiCityOffers(data);
+    }
+
+    // Flight Offers Price confirms the fare is still sold; Amadeus answers 4xx when it isn't
+    async priceOffer(flight) {
+        if (!flight.providerOffer) {
+            throw new FlightProviderError('Flight has no Amadeus offer to price', { provider: this.name });
+        }
+
+        try {
+            const data = await this.request({
+                method: 'post',
+                url: '/v1/shopping/flight-offers/pricing',
+                data: {
+                    data: {
+                        type: 'flight-offers-pricing',
+                        flightOffers: [flight.providerOffer]
+                    }
+                }
+            });
+
+            const offer = data.data.flightOffers[0];
+            const priced = flight.tripType === 'multi-city' ? formatAmadeusMultiCityOffer(offer) : formatAmadeusOffer(offer);
+
+            return { available: true, flight: { ...flight, ...priced, id: flight.id }, price: priced.price };
+        } catch (error) {
+            if (error.status >= 400 && error.status < 500 && error.status !== 401) {
+                return { available: false, flight: flight, price: null, reason: error.message };
+            }
+            throw error;
+        }
+    }
+
+    // On-Demand Flight Status; date defaults to today
+    async getFlightStatus(flightNumber, date = new Date().toISOString().split('T')[0]) {
+        const flight = parseFlightNumber(flightNumber);
+        if (!flight) {
+            return null;
+        }
+
+        const data = await this.request({
+            method: 'get',
+            url: '/v2/schedule/flights',
+            params: {
+                carrierCode: flight.carrierCode,
+                flightNumber: flight.number,
+                scheduledDepartureDate: date
+            }
+        });
+
+        return formatAmadeusFlightStatus(data, `${flight.carrierCode}${flight.number}`);
+    }
+
+    toProviderError(error, message) {
+        if (error instanceof FlightProviderError) {
+            return error;
+        }
+
+        // Amadeus reports failures as { errors: [{ status, code, title, detail }] }
+        const apiError = error.response?.data?.errors?.[0];
+        const detail = apiError ? `${apiError.title || apiError.code}${apiError.detail ? `: ${apiError.detail}` : ''}` : error.message;
+
+        return new FlightProviderError(`${message} (${detail})`, {
+            provider: this.name,
+            status: error.response?.status || null,
+            details: error.response?.data || null
+        });
+    }
+}
+
+module.exports = { AmadeusProvider };
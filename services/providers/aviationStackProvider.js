@@ -0,0 +1,58 @@
+// services/providers/aviationStackProvider.js - live flight status from AviationStack
+const axios = require('axios');
+const { FlightProvider, FlightProviderError } = require('./flightProvider');
+
+// Status only; searches and pricing come from the main flight provider
+class AviationStackProvider extends FlightProvider {
+    constructor(options = {}) {
+        super('aviationstack');
+
+        this.accessKey = options.accessKey || process.env.AVIATIONSTACK_API_KEY;
+        this.baseURL = options.baseURL || process.env.AVIATIONSTACK_BASE_URL || 'http://api.aviationstack.com';
+    }
+
+    async getFlightStatus(flightNumber) {
+        if (!this.accessKey) {
+            throw new FlightProviderError('AviationStack API key is not configured', { provider: this.name });
+        }
+
+        let response;
+        try {
+            response = await axios.get(`${this.baseURL}/v1/flights`, {
+                params: {
+                    access_key: this.accessKey,
+                    flight_iata: flightNumber,
+                    limit: 1
+                },
+                timeout: 15000
+            });
+        } catch (error) {
+            throw new FlightProviderError(`AviationStack status lookup failed (${error.message})`, {
+                provider: this.name,
+                status: error.response?.status || null
+            });
+        }
+
+        if (!response.data.data || response.data.data.length === 0) {
+            return null;
+        }
+
+        const flight = response.data.data[0];
+        return {
+            flightNumber: flight.flight.iata,
+            status: flight.flight_status,
+            departure: {
+                airport: flight.departure.airport,
+                scheduled: flight.departure.scheduled,
+                estimated: flight.departure.estimated || flight.departure.scheduled
+            },
+            arrival: {
+                airport: flight.arrival.airport,
+                scheduled: flight.arrival.scheduled,
+                estimated: flight.arrival.estimated || flight.arrival.scheduled
+            }
+        };
+    }
+}
+
+module.exports = { AviationStackProvider };
@@ -0,0 +1,218 @@
+// services/providers/fixtureData.js - replays recorded Amadeus payloads for any route and date
+//
+// Shared by FixtureProvider and tools/fakeAmadeusServer.js. Recorded offers keep their
+// carriers, times, connections and fares; only airports, dates, cabin and traveller
+// count are rewritten to match the request.
+const fs = require('fs');
+const path = require('path');
+const { CABIN_CLASSES, getTravelClass } = require('./flightFormatter');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'amadeus');
+
+function getFixturesDir() {
+    return process.env.FLIGHT_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function loadFixture(name, fixturesDir = getFixturesDir()) {
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+// Local date-times without an offset ("2024-11-20T07:00:00") are shifted as if UTC,
+// which keeps the wall-clock time and ignores DST
+function shiftLocalIso(localIso, minutes) {
+    const value = new Date(`${localIso.slice(0, 19)}Z`);
+    value.setUTCMinutes(value.getUTCMinutes() + minutes);
+    return value.toISOString().slice(0, 19);
+}
+
+function minutesBetween(fromIso, toIso) {
+    return Math.round((new Date(`${toIso.slice(0, 19)}Z`) - new Date(`${fromIso.slice(0, 19)}Z`)) / 60000);
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+// Recorded itinerary moved onto origin -> destination on the given date.
+// Connection airports are kept unless they collide with the new endpoints.
+function rebaseItinerary(itinerary, origin, destination, date) {
+    const segments = itinerary.segments;
+    const connections = segments.slice(0, -1).map(segment => segment.arrival.iataCode);
+
+    if (connections.some(airport => airport === origin || airport === destination)) {
+        return null;
+    }
+
+    const offset = daysBetween(segments[0].departure.at.slice(0, 10), date) * 1440;
+
+    return {
+        duration: itinerary.duration,
+        segments: segments.map((segment, index) => ({
+            ...segment,
+            departure: {
+                ...segment.departure,
+                iataCode: index === 0 ? origin : segment.departure.iataCode,
+                at: shiftLocalIso(segment.departure.at, offset)
+            },
+            arrival: {
+                ...segment.arrival,
+                iataCode: index === segments.length - 1 ? destination : segment.arrival.iataCode,
+                at: shiftLocalIso(segment.arrival.at, offset)
+            }
+        }))
+    };
+}
+
+// Return leg flown in the opposite direction: same connections and segment lengths,
+// leaving on returnDate at the time of day the outbound left
+function mirrorItinerary(itinerary, returnDate) {
+    const outbound = itinerary.segments;
+    let departureAt = `${returnDate}${outbound[0].departure.at.slice(10, 19)}`;
+
+    const segments = outbound.slice().reverse().map((segment, index, reversed) => {
+        const flightMinutes = minutesBetween(segment.departure.at, segment.arrival.at);
+        const arrivalAt = shiftLocalIso(departureAt, flightMinutes);
+        const mirrored = {
+            ...segment,
+            id: `${segment.id}R`,
+            number: `${parseInt(segment.number) + 1}`,
+            departure: { iataCode: segment.arrival.iataCode, at: departureAt },
+            arrival: { iataCode: segment.departure.iataCode, at: arrivalAt }
+        };
+
+        // Keep the recorded layover lengths, in reverse order
+        const next = reversed[index + 1];
+        if (next) {
+            departureAt = shiftLocalIso(arrivalAt, minutesBetween(next.arrival.at, segment.departure.at));
+        }
+
+        return mirrored;
+    });
+
+    return { duration: itinerary.duration, segments };
+}
+
+// Recorded fares are per adult in economy; scale for cabin, travellers and number of journeys
+function repriceOffer(offer, { passengers, cabinClass, journeys, segments }) {
+    const recordedTravelers = (offer.travelerPricings && offer.travelerPricings.length) || 1;
+    const perTraveler = parseFloat(offer.price.grandTotal || offer.price.total) / recordedTravelers;
+    const perTravelerBase = parseFloat(offer.price.base || offer.price.total) / recordedTravelers;
+    const cabin = CABIN_CLASSES[cabinClass] ? cabinClass : 'economy';
+    const multiplier = CABIN_CLASSES[cabin].fareMultiplier * journeys;
+    const travelerTotal = (perTraveler * multiplier).toFixed(2);
+    const travelerBase = (perTravelerBase * multiplier).toFixed(2);
+    const total = (perTraveler * multiplier * passengers).toFixed(2);
+    const recordedFare = (offer.travelerPricings && offer.travelerPricings[0] && offer.travelerPricings[0].fareDetailsBySegment[0]) || {};
+
+    return {
+        price: {
+            ...offer.price,
+            total: total,
+            base: (perTravelerBase * multiplier * passengers).toFixed(2),
+            grandTotal: total
+        },
+        travelerPricings: Array.from({ length: passengers }, (_, index) => ({
+            travelerId: `${index + 1}`,
+            fareOption: 'STANDARD',
+            travelerType: 'ADULT',
+            price: { currency: offer.price.currency, total: travelerTotal, base: travelerBase },
+            fareDetailsBySegment: segments.map(segment => ({
+                ...recordedFare,
+                segmentId: segment.id,
+                cabin: getTravelClass(cabin)
+            }))
+        }))
+    };
+}
+
+// GET /v2/shopping/flight-offers
+function buildOfferResponse(fixture, query) {
+    const passengers = parseInt(query.passengers) || 1;
+    const offers = [];
+
+    fixture.data.forEach(recorded => {
+        const outbound = rebaseItinerary(recorded.itineraries[0], query.origin, query.destination, query.departureDate);
+        if (!outbound) {
+            return;
+        }
+
+        const itineraries = query.returnDate ? [outbound, mirrorItinerary(outbound, query.returnDate)] : [outbound];
+        const segments = itineraries.reduce((all, itinerary) => all.concat(itinerary.segments), []);
+
+        offers.push({
+            ...recorded,
+            id: `${offers.length + 1}`,
+            oneWay: !query.returnDate,
+            numberOfBookableSeats: Math.max(recorded.numberOfBookableSeats || 9, passengers),
+            itineraries: itineraries,
+            ...repriceOffer(recorded, { passengers, cabinClass: query.cabinClass, journeys: itineraries.length, segments })
+        });
+    });
+
+    return { meta: { count: offers.length }, data: offers, dictionaries: fixture.dictionaries };
+}
+
+// POST /v2/shopping/flight-offers with several originDestinations
+function buildMultiCityResponse(fixture, query) {
+    const passengers = parseInt(query.passengers) || 1;
+    const offers = [];
+
+    fixture.data.forEach(recorded => {
+        const itineraries = query.legs.map(leg => rebaseItinerary(recorded.itineraries[0], leg.origin, leg.destination, leg.departureDate));
+        if (itineraries.some(itinerary => !itinerary)) {
+            return;
+        }
+
+        // Segment ids must stay unique across legs
+        const legs = itineraries.map((itinerary, legIndex) => ({
+            ...itinerary,
+            segments: itinerary.segments.map(segment => ({ ...segment, id: `${legIndex + 1}-${segment.id}` }))
+        }));
+        const segments = legs.reduce((all, itinerary) => all.concat(itinerary.segments), []);
+
+        offers.push({
+            ...recorded,
+            id: `${offers.length + 1}`,
+            oneWay: false,
+            itineraries: legs,
+            ...repriceOffer(recorded, { passengers, cabinClass: query.cabinClass, journeys: legs.length, segments })
+        });
+    });
+
+    return { meta: { count: offers.length }, data: offers, dictionaries: fixture.dictionaries };
+}
+
+// GET /v2/schedule/flights - the recorded dated flight, renumbered and moved to the requested date
+function buildStatusResponse(fixture, { carrierCode, flightNumber, scheduledDepartureDate }) {
+    const recorded = fixture.data[0];
+    const offset = daysBetween(recorded.scheduledDepartureDate, scheduledDepartureDate) * 1440;
+    const shiftTimings = (timings) => timings.map(timing => ({
+        ...timing,
+        value: `${shiftLocalIso(`${timing.value.slice(0, 16)}:00`, offset).slice(0, 16)}${timing.value.slice(16)}`
+    }));
+
+    const flightPoints = recorded.flightPoints.map(point => {
+        const shifted = { ...point };
+        if (point.departure) shifted.departure = { ...point.departure, timings: shiftTimings(point.departure.timings) };
+        if (point.arrival) shifted.arrival = { ...point.arrival, timings: shiftTimings(point.arrival.timings) };
+        return shifted;
+    });
+
+    return {
+        meta: { count: 1 },
+        data: [{
+            ...recorded,
+            scheduledDepartureDate: scheduledDepartureDate,
+            flightDesignator: { carrierCode: carrierCode, flightNumber: parseInt(flightNumber) },
+            flightPoints: flightPoints
+        }]
+    };
+}
+
+module.exports = {
+    loadFixture,
+    buildOfferResponse,
+    buildMultiCityResponse,
+    buildStatusResponse,
+    shiftLocalIso
+};
@@ -0,0 +1,47 @@
+// services/providers/fixtureProvider.js - recorded Amadeus responses, no network needed
+const { FlightProvider } = require('./flightProvider');
+const { formatAmadeusOffers, formatAmadeusMultiCityOffers, parseFlightNumber, formatAmadeusFlightStatus } = require('./flightFormatter');
+const { loadFixture, buildOfferResponse, buildMultiCityResponse, buildStatusResponse } = require('./fixtureData');
+
+// Runs the real Amadeus formatting over recorded payloads, so demos and offline
+// runs see the same flight objects as production
+class FixtureProvider extends FlightProvider {
+    constructor(options = {}) {
+        super('fixture');
+
+        this.fixturesDir = options.fixturesDir;
+    }
+
+    async searchOffers(query) {
+        const fixture = loadFixture('flight-offers', this.fixturesDir);
+        return formatAmadeusOffers(buildOfferResponse(fixture, query));
+    }
+
+    async searchMultiCity(query) {
+        const fixture = loadFixture('flight-offers', this.fixturesDir);
+        return formatAmadeusMultiCityOffers(buildMultiCityResponse(fixture, query));
+    }
+
+    // Recorded fares never change, so a future flight is always still available at its price
+    async priceOffer(flight) {
+        const available = new Date(flight.departure.at) > new Date();
+        return { available, flight, price: available ? flight.price : null };
+    }
+
+    async getFlightStatus(flightNumber, date = new Date().toISOString().split('T')[0]) {
+        const flight = parseFlightNumber(flightNumber);
+        if (!flight) {
+            return null;
+        }
+
+        const data = buildStatusResponse(loadFixture('flight-status', this.fixturesDir), {
+            carrierCode: flight.carrierCode,
+            flightNumber: flight.number,
+            scheduledDepartureDate: date
+        });
+
+        return formatAmadeusFlightStatus(data, `${flight.carrierCode}${flight.number}`);
+    }
+}
+
+module.exports = { FixtureProvider };
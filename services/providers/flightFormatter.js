@@ -0,0 +1,246 @@
+// services/providers/flightFormatter.js - turns provider payloads into the flight objects the bot renders
+
+// Amadeus travelClass codes for each cabin the Booking model accepts, and the
+// fare multipliers used when fixture data is replayed for a different cabin
+const CABIN_CLASSES = {
+    economy: { travelClass: 'ECONOMY', fareMultiplier: 1 },
+    premium: { travelClass: 'PREMIUM_ECONOMY', fareMultiplier: 1.5 },
+    business: { travelClass: 'BUSINESS', fareMultiplier: 2.5 },
+    first: { travelClass: 'FIRST', fareMultiplier: 4 }
+};
+
+function getTravelClass(cabinClass) {
+    const cabin = CABIN_CLASSES[(cabinClass || 'economy').toLowerCase()];
+    return cabin ? cabin.travelClass : CABIN_CLASSES.economy.travelClass;
+}
+
+// Cabin of the first priced segment, mapped back to our economy/premium/business/first keys
+function getOfferCabinClass(offer) {
+    const fareDetails = offer.travelerPricings?.[0]?.fareDetailsBySegment?.[0];
+    const cabinClass = Object.keys(CABIN_CLASSES).find(key => CABIN_CLASSES[key].travelClass === fareDetails?.cabin);
+    return cabinClass || 'economy';
+}
+
+// Per-passenger price, kept in the currency the provider quoted; conversion happens only for display
+function formatOfferPrice(offer) {
+    const travelerCount = (offer.travelerPricings && offer.travelerPricings.length) || 1;
+
+    return {
+        amount: Math.round(parseFloat(offer.price.grandTotal || offer.price.total) / travelerCount * 100) / 100,
+        currency: offer.price.currency
+    };
+}
+
+// Amadeus flight-offers response -> { flights }. The raw offer is kept so it can be re-priced later.
+function formatAmadeusOffers(data) {
+    if (!data || !Array.isArray(data.data) || data.data.length === 0) {
+        return { flights: [], message: 'No flights found for your search criteria.' };
+    }
+
+    const flights = data.data.slice(0, 5).map(offer => formatAmadeusOffer(offer));
+    return { flights };
+}
+
+function formatAmadeusOffer(offer) {
+    const itineraries = offer.itineraries.map((itinerary, itineraryIndex) => ({
+        direction: itineraryIndex === 0 ? 'outbound' : 'return',
+        ...formatItinerary(itinerary)
+    }));
+
+    return {
+        ...buildFlight(offer.id, itineraries, formatOfferPrice(offer), getOfferCabinClass(offer)),
+        seatsAvailable: offer.numberOfBookableSeats || null,
+        providerOffer: offer
+    };
+}
+
+// Each multi-city offer is one priced itinerary covering every leg
+function formatAmadeusMultiCityOffers(data) {
+    if (!data || !Array.isArray(data.data) || data.data.length === 0) {
+        return { flights: [], message: 'No flights found for your search criteria.' };
+    }
+
+    const flights = data.data.slice(0, 5).map(offer => formatAmadeusMultiCityOffer(offer));
+    return { flights };
+}
+
+function formatAmadeusMultiCityOffer(offer) {
+    const legs = offer.itineraries.map((itinerary, legIndex) => ({
+        direction: `leg ${legIndex + 1}`,
+        ...formatItinerary(itinerary)
+    }));
+
+    return {
+        ...buildMultiCityFlight(offer.id, legs, formatOfferPrice(offer), getOfferCabinClass(offer)),
+        seatsAvailable: offer.numberOfBookableSeats || null,
+        providerOffer: offer
+    };
+}
+
+// Format one Amadeus itinerary with every segment and the layovers between them
+function formatItinerary(itinerary) {
+    const segments = itinerary.segments.map(segment => ({
+        airline: segment.carrierCode,
+        flightNumber: `${segment.carrierCode}${segment.number}`,
+        departure: formatEndpoint(segment.departure),
+        arrival: formatEndpoint(segment.arrival),
+        duration: segment.duration ? formatDuration(segment.duration) : null
+    }));
+
+    const layovers = segments.slice(1).map((segment, index) => {
+        const previous = segments[index];
+        const minutes = Math.round((new Date(segment.departure.at) - new Date(previous.arrival.at)) / 60000);
+        return {
+            airport: previous.arrival.airport,
+            duration: formatMinutes(minutes)
+        };
+    });
+
+    const firstSegment = segments[0];
+    const lastSegment = segments[segments.length - 1];
+
+    return {
+        airline: firstSegment.airline,
+        flightNumber: firstSegment.flightNumber,
+        departure: firstSegment.departure,
+        arrival: lastSegment.arrival,
+        duration: formatDuration(itinerary.duration),
+        stops: layovers.length,
+        segments: segments,
+        layovers: layovers
+    };
+}
+
+function formatEndpoint(endpoint) {
+    return {
+        airport: endpoint.iataCode,
+        at: endpoint.at,
+        time: new Date(endpoint.at).toLocaleTimeString('en-IN', {
+            hour: '2-digit',
+            minute: '2-digit'
+        }),
+        date: new Date(endpoint.at).toLocaleDateString('en-IN')
+    };
+}
+
+// Top-level fields describe the outbound journey so booking and cards keep working
+function buildFlight(id, itineraries, price, cabinClass = 'economy') {
+    const outbound = itineraries[0];
+
+    return {
+        id: id,
+        tripType: itineraries.length > 1 ? 'round-trip' : 'one-way',
+        airline: outbound.airline,
+        flightNumber: outbound.flightNumber,
+        departure: outbound.departure,
+        arrival: outbound.arrival,
+        duration: outbound.duration,
+        stops: outbound.stops,
+        itineraries: itineraries,
+        cabinClass: cabinClass,
+        price: price
+    };
+}
+
+// Top-level fields mirror a one-way flight so booking and cards keep working
+function buildMultiCityFlight(id, legs, price, cabinClass = 'economy') {
+    const firstLeg = legs[0];
+    const lastLeg = legs[legs.length - 1];
+
+    return {
+        id: id,
+        tripType: 'multi-city',
+        airline: firstLeg.airline,
+        flightNumber: legs.map(leg => leg.flightNumber).join(' / '),
+        route: legs.map(leg => `${leg.departure.airport} → ${leg.arrival.airport}`).join(', '),
+        departure: firstLeg.departure,
+        arrival: lastLeg.arrival,
+        duration: `${legs.length} flights`,
+        stops: legs.reduce((total, leg) => total + leg.stops, 0),
+        itineraries: legs,
+        cabinClass: cabinClass,
+        price: price
+    };
+}
+
+// "AI 2993" -> { carrierCode: 'AI', number: '2993' }, or null if it isn't a flight number
+function parseFlightNumber(flightNumber) {
+    const match = `${flightNumber}`.toUpperCase().replace(/\s+/g, '').match(/^([A-Z0-9]{2})(\d{1,4})$/);
+    return match ? { carrierCode: match[1], number: match[2] } : null;
+}
+
+// Amadeus On-Demand Flight Status response -> the status object MainDialog renders
+function formatAmadeusFlightStatus(data, flightNumber) {
+    const datedFlight = data && Array.isArray(data.data) ? data.data[0] : null;
+    if (!datedFlight) {
+        return null;
+    }
+
+    const points = datedFlight.flightPoints || [];
+    const departurePoint = points.find(point => point.departure) || {};
+    const arrivalPoint = points.find(point => point.arrival) || {};
+    const departureTimings = (departurePoint.departure && departurePoint.departure.timings) || [];
+    const arrivalTimings = (arrivalPoint.arrival && arrivalPoint.arrival.timings) || [];
+    const timing = (timings, qualifier) => (timings.find(item => item.qualifier === qualifier) || {}).value;
+    const delayed = [...departureTimings, ...arrivalTimings].some(item => Array.isArray(item.delays) && item.delays.length > 0);
+
+    return {
+        flightNumber: flightNumber,
+        status: delayed ? 'delayed' : 'scheduled',
+        departure: {
+            airport: departurePoint.iataCode,
+            scheduled: timing(departureTimings, 'STD'),
+            estimated: timing(departureTimings, 'ETD') || timing(departureTimings, 'STD')
+        },
+        arrival: {
+            airport: arrivalPoint.iataCode,
+            scheduled: timing(arrivalTimings, 'STA'),
+            estimated: timing(arrivalTimings, 'ETA') || timing(arrivalTimings, 'STA')
+        }
+    };
+}
+
+function formatDuration(isoDuration) {
+    // Convert ISO 8601 duration (PT3H15M) to readable format (3h 15m)
+    const match = isoDuration.match(/PT(\d+H)?(\d+M)?/);
+    let formatted = '';
+
+    if (match[1]) {
+        formatted += match[1].replace('H', 'h ');
+    }
+    if (match[2]) {
+        formatted += match[2].replace('M', 'm');
+    }
+
+    return formatted.trim() || isoDuration;
+}
+
+function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return [hours ? `${hours}h` : '', minutes ? `${minutes}m` : ''].join(' ').trim() || '0m';
+}
+
+function toIsoDuration(totalMinutes) {
+    return `PT${Math.floor(totalMinutes / 60)}H${totalMinutes % 60 ? `${totalMinutes % 60}M` : ''}`;
+}
+
+module.exports = {
+    CABIN_CLASSES,
+    getTravelClass,
+    getOfferCabinClass,
+    formatOfferPrice,
+    formatAmadeusOffers,
+    formatAmadeusOffer,
+    formatAmadeusMultiCityOffers,
+    formatAmadeusMultiCityOffer,
+    formatItinerary,
+    formatEndpoint,
+    buildFlight,
+    buildMultiCityFlight,
+    parseFlightNumber,
+    formatAmadeusFlightStatus,
+    formatDuration,
+    formatMinutes,
+    toIsoDuration
+};
@@ -0,0 +1,54 @@
+// services/providers/flightProvider.js - interface every flight data source implements
+
+class FlightProviderError extends Error {
+    constructor(message, { provider = null, status = null, details = null } = {}) {
+        super(message);
+        this.name = 'FlightProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Adapters override what they support. Anything left unimplemented fails
+// loudly instead of quietly returning made-up flights.
+class FlightProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Token lifecycle. Providers without authentication have nothing to fetch or expire.
+    async getAccessToken() {
+        return null;
+    }
+
+    invalidateToken() {}
+
+    // query: { origin, destination, departureDate, returnDate, passengers, cabinClass } with IATA codes
+    // Resolves to { flights: [...] }
+    async searchOffers(query) {
+        throw this.unsupported('flight search');
+    }
+
+    // query: { legs: [{ origin, destination, departureDate }], passengers, cabinClass }
+    async searchMultiCity(query) {
+        throw this.unsupported('multi-city search');
+    }
+
+    // Confirms a flight from an earlier search is still sold and at what price.
+    // Resolves to { available, flight, price }
+    async priceOffer(flight, query) {
+        throw this.unsupported('offer pricing');
+    }
+
+    // Resolves to { flightNumber, status, departure, arrival } or null when the flight is unknown
+    async getFlightStatus(flightNumber, date) {
+        throw this.unsupported('flight status');
+    }
+
+    unsupported(operation) {
+        return new FlightProviderError(`The ${this.name} provider does not support ${operation}`, { provider: this.name });
+    }
+}
+
+module.exports = { FlightProvider, FlightProviderError };
@@ -0,0 +1,49 @@
+// services/providers/index.js - picks the flight data source from configuration
+const { FlightProvider, FlightProviderError } = require('./flightProvider');
+const { AmadeusProvider } = require('./amadeusProvider');
+const { AviationStackProvider } = require('./aviationStackProvider');
+const { InventoryProvider } = require('./inventoryProvider');
+const { FixtureProvider } = require('./fixtureProvider');
+
+const PROVIDERS = {
+    amadeus: AmadeusProvider,
+    aviationstack: AviationStackProvider,
+    inventory: InventoryProvider,
+    fixture: FixtureProvider
+};
+
+function createProvider(name) {
+    const Provider = PROVIDERS[(name || '').toLowerCase()];
+    if (!Provider) {
+        throw new FlightProviderError(`Unknown flight provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new Provider();
+}
+
+// FLIGHT_PROVIDER wins; otherwise Amadeus when credentials are set, and recorded fixtures when not
+function createFlightProvider(name = process.env.FLIGHT_PROVIDER) {
+    const providerName = name || (process.env.AMADEUS_API_KEY && process.env.AMADEUS_API_SECRET ? 'amadeus' : 'fixture');
+    const provider = createProvider(providerName);
+
+    console.log(`Flight provider: ${provider.name}${name ? '' : ' (FLIGHT_PROVIDER not set)'}`);
+    return provider;
+}
+
+// Flight status can come from a different source than search; defaults to the search provider
+function createStatusProvider(searchProvider, name = process.env.FLIGHT_STATUS_PROVIDER) {
+    if (name) {
+        return createProvider(name);
+    }
+    return process.env.AVIATIONSTACK_API_KEY ? new AviationStackProvider() : searchProvider;
+}
+
+module.exports = {
+    FlightProvider,
+    FlightProviderError,
+    AmadeusProvider,
+    AviationStackProvider,
+    InventoryProvider,
+    FixtureProvider,
+    createFlightProvider,
+    createStatusProvider
+};
@@ -0,0 +1,190 @@
+// services/providers/inventoryProvider.js - flights sold from our own flight_schedules tables
+const repositories = require('../repositories');
+const { FlightProvider } = require('./flightProvider');
+const { CABIN_CLASSES, formatItinerary, buildFlight, buildMultiCityFlight, toIsoDuration } = require('./flightFormatter');
+
+// Offers shown per search, and partial combinations kept while pairing journeys
+const MAX_OFFERS = 5;
+const COMBINATION_BEAM = 20;
+// Minimum time between landing and the next journey of the same trip
+const MIN_CONNECTION_MINUTES = 60;
+
+class InventoryProvider extends FlightProvider {
+    constructor(options = {}) {
+        super('inventory');
+
+        this.flights = options.flights || repositories.flights;
+        // flight_schedules.price has no currency column; it is quoted in this one
+        this.currency = options.currency || process.env.INVENTORY_CURRENCY || 'USD';
+    }
+
+    // Round trips pair an outbound and a return schedule; each is booked against its own row
+    async searchOffers(query) {
+        const journeys = [{ origin: query.origin, destination: query.destination, departureDate: query.departureDate }];
+        if (query.returnDate) {
+            journeys.push({ origin: query.destination, destination: query.origin, departureDate: query.returnDate });
+        }
+
+        const combinations = await this.searchJourneys(journeys, query.passengers);
+        const flights = combinations.map(rows => {
+            const itineraries = rows.map((row, index) => ({
+                direction: index === 0 ? 'outbound' : 'return',
+                ...this.formatScheduleItinerary(row)
+            }));
+            return this.toFlight(buildFlight(this.getOfferId(rows), itineraries, this.getPrice(rows, query.cabinClass), query.cabinClass), rows);
+        });
+
+        return this.toResult(flights);
+    }
+
+    async searchMultiCity(query) {
+        const combinations = await this.searchJourneys(query.legs, query.passengers);
+        const flights = combinations.map(rows => {
+            const legs = rows.map((row, index) => ({
+                direction: `leg ${index + 1}`,
+                ...this.formatScheduleItinerary(row)
+            }));
+            return this.toFlight(buildMultiCityFlight(this.getOfferId(rows), legs, this.getPrice(rows, query.cabinClass), query.cabinClass), rows);
+        });
+
+        return this.toResult(flights);
+    }
+
+    // Re-read every schedule on the offer so the fare and remaining seats are current
+    async priceOffer(flight, query = {}) {
+        const passengers = query.passengers || 1;
+        const rows = await Promise.all(flight.scheduleIds.map(scheduleId => this.flights.findSellableSchedule(scheduleId, passengers)));
+
+        if (rows.some(row => !row)) {
+            return { available: false, flight: flight, price: null };
+        }
+
+        const price = this.getPrice(rows, flight.cabinClass);
+        return { available: true, flight: { ...this.toFlight(flight, rows), price }, price };
+    }
+
+    // Status straight from flight_schedules; date defaults to today
+    async getFlightStatus(flightNumber, date = new Date().toISOString().split('T')[0]) {
+        const row = await this.flights.findScheduleStatus(flightNumber.toUpperCase().replace(/\s+/g, ''), date);
+        if (!row) {
+            return null;
+        }
+
+        const scheduledDeparture = this.toLocalIso(row.flight_date, row.departure_time);
+        const scheduledArrival = this.toLocalIso(row.flight_date, row.arrival_time, row.departure_time);
+
+        return {
+            flightNumber: row.flight_number,
+            status: row.status,
+            departure: {
+                airport: `${row.departure_airport} (${row.departure_code})`,
+                scheduled: scheduledDeparture,
+                estimated: scheduledDeparture
+            },
+            arrival: {
+                airport: `${row.arrival_airport} (${row.arrival_code})`,
+                scheduled: scheduledArrival,
+                estimated: scheduledArrival
+            }
+        };
+    }
+
+    // Cheapest chronologically valid combinations with one schedule per journey
+    async searchJourneys(journeys, passengers) {
+        const rowsPerJourney = await Promise.all(journeys.map(journey => this.flights.search({
+            departure: journey.origin,
+            arrival: journey.destination,
+            departureDate: journey.departureDate,
+            passengers: passengers
+        })));
+
+        let combinations = [[]];
+        rowsPerJourney.forEach(rows => {
+            const extended = [];
+            combinations.forEach(combination => {
+                rows.forEach(row => {
+                    if (this.connects(combination[combination.length - 1], row)) {
+                        extended.push([...combination, row]);
+                    }
+                });
+            });
+            combinations = extended
+                .sort((a, b) => this.sumPrices(a) - this.sumPrices(b))
+                .slice(0, COMBINATION_BEAM);
+        });
+
+        return combinations.slice(0, MAX_OFFERS);
+    }
+
+    connects(previous, next) {
+        if (!previous) {
+            return true;
+        }
+        const landsAt = new Date(this.toLocalIso(previous.flight_date, previous.arrival_time, previous.departure_time));
+        const leavesAt = new Date(this.toLocalIso(next.flight_date, next.departure_time));
+        return leavesAt - landsAt >= MIN_CONNECTION_MINUTES * 60000;
+    }
+
+    sumPrices(rows) {
+        return rows.reduce((total, row) => total + parseFloat(row.price), 0);
+    }
+
+    // flight_schedules holds one fare per flight; other cabins use the standard cabin multipliers
+    getPrice(rows, cabinClass = 'economy') {
+        const cabin = CABIN_CLASSES[cabinClass] || CABIN_CLASSES.economy;
+        return {
+            amount: Math.round(this.sumPrices(rows) * cabin.fareMultiplier * 100) / 100,
+            currency: this.currency
+        };
+    }
+
+    getOfferId(rows) {
+        return `inv-${rows.map(row => row.schedule_id).join('-')}`;
+    }
+
+    // Schedule details the cards and booking need on top of the common flight fields
+    toFlight(flight, rows) {
+        return {
+            ...flight,
+            scheduleId: rows[0].schedule_id,
+            scheduleIds: rows.map(row => row.schedule_id),
+            airlineName: rows[0].airline_name,
+            aircraftType: rows[0].aircraft_type,
+            seatsAvailable: Math.min(...rows.map(row => row.available_seats))
+        };
+    }
+
+    toResult(flights) {
+        return flights.length > 0 ? { flights } : { flights, message: 'No flights found for your search criteria.' };
+    }
+
+    formatScheduleItinerary(row) {
+        return formatItinerary({
+            duration: toIsoDuration(row.duration_minutes),
+            segments: [{
+                carrierCode: row.airline_code || row.flight_number.slice(0, 2),
+                number: row.flight_number.replace(/^[A-Z0-9]{2}/, ''),
+                departure: { iataCode: row.departure_code, at: this.toLocalIso(row.flight_date, row.departure_time) },
+                arrival: { iataCode: row.arrival_code, at: this.toLocalIso(row.flight_date, row.arrival_time, row.departure_time) },
+                duration: toIsoDuration(row.duration_minutes)
+            }]
+        });
+    }
+
+    // flight_date comes back from mysql2 as a Date at local midnight; times are HH:MM:SS.
+    // An arrival time earlier than the departure time lands the next day.
+    toLocalIso(flightDate, time, departureTime = null) {
+        const date = flightDate instanceof Date ? flightDate : new Date(`${flightDate}T00:00:00`);
+        const [hours, minutes] = `${time}`.split(':').map(part => parseInt(part));
+        const value = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+
+        if (departureTime && `${time}` < `${departureTime}`) {
+            value.setDate(value.getDate() + 1);
+        }
+
+        const pad = (part) => `${part}`.padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}:00`;
+    }
+}
+
+module.exports = { InventoryProvider };
@@ -0,0 +1,289 @@
+// Bookings and their passengers. Flight details for reading come from
+// booking_details_view, which covers both inventory and external offers.
+class BookingRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Written before the customer is charged so the payment can reference it.
+  // Inventory seats are not touched here: the seat hold already took them. The
+  // hold is tagged with the booking, so a payment confirmed later by webhook
+  // can sell its seats.
+  async createPending({
+    bookingReference,
+    userId,
+    flightScheduleId = null,
+    flight,
+    searchParams,
+    passengers,
+    cabinClass = "economy",
+    totalPrice,
+    currency = "USD",
+    conversationReference = null,
+    holdReference = null,
+  }) {
+    return await this.connection.transaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO bookings (
+           booking_reference, user_id, conversation_reference, flight_schedule_id, flight_data,
+           search_params, passenger_count, cabin_class, total_price, currency, status, payment_status
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 'pending')`,
+        [
+          bookingReference,
+          userId,
+          conversationReference ? JSON.stringify(conversationReference) : null,
+          flightScheduleId,
+          JSON.stringify(flight),
+          JSON.stringify(searchParams || null),
+          passengers.length,
+          cabinClass,
+          totalPrice,
+          currency,
+        ]
+      );
+
+      for (const passenger of passengers) {
+        await this.insertPassenger(tx, result.insertId, passenger);
+      }
+
+      if (holdReference) {
+        await tx.query(
+          "UPDATE seat_holds SET booking_reference = ? WHERE hold_reference = ? AND status = 'held'",
+          [bookingReference, holdReference]
+        );
+      }
+
+      return { id: result.insertId, bookingReference };
+    });
+  }
+
+  async markPaid(bookingId, transactionId) {
+    const result = await this.connection.query(
+      `UPDATE bookings
+       SET status = 'confirmed', payment_status = 'paid', payment_transaction_id = ?
+       WHERE id = ?`,
+      [transactionId, bookingId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async markPaymentFailed(bookingId) {
+    const result = await this.connection.query(
+      `UPDATE bookings
+       SET status = 'cancelled', payment_status = 'failed'
+       WHERE id = ? AND status = 'pending'`,
+      [bookingId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // For payment changes reported by the gateway afterwards (refunds, disputes)
+  async setPaymentStatus(bookingId, paymentStatus) {
+    const result = await this.connection.query(
+      "UPDATE bookings SET payment_status = ? WHERE id = ?",
+      [paymentStatus, bookingId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async findById(bookingId) {
+    const rows = await this.connection.query(
+      "SELECT * FROM bookings WHERE id = ?",
+      [bookingId]
+    );
+    return rows[0] || null;
+  }
+
+  async findDetailsByReference(bookingReference) {
+    const rows = await this.connection.query(
+      "SELECT * FROM booking_details_view WHERE booking_reference = ?",
+      [bookingReference]
+    );
+    return rows[0] || null;
+  }
+
+  // Upcoming flights first (soonest first), then past flights (most recent first)
+  async listDetailsForUser(userId, limit = 5, offset = 0) {
+    return await this.connection.query(
+      `SELECT *
+       FROM booking_details_view
+       WHERE user_id = ?
+       ORDER BY
+           flight_date < CURDATE(),
+           CASE WHEN flight_date >= CURDATE() THEN flight_date END ASC,
+           flight_date DESC,
+           departure_time ASC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      [userId]
+    );
+  }
+
+  // Cancels a booking and returns its seats to inventory. A payment link still
+  // waiting to be paid expires with it. The booking_status_update trigger
+  // records the change in booking_audit. After a refund, only payments with
+  // nothing left of them are marked refunded, and the booking only when all
+  // of them are; one that kept a cancellation fee stays paid.
+  async cancel(bookingId, refunded = false) {
+    return await this.connection.transaction(async (tx) => {
+      const cancelResult = await tx.query(
+        "UPDATE bookings SET status = 'cancelled' WHERE id = ? AND status <> 'cancelled'",
+        [bookingId]
+      );
+
+      if (cancelResult.affectedRows === 0) {
+        throw new Error("Booking not found or already cancelled");
+      }
+
+      await this.expirePaymentLinks(tx, bookingId);
+      await this.returnSeats(tx, bookingId);
+
+      if (refunded) {
+        await tx.query(
+          `UPDATE payment_history
+           SET payment_status = 'refunded'
+           WHERE booking_id = ? AND payment_status = 'completed' AND refunded_amount >= amount`,
+          [bookingId]
+        );
+        await tx.query(
+          `UPDATE bookings
+           SET payment_status = 'refunded'
+           WHERE id = ?
+             AND NOT EXISTS (
+               SELECT 1 FROM payment_history
+               WHERE booking_id = ? AND payment_status IN ('completed', 'disputed')
+             )`,
+          [bookingId, bookingId]
+        );
+      }
+
+      return { bookingId, status: "cancelled" };
+    });
+  }
+
+  // Moves an existing booking onto a different flight. Seats sold on the old
+  // schedules go back to inventory and the seats held for the new flight
+  // (holdReference, if it has local inventory) are sold to the booking.
+  async changeFlight(bookingId, { flightData, searchParams, totalPrice, holdReference = null }) {
+    return await this.connection.transaction(async (tx) => {
+      await this.returnSeats(tx, bookingId);
+
+      const changeResult = await tx.query(
+        `UPDATE bookings
+         SET flight_schedule_id = ?,
+             flight_data = ?,
+             search_params = ?,
+             total_price = ?
+         WHERE id = ? AND status <> 'cancelled'`,
+        [
+          flightData.scheduleId || null,
+          JSON.stringify(flightData),
+          JSON.stringify(searchParams),
+          totalPrice,
+          bookingId,
+        ]
+      );
+
+      if (changeResult.affectedRows === 0) {
+        throw new Error("Booking not found or already cancelled");
+      }
+
+      if (holdReference) {
+        const soldResult = await tx.query(
+          `UPDATE seat_holds h
+           JOIN bookings b ON b.id = ?
+           SET h.status = 'sold',
+               h.booking_reference = b.booking_reference
+           WHERE h.hold_reference = ? AND h.status = 'held'`,
+          [bookingId, holdReference]
+        );
+
+        if (soldResult.affectedRows === 0) {
+          const error = new Error("The seats held on the new flight are no longer available");
+          error.code = "SEATS_UNAVAILABLE";
+          throw error;
+        }
+      }
+
+      return { bookingId, status: "changed" };
+    });
+  }
+
+  // The seats of an unpaid link are still held rather than sold; they go back
+  // here so the link's expiry has nothing left to release. A payment being
+  // made on the link then finds it expired.
+  async expirePaymentLinks(tx, bookingId) {
+    await tx.query(
+      `UPDATE flight_schedules fs
+       JOIN seat_holds h ON h.flight_schedule_id = fs.id
+       JOIN payment_links l ON l.hold_reference = h.hold_reference
+       SET fs.available_seats = fs.available_seats + h.seats,
+           h.status = 'released'
+       WHERE l.booking_id = ? AND l.status IN ('active', 'paying') AND h.status = 'held'`,
+      [bookingId]
+    );
+
+    await tx.query(
+      "UPDATE payment_links SET status = 'expired' WHERE booking_id = ? AND status IN ('active', 'paying')",
+      [bookingId]
+    );
+  }
+
+  // Seats sold through seat holds go back per hold, which covers both legs of a
+  // round trip. Only older bookings that never had a hold return seats on
+  // flight_schedule_id.
+  async returnSeats(tx, bookingId) {
+    await tx.query(
+      `UPDATE flight_schedules fs
+       JOIN seat_holds h ON h.flight_schedule_id = fs.id
+       JOIN bookings b ON b.booking_reference = h.booking_reference
+       SET fs.available_seats = fs.available_seats + h.seats,
+           h.status = 'released'
+       WHERE b.id = ? AND h.status = 'sold'`,
+      [bookingId]
+    );
+
+    await tx.query(
+      `UPDATE flight_schedules fs
+       JOIN bookings b ON b.flight_schedule_id = fs.id
+       SET fs.available_seats = fs.available_seats + b.passenger_count
+       WHERE b.id = ?
+         AND NOT EXISTS (SELECT 1 FROM seat_holds h WHERE h.booking_reference = b.booking_reference)
+         AND NOT EXISTS (
+           SELECT 1 FROM payment_links l WHERE l.booking_id = b.id AND l.hold_reference IS NOT NULL
+         )`,
+      [bookingId]
+    );
+  }
+
+  // Passenger operations
+  async addPassenger(bookingId, passengerData) {
+    return await this.insertPassenger(this.connection, bookingId, passengerData);
+  }
+
+  async getPassengers(bookingId) {
+    return await this.connection.query(
+      "SELECT * FROM passengers WHERE booking_id = ?",
+      [bookingId]
+    );
+  }
+
+  async insertPassenger(target, bookingId, passengerData) {
+    return await target.query(
+      `INSERT INTO passengers (
+         booking_id, first_name, last_name, date_of_birth,
+         gender, passport_number, nationality
+       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        bookingId,
+        passengerData.firstName,
+        passengerData.lastName || "",
+        passengerData.dateOfBirth || null,
+        passengerData.gender || null,
+        passengerData.passportNumber || null,
+        passengerData.nationality || null,
+      ]
+    );
+  }
+}
+
+module.exports = { BookingRepository };
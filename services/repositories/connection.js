@@ -0,0 +1,154 @@
+const mysql = require("mysql2/promise");
+
+// The single MySQL pool that every repository queries through
+class Connection {
+  constructor() {
+    this.driver = "mysql";
+    this.pool = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      // Create connection pool
+      this.pool = mysql.createPool({
+        host: process.env.DB_HOST || "localhost",
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USERNAME || "root",
+        password: process.env.DB_PASSWORD || "",
+        database: process.env.DB_NAME || "flight_booking_db",
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0,
+        acquireTimeout: 60000,
+        timeout: 60000,
+        reconnect: true,
+      });
+
+      // Test connection
+      const connection = await this.pool.getConnection();
+      console.log("Database connected successfully");
+      connection.release();
+
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error("Database connection failed:", error.message);
+
+      // If database doesn't exist, try to create it
+      if (error.code === "ER_BAD_DB_ERROR") {
+        await this.createDatabase();
+        return await this.initialize();
+      }
+
+      throw error;
+    }
+  }
+
+  async createDatabase() {
+    try {
+      const tempPool = mysql.createPool({
+        host: process.env.DB_HOST || "localhost",
+        port: process.env.DB_PORT || 3306,
+        user: process.env.DB_USERNAME || "root",
+        password: process.env.DB_PASSWORD || "",
+        waitForConnections: true,
+        connectionLimit: 1,
+      });
+
+      const connection = await tempPool.getConnection();
+      await connection.execute(
+        `CREATE DATABASE IF NOT EXISTS ${
+          process.env.DB_NAME || "flight_booking_db"
+        }`
+      );
+      connection.release();
+      await tempPool.end();
+
+      console.log("Database created successfully");
+    } catch (error) {
+      console.error("Failed to create database:", error.message);
+      throw error;
+    }
+  }
+
+  // Rows for SELECTs, a result header with affectedRows/insertId otherwise
+  async query(sql, params = []) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    return await this.execute(this.pool, sql, params);
+  }
+
+  // Runs work(tx) in one transaction; tx.query behaves like query().
+  // Commits when work resolves, rolls back when it throws.
+  async transaction(work) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const result = await work({
+        query: (sql, params = []) => this.execute(connection, sql, params),
+      });
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Plain-text statements for schema changes. Prepared statements reject
+  // CREATE TRIGGER, so migrations go through here instead of query().
+  async run(sql) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    try {
+      const [result] = await this.pool.query(sql);
+      return result;
+    } catch (error) {
+      console.error("Database query error:", error.message);
+      console.error("Query:", sql);
+      throw error;
+    }
+  }
+
+  async execute(target, sql, params) {
+    try {
+      const [rows] = await target.execute(sql, params);
+      return rows;
+    } catch (error) {
+      console.error("Database query error:", error.message);
+      console.error("Query:", sql);
+      console.error("Params:", params);
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.isInitialized = false;
+    }
+  }
+
+  async healthCheck() {
+    try {
+      const result = await this.query("SELECT 1 as health");
+      return result.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = { Connection };
@@ -0,0 +1,89 @@
+// Bot Framework state items, one row per storage key. Rows idle for longer than
+// idleSeconds are treated as gone and later removed by deleteIdle.
+class ConversationStateRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async read(storageKeys, idleSeconds) {
+    if (storageKeys.length === 0) return [];
+
+    const rows = await this.connection.query(
+      `SELECT storage_key, dialog_state, e_tag
+       FROM conversation_state
+       WHERE storage_key IN (${storageKeys.map(() => "?").join(", ")})
+         AND last_activity > DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [...storageKeys, idleSeconds]
+    );
+
+    // mysql2 returns JSON columns already parsed
+    return rows.map((row) => ({
+      storageKey: row.storage_key,
+      state:
+        typeof row.dialog_state === "string"
+          ? JSON.parse(row.dialog_state)
+          : row.dialog_state,
+      eTag: row.e_tag,
+    }));
+  }
+
+  // Unconditional write, used for new items and eTag "*"
+  async upsert({ storageKey, userId, conversationId, state, eTag }) {
+    await this.connection.query(
+      `INSERT INTO conversation_state (storage_key, user_id, conversation_id, dialog_state, e_tag)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         dialog_state = VALUES(dialog_state),
+         e_tag = VALUES(e_tag),
+         last_activity = CURRENT_TIMESTAMP`,
+      [storageKey, userId, conversationId, JSON.stringify(state), eTag]
+    );
+  }
+
+  // Writes only over the version that was read; false when another turn got there first
+  async update({ storageKey, state, expectedETag, eTag }) {
+    const result = await this.connection.query(
+      `UPDATE conversation_state
+       SET dialog_state = ?, e_tag = ?, last_activity = CURRENT_TIMESTAMP
+       WHERE storage_key = ? AND e_tag = ?`,
+      [JSON.stringify(state), eTag, storageKey, expectedETag]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Insert that fails instead of overwriting; false when the key already exists
+  async insert({ storageKey, userId, conversationId, state, eTag }) {
+    try {
+      await this.connection.query(
+        `INSERT INTO conversation_state (storage_key, user_id, conversation_id, dialog_state, e_tag)
+         VALUES (?, ?, ?, ?, ?)`,
+        [storageKey, userId, conversationId, JSON.stringify(state), eTag]
+      );
+      return true;
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") return false;
+      throw error;
+    }
+  }
+
+  async delete(storageKeys) {
+    if (storageKeys.length === 0) return;
+
+    await this.connection.query(
+      `DELETE FROM conversation_state
+       WHERE storage_key IN (${storageKeys.map(() => "?").join(", ")})`,
+      storageKeys
+    );
+  }
+
+  async deleteIdle(idleSeconds) {
+    const result = await this.connection.query(
+      `DELETE FROM conversation_state
+       WHERE last_activity <= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+      [idleSeconds]
+    );
+    return result.affectedRows;
+  }
+}
+
+module.exports = { ConversationStateRepository };
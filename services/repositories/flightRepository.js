@@ -0,0 +1,118 @@
+// flight_schedules statuses that can still be sold; delayed flights still fly
+const SELLABLE_SCHEDULE_STATUSES = ["scheduled", "delayed"];
+
+const SCHEDULE_COLUMNS = `
+    fs.id as schedule_id,
+    f.flight_number,
+    a.name as airline_name,
+    a.code as airline_code,
+    dep_airport.city as departure_city,
+    arr_airport.city as arrival_city,
+    dep_airport.code as departure_code,
+    arr_airport.code as arrival_code,
+    fs.flight_date,
+    fs.departure_time,
+    fs.arrival_time,
+    fs.price,
+    fs.available_seats,
+    fs.status,
+    f.duration_minutes,
+    f.aircraft_type`;
+
+const SCHEDULE_JOINS = `
+    FROM flight_schedules fs
+    JOIN flights f ON fs.flight_id = f.id
+    JOIN airlines a ON f.airline_id = a.id
+    JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+    JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id`;
+
+// Our own flight inventory: flights and their dated schedules
+class FlightRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // departure/arrival match an airport code exactly or a city name partially.
+  // Only schedules that are still sellable, haven't left and have enough seats are returned.
+  async search({ departure, arrival, departureDate, passengers = 1, limit = 10 }) {
+    return await this.connection.query(
+      `SELECT ${SCHEDULE_COLUMNS}
+       ${SCHEDULE_JOINS}
+       WHERE
+           (dep_airport.code = ? OR dep_airport.city LIKE ?)
+           AND (arr_airport.code = ? OR arr_airport.city LIKE ?)
+           AND fs.flight_date = ?
+           AND fs.available_seats >= ?
+           AND fs.status IN (${SELLABLE_SCHEDULE_STATUSES.map(() => "?").join(", ")})
+           AND TIMESTAMP(fs.flight_date, fs.departure_time) > NOW()
+       ORDER BY fs.price ASC, fs.departure_time ASC
+       LIMIT ${parseInt(limit)}`,
+      [
+        departure,
+        `%${departure}%`,
+        arrival,
+        `%${arrival}%`,
+        departureDate,
+        passengers,
+        ...SELLABLE_SCHEDULE_STATUSES,
+      ]
+    );
+  }
+
+  // Status of a flight on our schedule for the given day
+  async findScheduleStatus(flightNumber, flightDate) {
+    const rows = await this.connection.query(
+      `SELECT
+           fs.id as schedule_id,
+           f.flight_number,
+           dep_airport.name as departure_airport,
+           arr_airport.name as arrival_airport,
+           dep_airport.code as departure_code,
+           arr_airport.code as arrival_code,
+           fs.flight_date,
+           fs.departure_time,
+           fs.arrival_time,
+           fs.status,
+           fs.updated_at
+       FROM flight_schedules fs
+       JOIN flights f ON fs.flight_id = f.id
+       JOIN airports dep_airport ON f.departure_airport_id = dep_airport.id
+       JOIN airports arr_airport ON f.arrival_airport_id = arr_airport.id
+       WHERE f.flight_number = ? AND fs.flight_date = ?`,
+      [flightNumber, flightDate]
+    );
+    return rows[0] || null;
+  }
+
+  async findSchedule(scheduleId) {
+    const rows = await this.connection.query(
+      `SELECT ${SCHEDULE_COLUMNS}
+       ${SCHEDULE_JOINS}
+       WHERE fs.id = ?`,
+      [scheduleId]
+    );
+    return rows[0] || null;
+  }
+
+  // The schedule if it can still be sold to this many passengers, otherwise null
+  async findSellableSchedule(scheduleId, passengers = 1) {
+    const schedule = await this.findSchedule(scheduleId);
+    if (!schedule) return null;
+
+    const [hours, minutes] = String(schedule.departure_time).split(":");
+    const departsAt = new Date(schedule.flight_date);
+    departsAt.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+
+    if (
+      !SELLABLE_SCHEDULE_STATUSES.includes(schedule.status) ||
+      schedule.available_seats < passengers ||
+      departsAt <= new Date()
+    ) {
+      return null;
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = { FlightRepository, SELLABLE_SCHEDULE_STATUSES };
@@ -0,0 +1,58 @@
+// Repositories over the one shared connection. Require these instead of
+// writing SQL elsewhere. DB_DRIVER=memory swaps in the same repositories over
+// an in-process database, so the bot runs without MySQL.
+const { Connection } = require("./connection");
+const { UserRepository } = require("./userRepository");
+const { FlightRepository } = require("./flightRepository");
+const { BookingRepository } = require("./bookingRepository");
+const { PaymentRepository } = require("./paymentRepository");
+const { SeatHoldRepository } = require("./seatHoldRepository");
+const { ConversationStateRepository } = require("./conversationStateRepository");
+const { WebhookEventRepository } = require("./webhookEventRepository");
+const { PaymentLinkRepository } = require("./paymentLinkRepository");
+const { MemoryDatabase } = require("./memory/database");
+const { MemoryUserRepository } = require("./memory/userRepository");
+const { MemoryFlightRepository } = require("./memory/flightRepository");
+const { MemoryBookingRepository } = require("./memory/bookingRepository");
+const { MemoryPaymentRepository } = require("./memory/paymentRepository");
+const { MemorySeatHoldRepository } = require("./memory/seatHoldRepository");
+const { MemoryConversationStateRepository } = require("./memory/conversationStateRepository");
+const { MemoryWebhookEventRepository } = require("./memory/webhookEventRepository");
+const { MemoryPaymentLinkRepository } = require("./memory/paymentLinkRepository");
+
+function createRepositories(driver = process.env.DB_DRIVER || "mysql") {
+  switch (driver.toLowerCase()) {
+    case "mysql": {
+      const connection = new Connection();
+      return {
+        connection,
+        users: new UserRepository(connection),
+        flights: new FlightRepository(connection),
+        bookings: new BookingRepository(connection),
+        payments: new PaymentRepository(connection),
+        seatHolds: new SeatHoldRepository(connection),
+        conversationState: new ConversationStateRepository(connection),
+        webhookEvents: new WebhookEventRepository(connection),
+        paymentLinks: new PaymentLinkRepository(connection),
+      };
+    }
+    case "memory": {
+      const database = new MemoryDatabase();
+      return {
+        connection: database,
+        users: new MemoryUserRepository(database),
+        flights: new MemoryFlightRepository(database),
+        bookings: new MemoryBookingRepository(database),
+        payments: new MemoryPaymentRepository(database),
+        seatHolds: new MemorySeatHoldRepository(database),
+        conversationState: new MemoryConversationStateRepository(database),
+        webhookEvents: new MemoryWebhookEventRepository(database),
+        paymentLinks: new MemoryPaymentLinkRepository(database),
+      };
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}". Use "mysql" or "memory".`);
+  }
+}
+
+module.exports = { ...createRepositories(), createRepositories };
@@ -0,0 +1,255 @@
+const { toDate, toDecimal, formatDate } = require("./database");
+
+// BookingRepository over the memory database, reading through the JS
+// booking_details_view
+class MemoryBookingRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async createPending({
+    bookingReference,
+    userId,
+    flightScheduleId = null,
+    flight,
+    searchParams,
+    passengers,
+    cabinClass = "economy",
+    totalPrice,
+    currency = "USD",
+    conversationReference = null,
+    holdReference = null,
+  }) {
+    if (this.database.find("bookings", (row) => row.booking_reference === bookingReference)) {
+      const error = new Error(`Duplicate entry '${bookingReference}' for key 'booking_reference'`);
+      error.code = "ER_DUP_ENTRY";
+      throw error;
+    }
+
+    const booking = this.database.insert("bookings", {
+      booking_reference: bookingReference,
+      user_id: userId,
+      conversation_reference: conversationReference ? JSON.stringify(conversationReference) : null,
+      flight_schedule_id: flightScheduleId,
+      flight_data: JSON.stringify(flight),
+      search_params: JSON.stringify(searchParams || null),
+      passenger_count: passengers.length,
+      cabin_class: cabinClass,
+      total_price: toDecimal(totalPrice),
+      currency,
+      status: "pending",
+      payment_status: "pending",
+    });
+
+    for (const passenger of passengers) {
+      this.insertPassenger(booking.id, passenger);
+    }
+
+    this.database
+      .filter("seat_holds", (hold) => hold.hold_reference === holdReference && hold.status === "held")
+      .forEach((hold) => this.database.update("seat_holds", hold, { booking_reference: bookingReference }));
+
+    return { id: booking.id, bookingReference };
+  }
+
+  async markPaid(bookingId, transactionId) {
+    const booking = this.database.findById("bookings", bookingId);
+    if (!booking) return false;
+
+    this.database.update("bookings", booking, {
+      status: "confirmed",
+      payment_status: "paid",
+      payment_transaction_id: transactionId,
+    });
+    return true;
+  }
+
+  async markPaymentFailed(bookingId) {
+    const booking = this.database.findById("bookings", bookingId);
+    if (!booking || booking.status !== "pending") return false;
+
+    this.database.update("bookings", booking, {
+      status: "cancelled",
+      payment_status: "failed",
+    });
+    return true;
+  }
+
+  async setPaymentStatus(bookingId, paymentStatus) {
+    const booking = this.database.findById("bookings", bookingId);
+    if (!booking) return false;
+
+    this.database.update("bookings", booking, { payment_status: paymentStatus });
+    return true;
+  }
+
+  async findById(bookingId) {
+    return this.database.copy(this.database.findById("bookings", bookingId));
+  }
+
+  async findDetailsByReference(bookingReference) {
+    return (
+      this.database
+        .bookingDetailsView()
+        .find((row) => row.booking_reference === bookingReference) || null
+    );
+  }
+
+  // Upcoming flights first (soonest first), then past flights (most recent first)
+  async listDetailsForUser(userId, limit = 5, offset = 0) {
+    const today = formatDate(new Date());
+    const isPast = (row) => row.flight_date !== null && formatDate(row.flight_date) < today;
+    const time = (row) => (row.flight_date ? toDate(row.flight_date).getTime() : 0);
+
+    return this.database
+      .bookingDetailsView()
+      .filter((row) => row.user_id === userId)
+      .sort(
+        (a, b) =>
+          isPast(a) - isPast(b) ||
+          (isPast(a) ? time(b) - time(a) : time(a) - time(b)) ||
+          `${a.departure_time}`.localeCompare(`${b.departure_time}`)
+      )
+      .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  }
+
+  async cancel(bookingId, refunded = false) {
+    const booking = this.database.findById("bookings", bookingId);
+    if (!booking || booking.status === "cancelled") {
+      throw new Error("Booking not found or already cancelled");
+    }
+
+    this.database.update("bookings", booking, { status: "cancelled" });
+    this.expirePaymentLinks(booking);
+    this.returnSeats(booking);
+
+    if (refunded) {
+      const payments = this.database.filter("payment_history", (payment) => payment.booking_id === booking.id);
+      payments
+        .filter(
+          (payment) =>
+            payment.payment_status === "completed" &&
+            parseFloat(payment.refunded_amount) >= parseFloat(payment.amount)
+        )
+        .forEach((payment) =>
+          this.database.update("payment_history", payment, { payment_status: "refunded" })
+        );
+
+      if (!payments.some((payment) => ["completed", "disputed"].includes(payment.payment_status))) {
+        this.database.update("bookings", booking, { payment_status: "refunded" });
+      }
+    }
+
+    return { bookingId, status: "cancelled" };
+  }
+
+  async changeFlight(bookingId, { flightData, searchParams, totalPrice, holdReference = null }) {
+    const booking = this.database.findById("bookings", bookingId);
+    if (!booking || booking.status === "cancelled") {
+      throw new Error("Booking not found or already cancelled");
+    }
+
+    // Checked first, as nothing here is rolled back
+    const newHolds = holdReference
+      ? this.database.filter(
+          "seat_holds",
+          (hold) => hold.hold_reference === holdReference && hold.status === "held"
+        )
+      : [];
+    if (holdReference && newHolds.length === 0) {
+      const error = new Error("The seats held on the new flight are no longer available");
+      error.code = "SEATS_UNAVAILABLE";
+      throw error;
+    }
+
+    this.returnSeats(booking);
+    this.database.update("bookings", booking, {
+      flight_schedule_id: flightData.scheduleId || null,
+      flight_data: JSON.stringify(flightData),
+      search_params: JSON.stringify(searchParams),
+      total_price: toDecimal(totalPrice),
+    });
+    newHolds.forEach((hold) =>
+      this.database.update("seat_holds", hold, {
+        status: "sold",
+        booking_reference: booking.booking_reference,
+      })
+    );
+
+    return { bookingId, status: "changed" };
+  }
+
+  // Same rules as BookingRepository.expirePaymentLinks
+  expirePaymentLinks(booking) {
+    this.findPaymentLinks(booking)
+      .filter((link) => link.status === "active" || link.status === "paying")
+      .forEach((link) => {
+        this.database
+          .filter(
+            "seat_holds",
+            (hold) => hold.hold_reference === link.hold_reference && hold.status === "held"
+          )
+          .forEach((hold) => this.releaseHold(hold));
+        this.database.update("payment_links", link, { status: "expired" });
+      });
+  }
+
+  // Same rules as BookingRepository.returnSeats
+  returnSeats(booking) {
+    const holds = this.database.filter(
+      "seat_holds",
+      (hold) => hold.booking_reference === booking.booking_reference
+    );
+    holds.filter((hold) => hold.status === "sold").forEach((hold) => this.releaseHold(hold));
+
+    const hadHold =
+      holds.length > 0 || this.findPaymentLinks(booking).some((link) => link.hold_reference);
+    if (!hadHold && booking.flight_schedule_id) {
+      this.addSeats(booking.flight_schedule_id, booking.passenger_count);
+    }
+  }
+
+  findPaymentLinks(booking) {
+    return this.database.filter("payment_links", (link) => link.booking_id === booking.id);
+  }
+
+  releaseHold(hold) {
+    this.addSeats(hold.flight_schedule_id, hold.seats);
+    this.database.update("seat_holds", hold, { status: "released" });
+  }
+
+  addSeats(scheduleId, seats) {
+    const schedule = this.database.findById("flight_schedules", scheduleId);
+    if (schedule) {
+      this.database.update("flight_schedules", schedule, {
+        available_seats: schedule.available_seats + seats,
+      });
+    }
+  }
+
+  // Passenger operations
+  async addPassenger(bookingId, passengerData) {
+    return this.insertPassenger(bookingId, passengerData);
+  }
+
+  async getPassengers(bookingId) {
+    return this.database
+      .filter("passengers", (passenger) => passenger.booking_id === Number(bookingId))
+      .map((passenger) => this.database.copy(passenger));
+  }
+
+  insertPassenger(bookingId, passengerData) {
+    const passenger = this.database.insert("passengers", {
+      booking_id: Number(bookingId),
+      first_name: passengerData.firstName,
+      last_name: passengerData.lastName || "",
+      date_of_birth: toDate(passengerData.dateOfBirth || null),
+      gender: passengerData.gender || null,
+      passport_number: passengerData.passportNumber || null,
+      nationality: passengerData.nationality || null,
+    });
+    return { affectedRows: 1, insertId: passenger.id };
+  }
+}
+
+module.exports = { MemoryBookingRepository };
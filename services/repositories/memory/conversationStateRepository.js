@@ -0,0 +1,78 @@
+// ConversationStateRepository over the memory database
+class MemoryConversationStateRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async read(storageKeys, idleSeconds) {
+    const activeSince = Date.now() - idleSeconds * 1000;
+
+    return this.database
+      .filter(
+        "conversation_state",
+        (row) => storageKeys.includes(row.storage_key) && row.last_activity > activeSince
+      )
+      .map((row) => ({
+        storageKey: row.storage_key,
+        state: JSON.parse(row.dialog_state),
+        eTag: row.e_tag,
+      }));
+  }
+
+  async upsert({ storageKey, userId, conversationId, state, eTag }) {
+    const row = this.findByKey(storageKey);
+
+    if (row) {
+      this.database.update("conversation_state", row, {
+        dialog_state: JSON.stringify(state),
+        e_tag: eTag,
+      });
+      return;
+    }
+
+    this.insertRow({ storageKey, userId, conversationId, state, eTag });
+  }
+
+  async update({ storageKey, state, expectedETag, eTag }) {
+    const row = this.findByKey(storageKey);
+    if (!row || row.e_tag !== expectedETag) return false;
+
+    this.database.update("conversation_state", row, {
+      dialog_state: JSON.stringify(state),
+      e_tag: eTag,
+    });
+    return true;
+  }
+
+  async insert(item) {
+    if (this.findByKey(item.storageKey)) return false;
+
+    this.insertRow(item);
+    return true;
+  }
+
+  async delete(storageKeys) {
+    this.database.delete("conversation_state", (row) => storageKeys.includes(row.storage_key));
+  }
+
+  async deleteIdle(idleSeconds) {
+    const activeSince = Date.now() - idleSeconds * 1000;
+    return this.database.delete("conversation_state", (row) => row.last_activity <= activeSince);
+  }
+
+  findByKey(storageKey) {
+    return this.database.find("conversation_state", (row) => row.storage_key === storageKey);
+  }
+
+  insertRow({ storageKey, userId, conversationId, state, eTag }) {
+    this.database.insert("conversation_state", {
+      storage_key: storageKey,
+      user_id: userId,
+      conversation_id: conversationId,
+      dialog_state: JSON.stringify(state),
+      e_tag: eTag,
+    });
+  }
+}
+
+module.exports = { MemoryConversationStateRepository };
@@ -0,0 +1,343 @@
+const sampleData = require("../../../database/seeds/sampleData");
+
+// Columns every new row gets unless the insert sets them, as in the MySQL schema
+const TABLE_DEFAULTS = {
+  users: { conversation_id: null, name: null, email: null, phone: null },
+  airlines: {},
+  airports: { timezone: null },
+  flights: { available_seats: 0, aircraft_type: null, status: "scheduled" },
+  flight_schedules: { available_seats: 0, status: "scheduled" },
+  bookings: {
+    flight_schedule_id: null,
+    flight_data: null,
+    search_params: null,
+    passenger_count: 1,
+    cabin_class: "economy",
+    currency: "USD",
+    status: "pending",
+    payment_status: "pending",
+    conversation_reference: null,
+    payment_transaction_id: null,
+    special_requests: null,
+  },
+  seat_holds: { status: "held", booking_reference: null },
+  passengers: {
+    date_of_birth: null,
+    gender: null,
+    passport_number: null,
+    nationality: null,
+    seat_number: null,
+    meal_preference: null,
+  },
+  payment_history: {
+    refunded_amount: "0.00",
+    currency: "USD",
+    exchange_rate: null,
+    card_brand: null,
+    card_last4: null,
+    payment_provider: null,
+    payment_gateway: null,
+    gateway_transaction_id: null,
+    failure_reason: null,
+  },
+  conversation_state: { user_id: null, conversation_id: null },
+  booking_audit: {},
+  payment_webhook_events: {},
+  payment_refunds: {},
+  payment_links: {
+    hold_reference: null,
+    exchange_rate: null,
+    status: "active",
+    transaction_id: null,
+    paid_at: null,
+  },
+};
+
+// TIMESTAMP columns set to the current time on insert, and on every update
+const TIMESTAMP_COLUMNS = {
+  users: { insert: ["created_at", "updated_at"], update: ["updated_at"] },
+  airlines: { insert: ["created_at"], update: [] },
+  airports: { insert: ["created_at"], update: [] },
+  flights: { insert: ["created_at", "updated_at"], update: ["updated_at"] },
+  flight_schedules: { insert: ["created_at", "updated_at"], update: ["updated_at"] },
+  bookings: { insert: ["booking_date", "created_at", "updated_at"], update: ["updated_at"] },
+  seat_holds: { insert: ["created_at", "updated_at"], update: ["updated_at"] },
+  passengers: { insert: ["created_at"], update: [] },
+  payment_history: { insert: ["payment_date"], update: [] },
+  conversation_state: { insert: ["last_activity", "created_at"], update: ["last_activity"] },
+  booking_audit: { insert: ["changed_at"], update: [] },
+  payment_webhook_events: { insert: ["received_at"], update: [] },
+  payment_refunds: { insert: ["created_at"], update: [] },
+  payment_links: { insert: ["created_at"], update: [] },
+};
+
+// Stored as JSON text and parsed on the way out, like mysql2 does for JSON columns
+const JSON_COLUMNS = ["flight_data", "search_params", "dialog_state", "conversation_reference"];
+
+// SQL COALESCE for two values
+function coalesce(value, fallback) {
+  return value === null || value === undefined ? fallback : value;
+}
+
+function toDecimal(value, places = 2) {
+  return value === null || value === undefined ? null : Number(value).toFixed(places);
+}
+
+// Local-midnight Date for a DATE column, as mysql2 returns them
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(`${value}T00:00:00`);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function formatDate(value) {
+  const date = toDate(value);
+  if (!date) return null;
+  const pad = (part) => `${part}`.padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatTime(date) {
+  const pad = (part) => `${part}`.padStart(2, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function departsAt(flightDate, departureTime) {
+  const [hours, minutes, seconds] = `${departureTime}`.split(":").map((part) => parseInt(part));
+  const date = toDate(flightDate);
+  date.setHours(hours, minutes, seconds || 0, 0);
+  return date;
+}
+
+// Tables held in process memory with the same rows and column types mysql2
+// returns: DECIMAL as strings, DATE as Date, TIME as "HH:MM:SS", JSON parsed.
+// Everything is lost when the process exits. Views and the booking audit
+// trigger of the MySQL schema are implemented here in JS.
+class MemoryDatabase {
+  constructor(options = {}) {
+    this.driver = "memory";
+    this.seedSampleData =
+      options.seedSampleData !== undefined
+        ? options.seedSampleData
+        : process.env.DB_SEED !== "false";
+    this.isInitialized = false;
+    this.reset();
+  }
+
+  reset() {
+    this.tables = {};
+    this.nextIds = {};
+    for (const table of Object.keys(TABLE_DEFAULTS)) {
+      this.tables[table] = [];
+      this.nextIds[table] = 1;
+    }
+    this.isSeeded = false;
+  }
+
+  async initialize() {
+    if (this.seedSampleData && !this.isSeeded) {
+      this.seed();
+      console.log("Memory database loaded with sample data");
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  // Data is kept so the database can be initialized again in the same process
+  async close() {
+    this.isInitialized = false;
+  }
+
+  async healthCheck() {
+    return true;
+  }
+
+  insert(table, values) {
+    const row = { id: this.nextIds[table]++, ...TABLE_DEFAULTS[table] };
+    this.touch(table, row, "insert");
+    Object.assign(row, values);
+    this.tables[table].push(row);
+    return row;
+  }
+
+  update(table, row, changes) {
+    const oldStatus = row.status;
+    Object.assign(row, changes);
+    this.touch(table, row, "update");
+
+    // booking_status_update trigger
+    if (table === "bookings" && oldStatus !== row.status) {
+      this.insert("booking_audit", {
+        booking_id: row.id,
+        old_status: oldStatus,
+        new_status: row.status,
+      });
+    }
+
+    return row;
+  }
+
+  touch(table, row, operation) {
+    const now = new Date();
+    for (const column of TIMESTAMP_COLUMNS[table][operation]) {
+      row[column] = now;
+    }
+  }
+
+  delete(table, predicate) {
+    const kept = this.tables[table].filter((row) => !predicate(row));
+    const deleted = this.tables[table].length - kept.length;
+    this.tables[table] = kept;
+    return deleted;
+  }
+
+  find(table, predicate) {
+    return this.tables[table].find(predicate) || null;
+  }
+
+  filter(table, predicate) {
+    return this.tables[table].filter(predicate);
+  }
+
+  findById(table, id) {
+    return this.find(table, (row) => row.id === Number(id));
+  }
+
+  // The row as a query returns it; changing the copy leaves the table alone
+  copy(row) {
+    if (!row) return null;
+
+    const copy = { ...row };
+    for (const column of JSON_COLUMNS) {
+      if (typeof copy[column] === "string") {
+        copy[column] = JSON.parse(copy[column]);
+      }
+    }
+    return copy;
+  }
+
+  // Same columns as flight_search_view, plus the schedule's updated_at
+  flightSearchView() {
+    return this.tables.flight_schedules.map((schedule) => this.toSearchViewRow(schedule));
+  }
+
+  toSearchViewRow(schedule) {
+    const flight = this.findById("flights", schedule.flight_id);
+    const airline = this.findById("airlines", flight.airline_id);
+    const departure = this.findById("airports", flight.departure_airport_id);
+    const arrival = this.findById("airports", flight.arrival_airport_id);
+
+    return {
+      schedule_id: schedule.id,
+      flight_number: flight.flight_number,
+      airline_name: airline.name,
+      airline_code: airline.code,
+      departure_city: departure.city,
+      arrival_city: arrival.city,
+      departure_code: departure.code,
+      arrival_code: arrival.code,
+      departure_airport: departure.name,
+      arrival_airport: arrival.name,
+      flight_date: toDate(schedule.flight_date),
+      departure_time: schedule.departure_time,
+      arrival_time: schedule.arrival_time,
+      price: schedule.price,
+      available_seats: schedule.available_seats,
+      duration_minutes: flight.duration_minutes,
+      aircraft_type: flight.aircraft_type,
+      status: schedule.status,
+      updated_at: schedule.updated_at,
+    };
+  }
+
+  // Same columns as booking_details_view: schedule details for inventory
+  // bookings, otherwise what the flight_data snapshot holds
+  bookingDetailsView() {
+    return this.tables.bookings.map((booking) => {
+      const scheduleRow = booking.flight_schedule_id
+        ? this.findById("flight_schedules", booking.flight_schedule_id)
+        : null;
+      const schedule = scheduleRow && this.toSearchViewRow(scheduleRow);
+      const { flight_data: flightData, search_params: searchParams } = this.copy(booking);
+      const data = flightData || {};
+      const departure = data.departure || {};
+      const arrival = data.arrival || {};
+      const departureAt = departure.at ? new Date(departure.at) : null;
+      const arrivalAt = arrival.at ? new Date(arrival.at) : null;
+
+      return {
+        booking_id: booking.id,
+        booking_reference: booking.booking_reference,
+        user_id: booking.user_id,
+        flight_schedule_id: booking.flight_schedule_id,
+        flight_data: flightData,
+        search_params: searchParams,
+        passenger_count: booking.passenger_count,
+        cabin_class: booking.cabin_class,
+        total_price: booking.total_price,
+        currency: booking.currency,
+        booking_status: booking.status,
+        payment_status: booking.payment_status,
+        payment_transaction_id: booking.payment_transaction_id,
+        booking_date: booking.booking_date,
+        flight_number: schedule ? schedule.flight_number : data.flightNumber || null,
+        airline_name: schedule ? schedule.airline_name : data.airline || null,
+        departure_city: schedule ? schedule.departure_city : departure.airport || null,
+        arrival_city: schedule ? schedule.arrival_city : arrival.airport || null,
+        departure_code: schedule ? schedule.departure_code : departure.airport || null,
+        arrival_code: schedule ? schedule.arrival_code : arrival.airport || null,
+        flight_date: schedule ? schedule.flight_date : departureAt && toDate(departureAt),
+        departure_time: schedule ? schedule.departure_time : departureAt && formatTime(departureAt),
+        arrival_time: schedule ? schedule.arrival_time : arrivalAt && formatTime(arrivalAt),
+        aircraft_type: schedule ? schedule.aircraft_type : null,
+      };
+    });
+  }
+
+  // The rows database/seeds/sampleData.js inserts into MySQL
+  seed() {
+    for (const [code, name] of sampleData.airlines) {
+      this.insert("airlines", { code, name });
+    }
+
+    for (const [code, name, city, country, timezone] of sampleData.airports) {
+      this.insert("airports", { code, name, city, country, timezone });
+    }
+
+    for (const [flightNumber, airline, from, to, departure, arrival, minutes, basePrice, seats, aircraft] of sampleData.flights) {
+      this.insert("flights", {
+        flight_number: flightNumber,
+        airline_id: this.find("airlines", (row) => row.code === airline).id,
+        departure_airport_id: this.find("airports", (row) => row.code === from).id,
+        arrival_airport_id: this.find("airports", (row) => row.code === to).id,
+        departure_time: departure,
+        arrival_time: arrival,
+        duration_minutes: minutes,
+        base_price: toDecimal(basePrice),
+        available_seats: seats,
+        aircraft_type: aircraft,
+      });
+    }
+
+    const today = toDate(new Date());
+    for (let day = 0; day < sampleData.SCHEDULE_DAYS; day++) {
+      const flightDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + day);
+
+      for (const flight of this.tables.flights) {
+        this.insert("flight_schedules", {
+          flight_id: flight.id,
+          flight_date: flightDate,
+          departure_time: flight.departure_time,
+          arrival_time: flight.arrival_time,
+          price: toDecimal(parseFloat(flight.base_price) + (Math.random() * 100 - 50)),
+          available_seats: flight.available_seats,
+        });
+      }
+    }
+
+    this.isSeeded = true;
+  }
+}
+
+module.exports = { MemoryDatabase, coalesce, toDecimal, toDate, formatDate, departsAt };
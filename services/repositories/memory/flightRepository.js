@@ -0,0 +1,107 @@
+const { SELLABLE_SCHEDULE_STATUSES } = require("../flightRepository");
+const { formatDate, departsAt } = require("./database");
+
+// Columns FlightRepository selects for a schedule
+function toScheduleRow(row) {
+  return {
+    schedule_id: row.schedule_id,
+    flight_number: row.flight_number,
+    airline_name: row.airline_name,
+    airline_code: row.airline_code,
+    departure_city: row.departure_city,
+    arrival_city: row.arrival_city,
+    departure_code: row.departure_code,
+    arrival_code: row.arrival_code,
+    flight_date: row.flight_date,
+    departure_time: row.departure_time,
+    arrival_time: row.arrival_time,
+    price: row.price,
+    available_seats: row.available_seats,
+    status: row.status,
+    duration_minutes: row.duration_minutes,
+    aircraft_type: row.aircraft_type,
+  };
+}
+
+// Airport code equality or a partial city match, both case-insensitive as in MySQL
+function matchesPlace(code, city, place) {
+  const wanted = `${place}`.toLowerCase();
+  return code.toLowerCase() === wanted || city.toLowerCase().includes(wanted);
+}
+
+// FlightRepository over the memory database
+class MemoryFlightRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async search({ departure, arrival, departureDate, passengers = 1, limit = 10 }) {
+    const now = new Date();
+
+    return this.database
+      .flightSearchView()
+      .filter(
+        (row) =>
+          matchesPlace(row.departure_code, row.departure_city, departure) &&
+          matchesPlace(row.arrival_code, row.arrival_city, arrival) &&
+          formatDate(row.flight_date) === formatDate(departureDate) &&
+          row.available_seats >= passengers &&
+          SELLABLE_SCHEDULE_STATUSES.includes(row.status) &&
+          departsAt(row.flight_date, row.departure_time) > now
+      )
+      .sort(
+        (a, b) =>
+          parseFloat(a.price) - parseFloat(b.price) ||
+          a.departure_time.localeCompare(b.departure_time)
+      )
+      .slice(0, parseInt(limit))
+      .map(toScheduleRow);
+  }
+
+  async findScheduleStatus(flightNumber, flightDate) {
+    const row = this.database
+      .flightSearchView()
+      .find(
+        (view) =>
+          view.flight_number === flightNumber &&
+          formatDate(view.flight_date) === formatDate(flightDate)
+      );
+    if (!row) return null;
+
+    return {
+      schedule_id: row.schedule_id,
+      flight_number: row.flight_number,
+      departure_airport: row.departure_airport,
+      arrival_airport: row.arrival_airport,
+      departure_code: row.departure_code,
+      arrival_code: row.arrival_code,
+      flight_date: row.flight_date,
+      departure_time: row.departure_time,
+      arrival_time: row.arrival_time,
+      status: row.status,
+      updated_at: row.updated_at,
+    };
+  }
+
+  async findSchedule(scheduleId) {
+    const schedule = this.database.findById("flight_schedules", scheduleId);
+    return schedule ? toScheduleRow(this.database.toSearchViewRow(schedule)) : null;
+  }
+
+  async findSellableSchedule(scheduleId, passengers = 1) {
+    const schedule = await this.findSchedule(scheduleId);
+    if (!schedule) return null;
+
+    if (
+      !SELLABLE_SCHEDULE_STATUSES.includes(schedule.status) ||
+      schedule.available_seats < passengers ||
+      departsAt(schedule.flight_date, schedule.departure_time) <= new Date()
+    ) {
+      return null;
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = { MemoryFlightRepository };
@@ -0,0 +1,94 @@
+const { toDecimal } = require("./database");
+
+// PaymentLinkRepository over the memory database
+class MemoryPaymentLinkRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create({ linkReference, bookingId, holdReference = null, amount, currency, exchangeRate = null, ttlSeconds }) {
+    if (this.database.find("payment_links", (row) => row.link_reference === linkReference)) {
+      const error = new Error(`Duplicate entry '${linkReference}' for key 'link_reference'`);
+      error.code = "ER_DUP_ENTRY";
+      throw error;
+    }
+
+    const link = this.database.insert("payment_links", {
+      link_reference: linkReference,
+      booking_id: bookingId,
+      hold_reference: holdReference,
+      amount: toDecimal(amount),
+      currency: currency,
+      exchange_rate: toDecimal(exchangeRate, 8),
+      status: "active",
+      expires_at: new Date(Date.now() + ttlSeconds * 1000),
+    });
+
+    return { id: link.id, linkReference };
+  }
+
+  async findByReference(linkReference) {
+    return this.database.copy(this.findLink(linkReference));
+  }
+
+  async markPaying(linkReference) {
+    const link = this.findLink(linkReference);
+    if (!link || link.status !== "active" || link.expires_at <= new Date()) return false;
+
+    this.database.update("payment_links", link, { status: "paying" });
+    return true;
+  }
+
+  async markActive(linkReference) {
+    const link = this.findLink(linkReference);
+    if (!link || link.status !== "paying") return false;
+
+    this.database.update("payment_links", link, { status: "active" });
+    return true;
+  }
+
+  async markPaid(linkReference, transactionId) {
+    const link = this.findLink(linkReference);
+    if (!link || link.status !== "paying") return false;
+
+    this.database.update("payment_links", link, {
+      status: "paid",
+      transaction_id: transactionId,
+      paid_at: new Date(),
+    });
+    return true;
+  }
+
+  async markExpired(linkReference, payingGraceSeconds = 0) {
+    const link = this.findLink(linkReference);
+    if (!link || !this.isExpirable(link, new Date(), payingGraceSeconds)) return false;
+
+    this.database.update("payment_links", link, { status: "expired" });
+    return true;
+  }
+
+  async findDue(payingGraceSeconds = 0) {
+    const now = new Date();
+    return this.database
+      .filter(
+        "payment_links",
+        (link) => link.expires_at <= now && this.isExpirable(link, now, payingGraceSeconds)
+      )
+      .sort((a, b) => a.expires_at - b.expires_at)
+      .map((link) => this.database.copy(link));
+  }
+
+  // As the WHERE clause of PaymentLinkRepository.markExpired
+  isExpirable(link, now, payingGraceSeconds) {
+    return (
+      link.status === "active" ||
+      (link.status === "paying" && link.expires_at.getTime() <= now.getTime() - payingGraceSeconds * 1000)
+    );
+  }
+
+  findLink(linkReference) {
+    return this.database.find("payment_links", (row) => row.link_reference === linkReference);
+  }
+}
+
+module.exports = { MemoryPaymentLinkRepository };
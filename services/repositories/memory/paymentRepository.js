@@ -0,0 +1,125 @@
+const { coalesce, toDecimal } = require("./database");
+
+// Newest first, as ORDER BY payment_date DESC, id DESC
+function newestFirst(a, b) {
+  return b.payment_date - a.payment_date || b.id - a.id;
+}
+
+// PaymentRepository over the memory database
+class MemoryPaymentRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create(paymentData) {
+    if (this.database.find("payment_history", (row) => row.transaction_id === paymentData.transactionId)) {
+      const error = new Error(`Duplicate entry '${paymentData.transactionId}' for key 'transaction_id'`);
+      error.code = "ER_DUP_ENTRY";
+      throw error;
+    }
+
+    const payment = this.database.insert("payment_history", {
+      booking_id: paymentData.bookingId,
+      transaction_id: paymentData.transactionId,
+      amount: toDecimal(paymentData.amount),
+      currency: paymentData.currency || "USD",
+      exchange_rate: toDecimal(paymentData.exchangeRate || null, 8),
+      payment_method: paymentData.paymentMethod,
+      card_brand: paymentData.cardBrand || null,
+      card_last4: paymentData.cardLast4 || null,
+      payment_provider: paymentData.paymentProvider || null,
+      payment_status: paymentData.paymentStatus,
+      payment_gateway: paymentData.paymentGateway || null,
+      gateway_transaction_id: paymentData.gatewayTransactionId || null,
+      failure_reason: paymentData.failureReason || null,
+    });
+
+    return { id: payment.id, transactionId: paymentData.transactionId };
+  }
+
+  async updateStatus(transactionId, status, { gatewayTransactionId = null, failureReason = null } = {}) {
+    const payment = this.database.find("payment_history", (row) => row.transaction_id === transactionId);
+    if (!payment) return false;
+
+    this.database.update("payment_history", payment, {
+      payment_status: status,
+      gateway_transaction_id: coalesce(gatewayTransactionId, payment.gateway_transaction_id),
+      failure_reason: coalesce(failureReason, payment.failure_reason),
+      payment_date: new Date(),
+    });
+    return true;
+  }
+
+  async addRefund(transactionId, amount, refundId = null) {
+    const payment = this.database.find("payment_history", (row) => row.transaction_id === transactionId);
+    if (!payment) return false;
+
+    if (refundId) {
+      if (this.database.find("payment_refunds", (row) => row.refund_id === refundId)) return false;
+      this.database.insert("payment_refunds", {
+        refund_id: refundId,
+        transaction_id: transactionId,
+        amount: toDecimal(amount),
+      });
+    }
+
+    this.database.update("payment_history", payment, {
+      refunded_amount: toDecimal(parseFloat(payment.refunded_amount) + amount),
+    });
+    return true;
+  }
+
+  async findByTransactionId(transactionId) {
+    return this.database.copy(
+      this.database.find("payment_history", (row) => row.transaction_id === transactionId)
+    );
+  }
+
+  async findByGatewayTransactionId(gatewayTransactionId) {
+    return this.database.copy(
+      this.database.find("payment_history", (row) => row.gateway_transaction_id === gatewayTransactionId)
+    );
+  }
+
+  async findLatestForBooking(bookingId) {
+    const [latest] = await this.listForBooking(bookingId);
+    return latest || null;
+  }
+
+  async listForBooking(bookingId) {
+    return this.database
+      .filter("payment_history", (row) => row.booking_id === Number(bookingId))
+      .sort(newestFirst)
+      .map((row) => this.database.copy(row));
+  }
+
+  async getStatistics() {
+    const groups = new Map();
+    for (const row of this.database.tables.payment_history) {
+      const key = `${row.currency}/${row.payment_status}`;
+      if (!groups.has(key)) {
+        groups.set(key, { currency: row.currency, payment_status: row.payment_status, amounts: [] });
+      }
+      groups.get(key).amounts.push(parseFloat(row.amount));
+    }
+
+    return [...groups.values()]
+      .sort(
+        (a, b) =>
+          a.currency.localeCompare(b.currency) ||
+          a.payment_status.localeCompare(b.payment_status)
+      )
+      .map(({ currency, payment_status: paymentStatus, amounts }) => {
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        return {
+          currency,
+          payment_status: paymentStatus,
+          count: amounts.length,
+          total_amount: toDecimal(total),
+          avg_amount: toDecimal(total / amounts.length, 6),
+        };
+      });
+  }
+}
+
+module.exports = { MemoryPaymentRepository };
@@ -0,0 +1,162 @@
+const { SELLABLE_SCHEDULE_STATUSES } = require("../flightRepository");
+
+function seatsUnavailable() {
+  const error = new Error("Not enough seats available");
+  error.code = "SEATS_UNAVAILABLE";
+  return error;
+}
+
+function expiresAt(ttlSeconds) {
+  return new Date(Date.now() + ttlSeconds * 1000);
+}
+
+// SeatHoldRepository over the memory database. Seats are checked on every
+// schedule before any are taken, which stands in for the MySQL transaction.
+class MemorySeatHoldRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create({ holdReference, userId, scheduleIds, seats, ttlSeconds }) {
+    const schedules = scheduleIds.map((scheduleId) =>
+      this.database.findById("flight_schedules", scheduleId)
+    );
+    this.assertSeats(schedules.map((schedule) => ({ schedule, seats })));
+
+    schedules.forEach((schedule) => {
+      this.database.update("flight_schedules", schedule, {
+        available_seats: schedule.available_seats - seats,
+      });
+      this.database.insert("seat_holds", {
+        hold_reference: holdReference,
+        user_id: userId,
+        flight_schedule_id: schedule.id,
+        seats,
+        status: "held",
+        expires_at: expiresAt(ttlSeconds),
+      });
+    });
+
+    return { holdReference, scheduleIds, seats };
+  }
+
+  async extend(holdReference, ttlSeconds) {
+    const holds = this.findHolds(holdReference, ["held"]);
+    holds.forEach((hold) =>
+      this.database.update("seat_holds", hold, { expires_at: expiresAt(ttlSeconds) })
+    );
+    return holds.length > 0;
+  }
+
+  async reactivate(holdReference, ttlSeconds) {
+    const holds = this.findHolds(holdReference, ["expired", "released"]);
+    if (holds.length === 0) return false;
+
+    const takes = holds.map((hold) => ({
+      hold,
+      schedule: this.database.findById("flight_schedules", hold.flight_schedule_id),
+      seats: hold.seats,
+    }));
+
+    try {
+      this.assertSeats(takes);
+    } catch (error) {
+      if (error.code === "SEATS_UNAVAILABLE") return false;
+      throw error;
+    }
+
+    takes.forEach(({ hold, schedule }) => {
+      this.database.update("flight_schedules", schedule, {
+        available_seats: schedule.available_seats - hold.seats,
+      });
+    });
+    this.database
+      .filter("seat_holds", (hold) => hold.hold_reference === holdReference)
+      .forEach((hold) =>
+        this.database.update("seat_holds", hold, {
+          status: "held",
+          expires_at: expiresAt(ttlSeconds),
+        })
+      );
+
+    return true;
+  }
+
+  async markSold(holdReference, bookingReference) {
+    const holds = this.findHolds(holdReference, ["held"]);
+    holds.forEach((hold) =>
+      this.database.update("seat_holds", hold, {
+        status: "sold",
+        booking_reference: bookingReference,
+      })
+    );
+    return holds.length > 0;
+  }
+
+  async isSold(holdReference, bookingReference) {
+    return this.findHolds(holdReference, ["sold"]).some(
+      (hold) => hold.booking_reference === bookingReference
+    );
+  }
+
+  async findReferenceForBooking(bookingReference) {
+    const holds = this.database.filter(
+      "seat_holds",
+      (hold) => hold.booking_reference === bookingReference
+    );
+    return holds.length > 0 ? holds[holds.length - 1].hold_reference : null;
+  }
+
+  async release(holdReference, status = "released") {
+    const holds = this.findHolds(holdReference, ["held"]);
+    holds.forEach((hold) => this.returnSeats(hold, status));
+    return holds.length > 0;
+  }
+
+  async releaseExpired() {
+    const now = new Date();
+    const holds = this.database.filter(
+      "seat_holds",
+      (hold) => hold.status === "held" && hold.expires_at <= now
+    );
+    holds.forEach((hold) => this.returnSeats(hold, "expired"));
+    return holds.length;
+  }
+
+  findHolds(holdReference, statuses) {
+    return this.database.filter(
+      "seat_holds",
+      (hold) => hold.hold_reference === holdReference && statuses.includes(hold.status)
+    );
+  }
+
+  // Each take needs its schedule sellable with that many seats left; several
+  // takes on one schedule add up
+  assertSeats(takes) {
+    const needed = new Map();
+    takes.forEach(({ schedule, seats }) => {
+      if (!schedule || !SELLABLE_SCHEDULE_STATUSES.includes(schedule.status)) {
+        throw seatsUnavailable();
+      }
+      needed.set(schedule, (needed.get(schedule) || 0) + seats);
+    });
+
+    needed.forEach((seats, schedule) => {
+      if (schedule.available_seats < seats) {
+        throw seatsUnavailable();
+      }
+    });
+  }
+
+  returnSeats(hold, status) {
+    const schedule = this.database.findById("flight_schedules", hold.flight_schedule_id);
+    if (schedule) {
+      this.database.update("flight_schedules", schedule, {
+        available_seats: schedule.available_seats + hold.seats,
+      });
+    }
+    this.database.update("seat_holds", hold, { status });
+  }
+}
+
+module.exports = { MemorySeatHoldRepository };
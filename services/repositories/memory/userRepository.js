@@ -0,0 +1,49 @@
+const { coalesce } = require("./database");
+
+// UserRepository over the memory database
+class MemoryUserRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async upsert({ userId, conversationId, name = null, email = null, phone = null }) {
+    const user = this.database.find("users", (row) => row.user_id === userId);
+
+    if (!user) {
+      const row = this.database.insert("users", {
+        user_id: userId,
+        conversation_id: conversationId,
+        name,
+        email,
+        phone,
+      });
+      return { affectedRows: 1, insertId: row.id };
+    }
+
+    this.database.update("users", user, {
+      conversation_id: conversationId,
+      name: coalesce(name, user.name),
+      email: coalesce(email, user.email),
+      phone: coalesce(phone, user.phone),
+    });
+    return { affectedRows: 2, insertId: user.id };
+  }
+
+  async findById(userId) {
+    return this.database.copy(this.database.find("users", (row) => row.user_id === userId));
+  }
+
+  async update(userId, { name = null, email = null, phone = null }) {
+    const user = this.database.find("users", (row) => row.user_id === userId);
+    if (!user) return { affectedRows: 0 };
+
+    this.database.update("users", user, {
+      name: coalesce(name, user.name),
+      email: coalesce(email, user.email),
+      phone: coalesce(phone, user.phone),
+    });
+    return { affectedRows: 1 };
+  }
+}
+
+module.exports = { MemoryUserRepository };
@@ -0,0 +1,21 @@
+// WebhookEventRepository over the memory database
+class MemoryWebhookEventRepository {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async record(eventId, eventType) {
+    if (this.database.find("payment_webhook_events", (row) => row.event_id === eventId)) {
+      return false;
+    }
+
+    this.database.insert("payment_webhook_events", { event_id: eventId, event_type: eventType });
+    return true;
+  }
+
+  async forget(eventId) {
+    return this.database.delete("payment_webhook_events", (row) => row.event_id === eventId) > 0;
+  }
+}
+
+module.exports = { MemoryWebhookEventRepository };
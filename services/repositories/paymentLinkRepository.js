@@ -0,0 +1,85 @@
+// Payment links: a booking held while someone else pays for it
+class PaymentLinkRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async create({ linkReference, bookingId, holdReference = null, amount, currency, exchangeRate = null, ttlSeconds }) {
+    const result = await this.connection.query(
+      `INSERT INTO payment_links (
+         link_reference, booking_id, hold_reference, amount, currency, exchange_rate, status, expires_at
+       ) VALUES (?, ?, ?, ?, ?, ?, 'active', DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [linkReference, bookingId, holdReference, amount, currency, exchangeRate, ttlSeconds]
+    );
+
+    return { id: result.insertId, linkReference };
+  }
+
+  async findByReference(linkReference) {
+    const rows = await this.connection.query(
+      "SELECT * FROM payment_links WHERE link_reference = ?",
+      [linkReference]
+    );
+    return rows[0] || null;
+  }
+
+  // Claims the link for one payment at a time. False when it is already being
+  // paid, was paid or has expired.
+  async markPaying(linkReference) {
+    const result = await this.connection.query(
+      `UPDATE payment_links
+       SET status = 'paying'
+       WHERE link_reference = ? AND status = 'active' AND expires_at > NOW()`,
+      [linkReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // The payment failed and the link can be tried again
+  async markActive(linkReference) {
+    const result = await this.connection.query(
+      "UPDATE payment_links SET status = 'active' WHERE link_reference = ? AND status = 'paying'",
+      [linkReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // False when the link expired while it was being paid
+  async markPaid(linkReference, transactionId) {
+    const result = await this.connection.query(
+      `UPDATE payment_links
+       SET status = 'paid', transaction_id = ?, paid_at = CURRENT_TIMESTAMP
+       WHERE link_reference = ? AND status = 'paying'`,
+      [transactionId, linkReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // False when the link was paid in the meantime, or is being paid and has
+  // not been expired for payingGraceSeconds yet
+  async markExpired(linkReference, payingGraceSeconds = 0) {
+    const result = await this.connection.query(
+      `UPDATE payment_links SET status = 'expired'
+       WHERE link_reference = ?
+         AND (status = 'active'
+           OR (status = 'paying' AND expires_at <= DATE_SUB(NOW(), INTERVAL ? SECOND)))`,
+      [linkReference, payingGraceSeconds]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Unpaid links past their expiry, oldest first. A link being paid gets
+  // payingGraceSeconds more for the payment to finish; after that it is
+  // taken to have been left paying by a payment that never finished.
+  async findDue(payingGraceSeconds = 0) {
+    return await this.connection.query(
+      `SELECT * FROM payment_links
+       WHERE (status = 'active' AND expires_at <= NOW())
+          OR (status = 'paying' AND expires_at <= DATE_SUB(NOW(), INTERVAL ? SECOND))
+       ORDER BY expires_at`,
+      [payingGraceSeconds]
+    );
+  }
+}
+
+module.exports = { PaymentLinkRepository };
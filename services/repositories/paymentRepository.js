@@ -0,0 +1,114 @@
+// Payment attempts in payment_history, one row per transaction
+class PaymentRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async create(paymentData) {
+    const result = await this.connection.query(
+      `INSERT INTO payment_history (
+         booking_id, transaction_id, amount, currency, exchange_rate, payment_method,
+         card_brand, card_last4, payment_provider, payment_status, payment_gateway,
+         gateway_transaction_id, failure_reason
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        paymentData.bookingId,
+        paymentData.transactionId,
+        paymentData.amount,
+        paymentData.currency || "USD",
+        paymentData.exchangeRate || null,
+        paymentData.paymentMethod,
+        paymentData.cardBrand || null,
+        paymentData.cardLast4 || null,
+        paymentData.paymentProvider || null,
+        paymentData.paymentStatus,
+        paymentData.paymentGateway || null,
+        paymentData.gatewayTransactionId || null,
+        paymentData.failureReason || null,
+      ]
+    );
+
+    return { id: result.insertId, transactionId: paymentData.transactionId };
+  }
+
+  // Gateway id and failure reason are only overwritten when given
+  async updateStatus(transactionId, status, { gatewayTransactionId = null, failureReason = null } = {}) {
+    const result = await this.connection.query(
+      `UPDATE payment_history
+       SET payment_status = ?,
+           gateway_transaction_id = COALESCE(?, gateway_transaction_id),
+           failure_reason = COALESCE(?, failure_reason),
+           payment_date = CURRENT_TIMESTAMP
+       WHERE transaction_id = ?`,
+      [status, gatewayTransactionId, failureReason, transactionId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // A refund with the gateway's refundId is counted once, however many times
+  // it is reported; resolves to false when it was counted before
+  async addRefund(transactionId, amount, refundId = null) {
+    return await this.connection.transaction(async (tx) => {
+      if (refundId) {
+        const recorded = await tx.query(
+          "INSERT IGNORE INTO payment_refunds (refund_id, transaction_id, amount) VALUES (?, ?, ?)",
+          [refundId, transactionId, amount]
+        );
+        if (recorded.affectedRows === 0) return false;
+      }
+
+      const result = await tx.query(
+        "UPDATE payment_history SET refunded_amount = refunded_amount + ? WHERE transaction_id = ?",
+        [amount, transactionId]
+      );
+      return result.affectedRows > 0;
+    });
+  }
+
+  async findByTransactionId(transactionId) {
+    const rows = await this.connection.query(
+      "SELECT * FROM payment_history WHERE transaction_id = ?",
+      [transactionId]
+    );
+    return rows[0] || null;
+  }
+
+  async findByGatewayTransactionId(gatewayTransactionId) {
+    const rows = await this.connection.query(
+      "SELECT * FROM payment_history WHERE gateway_transaction_id = ?",
+      [gatewayTransactionId]
+    );
+    return rows[0] || null;
+  }
+
+  async findLatestForBooking(bookingId) {
+    const rows = await this.connection.query(
+      "SELECT * FROM payment_history WHERE booking_id = ? ORDER BY payment_date DESC, id DESC LIMIT 1",
+      [bookingId]
+    );
+    return rows[0] || null;
+  }
+
+  async listForBooking(bookingId) {
+    return await this.connection.query(
+      "SELECT * FROM payment_history WHERE booking_id = ? ORDER BY payment_date DESC, id DESC",
+      [bookingId]
+    );
+  }
+
+  async getStatistics() {
+    return await this.connection.query(
+      `SELECT
+         currency,
+         payment_status,
+         COUNT(*) as count,
+         SUM(amount) as total_amount,
+         AVG(amount) as avg_amount
+       FROM payment_history
+       GROUP BY currency, payment_status
+       ORDER BY currency, payment_status`
+    );
+  }
+}
+
+module.exports = { PaymentRepository };
@@ -0,0 +1,159 @@
+const { SELLABLE_SCHEDULE_STATUSES } = require("./flightRepository");
+
+const TAKE_SEATS_QUERY = `
+    UPDATE flight_schedules
+    SET available_seats = available_seats - ?
+    WHERE id = ? AND available_seats >= ?
+      AND status IN (${SELLABLE_SCHEDULE_STATUSES.map(() => "?").join(", ")})`;
+
+function seatsUnavailable() {
+  const error = new Error("Not enough seats available");
+  error.code = "SEATS_UNAVAILABLE";
+  return error;
+}
+
+// Seat holds: seats are taken off flight_schedules while the customer pays,
+// then either marked sold or returned to inventory.
+class SeatHoldRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Reserves seats on every schedule, or none if any schedule is short
+  async create({ holdReference, userId, scheduleIds, seats, ttlSeconds }) {
+    return await this.connection.transaction(async (tx) => {
+      for (const scheduleId of scheduleIds) {
+        const updateResult = await tx.query(TAKE_SEATS_QUERY, [
+          seats,
+          scheduleId,
+          seats,
+          ...SELLABLE_SCHEDULE_STATUSES,
+        ]);
+
+        if (updateResult.affectedRows === 0) {
+          throw seatsUnavailable();
+        }
+
+        await tx.query(
+          `INSERT INTO seat_holds (
+             hold_reference, user_id, flight_schedule_id, seats, status, expires_at
+           ) VALUES (?, ?, ?, ?, 'held', DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+          [holdReference, userId, scheduleId, seats, ttlSeconds]
+        );
+      }
+
+      return { holdReference, scheduleIds, seats };
+    });
+  }
+
+  // Pushes out the expiry of a live hold; false if it already expired or was released
+  async extend(holdReference, ttlSeconds) {
+    const result = await this.connection.query(
+      `UPDATE seat_holds
+       SET expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE hold_reference = ? AND status = 'held'`,
+      [ttlSeconds, holdReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Takes the seats again for a hold that expired or was released, if they are still free
+  async reactivate(holdReference, ttlSeconds) {
+    try {
+      return await this.connection.transaction(async (tx) => {
+        const holds = await tx.query(
+          `SELECT id, flight_schedule_id, seats FROM seat_holds
+           WHERE hold_reference = ? AND status IN ('expired', 'released')
+           FOR UPDATE`,
+          [holdReference]
+        );
+
+        if (holds.length === 0) {
+          return false;
+        }
+
+        for (const hold of holds) {
+          const updateResult = await tx.query(TAKE_SEATS_QUERY, [
+            hold.seats,
+            hold.flight_schedule_id,
+            hold.seats,
+            ...SELLABLE_SCHEDULE_STATUSES,
+          ]);
+
+          if (updateResult.affectedRows === 0) {
+            throw seatsUnavailable();
+          }
+        }
+
+        await tx.query(
+          `UPDATE seat_holds
+           SET status = 'held', expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+           WHERE hold_reference = ?`,
+          [ttlSeconds, holdReference]
+        );
+
+        return true;
+      });
+    } catch (error) {
+      // Seats already taken on one schedule are rolled back with the transaction
+      if (error.code === "SEATS_UNAVAILABLE") return false;
+      throw error;
+    }
+  }
+
+  // The held seats become a sale; the seats stay off inventory
+  async markSold(holdReference, bookingReference) {
+    const result = await this.connection.query(
+      `UPDATE seat_holds
+       SET status = 'sold', booking_reference = ?
+       WHERE hold_reference = ? AND status = 'held'`,
+      [bookingReference, holdReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async isSold(holdReference, bookingReference) {
+    const rows = await this.connection.query(
+      `SELECT COUNT(*) AS sold FROM seat_holds
+       WHERE hold_reference = ? AND booking_reference = ? AND status = 'sold'`,
+      [holdReference, bookingReference]
+    );
+    return rows[0].sold > 0;
+  }
+
+  // The newest hold tagged with the booking (see BookingRepository.createPending)
+  async findReferenceForBooking(bookingReference) {
+    const rows = await this.connection.query(
+      "SELECT hold_reference FROM seat_holds WHERE booking_reference = ? ORDER BY id DESC LIMIT 1",
+      [bookingReference]
+    );
+    return rows[0] ? rows[0].hold_reference : null;
+  }
+
+  // Returns held seats to inventory. Sold holds are left alone.
+  async release(holdReference, status = "released") {
+    const result = await this.connection.query(
+      `UPDATE flight_schedules fs
+       JOIN seat_holds h ON h.flight_schedule_id = fs.id
+       SET fs.available_seats = fs.available_seats + h.seats,
+           h.status = ?
+       WHERE h.hold_reference = ? AND h.status = 'held'`,
+      [status, holdReference]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async releaseExpired() {
+    const result = await this.connection.query(
+      `UPDATE flight_schedules fs
+       JOIN seat_holds h ON h.flight_schedule_id = fs.id
+       SET fs.available_seats = fs.available_seats + h.seats,
+           h.status = 'expired'
+       WHERE h.status = 'held' AND h.expires_at <= NOW()`
+    );
+    // Multi-table updates count both rows of each pair
+    return Math.floor(result.affectedRows / 2);
+  }
+}
+
+module.exports = { SeatHoldRepository };
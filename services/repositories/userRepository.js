@@ -0,0 +1,42 @@
+// Bot users, keyed by the Bot Framework user id
+class UserRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  async upsert({ userId, conversationId, name = null, email = null, phone = null }) {
+    return await this.connection.query(
+      `INSERT INTO users (user_id, conversation_id, name, email, phone)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         conversation_id = VALUES(conversation_id),
+         name = COALESCE(VALUES(name), name),
+         email = COALESCE(VALUES(email), email),
+         phone = COALESCE(VALUES(phone), phone),
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, conversationId, name, email, phone]
+    );
+  }
+
+  async findById(userId) {
+    const rows = await this.connection.query(
+      "SELECT * FROM users WHERE user_id = ?",
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  async update(userId, { name = null, email = null, phone = null }) {
+    return await this.connection.query(
+      `UPDATE users
+       SET name = COALESCE(?, name),
+           email = COALESCE(?, email),
+           phone = COALESCE(?, phone),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ?`,
+      [name, email, phone, userId]
+    );
+  }
+}
+
+module.exports = { UserRepository };
@@ -0,0 +1,26 @@
+// Payment webhook events already handled, one row per event id
+class WebhookEventRepository {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Resolves to false when the event was recorded before
+  async record(eventId, eventType) {
+    const result = await this.connection.query(
+      "INSERT IGNORE INTO payment_webhook_events (event_id, event_type) VALUES (?, ?)",
+      [eventId, eventType]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Lets a redelivery through again, for events that could not be handled
+  async forget(eventId) {
+    const result = await this.connection.query(
+      "DELETE FROM payment_webhook_events WHERE event_id = ?",
+      [eventId]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = { WebhookEventRepository };
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const { isValidCardNumber, isValidExpiryDate, isValidCVV } = require("../utils/helpers");
+const { nonceForCard } = require("./gateways/sandboxCards");
+
+// Card brands by number prefix, named the way Square reports them
+const CARD_BRANDS = [
+  { brand: "VISA", pattern: /^4/ },
+  { brand: "MASTERCARD", pattern: /^(5[1-5]|2[2-7])/ },
+  { brand: "AMERICAN_EXPRESS", pattern: /^3[47]/ },
+  { brand: "DISCOVER", pattern: /^6(011|5)/ },
+];
+
+// The fields of the card form, in the order they are asked for
+const CARD_FIELDS = ["cardNumber", "expiryDate", "cvv", "cardholderName"];
+
+// Exchanges card details for a single-use token the moment they arrive, so the
+// card number and CVV are never kept in dialog state, the database or logs.
+// Tokens stand for a gateway source id: for now a sandbox card nonce, since
+// real Square nonces can only be created by Square's Web Payments SDK.
+// Tokens live in this process and are lost on restart.
+class TokenizationService {
+  constructor() {
+    // How long a token can wait before it is used for a payment
+    this.ttlMs = parseInt(process.env.CARD_TOKEN_MINUTES || "15") * 60 * 1000;
+    this.tokens = new Map();
+    // The valid fields of forms that failed validation, so only the fields
+    // that were wrong have to be entered again
+    this.drafts = new Map();
+  }
+
+  // Validates the card and returns { token, brand, last4, expiresAt }. Rejects
+  // with code CARD_INVALID, the problem with each field in error.fields and the
+  // id of a draft keeping the valid fields in error.draftId. Passing that
+  // draftId back fills in whatever fields are left out of the next attempt.
+  tokenize(details, { draftId = null } = {}) {
+    this.removeExpired();
+
+    const draft = draftId ? this.drafts.get(draftId) : null;
+    this.drafts.delete(draftId);
+    const submitted = {};
+    for (const field of CARD_FIELDS) {
+      if (details[field] !== undefined && details[field] !== null) submitted[field] = details[field];
+    }
+    const { cardNumber, expiryDate, cvv, cardholderName } = {
+      ...(draft ? draft.fields : {}),
+      ...submitted,
+    };
+
+    const number = String(cardNumber || "").replace(/[\s-]/g, "");
+    const expiry = String(expiryDate || "").trim();
+    const fields = {};
+
+    if (!isValidCardNumber(number)) {
+      fields.cardNumber = "Please enter a valid card number.";
+    }
+    if (!isValidExpiryDate(expiry)) {
+      fields.expiryDate = "Please enter a future expiry date in MM/YY format.";
+    }
+    if (!isValidCVV(String(cvv || "").trim())) {
+      fields.cvv = "Please enter the 3 or 4-digit security code.";
+    }
+    if (!cardholderName || String(cardholderName).trim().length < 2) {
+      fields.cardholderName = "Please enter the name as it appears on the card.";
+    }
+
+    if (Object.keys(fields).length > 0) {
+      const error = new Error(Object.values(fields).join(" "));
+      error.code = "CARD_INVALID";
+      error.fields = fields;
+      error.draftId = this.saveDraft({ cardNumber, expiryDate, cvv, cardholderName }, fields);
+      throw error;
+    }
+
+    const card = {
+      token: `ctok_${crypto.randomBytes(16).toString("hex")}`,
+      brand: this.getBrand(number),
+      last4: number.slice(-4),
+      expiresAt: new Date(Date.now() + this.ttlMs).toISOString(),
+    };
+
+    this.tokens.set(card.token, {
+      sourceId: nonceForCard(number),
+      brand: card.brand,
+      last4: card.last4,
+      expiresAt: Date.now() + this.ttlMs,
+    });
+
+    return card;
+  }
+
+  // Returns { sourceId, brand, last4 } for the token and forgets it. Rejects with code
+  // CARD_TOKEN_INVALID when the token is unknown, used or expired.
+  redeem(token) {
+    const entry = this.tokens.get(token);
+    this.tokens.delete(token);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      const error = new Error("The card details have expired. Please enter them again.");
+      error.code = "CARD_TOKEN_INVALID";
+      throw error;
+    }
+
+    return { sourceId: entry.sourceId, brand: entry.brand, last4: entry.last4 };
+  }
+
+  saveDraft(details, invalidFields) {
+    const fields = {};
+    for (const field of CARD_FIELDS) {
+      if (!invalidFields[field]) fields[field] = details[field];
+    }
+
+    const draftId = `cdraft_${crypto.randomBytes(16).toString("hex")}`;
+    this.drafts.set(draftId, { fields, expiresAt: Date.now() + this.ttlMs });
+    return draftId;
+  }
+
+  getBrand(cardNumber) {
+    const match = CARD_BRANDS.find(({ pattern }) => pattern.test(cardNumber));
+    return match ? match.brand : "UNKNOWN";
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    for (const entries of [this.tokens, this.drafts]) {
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new TokenizationService();
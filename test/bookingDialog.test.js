@@ -0,0 +1,234 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TEST_CARD,
+  USER_ID,
+  repositories,
+  setupDatabase,
+  findSchedule,
+  dateAhead,
+  availableSeats,
+  findHolds,
+  database,
+  createDialogTester,
+} = require("./helpers");
+const { BookingDialog } = require("../bot/dialogs/bookingDialog");
+const { FlightService } = require("../services/flightService");
+const holdService = require("../services/holdService");
+const paymentService = require("../services/paymentService");
+
+before(setupDatabase);
+
+async function startBooking(searchParams) {
+  const flightService = new FlightService();
+  const { flights } = await flightService.searchFlights(
+    searchParams.origin,
+    searchParams.destination,
+    searchParams.departureDate,
+    null,
+    searchParams.passengers
+  );
+  const seatHold = await holdService.reserve({
+    userId: USER_ID,
+    flight: flights[0],
+    passengers: searchParams.passengers,
+  });
+  const tester = createDialogTester(new BookingDialog(flightService), {
+    flightData: flights[0],
+    searchParams,
+    searchId: "search-1",
+    displayCurrency: "USD",
+    seatHold,
+  });
+  return { tester, seatHold };
+}
+
+async function enterPassenger(tester, name, email) {
+  assert.match(await tester.say(name), new RegExp(`Email for ${name}`));
+  assert.match(await tester.say(email), /Phone number/);
+  assert.match(await tester.say("+1 5550100"), /ID\/Passport/);
+  assert.match(await tester.say("X1234567"), /Address/);
+  return await tester.say("1 Main St, Springfield");
+}
+
+test("every passenger is asked for once, then the booking goes on to payment", async () => {
+  const schedule = findSchedule("DL303", 12);
+  const { tester, seatHold } = await startBooking({
+    origin: "ORD",
+    destination: "MIA",
+    departureDate: dateAhead(12),
+    passengers: 2,
+    cabinClass: "economy",
+  });
+
+  assert.match(await tester.say("book"), /Passenger 1 of 2/);
+  assert.match(await tester.say("Ada Lovelace"), /Email for Ada Lovelace/);
+  assert.match(await tester.say("not an email"), /Please enter a valid email address/);
+  assert.match(await tester.say("ada@example.com"), /Phone number for Ada Lovelace/);
+  await tester.say("+1 5550100");
+  await tester.say("X1234567");
+  await tester.say("1 Main St, Springfield");
+  const second = await tester.say("Charles Babbage, +1 5550101");
+  assert.match(second, /Details collected for Ada Lovelace/);
+  assert.match(second, /Passenger 2 of 2/);
+
+  assert.match(await enterPassenger(tester, "Mary Somerville", "mary@example.com"), /Emergency contact/);
+  const summary = await tester.say("Ada Lovelace, +1 5550100");
+  assert.match(summary, /\[card\]/);
+  assert.match(summary, /proceed with the booking/);
+  assert.doesNotMatch(summary, /Passenger 1 of 2/);
+
+  assert.match(await tester.say("yes"), /Pay now/);
+  assert.match(await tester.say("Pay now"), /Payment Method/);
+  assert.match(await tester.say("Credit Card"), /\[card\]/);
+  assert.match(await tester.say({ action: "submitCard", ...TEST_CARD }), /Payment successful/);
+
+  const [booking] = await repositories.bookings.listDetailsForUser(USER_ID, 50).then((rows) =>
+    rows.filter((row) => row.flight_schedule_id === schedule.id)
+  );
+  assert.equal(booking.payment_status, "paid");
+  const passengers = await repositories.bookings.getPassengers(booking.booking_id);
+  assert.deepEqual(
+    passengers.map((passenger) => passenger.first_name + " " + passenger.last_name),
+    ["Ada Lovelace", "Mary Somerville"]
+  );
+  assert.deepEqual(findHolds(seatHold.reference).map((hold) => hold.status), ["sold"]);
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 2);
+});
+
+// One passenger's details, up to the card form
+async function reachCardForm(tester) {
+  await tester.say("book");
+  await enterPassenger(tester, "Ada Lovelace", "ada@example.com");
+  await tester.say("Charles Babbage, +1 5550101");
+  await tester.say("yes");
+  await tester.say("Pay now");
+  assert.match(await tester.say("Credit Card"), /\[card\]/);
+}
+
+// The hold runs out while the customer is typing and someone else takes the seats
+async function loseSeats(seatHold, schedule) {
+  findHolds(seatHold.reference).forEach((hold) => {
+    hold.expires_at = new Date(Date.now() - 1000);
+  });
+  await holdService.releaseExpired();
+  database.findById("flight_schedules", schedule.id).available_seats = 0;
+}
+
+function paymentsFor(schedule) {
+  const bookingIds = database
+    .filter("bookings", (booking) => booking.flight_schedule_id === schedule.id)
+    .map((booking) => booking.id);
+  return database.filter("payment_history", (payment) => bookingIds.includes(payment.booking_id));
+}
+
+test("a hold that ran out while the card was being entered is not charged", async () => {
+  const schedule = findSchedule("DL303", 14);
+  const { tester, seatHold } = await startBooking({
+    origin: "ORD",
+    destination: "MIA",
+    departureDate: dateAhead(14),
+    passengers: 1,
+    cabinClass: "economy",
+  });
+  await reachCardForm(tester);
+  await loseSeats(seatHold, schedule);
+
+  const reply = await tester.say({ action: "submitCard", ...TEST_CARD });
+
+  assert.match(reply, /seat hold expired .* You have not been charged/);
+  assert.deepEqual(paymentsFor(schedule), []);
+});
+
+test("a declined card can be retried with another one", async () => {
+  const schedule = findSchedule("WN404", 14);
+  const { tester } = await startBooking({
+    origin: "MIA",
+    destination: "DFW",
+    departureDate: dateAhead(14),
+    passengers: 1,
+    cabinClass: "economy",
+  });
+  await reachCardForm(tester);
+
+  const declined = await tester.say({ action: "submitCard", ...TEST_CARD, cardNumber: "4000000000000002" });
+  assert.match(declined, /Payment failed/);
+  assert.match(declined, /try again 2 more time/);
+  assert.match(await tester.say("Try another card"), /\[card\]/);
+  assert.match(await tester.say({ action: "submitCard", ...TEST_CARD }), /Payment successful/);
+
+  assert.deepEqual(
+    paymentsFor(schedule).map((payment) => payment.payment_status),
+    ["failed", "completed"]
+  );
+});
+
+test("a payment that outlived its hold is refunded rather than confirmed without seats", async (t) => {
+  const schedule = findSchedule("B6505", 14);
+  const { tester, seatHold } = await startBooking({
+    origin: "DFW",
+    destination: "DEN",
+    departureDate: dateAhead(14),
+    passengers: 1,
+    cabinClass: "economy",
+  });
+  await reachCardForm(tester);
+
+  // The seats go while the card is being charged
+  const processPayment = paymentService.processPayment;
+  t.mock.method(paymentService, "processPayment", async (...args) => {
+    const result = await processPayment.apply(paymentService, args);
+    await loseSeats(seatHold, schedule);
+    return result;
+  });
+
+  const reply = await tester.say({ action: "submitCard", ...TEST_CARD });
+
+  assert.match(reply, /seats are no longer available, so the .* you paid has been refunded/);
+  const [payment] = paymentsFor(schedule);
+  assert.equal(payment.refunded_amount, payment.amount);
+  const [booking] = database.filter("bookings", (row) => row.flight_schedule_id === schedule.id);
+  assert.equal(booking.status, "cancelled");
+  assert.notEqual(booking.payment_status, "paid");
+});
+
+const CHALLENGE_CARD = { ...TEST_CARD, cardNumber: "4000000000003220" };
+
+test("the seats stay held for a 3-D Secure challenge", async () => {
+  const schedule = findSchedule("AS606", 14);
+  const { tester, seatHold } = await startBooking({
+    origin: "DEN",
+    destination: "SEA",
+    departureDate: dateAhead(14),
+    passengers: 1,
+    cabinClass: "economy",
+  });
+  await reachCardForm(tester);
+
+  assert.match(await tester.say({ action: "submitCard", ...CHALLENGE_CARD }), /Verification Required/);
+  const [hold] = findHolds(seatHold.reference);
+  assert.ok(hold.expires_at.getTime() > Date.now() + holdService.ttlSeconds * 1000);
+
+  assert.match(await tester.say("123456"), /Payment successful/);
+  assert.deepEqual(findHolds(seatHold.reference).map((row) => row.status), ["sold"]);
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 1);
+});
+
+test("a challenge finished after the seats were lost is not charged", async () => {
+  const schedule = findSchedule("NK808", 14);
+  const { tester, seatHold } = await startBooking({
+    origin: "ATL",
+    destination: "BOS",
+    departureDate: dateAhead(14),
+    passengers: 1,
+    cabinClass: "economy",
+  });
+  await reachCardForm(tester);
+  assert.match(await tester.say({ action: "submitCard", ...CHALLENGE_CARD }), /Verification Required/);
+  await loseSeats(seatHold, schedule);
+
+  const reply = await tester.say("123456");
+
+  assert.match(reply, /seat hold expired .* You have not been charged/);
+  assert.deepEqual(paymentsFor(schedule).map((payment) => payment.payment_status), ["failed"]);
+});
@@ -0,0 +1,111 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TEST_CARD,
+  repositories,
+  database,
+  setupDatabase,
+  findSchedule,
+  dateAhead,
+  availableSeats,
+  createPaidBooking,
+  createDialogTester,
+} = require("./helpers");
+const { CancelBookingDialog } = require("../bot/dialogs/cancelBookingDialog");
+const { ChangeBookingDialog } = require("../bot/dialogs/changeBookingDialog");
+const { FlightService } = require("../services/flightService");
+const { CancellationPolicy } = require("../services/cancellationPolicy");
+
+before(setupDatabase);
+
+// Moves the booking to the same flight the given number of days from today
+async function changeFlight(bookingReference, daysAhead) {
+  const tester = createDialogTester(new ChangeBookingDialog(new FlightService()), { bookingReference });
+  await tester.say("change my flight");
+  await tester.say(dateAhead(daysAhead));
+  await tester.say("1");
+  const reply = await tester.say("yes");
+  return /\[card\]/.test(reply) ? await tester.say({ action: "submitCard", ...TEST_CARD }) : reply;
+}
+
+async function cancelBooking(bookingReference, feePercent = null) {
+  const dialog = new CancelBookingDialog();
+  if (feePercent !== null) {
+    dialog.cancellationPolicy.feePercent = feePercent;
+  }
+  const tester = createDialogTester(dialog, { bookingReference });
+  await tester.say("cancel my booking");
+  return await tester.say("yes");
+}
+
+function findPayments(bookingId) {
+  return database
+    .filter("payment_history", (payment) => payment.booking_id === bookingId)
+    .sort((a, b) => a.id - b.id);
+}
+
+function refundIn(reply) {
+  const match = reply.match(/Refund of \$([\d,.]+) issued/);
+  assert.ok(match, reply);
+  return Number(match[1].replace(/,/g, ""));
+}
+
+function totalRefunded(bookingId) {
+  return findPayments(bookingId).reduce((total, payment) => total + Number(payment.refunded_amount), 0);
+}
+
+test("cancelling after a dearer change refunds across both payments", async () => {
+  const newSchedule = findSchedule("AA101", 7);
+  const booking = await createPaidBooking({ schedule: findSchedule("AA101", 5), totalPrice: 200 });
+
+  assert.match(await changeFlight(booking.bookingReference, 7), /now travels on AA AA101/);
+  const [original, difference] = findPayments(booking.id);
+  assert.equal(original.amount, "200.00");
+  assert.ok(Number(difference.amount) > 25);
+
+  // More than the fare difference, so both payments give some back, the newest in full
+  const reply = await cancelBooking(booking.bookingReference);
+  assert.match(reply, /has been cancelled/);
+  const refund = refundIn(reply);
+  assert.ok(refund > Number(difference.amount));
+
+  const [originalAfter, differenceAfter] = findPayments(booking.id);
+  assert.equal(differenceAfter.refunded_amount, difference.amount);
+  assert.equal(Number(originalAfter.refunded_amount).toFixed(2), (refund - Number(difference.amount)).toFixed(2));
+  // The original payment kept the cancellation fee
+  assert.deepEqual([originalAfter.payment_status, differenceAfter.payment_status], ["completed", "refunded"]);
+  assert.equal((await repositories.bookings.findById(booking.id)).payment_status, "paid");
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats);
+});
+
+test("cancelling after a cheaper change refunds only what is left of the payment", async () => {
+  const booking = await createPaidBooking({ schedule: findSchedule("UA202", 5), totalPrice: 2000 });
+
+  assert.match(await changeFlight(booking.bookingReference, 7), /now travels on UA UA202/);
+  const changeRefund = totalRefunded(booking.id);
+  assert.ok(changeRefund > 0);
+  assert.equal(findPayments(booking.id).length, 1);
+
+  const refund = refundIn(await cancelBooking(booking.bookingReference));
+  assert.equal(totalRefunded(booking.id).toFixed(2), (changeRefund + refund).toFixed(2));
+  assert.ok(totalRefunded(booking.id) <= 2000);
+});
+
+test("a booking refunded in full is marked refunded with its payment", async () => {
+  const booking = await createPaidBooking({ schedule: findSchedule("WN404", 5), totalPrice: 150 });
+
+  assert.equal(refundIn(await cancelBooking(booking.bookingReference, 0)), 150);
+  assert.deepEqual(findPayments(booking.id).map((payment) => payment.payment_status), ["refunded"]);
+  assert.equal((await repositories.bookings.findById(booking.id)).payment_status, "refunded");
+});
+
+test("the fee and refund are rounded to what the booking's currency can be paid in", () => {
+  const policy = new CancellationPolicy();
+  const booking = { booking_status: "confirmed", payment_status: "paid", total_price: "12345.00", flight_date: null };
+
+  const yen = policy.calculateRefund({ ...booking, currency: "JPY" });
+  assert.deepEqual([yen.fee, yen.refundAmount], [1235, 11110]);
+
+  const dollars = policy.calculateRefund({ ...booking, currency: "USD" });
+  assert.deepEqual([dollars.fee, dollars.refundAmount], [1234.5, 11110.5]);
+});
@@ -0,0 +1,135 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TEST_CARD,
+  repositories,
+  database,
+  setupDatabase,
+  findSchedule,
+  dateAhead,
+  availableSeats,
+  createHeldBooking,
+  createPaidBooking,
+  createDialogTester,
+} = require("./helpers");
+const { ChangeBookingDialog } = require("../bot/dialogs/changeBookingDialog");
+const { FlightService } = require("../services/flightService");
+const paymentLinkService = require("../services/paymentLinkService");
+
+before(setupDatabase);
+
+function startChange(bookingReference) {
+  return createDialogTester(new ChangeBookingDialog(new FlightService()), { bookingReference });
+}
+
+test("a booking still waiting on its payment link can't be changed", async () => {
+  const booking = await createHeldBooking({ schedule: findSchedule("AA101", 5) });
+  await paymentLinkService.create({
+    bookingId: booking.id,
+    holdReference: booking.seatHold.reference,
+    amount: 100,
+    currency: "USD",
+  });
+
+  const reply = await startChange(booking.bookingReference).say("change my flight");
+
+  assert.match(reply, /hasn't been paid for yet/);
+});
+
+test("a multi-city booking is refused rather than searched as one journey", async () => {
+  const booking = await createPaidBooking({
+    schedule: findSchedule("DL303", 6),
+    searchParams: {
+      tripType: "multi-city",
+      legs: [
+        { origin: "ORD", destination: "MIA", departureDate: dateAhead(6) },
+        { origin: "MIA", destination: "DFW", departureDate: dateAhead(9) },
+      ],
+    },
+  });
+
+  const reply = await startChange(booking.bookingReference).say("change my flight");
+
+  assert.match(reply, /multi-city trip, which can't be changed here/);
+});
+
+test("moving a round trip past its return date asks for a new return date", async () => {
+  const booking = await createPaidBooking({
+    schedule: findSchedule("AA101", 5),
+    searchParams: { origin: "JFK", destination: "LAX", departureDate: dateAhead(5), returnDate: dateAhead(8) },
+  });
+  const tester = startChange(booking.bookingReference);
+
+  assert.match(await tester.say("change my flight"), /What date would you like to fly instead/);
+  assert.match(await tester.say(dateAhead(10)), new RegExp(`return flight is on ${dateAhead(8)}`));
+  assert.match(await tester.say(dateAhead(9)), /valid return date .* on or after/);
+
+  const retry = startChange(booking.bookingReference);
+  await retry.say("change my flight");
+  await retry.say(dateAhead(10));
+  const reply = await retry.say(dateAhead(12));
+  assert.match(reply, /Which flight would you like to switch to/);
+  assert.match(reply, /AA101/);
+});
+
+test("a change sells seats on the new schedule and returns the old ones", async () => {
+  const oldSchedule = findSchedule("AA101", 5);
+  const newSchedule = findSchedule("AA101", 7);
+  const booking = await createPaidBooking({ schedule: oldSchedule, passengers: 2 });
+  const tester = startChange(booking.bookingReference);
+
+  await tester.say("change my flight");
+  assert.match(await tester.say(dateAhead(7)), /Which flight/);
+  assert.match(await tester.say("1"), /Amount to pay/);
+  assert.match(await tester.say("yes"), /\[card\]/);
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats - 2);
+
+  const reply = await tester.say({ action: "submitCard", ...TEST_CARD });
+  assert.match(reply, /now travels on AA AA101/);
+
+  assert.equal(availableSeats(oldSchedule.id), oldSchedule.available_seats);
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats - 2);
+  const changed = await repositories.bookings.findDetailsByReference(booking.bookingReference);
+  assert.equal(changed.flight_schedule_id, newSchedule.id);
+  const newHolds = database.filter(
+    "seat_holds",
+    (hold) => hold.booking_reference === booking.bookingReference && hold.status === "sold"
+  );
+  assert.deepEqual(newHolds.map((hold) => hold.flight_schedule_id), [newSchedule.id]);
+});
+
+test("a declined fare difference leaves the booking and both schedules as they were", async () => {
+  const oldSchedule = findSchedule("UA202", 5);
+  const newSchedule = findSchedule("UA202", 7);
+  const booking = await createPaidBooking({ schedule: oldSchedule });
+  const tester = startChange(booking.bookingReference);
+
+  await tester.say("change my flight");
+  await tester.say(dateAhead(7));
+  await tester.say("1");
+  await tester.say("yes");
+  const reply = await tester.say({ action: "submitCard", ...TEST_CARD, cardNumber: "4000000000000002" });
+  assert.match(reply, /Payment failed/);
+
+  assert.equal(availableSeats(oldSchedule.id), oldSchedule.available_seats - 1);
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats);
+  const unchanged = await repositories.bookings.findDetailsByReference(booking.bookingReference);
+  assert.equal(unchanged.flight_schedule_id, oldSchedule.id);
+});
+
+test("a change given up at the card form returns the seats held on the new flight", async () => {
+  const oldSchedule = findSchedule("DL303", 5);
+  const newSchedule = findSchedule("DL303", 7);
+  const booking = await createPaidBooking({ schedule: oldSchedule, passengers: 2 });
+  const tester = startChange(booking.bookingReference);
+
+  await tester.say("change my flight");
+  await tester.say(dateAhead(7));
+  await tester.say("1");
+  assert.match(await tester.say("yes"), /\[card\]/);
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats - 2);
+
+  await tester.cancel();
+  assert.equal(availableSeats(newSchedule.id), newSchedule.available_seats);
+  assert.equal(availableSeats(oldSchedule.id), oldSchedule.available_seats - 2);
+});
@@ -0,0 +1,74 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { TestAdapter, MemoryStorage } = require("botbuilder");
+const { USER_ID, database, setupDatabase, findSchedule, dateAhead, availableSeats, drainReplies } = require("./helpers");
+const { FlightBot } = require("../bot/flightBot");
+const { FlightService } = require("../services/flightService");
+
+before(setupDatabase);
+
+// A bot whose conversation already shows the results of a search, as the
+// flight cards the customer taps Confirm on
+async function startWithResults(searchParams) {
+  const storage = new MemoryStorage();
+  const bot = new FlightBot(storage);
+  const { flights } = await new FlightService().searchFlights(
+    searchParams.origin,
+    searchParams.destination,
+    searchParams.departureDate,
+    null,
+    searchParams.passengers
+  );
+
+  let session;
+  const adapter = new TestAdapter(
+    async (context) => {
+      if (!session) {
+        session = await bot.searchSessions.create(context, { flights, searchParams });
+        await bot.conversationState.saveChanges(context);
+        return;
+      }
+      await bot.run(context);
+    },
+    { from: { id: USER_ID, name: "Tester" } }
+  );
+  await adapter.receiveActivity({ type: "message", text: "search flights" });
+
+  return {
+    storage,
+    flight: flights[0],
+    async confirm() {
+      await adapter.receiveActivity({
+        type: "message",
+        value: { action: "confirmBooking", confirm: "yes", searchId: session.searchId, flightId: flights[0].id },
+      });
+      return drainReplies(adapter);
+    },
+  };
+}
+
+function dialogStack(storage) {
+  const [conversation] = Object.values(storage.memory)
+    .map((item) => JSON.parse(item))
+    .filter((item) => item.DialogState);
+  return conversation.DialogState.dialogStack.map((dialog) => dialog.id);
+}
+
+test("tapping Confirm twice holds the seats once and starts one booking", async () => {
+  const schedule = findSchedule("NK808", 6);
+  const bot = await startWithResults({
+    origin: "ATL",
+    destination: "BOS",
+    departureDate: dateAhead(6),
+    passengers: 2,
+    cabinClass: "economy",
+  });
+
+  assert.match(await bot.confirm(), /seats are held/);
+  assert.match(await bot.confirm(), /seats are held/);
+
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 2);
+  const holds = database.filter("seat_holds", (hold) => hold.flight_schedule_id === schedule.id);
+  assert.deepEqual(holds.map((hold) => hold.status), ["released", "held"]);
+  assert.deepEqual(dialogStack(bot.storage), ["BookingDialog"]);
+});
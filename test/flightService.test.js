@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { FlightService } = require("../services/flightService");
+
+// A provider that counts its searches and finds no flights
+function createService() {
+  const searches = [];
+  const provider = {
+    name: "fake",
+    async searchOffers(query) {
+      searches.push(query);
+      return { flights: [] };
+    },
+  };
+  return { service: new FlightService({ provider, statusProvider: {} }), searches };
+}
+
+test("repeated searches are served from the cache until they expire", async () => {
+  const { service, searches } = createService();
+
+  await service.searchFlightsCached("JFK", "LAX", "2030-01-10");
+  await service.searchFlightsCached("JFK", "LAX", "2030-01-10");
+  assert.equal(searches.length, 1);
+
+  service.searchCache.forEach((entry) => {
+    entry.expiresAt = Date.now() - 1;
+  });
+  await service.searchFlightsCached("JFK", "LAX", "2030-01-11");
+  assert.deepEqual([...service.searchCache.keys()], ["JFK|LAX|2030-01-11||1|economy"]);
+});
+
+test("the cache keeps only the newest searches", async () => {
+  const { service, searches } = createService();
+  service.searchCacheSize = 2;
+
+  for (const day of ["10", "11", "12"]) {
+    await service.searchFlightsCached("JFK", "LAX", `2030-01-${day}`);
+  }
+  assert.equal(service.searchCache.size, 2);
+
+  await service.searchFlightsCached("JFK", "LAX", "2030-01-12");
+  await service.searchFlightsCached("JFK", "LAX", "2030-01-10");
+  assert.equal(searches.length, 4);
+});
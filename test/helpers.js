@@ -0,0 +1,169 @@
+// Shared setup for the tests: the memory database with its sample schedules
+// and the mock payment gateway, so nothing outside the process is needed.
+// Require this before anything from services/ or bot/, which read their
+// settings when they are loaded.
+process.env.DB_DRIVER = "memory";
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.BOT_STORAGE = "memory";
+process.env.FLIGHT_PROVIDER = "inventory";
+process.env.PAYMENT_LINK_SECRET = "test-payment-link-secret";
+process.env.PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+
+const { TestAdapter, ConversationState, MemoryStorage } = require("botbuilder");
+const { DialogSet, DialogTurnStatus } = require("botbuilder-dialogs");
+const repositories = require("../services/repositories");
+const holdService = require("../services/holdService");
+const paymentService = require("../services/paymentService");
+const tokenizationService = require("../services/tokenizationService");
+
+const USER_ID = "test-user";
+
+const TEST_CARD = {
+  cardNumber: "4111111111111111",
+  expiryDate: "12/30",
+  cvv: "123",
+  cardholderName: "Ada Lovelace",
+};
+
+const database = repositories.connection;
+
+async function setupDatabase() {
+  await database.initialize();
+}
+
+// A sample flight's schedule the given number of days from today
+function findSchedule(flightNumber, daysAhead = 7) {
+  const flight = database.find("flights", (row) => row.flight_number === flightNumber);
+  const date = new Date();
+  date.setDate(date.getDate() + daysAhead);
+  const schedule = database.find(
+    "flight_schedules",
+    (row) => row.flight_id === flight.id && row.flight_date.toDateString() === date.toDateString()
+  );
+  return database.copy(schedule);
+}
+
+// YYYY-MM-DD the given number of days from today, as customers type dates
+function dateAhead(daysAhead) {
+  const date = new Date();
+  date.setDate(date.getDate() + daysAhead);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function availableSeats(scheduleId) {
+  return database.findById("flight_schedules", scheduleId).available_seats;
+}
+
+function findHolds(holdReference) {
+  return database.filter("seat_holds", (hold) => hold.hold_reference === holdReference);
+}
+
+// A pending booking on one schedule with its seats held, as BookingDialog
+// leaves it right before payment
+async function createHeldBooking({ schedule, passengers = 1, totalPrice = 100, currency = "USD", searchParams = {} }) {
+  const userId = USER_ID;
+  const seatHold = await holdService.reserve({
+    userId,
+    flight: { scheduleIds: [schedule.id] },
+    passengers,
+  });
+
+  const bookingReference = `FBT${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 1000)}`;
+  const { id } = await repositories.bookings.createPending({
+    bookingReference,
+    userId,
+    flightScheduleId: schedule.id,
+    flight: { airline: "AA", flightNumber: "AA101", scheduleId: schedule.id, scheduleIds: [schedule.id] },
+    searchParams: { ...searchParams, passengers },
+    passengers: Array.from({ length: passengers }, (_, index) => ({ firstName: `Passenger${index + 1}` })),
+    totalPrice,
+    currency,
+    holdReference: seatHold.reference,
+  });
+
+  return { id, bookingReference, userId, seatHold };
+}
+
+// A booking paid by card through the mock gateway, as BookingDialog
+// finishes it
+async function createPaidBooking({ schedule, totalPrice = 100, currency = "USD", ...options }) {
+  const booking = await createHeldBooking({ schedule, totalPrice, currency, ...options });
+  const payment = await paymentService.processPayment({
+    bookingId: booking.id,
+    amount: Math.round(totalPrice * 100),
+    currency,
+    paymentMethod: "credit_card",
+    cardToken: tokenizationService.tokenize(TEST_CARD).token,
+  });
+  await holdService.confirm(booking.seatHold.reference, booking.bookingReference);
+  await repositories.bookings.markPaid(booking.id, payment.transactionId);
+  return { ...booking, payment };
+}
+
+// The activity value createDialogTester's cancel() sends
+const CANCEL = { action: "cancelDialog" };
+
+// Runs one dialog the way FlightBot does, for a conversation with USER_ID.
+// say() sends a message, or a card submit when given an object, and
+// resolves to the texts of the replies. cancel() cancels the dialog, as
+// FlightBot does when the customer starts something else.
+function createDialogTester(dialog, options = {}) {
+  const conversationState = new ConversationState(new MemoryStorage());
+  const dialogs = new DialogSet(conversationState.createProperty("DialogState"));
+  dialogs.add(dialog);
+
+  const adapter = new TestAdapter(
+    async (context) => {
+      const dialogContext = await dialogs.createContext(context);
+      if (context.activity.value === CANCEL) {
+        await dialogContext.cancelAllDialogs();
+      } else {
+        const result = await dialogContext.continueDialog();
+        if (result.status === DialogTurnStatus.empty) {
+          await dialogContext.beginDialog(dialog.id, options);
+        }
+      }
+      await conversationState.saveChanges(context);
+    },
+    { from: { id: USER_ID, name: "Tester" } }
+  );
+
+  return {
+    adapter,
+    async say(input) {
+      await adapter.receiveActivity(
+        typeof input === "string" ? { type: "message", text: input } : { type: "message", value: input }
+      );
+      return drainReplies(adapter);
+    },
+    async cancel() {
+      await adapter.receiveActivity({ type: "message", value: CANCEL });
+      return drainReplies(adapter);
+    },
+  };
+}
+
+function drainReplies(adapter) {
+  const replies = [];
+  let reply;
+  while ((reply = adapter.getNextReply())) {
+    replies.push(reply.text || (reply.attachments ? "[card]" : ""));
+  }
+  return replies.join("\n");
+}
+
+module.exports = {
+  USER_ID,
+  TEST_CARD,
+  repositories,
+  database,
+  setupDatabase,
+  findSchedule,
+  dateAhead,
+  availableSeats,
+  findHolds,
+  createHeldBooking,
+  createPaidBooking,
+  createDialogTester,
+  drainReplies,
+};
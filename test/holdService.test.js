@@ -0,0 +1,74 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { USER_ID, database, setupDatabase, findSchedule, availableSeats, findHolds } = require("./helpers");
+const holdService = require("../services/holdService");
+
+before(setupDatabase);
+
+function expire(holdReference) {
+  findHolds(holdReference).forEach((hold) => {
+    hold.expires_at = new Date(Date.now() - 1000);
+  });
+}
+
+test("an expired hold returns its seats once, and can be taken again before paying", async () => {
+  const schedule = findSchedule("F9707", 6);
+  const hold = await holdService.reserve({ userId: USER_ID, flight: { scheduleId: schedule.id }, passengers: 3 });
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 3);
+
+  expire(hold.reference);
+  assert.equal(await holdService.releaseExpired(), 1);
+  assert.equal(await holdService.releaseExpired(), 0);
+  assert.equal(availableSeats(schedule.id), schedule.available_seats);
+  assert.deepEqual(findHolds(hold.reference).map((row) => row.status), ["expired"]);
+
+  assert.equal(await holdService.ensureActive(hold.reference), true);
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 3);
+  assert.deepEqual(findHolds(hold.reference).map((row) => row.status), ["held"]);
+});
+
+test("a sold hold is not expired or released", async () => {
+  const schedule = findSchedule("F9707", 8);
+  const hold = await holdService.reserve({ userId: USER_ID, flight: { scheduleId: schedule.id }, passengers: 1 });
+  assert.equal(await holdService.confirm(hold.reference, "FBTHOLD1"), true);
+
+  expire(hold.reference);
+  await holdService.releaseExpired();
+  await holdService.release(hold.reference);
+
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 1);
+  assert.deepEqual(findHolds(hold.reference).map((row) => row.status), ["sold"]);
+});
+
+test("a flight without enough seats left is refused without taking any", async () => {
+  const schedule = findSchedule("F9707", 10);
+  await assert.rejects(
+    holdService.reserve({
+      userId: USER_ID,
+      flight: { scheduleId: schedule.id },
+      passengers: schedule.available_seats + 1,
+    }),
+    { code: "SEATS_UNAVAILABLE" }
+  );
+  assert.equal(availableSeats(schedule.id), schedule.available_seats);
+});
+
+test("a hold that lapsed before the payment finished is sold only if its seats are still free", async () => {
+  const free = findSchedule("F9707", 12);
+  const freeHold = await holdService.reserve({ userId: USER_ID, flight: { scheduleId: free.id }, passengers: 1 });
+  expire(freeHold.reference);
+  await holdService.releaseExpired();
+
+  assert.equal(await holdService.confirm(freeHold.reference, "FBTHOLD2"), true);
+  assert.deepEqual(findHolds(freeHold.reference).map((row) => row.status), ["sold"]);
+  assert.equal(availableSeats(free.id), free.available_seats - 1);
+
+  const soldOut = findSchedule("F9707", 13);
+  const lostHold = await holdService.reserve({ userId: USER_ID, flight: { scheduleId: soldOut.id }, passengers: 1 });
+  expire(lostHold.reference);
+  await holdService.releaseExpired();
+  database.findById("flight_schedules", soldOut.id).available_seats = 0;
+
+  assert.equal(await holdService.confirm(lostHold.reference, "FBTHOLD3"), false);
+  assert.deepEqual(findHolds(lostHold.reference).map((row) => row.status), ["expired"]);
+});
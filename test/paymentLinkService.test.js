@@ -0,0 +1,211 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repositories,
+  database,
+  setupDatabase,
+  findSchedule,
+  availableSeats,
+  findHolds,
+  createHeldBooking,
+} = require("./helpers");
+const paymentLinkService = require("../services/paymentLinkService");
+const paymentService = require("../services/paymentService");
+const holdService = require("../services/holdService");
+
+before(setupDatabase);
+
+const VALID_CARD = { cardNumber: "4111111111111111", expiryDate: "12/30", cvv: "123", cardholderName: "Ada Lovelace" };
+const DECLINED_CARD = { ...VALID_CARD, cardNumber: "4000000000000002" };
+
+async function createLink(flightNumber, daysAhead) {
+  const booking = await createHeldBooking({ schedule: findSchedule(flightNumber, daysAhead) });
+  const link = await paymentLinkService.create({
+    bookingId: booking.id,
+    holdReference: booking.seatHold.reference,
+    amount: 100,
+    currency: "USD",
+  });
+  return { booking, link, query: Object.fromEntries(new URL(link.url).searchParams) };
+}
+
+function completedPayments(bookingId) {
+  return database.filter(
+    "payment_history",
+    (payment) => payment.booking_id === bookingId && payment.payment_status === "completed"
+  );
+}
+
+test("cancelling a booking waiting on a payment link returns its seats once", async () => {
+  const schedule = findSchedule("AA101", 5);
+  const booking = await createHeldBooking({ schedule, passengers: 2 });
+  const link = await paymentLinkService.create({
+    bookingId: booking.id,
+    holdReference: booking.seatHold.reference,
+    amount: 100,
+    currency: "USD",
+  });
+  assert.equal(availableSeats(schedule.id), schedule.available_seats - 2);
+
+  await repositories.bookings.cancel(booking.id);
+
+  assert.equal(availableSeats(schedule.id), schedule.available_seats);
+  assert.deepEqual(
+    findHolds(booking.seatHold.reference).map((hold) => hold.status),
+    ["released"]
+  );
+  assert.equal((await repositories.paymentLinks.findByReference(link.reference)).status, "expired");
+
+  // The link's expiry finds nothing left to do
+  database.find("payment_links", (row) => row.link_reference === link.reference).expires_at = new Date(0);
+  const notified = [];
+  paymentLinkService.notify = async (...args) => notified.push(args);
+  await paymentLinkService.expireDue();
+
+  assert.equal(availableSeats(schedule.id), schedule.available_seats);
+  assert.deepEqual(notified, []);
+});
+
+test("a cancelled booking's payment link can no longer be paid", async () => {
+  const { booking, link, query } = await createLink("UA202", 6);
+  await repositories.bookings.cancel(booking.id);
+
+  await assert.rejects(paymentLinkService.open(link.reference, query), {
+    code: "PAYMENT_LINK_EXPIRED",
+  });
+});
+
+test("a booking that never had a seat hold returns its seats on the schedule", async () => {
+  const schedule = findSchedule("DL303", 8);
+  const { id } = await repositories.bookings.createPending({
+    bookingReference: "FBTLEGACY1",
+    userId: "test-user",
+    flightScheduleId: schedule.id,
+    flight: { airline: "DL", flightNumber: "DL303" },
+    searchParams: {},
+    passengers: [{ firstName: "Ada" }],
+    totalPrice: 100,
+  });
+
+  await repositories.bookings.cancel(id);
+
+  assert.equal(availableSeats(schedule.id), schedule.available_seats + 1);
+});
+
+test("two submits of the same link at once charge the card once", async () => {
+  const { booking, link, query } = await createLink("WN404", 4);
+
+  const outcomes = await Promise.allSettled([
+    paymentLinkService.pay(link.reference, query, VALID_CARD),
+    paymentLinkService.pay(link.reference, query, VALID_CARD),
+  ]);
+
+  const paid = outcomes.filter((outcome) => outcome.status === "fulfilled");
+  const refused = outcomes.filter((outcome) => outcome.status === "rejected");
+  assert.equal(paid.length, 1);
+  assert.equal(paid[0].value.result.success, true);
+  assert.equal(paid[0].value.link.status, "paid");
+  assert.match(paid[0].value.message, /is confirmed/);
+  assert.equal(refused.length, 1);
+  assert.ok(["PAYMENT_LINK_IN_PROGRESS", "PAYMENT_LINK_PAID"].includes(refused[0].reason.code));
+  assert.equal(completedPayments(booking.id).length, 1);
+
+  await assert.rejects(paymentLinkService.pay(link.reference, query, VALID_CARD), {
+    code: "PAYMENT_LINK_PAID",
+  });
+});
+
+test("a declined card leaves the link open for another try", async () => {
+  const { booking, link, query } = await createLink("B6505", 9);
+
+  const declined = await paymentLinkService.pay(link.reference, query, DECLINED_CARD);
+  assert.equal(declined.result.success, false);
+  assert.equal((await repositories.paymentLinks.findByReference(link.reference)).status, "active");
+
+  const paid = await paymentLinkService.pay(link.reference, query, VALID_CARD);
+  assert.equal(paid.result.success, true);
+  assert.equal(paid.booking.status, "confirmed");
+  assert.deepEqual(
+    findHolds(booking.seatHold.reference).map((hold) => hold.status),
+    ["sold"]
+  );
+});
+
+function findLinkRow(reference) {
+  return database.find("payment_links", (row) => row.link_reference === reference);
+}
+
+test("a link being paid when it expires is kept until the payment finishes", async (t) => {
+  const { booking, link, query } = await createLink("AA101", 12);
+  const processPayment = paymentService.processPayment.bind(paymentService);
+  t.mock.method(paymentService, "processPayment", async (payment) => {
+    findLinkRow(link.reference).expires_at = new Date(Date.now() - 60 * 1000);
+    assert.equal(await paymentLinkService.expireDue(), 0);
+    return await processPayment(payment);
+  });
+
+  const paid = await paymentLinkService.pay(link.reference, query, VALID_CARD);
+  assert.equal(paid.link.status, "paid");
+  assert.equal(paid.booking.status, "confirmed");
+  assert.equal(paid.refund, null);
+  assert.equal(completedPayments(booking.id).length, 1);
+});
+
+test("a payment that finishes after the link's grace period is refunded", async (t) => {
+  const { booking, link, query } = await createLink("UA202", 12);
+  const processPayment = paymentService.processPayment.bind(paymentService);
+  t.mock.method(paymentService, "processPayment", async (payment) => {
+    findLinkRow(link.reference).expires_at = new Date(
+      Date.now() - (paymentLinkService.payingGraceSeconds + 60) * 1000
+    );
+    assert.equal(await paymentLinkService.expireDue(), 1);
+    return await processPayment(payment);
+  });
+
+  const paid = await paymentLinkService.pay(link.reference, query, VALID_CARD);
+  assert.equal(paid.result.success, true);
+  assert.equal(paid.refund.success, true);
+  assert.match(paid.message, /has been refunded/);
+  assert.equal(paid.link.status, "expired");
+  assert.equal(paid.booking.status, "cancelled");
+  const [payment] = completedPayments(booking.id);
+  assert.equal(payment.refunded_amount, "100.00");
+});
+
+test("a link paid after its seats were lost is refunded and the booking cancelled", async (t) => {
+  const { booking, link, query } = await createLink("DL303", 12);
+  const processPayment = paymentService.processPayment.bind(paymentService);
+  t.mock.method(paymentService, "processPayment", async (payment) => {
+    findHolds(booking.seatHold.reference).forEach((hold) => {
+      hold.expires_at = new Date(Date.now() - 1000);
+    });
+    await holdService.releaseExpired();
+    database.findById("flight_schedules", findHolds(booking.seatHold.reference)[0].flight_schedule_id).available_seats = 0;
+    return await processPayment(payment);
+  });
+
+  const paid = await paymentLinkService.pay(link.reference, query, VALID_CARD);
+  assert.equal(paid.refund.success, true);
+  assert.match(paid.message, /seats were no longer available, so it has been refunded/);
+  assert.equal(paid.booking.status, "cancelled");
+  assert.equal(completedPayments(booking.id)[0].refunded_amount, "100.00");
+  await assert.rejects(paymentLinkService.open(link.reference, query), { code: "PAYMENT_LINK_EXPIRED" });
+});
+
+test("links that were altered or not signed by us are refused", async () => {
+  const { link, query } = await createLink("AS606", 10);
+
+  await assert.rejects(paymentLinkService.open(link.reference, { ...query, expires: `${Number(query.expires) + 3600}` }), {
+    code: "PAYMENT_LINK_INVALID",
+  });
+  await assert.rejects(paymentLinkService.open(link.reference, { ...query, signature: "00".repeat(32) }), {
+    code: "PAYMENT_LINK_INVALID",
+  });
+  await assert.rejects(paymentLinkService.open(link.reference, {}), { code: "PAYMENT_LINK_INVALID" });
+
+  const past = Math.floor(Date.now() / 1000) - 60;
+  await assert.rejects(
+    paymentLinkService.open(link.reference, { expires: past, signature: paymentLinkService.sign(link.reference, past) }),
+    { code: "PAYMENT_LINK_EXPIRED" }
+  );
+});
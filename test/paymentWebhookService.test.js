@@ -0,0 +1,181 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  repositories,
+  database,
+  setupDatabase,
+  findSchedule,
+  findHolds,
+  createHeldBooking,
+  createPaidBooking,
+} = require("./helpers");
+const paymentWebhookService = require("../services/paymentWebhookService");
+const paymentService = require("../services/paymentService");
+const tokenizationService = require("../services/tokenizationService");
+const holdService = require("../services/holdService");
+
+before(setupDatabase);
+
+const BODY = JSON.stringify({ id: "evt_signed", type: "refund.completed", data: { payment_id: "pay_1" } });
+
+test("a body signed with the webhook secret is accepted", () => {
+  assert.doesNotThrow(() =>
+    paymentWebhookService.verifySignature(BODY, paymentWebhookService.sign(BODY))
+  );
+});
+
+test("altered, unsigned and replayed webhooks are rejected", () => {
+  const signature = paymentWebhookService.sign(BODY);
+  const invalid = { code: "WEBHOOK_SIGNATURE_INVALID" };
+
+  assert.throws(() => paymentWebhookService.verifySignature(BODY.replace("pay_1", "pay_2"), signature), invalid);
+  assert.throws(() => paymentWebhookService.verifySignature(BODY, undefined), invalid);
+  assert.throws(() => paymentWebhookService.verifySignature(BODY, signature.replace(/v1=../, "v1=00")), invalid);
+
+  const anHourAgo = Math.floor(Date.now() / 1000) - 3600;
+  assert.throws(
+    () => paymentWebhookService.verifySignature(BODY, paymentWebhookService.sign(BODY, anHourAgo)),
+    invalid
+  );
+});
+
+test("an event is applied once however often it is delivered", async () => {
+  const { id: bookingId } = await repositories.bookings.createPending({
+    bookingReference: "FBTWEBHOOK1",
+    userId: "test-user",
+    flight: { airline: "AA", flightNumber: "AA101" },
+    searchParams: {},
+    passengers: [{ firstName: "Ada" }],
+    totalPrice: 50,
+  });
+  const card = tokenizationService.tokenize({
+    cardNumber: "4111111111111111",
+    expiryDate: "12/30",
+    cvv: "123",
+    cardholderName: "Ada Lovelace",
+  });
+  const payment = await paymentService.processPayment({
+    bookingId,
+    amount: 5000,
+    currency: "USD",
+    paymentMethod: "credit_card",
+    cardToken: card.token,
+  });
+  assert.equal(payment.success, true);
+
+  const event = {
+    id: "evt_dispute_1",
+    type: "dispute.created",
+    data: { payment_id: payment.gatewayTransactionId, reason: "fraudulent" },
+  };
+
+  const first = await paymentWebhookService.handle(event);
+  assert.equal(first.status, "processed");
+  assert.match(first.message, /disputed/);
+  assert.equal(first.booking.payment_status, "disputed");
+
+  const again = await paymentWebhookService.handle(event);
+  assert.equal(again.status, "duplicate");
+  assert.equal(again.message, null);
+});
+
+// A UPI payment for a held booking, paid in the customer's app but not yet
+// reported by webhook
+async function payByUpi(schedule) {
+  const booking = await createHeldBooking({ schedule, totalPrice: 2500, currency: "INR" });
+  const payment = await paymentService.startPayment({
+    bookingId: booking.id,
+    amount: 250000,
+    currency: "INR",
+    paymentMethod: "upi",
+  });
+  assert.equal(payment.pending, true);
+  const { gateway_transaction_id: gatewayId } = database.find(
+    "payment_history",
+    (row) => row.transaction_id === payment.transactionId
+  );
+  await paymentService.gateway.settle(gatewayId, { paid: true });
+
+  const completed = {
+    id: `evt_completed_${booking.bookingReference}`,
+    type: "payment.completed",
+    data: { payment_id: gatewayId },
+  };
+  return { booking, payment, completed };
+}
+
+test("a payment completed by webhook sells the booking's held seats", async () => {
+  const { booking, completed } = await payByUpi(findSchedule("AA101", 8));
+
+  const result = await paymentWebhookService.handle(completed);
+  assert.match(result.message, /booking is confirmed/);
+  assert.equal(result.booking.status, "confirmed");
+  assert.deepEqual(
+    findHolds(booking.seatHold.reference).map((hold) => [hold.status, hold.booking_reference]),
+    [["sold", booking.bookingReference]]
+  );
+});
+
+test("a payment completed by webhook after its seats were lost is refunded", async () => {
+  const schedule = findSchedule("AA101", 9);
+  const { booking, payment, completed } = await payByUpi(schedule);
+  findHolds(booking.seatHold.reference).forEach((hold) => {
+    hold.expires_at = new Date(Date.now() - 1000);
+  });
+  await holdService.releaseExpired();
+  database.findById("flight_schedules", schedule.id).available_seats = 0;
+
+  const result = await paymentWebhookService.handle(completed);
+  assert.match(result.message, /has been refunded/);
+  assert.notEqual(result.booking.status, "confirmed");
+  assert.equal(
+    parseFloat(database.find("payment_history", (row) => row.transaction_id === payment.transactionId).refunded_amount),
+    2500
+  );
+});
+
+function refundEvent(id, payment, amount, refundId) {
+  return {
+    id,
+    type: "refund.completed",
+    data: {
+      payment_id: payment.gatewayTransactionId,
+      amount_money: { amount, currency: "USD" },
+      refund_id: refundId,
+    },
+  };
+}
+
+function findPayment(payment) {
+  return database.find("payment_history", (row) => row.transaction_id === payment.transactionId);
+}
+
+test("a refund the bot made is not counted again when the gateway reports it", async () => {
+  const { payment } = await createPaidBooking({ schedule: findSchedule("AA101", 10), totalPrice: 100 });
+  const refund = await paymentService.refundPayment(payment.transactionId, 40);
+  assert.equal(refund.success, true);
+
+  const result = await paymentWebhookService.handle(
+    refundEvent("evt_refund_bot", payment, 4000, refund.refundId)
+  );
+  assert.match(result.message, /refund of \$40 /);
+  assert.equal(findPayment(payment).refunded_amount, "40.00");
+  assert.equal(findPayment(payment).payment_status, "completed");
+});
+
+test("refunds reported by the gateway add up until the payment is refunded", async () => {
+  const { payment } = await createPaidBooking({ schedule: findSchedule("AA101", 11), totalPrice: 100 });
+
+  const first = await paymentWebhookService.handle(refundEvent("evt_refund_part_1", payment, 6000, "rf_part_1"));
+  assert.equal(findPayment(payment).refunded_amount, "60.00");
+  assert.equal(first.booking.payment_status, "paid");
+
+  // The same refund in another event is counted once
+  await paymentWebhookService.handle(refundEvent("evt_refund_part_1_again", payment, 6000, "rf_part_1"));
+  assert.equal(findPayment(payment).refunded_amount, "60.00");
+
+  const second = await paymentWebhookService.handle(refundEvent("evt_refund_part_2", payment, 4000, "rf_part_2"));
+  assert.equal(findPayment(payment).refunded_amount, "100.00");
+  assert.equal(findPayment(payment).payment_status, "refunded");
+  assert.equal(second.booking.payment_status, "refunded");
+});
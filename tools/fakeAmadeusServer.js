@@ -0,0 +1,196 @@
+// Local stand-in for the Amadeus Self-Service API, serving recorded payloads from fixtures/amadeus.
+// Usage: npm run fake-amadeus, then start the bot with
+//   FLIGHT_PROVIDER=amadeus AMADEUS_BASE_URL=http://localhost:4010
+// Any client id/secret is accepted unless FAKE_AMADEUS_CLIENT_ID/FAKE_AMADEUS_CLIENT_SECRET are set.
+const restify = require('restify');
+const crypto = require('crypto');
+const { loadFixture, buildOfferResponse, buildMultiCityResponse, buildStatusResponse } = require('../services/providers/fixtureData');
+
+require('dotenv').config();
+
+const CABINS_BY_TRAVEL_CLASS = {
+    ECONOMY: 'economy',
+    PREMIUM_ECONOMY: 'premium',
+    BUSINESS: 'business',
+    FIRST: 'first'
+};
+
+function sendErrors(res, status, code, title, detail) {
+    res.send(status, { errors: [{ status, code, title, detail }] });
+}
+
+function createFakeAmadeusServer(options = {}) {
+    const clientId = options.clientId || process.env.FAKE_AMADEUS_CLIENT_ID;
+    const clientSecret = options.clientSecret || process.env.FAKE_AMADEUS_CLIENT_SECRET;
+    const tokenTtl = parseInt(options.tokenTtl || process.env.FAKE_AMADEUS_TOKEN_TTL || '1799');
+    // Percentage applied to every re-price, to exercise fare-change handling
+    const priceChangePercent = parseFloat(options.priceChangePercent || process.env.FAKE_AMADEUS_PRICE_CHANGE_PERCENT || '0');
+    const tokens = new Map();
+
+    const server = restify.createServer({ name: 'fake-amadeus' });
+    server.use(restify.plugins.queryParser());
+    server.use(restify.plugins.bodyParser());
+
+    // Every API route except the token endpoint needs a live Bearer token
+    const requireToken = (req, res, next) => {
+        const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+        const expiresAt = match && tokens.get(match[1]);
+
+        if (!expiresAt || expiresAt < Date.now()) {
+            sendErrors(res, 401, 38191, 'Invalid access token', 'The access token provided in the Authorization header is invalid');
+            return next(false);
+        }
+        return next();
+    };
+
+    server.post('/v1/security/oauth2/token', (req, res, next) => {
+        const body = req.body || {};
+        const validClient = body.client_id && body.client_secret &&
+            (!clientId || body.client_id === clientId) &&
+            (!clientSecret || body.client_secret === clientSecret);
+
+        if (body.grant_type !== 'client_credentials' || !validClient) {
+            res.send(401, {
+                error: 'invalid_client',
+                error_description: 'Client credentials are invalid',
+                code: 38187,
+                title: 'Invalid parameters'
+            });
+            return next();
+        }
+
+        const accessToken = crypto.randomBytes(16).toString('hex');
+        tokens.set(accessToken, Date.now() + tokenTtl * 1000);
+
+        res.send({
+            type: 'amadeusOAuth2Token',
+            username: 'fake@localhost',
+            application_name: 'fake-amadeus',
+            client_id: body.client_id,
+            token_type: 'Bearer',
+            access_token: accessToken,
+            expires_in: tokenTtl,
+            state: 'approved',
+            scope: ''
+        });
+        return next();
+    });
+
+    server.get('/v2/shopping/flight-offers', requireToken, (req, res, next) => {
+        const query = req.query || {};
+        const missing = ['originLocationCode', 'destinationLocationCode', 'departureDate', 'adults'].filter(field => !query[field]);
+
+        if (missing.length > 0) {
+            sendErrors(res, 400, 32171, 'MANDATORY DATA MISSING', `${missing.join(', ')} required`);
+            return next();
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        if (query.departureDate < today || (query.returnDate && query.returnDate < query.departureDate)) {
+            sendErrors(res, 400, 425, 'INVALID DATE', 'Date/Time is in the past or return is before departure');
+            return next();
+        }
+
+        res.send(buildOfferResponse(loadFixture('flight-offers'), {
+            origin: query.originLocationCode.toUpperCase(),
+            destination: query.destinationLocationCode.toUpperCase(),
+            departureDate: query.departureDate,
+            returnDate: query.returnDate || null,
+            passengers: parseInt(query.adults),
+            cabinClass: CABINS_BY_TRAVEL_CLASS[query.travelClass] || 'economy'
+        }));
+        return next();
+    });
+
+    server.post('/v2/shopping/flight-offers', requireToken, (req, res, next) => {
+        const body = req.body || {};
+        const originDestinations = body.originDestinations || [];
+        const travelers = body.travelers || [];
+
+        if (originDestinations.length === 0 || travelers.length === 0) {
+            sendErrors(res, 400, 32171, 'MANDATORY DATA MISSING', 'originDestinations and travelers required');
+            return next();
+        }
+
+        const cabinRestriction = body.searchCriteria?.flightFilters?.cabinRestrictions?.[0];
+
+        res.send(buildMultiCityResponse(loadFixture('flight-offers'), {
+            legs: originDestinations.map(leg => ({
+                origin: leg.originLocationCode,
+                destination: leg.destinationLocationCode,
+                departureDate: leg.departureDateTimeRange.date
+            })),
+            passengers: travelers.length,
+            cabinClass: CABINS_BY_TRAVEL_CLASS[cabinRestriction?.cabin] || 'economy'
+        }));
+        return next();
+    });
+
+    // Confirms offers this server handed out; departed flights can no longer be sold
+    server.post('/v1/shopping/flight-offers/pricing', requireToken, (req, res, next) => {
+        const offers = req.body?.data?.flightOffers || [];
+
+        if (offers.length === 0) {
+            sendErrors(res, 400, 32171, 'MANDATORY DATA MISSING', 'data.flightOffers required');
+            return next();
+        }
+
+        const departed = offers.some(offer => new Date(offer.itineraries[0].segments[0].departure.at) <= new Date());
+        if (departed) {
+            sendErrors(res, 400, 4926, 'INVALID DATA RECEIVED', 'No fare applicable');
+            return next();
+        }
+
+        const factor = 1 + priceChangePercent / 100;
+        const reprice = (value) => (parseFloat(value) * factor).toFixed(2);
+
+        res.send({
+            data: {
+                type: 'flight-offers-pricing',
+                flightOffers: offers.map(offer => ({
+                    ...offer,
+                    price: {
+                        ...offer.price,
+                        total: reprice(offer.price.total),
+                        grandTotal: reprice(offer.price.grandTotal || offer.price.total)
+                    },
+                    travelerPricings: offer.travelerPricings.map(pricing => ({
+                        ...pricing,
+                        price: { ...pricing.price, total: reprice(pricing.price.total) }
+                    }))
+                }))
+            }
+        });
+        return next();
+    });
+
+    server.get('/v2/schedule/flights', requireToken, (req, res, next) => {
+        const query = req.query || {};
+
+        if (!query.carrierCode || !query.flightNumber || !query.scheduledDepartureDate) {
+            sendErrors(res, 400, 32171, 'MANDATORY DATA MISSING', 'carrierCode, flightNumber and scheduledDepartureDate required');
+            return next();
+        }
+
+        res.send(buildStatusResponse(loadFixture('flight-status'), {
+            carrierCode: query.carrierCode.toUpperCase(),
+            flightNumber: query.flightNumber,
+            scheduledDepartureDate: query.scheduledDepartureDate
+        }));
+        return next();
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = process.env.FAKE_AMADEUS_PORT || 4010;
+    const server = createFakeAmadeusServer();
+
+    server.listen(port, () => {
+        console.log(`Fake Amadeus API listening on http://localhost:${port}`);
+        console.log(`Start the bot with FLIGHT_PROVIDER=amadeus AMADEUS_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = { createFakeAmadeusServer };
@@ -0,0 +1,189 @@
+// Local stand-in for the Square Payments and Refunds API, answering with the mock gateway's outcomes.
+// Usage: npm run fake-square, then start the bot with
+//   PAYMENT_GATEWAY=square SQUARE_BASE_URL=http://localhost:4020
+// Any access token is accepted unless FAKE_SQUARE_ACCESS_TOKEN is set.
+// Card tokens and their outcomes are listed in services/gateways/sandboxCards.js.
+const restify = require('restify');
+const { MockGateway } = require('../services/gateways/mockGateway');
+
+require('dotenv').config();
+
+const PAYMENT_STATUSES = {
+    authorized: 'APPROVED',
+    captured: 'COMPLETED',
+    voided: 'CANCELED',
+    failed: 'FAILED'
+};
+
+const CARD_STATUSES = {
+    authorized: 'AUTHORIZED',
+    captured: 'CAPTURED',
+    voided: 'VOIDED',
+    failed: 'FAILED'
+};
+
+const ERROR_CATEGORIES = {
+    401: 'AUTHENTICATION_ERROR',
+    402: 'PAYMENT_METHOD_ERROR',
+    500: 'API_ERROR',
+    504: 'API_ERROR'
+};
+
+const REFUND_STATUSES = {
+    pending: 'PENDING',
+    completed: 'COMPLETED',
+    failed: 'REJECTED'
+};
+
+function sendErrors(res, status, code, detail, extra = {}) {
+    res.send(status, {
+        errors: [{ category: ERROR_CATEGORIES[status] || 'INVALID_REQUEST_ERROR', code, detail }],
+        ...extra
+    });
+}
+
+function createFakeSquareServer(options = {}) {
+    const accessToken = options.accessToken || process.env.FAKE_SQUARE_ACCESS_TOKEN;
+    const gateway = new MockGateway();
+    // Square fields the mock gateway does not keep, by payment id
+    const paymentDetails = new Map();
+    // Payments the mock challenged. Square has no challenge step on the server:
+    // it declines cards that need verification when no verification token is sent.
+    const unverified = new Set();
+
+    const server = restify.createServer({ name: 'fake-square' });
+    server.use(restify.plugins.bodyParser());
+
+    const requireToken = (req, res, next) => {
+        const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+
+        if (!match || (accessToken && match[1] !== accessToken)) {
+            sendErrors(res, 401, 'UNAUTHORIZED', 'This request could not be authorized.');
+            return next(false);
+        }
+        return next();
+    };
+
+    const toSquarePayment = (payment) => {
+        const details = paymentDetails.get(payment.id) || {};
+        const status = unverified.has(payment.id) ? 'failed' : payment.status;
+        return {
+            id: payment.id,
+            status: PAYMENT_STATUSES[status],
+            amount_money: payment.amountMoney,
+            source_type: 'CARD',
+            card_details: {
+                status: CARD_STATUSES[status],
+                card: payment.card && { card_brand: payment.card.brand, last_4: payment.card.last4 }
+            },
+            location_id: details.locationId,
+            reference_id: payment.referenceId || undefined,
+            note: payment.note || undefined,
+            buyer_email_address: details.buyerEmail,
+            created_at: details.createdAt,
+            updated_at: new Date().toISOString()
+        };
+    };
+
+    const toSquareRefund = (refund) => ({
+        id: refund.id,
+        payment_id: refund.paymentId,
+        status: REFUND_STATUSES[refund.status],
+        amount_money: refund.amountMoney,
+        reason: refund.reason || undefined,
+        created_at: new Date().toISOString()
+    });
+
+    // Gateway errors carry the HTTP status and Square error code to answer with
+    const handle = (work) => async (req, res) => {
+        try {
+            await work(req, res);
+        } catch (error) {
+            sendErrors(res, error.status || 500, error.code || 'INTERNAL_SERVER_ERROR', error.message);
+        }
+    };
+
+    server.post('/v2/payments', requireToken, handle(async (req, res) => {
+        const body = req.body || {};
+
+        if (!body.source_id || !body.idempotency_key || !body.amount_money) {
+            sendErrors(res, 400, 'MISSING_REQUIRED_PARAMETER', 'source_id, idempotency_key and amount_money are required');
+            return;
+        }
+
+        const payment = await gateway.authorize({
+            sourceId: body.source_id,
+            idempotencyKey: body.idempotency_key,
+            amountMoney: body.amount_money,
+            referenceId: body.reference_id,
+            note: body.note
+        });
+
+        if (!paymentDetails.has(payment.id)) {
+            paymentDetails.set(payment.id, {
+                locationId: body.location_id || 'FAKE_LOCATION',
+                buyerEmail: body.buyer_email_address,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        if (payment.status === 'action_required') {
+            unverified.add(payment.id);
+            sendErrors(res, 402, 'CARD_DECLINED_VERIFICATION_REQUIRED', 'The card issuer requires 3-D Secure verification.', {
+                payment: toSquarePayment(payment)
+            });
+            return;
+        }
+
+        if (payment.status === 'failed') {
+            sendErrors(res, 402, payment.errorCode, payment.errorMessage, { payment: toSquarePayment(payment) });
+            return;
+        }
+
+        // autocomplete defaults to true in Square
+        const result = body.autocomplete === false ? payment : await gateway.capture(payment.id);
+        res.send({ payment: toSquarePayment(result) });
+    }));
+
+    server.post('/v2/payments/:paymentId/complete', requireToken, handle(async (req, res) => {
+        res.send({ payment: toSquarePayment(await gateway.capture(req.params.paymentId)) });
+    }));
+
+    server.post('/v2/payments/:paymentId/cancel', requireToken, handle(async (req, res) => {
+        res.send({ payment: toSquarePayment(await gateway.void(req.params.paymentId)) });
+    }));
+
+    server.get('/v2/payments/:paymentId', requireToken, handle(async (req, res) => {
+        res.send({ payment: toSquarePayment(await gateway.getStatus(req.params.paymentId)) });
+    }));
+
+    server.post('/v2/refunds', requireToken, handle(async (req, res) => {
+        const body = req.body || {};
+
+        if (!body.payment_id || !body.idempotency_key || !body.amount_money) {
+            sendErrors(res, 400, 'MISSING_REQUIRED_PARAMETER', 'payment_id, idempotency_key and amount_money are required');
+            return;
+        }
+
+        const refund = await gateway.refund(body.payment_id, {
+            amountMoney: body.amount_money,
+            idempotencyKey: body.idempotency_key,
+            reason: body.reason
+        });
+        res.send({ refund: toSquareRefund(refund) });
+    }));
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = process.env.FAKE_SQUARE_PORT || 4020;
+    const server = createFakeSquareServer();
+
+    server.listen(port, () => {
+        console.log(`Fake Square API listening on http://localhost:${port}`);
+        console.log(`Start the bot with PAYMENT_GATEWAY=square SQUARE_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = { createFakeSquareServer };
@@ -0,0 +1,91 @@
+// Applies, reverts and lists the schema migrations in database/migrations.
+// Usage: npm run db:migrate
+//        npm run db:rollback [-- steps]
+//        npm run db:status
+//        npm run db:seed
+//        node tools/migrate.js baseline <version>   (mark an existing schema as migrated)
+require('dotenv').config();
+
+const { connection } = require('../services/repositories');
+const migrationService = require('../services/migrationService');
+const { seed } = require('../database/seeds/sampleData');
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : 'pending';
+}
+
+function parseCount(value, fallback) {
+    const count = value === undefined ? fallback : parseInt(value);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Expected a positive number, got "${value}"`);
+    }
+    return count;
+}
+
+const commands = {
+    async migrate() {
+        const applied = await migrationService.migrate();
+        console.log(applied.length > 0
+            ? `Applied ${applied.length} migration(s).`
+            : 'Database schema is up to date.');
+    },
+
+    async rollback(steps) {
+        const reverted = await migrationService.rollback(parseCount(steps, 1));
+        console.log(reverted.length > 0
+            ? `Reverted ${reverted.length} migration(s).`
+            : 'No migrations to roll back.');
+    },
+
+    async status() {
+        const { migrations, unknown } = await migrationService.status();
+        migrations.forEach(migration => {
+            console.log(`  ${formatDate(migration.appliedAt).padEnd(19)}  ${migrationService.describe(migration)}`);
+        });
+        unknown.forEach(migration => {
+            console.log(`  ${formatDate(migration.applied_at)}  ${migrationService.describe(migration)} (no migration file)`);
+        });
+        if (migrations.length === 0 && unknown.length === 0) {
+            console.log('No migrations found.');
+        }
+    },
+
+    async seed() {
+        await migrationService.assertUpToDate();
+        await seed(connection);
+        console.log('Sample data inserted.');
+    },
+
+    async baseline(version) {
+        const marked = await migrationService.baseline(parseCount(version));
+        console.log(`Marked ${marked.length} migration(s) as applied.`);
+    }
+};
+
+async function main() {
+    const [name = 'status', ...args] = process.argv.slice(2);
+    const command = commands[name];
+
+    if (connection.driver !== 'mysql') {
+        console.error(`Migrations only apply to MySQL; DB_DRIVER=${connection.driver} needs none.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (!command) {
+        console.error(`Unknown command "${name}". Use one of: ${Object.keys(commands).join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await command(...args);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    } finally {
+        await connection.close();
+    }
+}
+
+main();
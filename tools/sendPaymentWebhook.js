@@ -0,0 +1,46 @@
+// Sends a signed payment event to the bot's webhook, as the gateway would.
+// Usage: npm run webhook:send -- <type> <payment id> [amount in minor units] [currency]
+//   type is payment.completed, payment.failed, payment.expired, refund.completed or dispute.created;
+//   the id is our transaction id (a UUID) or the gateway's payment id.
+// Posts to PAYMENT_WEBHOOK_URL, by default the local bot.
+require('dotenv').config();
+
+const axios = require('axios');
+const crypto = require('crypto');
+const paymentWebhookService = require('../services/paymentWebhookService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function main([type, id, amount, currency = 'USD']) {
+    if (!type || !id) {
+        throw new Error('Usage: npm run webhook:send -- <type> <payment id> [amount in minor units] [currency]');
+    }
+
+    const event = {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        created_at: new Date().toISOString(),
+        data: {
+            [UUID_PATTERN.test(id) ? 'transaction_id' : 'payment_id']: id,
+            amount_money: amount ? { amount: parseInt(amount), currency } : undefined,
+            // As if the refund was made from the gateway's dashboard
+            refund_id: type === 'refund.completed' ? `rf_${crypto.randomBytes(12).toString('hex')}` : undefined
+        }
+    };
+    const body = JSON.stringify(event);
+    const url = process.env.PAYMENT_WEBHOOK_URL || `http://localhost:${process.env.Port || process.env.PORT || 3978}/api/payments/webhook`;
+
+    const response = await axios.post(url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Payment-Signature': paymentWebhookService.sign(body)
+        },
+        validateStatus: () => true
+    });
+    console.log(`${event.id} (${type}): ${response.status}`, response.data);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+// Updates the local FX rate table used for display conversion and charging.
+// Usage: npm run fx:update -- INR=83.4 EUR=0.93
+const currencyService = require('../services/currencyService');
+
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+    const table = currencyService.getTable();
+    console.log(`FX rates per 1 ${table.base} (updated ${table.updatedAt}):`);
+    Object.entries(table.rates).forEach(([currency, rate]) => console.log(`  ${currency}  ${rate}`));
+    console.log('\nUsage: npm run fx:update -- CODE=rate [CODE=rate ...]');
+    process.exit(0);
+}
+
+const rates = {};
+args.forEach(arg => {
+    const [currency, rate] = arg.split('=');
+    rates[(currency || '').toUpperCase()] = rate;
+});
+
+try {
+    const table = currencyService.updateRates(rates);
+    console.log(`Updated ${Object.keys(rates).join(', ')} (base ${table.base}).`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
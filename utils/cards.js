@@ -1,4 +1,5 @@
 const { CardFactory, MessageFactory } = require('botbuilder');
+const { formatDate, formatTime, formatCabinClass, formatMoney } = require('./helpers');
 
 /**
  * Creates an adaptive card for flight search results
@@ -123,10 +124,34 @@ function createBookingConfirmationCard(booking) {
     return CardFactory.adaptiveCard(card);
 }
 
+// Inputs of the card details form, by field
+const CARD_INPUTS = {
+    cardNumber: { label: 'Card Number', placeholder: '1234 5678 9012 3456', maxLength: 19 },
+    expiryDate: { label: 'Expiry Date', placeholder: 'MM/YY', maxLength: 5 },
+    cvv: { label: 'CVV', placeholder: '123', maxLength: 4 },
+    cardholderName: { label: 'Cardholder Name', placeholder: 'John Doe' }
+};
+
 /**
- * Creates a payment form card
+ * Creates the card details form. Its submit is tokenized as soon as it arrives
+ * (see bot/dialogs/cardTokenPrompt.js), so the details never reach dialog state.
+ * After a failed attempt only the fields that were wrong are asked for again,
+ * each with its problem from errors.
  */
-function createPaymentCard(bookingDetails) {
+function createPaymentCard(charge, { fields = Object.keys(CARD_INPUTS), errors = {} } = {}) {
+    const inputs = [];
+    for (const field of fields) {
+        if (errors[field]) {
+            inputs.push({
+                type: 'TextBlock',
+                text: errors[field],
+                color: 'Attention',
+                wrap: true
+            });
+        }
+        inputs.push({ type: 'Input.Text', id: field, ...CARD_INPUTS[field] });
+    }
+
     const card = {
         type: 'AdaptiveCard',
         version: '1.3',
@@ -139,50 +164,183 @@ function createPaymentCard(bookingDetails) {
             },
             {
                 type: 'TextBlock',
-                text: `Total Amount: $${bookingDetails.totalPrice}`,
+                text: `Total Amount: ${formatMoney(charge)}`,
                 weight: 'Bolder',
                 color: 'Accent'
             },
+            ...(fields.length < Object.keys(CARD_INPUTS).length
+                ? [{ type: 'TextBlock', text: 'The other card details have been kept.', isSubtle: true, wrap: true }]
+                : []),
+            ...inputs
+        ],
+        actions: [
             {
-                type: 'Input.Text',
-                id: 'cardNumber',
-                label: 'Card Number',
-                placeholder: '1234 5678 9012 3456',
-                maxLength: 19
+                type: 'Action.Submit',
+                title: 'Pay',
+                data: {
+                    action: 'submitCard'
+                }
+            }
+        ]
+    };
+
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * Creates the 3-D Secure step for a payment the card issuer wants verified.
+ * The code can be entered here or on the issuer's page at action.url; answers
+ * are handled by bot/dialogs/challengePrompt.js.
+ */
+function createChallengeCard(action, charge) {
+    const minutesLeft = Math.max(1, Math.round((new Date(action.expiresAt) - Date.now()) / 60000));
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.3',
+        body: [
+            {
+                type: 'TextBlock',
+                text: '🔐 Verify your payment',
+                weight: 'Bolder',
+                size: 'Medium'
             },
             {
-                type: 'Input.Text',
-                id: 'expiryDate',
-                label: 'Expiry Date',
-                placeholder: 'MM/YY',
-                maxLength: 5
+                type: 'TextBlock',
+                text: `Your bank wants to confirm the payment of ${formatMoney(charge)}. Enter the one-time code it sent you, or verify on your bank's page.`,
+                wrap: true
             },
             {
-                type: 'Input.Text',
-                id: 'cvv',
-                label: 'CVV',
-                placeholder: '123',
-                maxLength: 4
+                type: 'TextBlock',
+                text: `Please verify within ${minutesLeft} minute(s).`,
+                isSubtle: true,
+                spacing: 'Small',
+                wrap: true
             },
             {
                 type: 'Input.Text',
-                id: 'cardholderName',
-                label: 'Cardholder Name',
-                placeholder: 'John Doe'
+                id: 'otp',
+                label: 'One-time code',
+                placeholder: '123456',
+                maxLength: 8
             }
         ],
         actions: [
             {
                 type: 'Action.Submit',
-                title: 'Process Payment',
+                title: 'Verify',
+                data: {
+                    action: 'submitOtp'
+                }
+            },
+            {
+                type: 'Action.OpenUrl',
+                title: 'Open bank page',
+                url: action.url
+            },
+            {
+                type: 'Action.Submit',
+                title: "I've verified",
                 data: {
-                    action: 'processPayment',
-                    bookingId: bookingDetails.id
+                    action: 'checkChallenge'
+                }
+            },
+            {
+                type: 'Action.Submit',
+                title: 'Cancel payment',
+                data: {
+                    action: 'cancelChallenge'
                 }
             }
         ]
     };
-    
+
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * Creates the card for a UPI, net banking or wallet payment waiting on the customer.
+ * action comes from the gateway: a collect request sent to the customer's UPI ID,
+ * a UPI intent link (and QR code) to pay from any UPI app, or a redirect to the
+ * bank's or wallet's page. Answers are handled by bot/dialogs/paymentStatusPrompt.js.
+ */
+function createPendingPaymentCard(action, charge) {
+    const minutesLeft = Math.max(1, Math.round((new Date(action.expiresAt) - Date.now()) / 60000));
+    const instructions = {
+        collect: `We've sent a payment request for ${formatMoney(charge)} to ${action.vpa}. Approve it in your UPI app.`,
+        intent: `Pay ${formatMoney(charge)} from any UPI app${action.qrImageUrl ? ', or scan the QR code' : ''}.`,
+        redirect: `Pay ${formatMoney(charge)} on your bank's or wallet's page.`
+    };
+
+    const body = [
+        {
+            type: 'TextBlock',
+            text: '⏳ Complete your payment',
+            weight: 'Bolder',
+            size: 'Medium'
+        },
+        {
+            type: 'TextBlock',
+            text: instructions[action.type] || instructions.redirect,
+            wrap: true
+        },
+        {
+            type: 'TextBlock',
+            text: `Please pay within ${minutesLeft} minute(s). We'll let you know here as soon as the payment arrives.`,
+            isSubtle: true,
+            spacing: 'Small',
+            wrap: true
+        }
+    ];
+
+    if (action.type === 'intent' && action.qrImageUrl) {
+        body.push({
+            type: 'Image',
+            url: action.qrImageUrl,
+            altText: 'UPI QR code',
+            size: 'Large',
+            horizontalAlignment: 'Center'
+        });
+    }
+
+    const actions = [];
+    if (action.type === 'intent' && action.intentUrl) {
+        actions.push({
+            type: 'Action.OpenUrl',
+            title: 'Open UPI app',
+            url: action.intentUrl
+        });
+    }
+    if (action.url) {
+        actions.push({
+            type: 'Action.OpenUrl',
+            title: action.type === 'redirect' ? 'Go to payment page' : 'Open payment page',
+            url: action.url
+        });
+    }
+    actions.push(
+        {
+            type: 'Action.Submit',
+            title: "I've paid",
+            data: {
+                action: 'checkPayment'
+            }
+        },
+        {
+            type: 'Action.Submit',
+            title: 'Cancel payment',
+            data: {
+                action: 'cancelPayment'
+            }
+        }
+    );
+
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.3',
+        body: body,
+        actions: actions
+    };
+
     return CardFactory.adaptiveCard(card);
 }
 
@@ -282,10 +440,298 @@ function createFlightSearchFormCard() {
     return CardFactory.adaptiveCard(card);
 }
 
+/**
+ * Creates one card per booking for the "View My Bookings" carousel
+ */
+function createBookingListCards(bookings, { page = 1, hasMore = false } = {}) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const cards = bookings.map(booking => {
+        const isUpcoming = new Date(booking.flight_date) >= today;
+
+        return CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            version: '1.3',
+            body: [
+                {
+                    type: 'ColumnSet',
+                    columns: [
+                        {
+                            type: 'Column',
+                            width: 'stretch',
+                            items: [
+                                {
+                                    type: 'TextBlock',
+                                    text: `🎫 ${booking.booking_reference}`,
+                                    weight: 'Bolder',
+                                    size: 'Medium'
+                                }
+                            ]
+                        },
+                        {
+                            type: 'Column',
+                            width: 'auto',
+                            items: [
+                                {
+                                    type: 'TextBlock',
+                                    text: isUpcoming ? 'Upcoming' : 'Past',
+                                    color: isUpcoming ? 'Good' : 'Default',
+                                    isSubtle: !isUpcoming
+                                }
+                            ]
+                        }
+                    ]
+                },
+                {
+                    type: 'FactSet',
+                    facts: [
+                        { title: 'Route:', value: `${booking.departure_city} (${booking.departure_code}) → ${booking.arrival_city} (${booking.arrival_code})` },
+                        { title: 'Date:', value: `${formatDate(booking.flight_date)}, ${formatTime(booking.departure_time)}` },
+                        { title: 'Status:', value: capitalize(booking.booking_status) },
+                        { title: 'Payment:', value: capitalize(booking.payment_status) }
+                    ]
+                }
+            ],
+            actions: [
+                {
+                    type: 'Action.Submit',
+                    title: '🧾 View itinerary',
+                    data: {
+                        action: 'viewItinerary',
+                        bookingReference: booking.booking_reference
+                    }
+                }
+            ]
+        });
+    });
+
+    const pageActions = [];
+    if (page > 1) {
+        pageActions.push({
+            type: 'Action.Submit',
+            title: '⬅️ Previous',
+            data: { action: 'viewBookings', page: page - 1 }
+        });
+    }
+    if (hasMore) {
+        pageActions.push({
+            type: 'Action.Submit',
+            title: 'More bookings ➡️',
+            data: { action: 'viewBookings', page: page + 1 }
+        });
+    }
+
+    if (pageActions.length > 0) {
+        cards.push(CardFactory.adaptiveCard({
+            type: 'AdaptiveCard',
+            version: '1.3',
+            body: [
+                {
+                    type: 'TextBlock',
+                    text: `Page ${page}`,
+                    weight: 'Bolder',
+                    horizontalAlignment: 'Center'
+                }
+            ],
+            actions: pageActions
+        }));
+    }
+
+    return cards;
+}
+
+/**
+ * Creates the full itinerary card for a single booking
+ */
+function createItineraryCard(booking, passengers = []) {
+    const passengerFacts = passengers.map((passenger, index) => ({
+        title: `Passenger ${index + 1}:`,
+        value: `${passenger.first_name} ${passenger.last_name}${passenger.seat_number ? ` (Seat ${passenger.seat_number})` : ''}`
+    }));
+
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.3',
+        body: [
+            {
+                type: 'TextBlock',
+                text: `🧾 Itinerary ${booking.booking_reference}`,
+                weight: 'Bolder',
+                size: 'Large'
+            },
+            {
+                type: 'FactSet',
+                facts: [
+                    { title: 'Flight:', value: `${booking.airline_name} ${booking.flight_number}` },
+                    { title: 'Aircraft:', value: booking.aircraft_type || 'N/A' },
+                    { title: 'From:', value: `${booking.departure_city} (${booking.departure_code})` },
+                    { title: 'To:', value: `${booking.arrival_city} (${booking.arrival_code})` },
+                    { title: 'Date:', value: formatDate(booking.flight_date) },
+                    { title: 'Departure:', value: formatTime(booking.departure_time) },
+                    { title: 'Arrival:', value: formatTime(booking.arrival_time) },
+                    { title: 'Passengers:', value: `${booking.passenger_count}` },
+                    { title: 'Cabin:', value: formatCabinClass(booking.cabin_class) },
+                    { title: 'Total Price:', value: formatMoney({ amount: Number(booking.total_price), currency: booking.currency || 'USD' }) },
+                    { title: 'Status:', value: capitalize(booking.booking_status) },
+                    { title: 'Payment:', value: capitalize(booking.payment_status) },
+                    { title: 'Booked On:', value: formatDate(booking.booking_date) }
+                ]
+            }
+        ]
+    };
+
+    const isUpcoming = new Date(booking.flight_date) >= new Date(new Date().setHours(0, 0, 0, 0));
+    if (isUpcoming && booking.booking_status !== 'cancelled') {
+        card.actions = [
+            {
+                type: 'Action.Submit',
+                title: '✏️ Change flight',
+                data: {
+                    action: 'changeBooking',
+                    bookingReference: booking.booking_reference
+                }
+            },
+            {
+                type: 'Action.Submit',
+                title: '❌ Cancel booking',
+                data: {
+                    action: 'cancelBooking',
+                    bookingReference: booking.booking_reference
+                }
+            }
+        ];
+    }
+
+    if (passengerFacts.length > 0) {
+        card.body.push(
+            {
+                type: 'TextBlock',
+                text: '👥 Passengers',
+                weight: 'Bolder',
+                spacing: 'Medium'
+            },
+            {
+                type: 'FactSet',
+                facts: passengerFacts
+            }
+        );
+    }
+
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * Creates a fare calendar showing the cheapest price for each candidate date
+ */
+function createFareCalendarCard(days, searchParams, searchId) {
+    const prices = days.filter(day => day.cheapestAmount !== null).map(day => day.cheapestAmount);
+    const lowest = prices.length > 0 ? Math.min(...prices) : null;
+
+    const rows = days.map(day => {
+        const hasFlights = day.cheapestAmount !== null;
+        const isLowest = hasFlights && day.cheapestAmount === lowest;
+        const dateLabel = new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+
+        const row = {
+            type: 'ColumnSet',
+            separator: true,
+            style: day.isRequestedDate ? 'emphasis' : 'default',
+            columns: [
+                {
+                    type: 'Column',
+                    width: 'stretch',
+                    items: [
+                        {
+                            type: 'TextBlock',
+                            text: dateLabel,
+                            weight: day.isRequestedDate ? 'Bolder' : 'Default'
+                        },
+                        {
+                            type: 'TextBlock',
+                            text: day.returnDate ? `Return ${day.returnDate}` : `${day.flightCount} flights`,
+                            size: 'Small',
+                            isSubtle: true,
+                            spacing: 'None'
+                        }
+                    ]
+                },
+                {
+                    type: 'Column',
+                    width: 'auto',
+                    verticalContentAlignment: 'Center',
+                    items: [
+                        {
+                            type: 'TextBlock',
+                            text: hasFlights ? `${isLowest ? '⭐ ' : ''}from ${day.cheapestPrice}` : 'No flights',
+                            weight: isLowest ? 'Bolder' : 'Default',
+                            color: isLowest ? 'Good' : 'Default',
+                            isSubtle: !hasFlights
+                        }
+                    ]
+                }
+            ]
+        };
+
+        if (hasFlights) {
+            row.selectAction = {
+                type: 'Action.Submit',
+                title: `Flights on ${day.date}`,
+                data: {
+                    action: 'selectFareDate',
+                    searchId: searchId,
+                    date: day.date,
+                    returnDate: day.returnDate
+                }
+            };
+        }
+
+        return row;
+    });
+
+    const card = {
+        type: 'AdaptiveCard',
+        version: '1.3',
+        body: [
+            {
+                type: 'TextBlock',
+                text: `📅 Fare calendar: ${searchParams.origin} → ${searchParams.destination}`,
+                weight: 'Bolder',
+                size: 'Medium',
+                wrap: true
+            },
+            {
+                type: 'TextBlock',
+                text: `Cheapest fare per day around ${searchParams.departureDate}. Tap a day to see its flights.`,
+                size: 'Small',
+                isSubtle: true,
+                wrap: true
+            },
+            ...rows
+        ]
+    };
+
+    return CardFactory.adaptiveCard(card);
+}
+
+function capitalize(value) {
+    if (!value) return 'N/A';
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
 module.exports = {
     createFlightSearchCard,
     createBookingConfirmationCard,
     createPaymentCard,
+    createChallengeCard,
+    createPendingPaymentCard,
     createWelcomeCard,
-    createFlightSearchFormCard
+    createFlightSearchFormCard,
+    createBookingListCards,
+    createItineraryCard,
+    createFareCalendarCard
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * HTML for the checkout page payment links open (see services/paymentLinkService.js)
+ */
+const currencyService = require('../services/currencyService');
+
+const CARD_INPUTS = [
+    { id: 'cardNumber', label: 'Card number', placeholder: '4111 1111 1111 1111', autocomplete: 'cc-number' },
+    { id: 'expiryDate', label: 'Expiry date', placeholder: 'MM/YY', autocomplete: 'cc-exp' },
+    { id: 'cvv', label: 'Security code', placeholder: '123', autocomplete: 'cc-csc' },
+    { id: 'cardholderName', label: 'Name on card', placeholder: 'Jane Doe', autocomplete: 'cc-name' }
+];
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+/**
+ * What is being paid for: the flight, passengers and amount of the booking
+ */
+function renderBookingSummary(link, booking) {
+    const flight = booking.flight_data || {};
+    const departure = flight.departure || {};
+    const arrival = flight.arrival || {};
+    const route = departure.airport && arrival.airport ? `${departure.airport} → ${arrival.airport}` : '';
+    const when = [departure.date, departure.time].filter(Boolean).join(' ');
+
+    return `<p>Booking <strong>${escapeHtml(booking.booking_reference)}</strong></p>
+  <ul>
+    ${flight.airline ? `<li>${escapeHtml(`${flight.airline} ${flight.flightNumber || ''}`.trim())}</li>` : ''}
+    ${route ? `<li>${escapeHtml(route)}${when ? `, ${escapeHtml(when)}` : ''}</li>` : ''}
+    <li>${escapeHtml(booking.passenger_count)} passenger(s)</li>
+  </ul>
+  <p>Amount: <strong>${escapeHtml(currencyService.format({ amount: parseFloat(link.amount), currency: link.currency }))}</strong></p>`;
+}
+
+/**
+ * The card form, with the problem under each field that needs fixing and the
+ * reason the last payment failed
+ */
+function renderCheckoutPage(link, booking, { error = null, fieldErrors = {}, cardholderName = '' } = {}) {
+    const expiresAt = new Date(link.expires_at).toUTCString();
+    const inputs = CARD_INPUTS.map((input) => {
+        const value = input.id === 'cardholderName' && cardholderName ? ` value="${escapeHtml(cardholderName)}"` : '';
+        const fieldError = fieldErrors[input.id]
+            ? `<br><small style="color:#b00020">${escapeHtml(fieldErrors[input.id])}</small>`
+            : '';
+        return `<p><label>${escapeHtml(input.label)}<br><input name="${input.id}" placeholder="${escapeHtml(input.placeholder)}" autocomplete="${input.autocomplete}"${value}></label>${fieldError}</p>`;
+    }).join('\n    ');
+
+    return renderPage('Pay for your flight', `${renderBookingSummary(link, booking)}
+  <p><small>This link expires ${escapeHtml(expiresAt)}.</small></p>
+  ${error ? `<p style="color:#b00020"><strong>${escapeHtml(error)}</strong></p>` : ''}
+  <form method="post">
+    ${inputs}
+    <button type="submit">Pay</button>
+  </form>
+  <p><small>Sandbox: use card 4111 1111 1111 1111 with any future expiry date and CVV.</small></p>`);
+}
+
+function renderPaidPage(link, booking) {
+    return renderPage('Payment received', `${renderBookingSummary(link, booking)}
+  <p>✅ Thank you. The booking is paid and confirmed.</p>`);
+}
+
+function renderLinkErrorPage(message, advice = 'Please ask the person who sent you the link for a new one.') {
+    return renderPage('Payment link unavailable', `<p>${escapeHtml(message)}.</p>
+  <p>${escapeHtml(advice)}</p>`);
+}
+
+module.exports = {
+    renderCheckoutPage,
+    renderPaidPage,
+    renderLinkErrorPage
+};
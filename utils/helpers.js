@@ -67,8 +67,9 @@ function isValidExpiryDate(expiryDate) {
     
     if (month < 1 || month > 12) return false;
     
+    // Cards are valid until the end of their expiry month
     const now = new Date();
-    const expiry = new Date(year, month - 1);
+    const expiry = new Date(year, month);
     
     return expiry > now;
 }
@@ -185,6 +186,38 @@ function formatCurrency(amount) {
     }).format(amount);
 }
 
+/**
+ * Formats a cabin class key (economy, premium, business, first) for display
+ */
+function formatCabinClass(cabinClass) {
+    const labels = {
+        economy: 'Economy',
+        premium: 'Premium Economy',
+        business: 'Business',
+        first: 'First'
+    };
+    
+    return labels[(cabinClass || 'economy').toLowerCase()] || cabinClass;
+}
+
+/**
+ * Formats a { amount, currency } price for display (e.g. "₹4,500", "$485.50")
+ */
+function formatMoney(money) {
+    const fractionDigits = Number.isInteger(money.amount) ? 0 : 2;
+    
+    try {
+        return new Intl.NumberFormat(money.currency === 'INR' ? 'en-IN' : 'en-US', {
+            style: 'currency',
+            currency: money.currency,
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        }).format(money.amount);
+    } catch (error) {
+        return `${money.currency} ${money.amount.toFixed(fractionDigits)}`;
+    }
+}
+
 /**
  * Calculates total price with taxes and fees
  */
@@ -240,6 +273,29 @@ function maskCardNumber(cardNumber) {
     return '**** **** **** ' + cleaned.slice(-4);
 }
 
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+/**
+ * Checks whether free text contains something that looks like a card number
+ */
+function containsCardNumber(text) {
+    return typeof text === 'string' && (text.match(CARD_NUMBER_PATTERN) || []).some(
+        (match) => isValidCardNumber(match.replace(/-/g, ''))
+    );
+}
+
+/**
+ * Masks anything that looks like a card number in free text, for logging
+ */
+function redactCardNumbers(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(CARD_NUMBER_PATTERN, (match) => {
+        const digits = match.replace(/-/g, '');
+        return isValidCardNumber(digits) ? maskCardNumber(digits) : match;
+    });
+}
+
 /**
  * Delays execution for specified milliseconds
  */
@@ -247,6 +303,35 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Shifts a YYYY-MM-DD date by a number of days, returning YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, iterator) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await iterator(items[index], index);
+        }
+    };
+    
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    
+    return results;
+}
+
 /**
  * Formats phone number for display
  */
@@ -273,12 +358,18 @@ module.exports = {
     sanitizeInput,
     isValidPassengerCount,
     formatCurrency,
+    formatMoney,
+    formatCabinClass,
     calculateTotalPrice,
     isAlphabeticWithSpaces,
     extractCityName,
     isValidDateRange,
     generateTransactionId,
     maskCardNumber,
+    containsCardNumber,
+    redactCardNumbers,
     delay,
+    addDays,
+    mapWithConcurrency,
     formatPhoneNumber
 };
\ No newline at end of file